@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+// ─── Command Line ───
+// loan-restructure analyze <portfolio.json | folder>... [options]
+// Runs every strategy on each portfolio (as exported from the app) and writes one report per client,
+// named after the input file. A folder stands for every .json file in it, so a night's batch is one
+// command; a file that cannot be read or analysed is reported and the rest carry on.
+import { readFileSync, writeFileSync, readdirSync, statSync, mkdirSync } from "node:fs";
+import { basename, extname, join } from "node:path";
+import { parseArgs } from "node:util";
+import {
+  LANGUAGES, DEFAULT_PRACTICE, REPORT_TEMPLATES, RANKINGS, withLanguage, withLoanTypes, portfolioFromJSON, analyzeClient,
+  rankResults, bestOf, strategyLabel, warningText, formatINR, generateReportHTML, generateReportPDF,
+} from "../src/engine/index.js";
+
+const FORMATS = ["html", "pdf", "json", "csv"];
+
+const USAGE = `Usage: loan-restructure analyze <portfolio.json | folder>... [options]
+
+Options:
+  --format <f>     ${FORMATS.join(" | ")} (default html)
+  --out <dir>      where reports are written (default: current folder)
+  --lang <id>      ${LANGUAGES.map(l => l.id).join(" | ")} (default en; PDF is English only)
+  --template <t>   ${REPORT_TEMPLATES.map(tpl => tpl.id).join(" | ")} (default: the practice profile's, else detailed)
+  --rank <r>       ${Object.keys(RANKINGS).join(" | ")} (default: the portfolio's own setting)
+  --practice <f>   practice profile JSON for the letterhead (firmName, frn, signatory, ...)
+  -h, --help       show this help`;
+
+function fail(message) {
+  console.error(message);
+  process.exit(2);
+}
+
+// Folders expand to the .json files directly inside them
+const inputFiles = (paths) => paths.flatMap(p => statSync(p).isDirectory()
+  ? readdirSync(p).filter(f => extname(f).toLowerCase() === ".json").sort().map(f => join(p, f))
+  : [p]);
+
+// Results without the month-by-month schedules, for JSON and CSV
+function summarize(r, rank) {
+  const { schedules, currentSchedules, prepayment, optimizer, warnings, ...figures } = r;
+  return { rank, strategy: strategyLabel(r.strategyId), ...figures };
+}
+
+const CSV_COLUMNS = [
+  ["rank", "Rank"], ["strategy", "Strategy"], ["netSavings", "Net savings"], ["savings", "Interest saved"],
+  ["costs", "Switching costs"], ["discountedSavings", "Savings (present value)"], ["currentMonthlyEMI", "Current EMI"],
+  ["newEMI", "New EMI"], ["newTenure", "New tenure (months)"], ["breakEvenMonth", "Break-even month"],
+  ["currentEffectiveCost", "Current effective cost %"], ["effectiveCost", "New effective cost %"], ["details", "Details"],
+];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "object") value = value.total;
+  if (typeof value === "number") value = Number.isInteger(value) ? value : value.toFixed(2);
+  const s = String(value);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+const toCSV = (rows) => [CSV_COLUMNS.map(c => c[1]), ...rows.map(r => CSV_COLUMNS.map(c => r[c[0]]))]
+  .map(row => row.map(csvCell).join(",")).join("\n") + "\n";
+
+function analyzeFile(file, opts) {
+  const p = portfolioFromJSON(readFileSync(file, "utf8"));
+  if (p.loans.length === 0) throw new Error("no loans to analyse");
+  const assumptions = opts.rank ? { ...p.assumptions, rankBy: opts.rank } : p.assumptions;
+  const businessName = p.businessName || basename(file, extname(file));
+
+  // Custom loan types in the file count for this client only
+  return withLoanTypes(p.loanTypes, () => withLanguage(opts.lang, () => {
+    const { runs, results, offerComparison } = analyzeClient(p.loans, assumptions, p.taxProfile, p);
+    const ranked = rankResults(results, assumptions.rankBy).map((r, i) => summarize(r, i + 1));
+    const context = {
+      taxProfile: p.taxProfile, cashFlow: p.cashFlow, rateStress: { runs, baseId: p.baseScenario },
+      practice: opts.practice, template: opts.template, offerComparison,
+    };
+    let output;
+    if (opts.format === "html") output = generateReportHTML(p.loans, results, businessName, assumptions, context);
+    else if (opts.format === "pdf") output = generateReportPDF(p.loans, results, businessName, assumptions, context);
+    else if (opts.format === "csv") output = toCSV(ranked);
+    else output = JSON.stringify({
+      businessName, analyzedAt: new Date().toISOString(), rankBy: assumptions.rankBy, baseScenario: p.baseScenario,
+      loans: p.loans, loanTypes: p.loanTypes, offers: p.offers, scenarios: p.scenarios, rejected: p.rejected, warnings: results[0]?.warnings ?? [],
+      strategies: ranked,
+      rateScenarios: runs.map(run => ({
+        id: run.id, label: run.label, path: run.path,
+        strategies: run.results.map(r => ({ strategyId: r.strategyId, netSavings: r.netSavings, discountedSavings: r.discountedSavings })),
+      })),
+      offerComparison: offerComparison && offerComparison.rows.map(r => ({
+        lender: r.lender, rate: r.offer.rate, best: r.best,
+        balanceTransfer: { netSavings: r.transfer.netSavings, discountedSavings: r.transfer.discountedSavings },
+        consolidate: { netSavings: r.consolidate.netSavings, discountedSavings: r.consolidate.discountedSavings },
+      })),
+    }, null, 2);
+    // Warnings on a loan mean it was left out; the rest are assumptions that fell back to their defaults
+    const warnings = results[0]?.warnings ?? [];
+    return {
+      output, best: bestOf(results, assumptions.rankBy), rejected: p.rejected,
+      leftOut: warnings.filter(w => w.index !== undefined), fallbacks: warnings.filter(w => w.index === undefined),
+    };
+  }));
+}
+
+function analyze(args) {
+  const { values, positionals } = parseArgs({
+    args, allowPositionals: true,
+    options: {
+      format: { type: "string", default: "html" },
+      out: { type: "string", default: "." },
+      lang: { type: "string", default: "en" },
+      template: { type: "string" },
+      rank: { type: "string" },
+      practice: { type: "string" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+  if (values.help) return console.log(USAGE);
+  if (!FORMATS.includes(values.format)) fail(`Unknown format "${values.format}"\n\n${USAGE}`);
+  if (!LANGUAGES.some(l => l.id === values.lang)) fail(`Unknown language "${values.lang}"\n\n${USAGE}`);
+  if (values.format === "pdf" && values.lang !== "en") fail("PDF reports are English only; use --format html and print it to PDF");
+  if (values.template && !REPORT_TEMPLATES.some(tpl => tpl.id === values.template)) fail(`Unknown template "${values.template}"`);
+  if (values.rank && !(values.rank in RANKINGS)) fail(`Unknown ranking "${values.rank}"`);
+  if (positionals.length === 0) fail(USAGE);
+
+  let practice = DEFAULT_PRACTICE;
+  if (values.practice) {
+    try {
+      practice = { ...DEFAULT_PRACTICE, ...JSON.parse(readFileSync(values.practice, "utf8")) };
+    } catch (e) {
+      fail(`Could not read the practice profile: ${e.message}`);
+    }
+  }
+  const opts = { ...values, practice, template: values.template ?? practice.template };
+
+  let files;
+  try {
+    files = inputFiles(positionals);
+  } catch (e) {
+    fail(e.message);
+  }
+  mkdirSync(values.out, { recursive: true });
+
+  let failed = 0;
+  for (const file of files) {
+    const target = join(values.out, `${basename(file, extname(file))}.${values.format}`);
+    try {
+      const { output, best, rejected, leftOut, fallbacks } = analyzeFile(file, opts);
+      writeFileSync(target, output);
+      const skipped = [
+        ...rejected.map(r => `#${r.index} ${r.errors.join("; ")}`),
+        ...leftOut.map(warningText),
+      ];
+      const note = skipped.length > 0 ? ` (${skipped.length} skipped: ${skipped.join(", ")})` : "";
+      console.log(`${file} → ${target}: ${strategyLabel(best.strategyId)}, net ${formatINR(best.netSavings)}${note}`);
+      fallbacks.forEach(w => console.log(`  ${warningText(w)}`));
+    } catch (e) {
+      failed++;
+      console.error(`${file}: ${e.message}`);
+    }
+  }
+  if (files.length > 1) console.log(`${files.length - failed} of ${files.length} portfolios analysed`);
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+const [command, ...rest] = process.argv.slice(2);
+if (command === "analyze") {
+  try {
+    analyze(rest);
+  } catch (e) {
+    fail(`${e.message}\n\n${USAGE}`);
+  }
+} else if (!command || command === "-h" || command === "--help" || command === "help") {
+  console.log(USAGE);
+} else {
+  fail(`Unknown command "${command}"\n\n${USAGE}`);
+}
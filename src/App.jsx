@@ -1,240 +1,39 @@
-import { useState } from "react";
-
-// ─── Constants & Config ───
-const LOAN_TYPES = [
-  { id: "term", label: "Term Loan", icon: "🏦", defaultRate: 11.5, defaultTenure: 60, defaultAmount: 1500000 },
-  { id: "ccod", label: "CC/OD Facility", icon: "💳", defaultRate: 13.5, defaultTenure: 12, defaultAmount: 800000 },
-  { id: "mudra", label: "MUDRA Loan", icon: "🏛️", defaultRate: 10.0, defaultTenure: 36, defaultAmount: 500000 },
-  { id: "vehicle", label: "Vehicle/Equipment", icon: "🚛", defaultRate: 12.0, defaultTenure: 48, defaultAmount: 1200000 },
-  { id: "working", label: "Working Capital", icon: "⚙️", defaultRate: 14.0, defaultTenure: 24, defaultAmount: 600000 },
-];
-
-const RESTRUCTURE_STRATEGIES = [
-  { id: "prepay_highest", label: "Prepay Highest Rate First", description: "Avalanche method — target the costliest loan" },
-  { id: "consolidate", label: "Consolidate All Loans", description: "Single loan at a negotiated lower rate" },
-  { id: "balance_transfer", label: "Balance Transfer", description: "Move high-rate loans to a lower-rate lender" },
-  { id: "extend_tenure", label: "Extend Tenure + Reduce EMI", description: "Ease monthly cash flow pressure" },
-  { id: "hybrid", label: "Hybrid Optimal", description: "AI-recommended mix of strategies" },
-];
-
-const formatINR = (n) => {
-  if (n >= 10000000) return `₹${(n / 10000000).toFixed(2)} Cr`;
-  if (n >= 100000) return `₹${(n / 100000).toFixed(2)} L`;
-  if (n >= 1000) return `₹${(n / 1000).toFixed(1)}K`;
-  return `₹${Math.round(n).toLocaleString("en-IN")}`;
-};
-
-const formatINRFull = (n) => `₹${Math.round(n).toLocaleString("en-IN")}`;
+import { useState, useMemo, useEffect } from "react";
+import {
+  listClients, listVersions, saveVersion, deleteClient, loadPractice, savePractice, loadLoanTypes, saveLoanTypes, loadLanguage, saveLanguage,
+} from "./storage.js";
+import {
+  parseCSV, detectDateFormat, guessMapping, exportPortfolio, parsePortfolioJSON, IMPORT_FIELDS, DATE_FORMATS, AMOUNT_UNITS,
+} from "./importers.js";
+import { encodeShareLink, decodeShareLink, shareLinkKind } from "./share.js";
+import { LANGUAGES, t, setLanguage, withLanguage, localeTag, localDigits } from "./i18n.js";
+import {
+  LOAN_TYPES, NEW_LOAN_TYPE, NEW_OFFER, NEW_SCENARIO, NEW_SCENARIO_ACTION, GST_RATE, BENCHMARKS, RATE_SCENARIOS, REPAYMENT_STRUCTURES, REPAYMENT_DEFAULTS, DEFAULT_ASSUMPTIONS, ASSUMPTION_FIELDS, RANKINGS, TAX_ENTITIES,
+  DEFAULT_TAX_PROFILE, CASH_FLOW_BASES, DEFAULT_CASH_FLOW, DEFAULT_PRACTICE, REPORT_TEMPLATES, formatINR, formatINRFull,
+  balanceChart, emiChart, interestChart, chartHeight, chartShapes,
+  loanTypes, loanTypeOf, setCustomLoanTypes, withLoanTypes, mergeLoanTypes, loanTypesUsed,
+  effectiveTaxRate, isRevolving, averageUtilization, scheduleCost, combineSchedules, currentMonth, monthsElapsed,
+  loanPosition, remainingCost, loanLabel, defaultCostsFor, structureOf, repaymentSummary, repaymentLabel, loanLock, loanFieldErrors, assumptionErrors, taxProfileErrors, cashFlowErrors, offerErrors, loanTypeErrors, warningText, monthLabel, ACTION_LABELS, rankValue, rankResults, bestOf, asPostTax,
+  strategyLabel, strategyDescription, isCustomScenario, diffResults, outcomeCell, analyzePortfolio, analyzeClient, needsRateScenarios, rateBand, affordability,
+  whatIfInputs, applyWhatIf, sensitivity,
+  loanFromImport, loanFromJSON, loanTypeFromJSON, loanTypesFromJSON, offersFromJSON, scenariosFromJSON, assumptionsFromJSON, taxProfileFromJSON, cashFlowFromJSON,
+  generateReportHTML, generateReportPDF,
+} from "./engine/index.js";
 
-// ─── Financial Calculation Engine ───
-function calcEMI(principal, annualRate, tenureMonths) {
-  if (principal <= 0 || tenureMonths <= 0) return 0;
-  const r = annualRate / 100 / 12;
-  if (r === 0) return principal / tenureMonths;
-  return (principal * r * Math.pow(1 + r, tenureMonths)) / (Math.pow(1 + r, tenureMonths) - 1);
-}
-
-function calcTotalInterest(principal, annualRate, tenureMonths) {
-  const emi = calcEMI(principal, annualRate, tenureMonths);
-  return emi * tenureMonths - principal;
-}
-
-function simulateRestructure(loans, strategyId) {
-  const totalPrincipal = loans.reduce((s, l) => s + l.amount, 0);
-  const currentTotalInterest = loans.reduce((s, l) => s + calcTotalInterest(l.amount, l.rate, l.tenure), 0);
-  const currentMonthlyEMI = loans.reduce((s, l) => s + calcEMI(l.amount, l.rate, l.tenure), 0);
-  const currentTotalPayout = totalPrincipal + currentTotalInterest;
-  const maxTenure = Math.max(...loans.map(l => l.tenure));
-
-  let newInterest, newEMI, newTenure, details;
-
-  switch (strategyId) {
-    case "prepay_highest": {
-      const sorted = [...loans].sort((a, b) => b.rate - a.rate);
-      const highest = sorted[0];
-      const reducedTenure = Math.max(6, Math.round(highest.tenure * 0.65));
-      newInterest = sorted.reduce((s, l, i) => {
-        const t = i === 0 ? reducedTenure : l.tenure;
-        return s + calcTotalInterest(l.amount, l.rate, t);
-      }, 0);
-      const monthlyFreed = currentMonthlyEMI * 0.15;
-      newEMI = currentMonthlyEMI + monthlyFreed;
-      newTenure = reducedTenure;
-      details = `Aggressively prepay ${LOAN_TYPES.find(t => t.id === highest.type)?.label || "highest rate loan"} (${highest.rate}% p.a.) — reduces tenure by ~${highest.tenure - reducedTenure} months`;
-      break;
-    }
-    case "consolidate": {
-      const weightedRate = loans.reduce((s, l) => s + l.rate * l.amount, 0) / totalPrincipal;
-      const newRate = Math.max(9.5, weightedRate - 2.5);
-      newTenure = Math.round(maxTenure * 1.1);
-      newInterest = calcTotalInterest(totalPrincipal, newRate, newTenure);
-      newEMI = calcEMI(totalPrincipal, newRate, newTenure);
-      details = `Consolidate ${loans.length} loans into single facility at ${newRate.toFixed(1)}% (vs weighted avg ${weightedRate.toFixed(1)}%) — simpler compliance, one EMI`;
-      break;
-    }
-    case "balance_transfer": {
-      const highRateLoans = loans.filter(l => l.rate > 11);
-      const lowRateLoans = loans.filter(l => l.rate <= 11);
-      const transferRate = 9.75;
-      newInterest = highRateLoans.reduce((s, l) => s + calcTotalInterest(l.amount, transferRate, l.tenure), 0) +
-        lowRateLoans.reduce((s, l) => s + calcTotalInterest(l.amount, l.rate, l.tenure), 0);
-      newEMI = highRateLoans.reduce((s, l) => s + calcEMI(l.amount, transferRate, l.tenure), 0) +
-        lowRateLoans.reduce((s, l) => s + calcEMI(l.amount, l.rate, l.tenure), 0);
-      newTenure = maxTenure;
-      const recoveryMonths = (currentMonthlyEMI - newEMI) > 0 ? Math.round(highRateLoans.reduce((s, l) => s + l.amount, 0) * 0.01 / (currentMonthlyEMI - newEMI)) : 6;
-      details = `Transfer ${highRateLoans.length} high-rate loan(s) to ${transferRate}% lender — processing fee ~1% one-time, recovered in ${recoveryMonths} months`;
-      break;
-    }
-    case "extend_tenure": {
-      newInterest = loans.reduce((s, l) => s + calcTotalInterest(l.amount, l.rate, Math.round(l.tenure * 1.5)), 0);
-      newEMI = loans.reduce((s, l) => s + calcEMI(l.amount, l.rate, Math.round(l.tenure * 1.5)), 0);
-      newTenure = Math.round(maxTenure * 1.5);
-      details = `Extend all loan tenures by ~50% — EMI drops significantly, total interest increases but cash flow pressure eases immediately`;
-      break;
-    }
-    case "hybrid": {
-      const sorted2 = [...loans].sort((a, b) => b.rate - a.rate);
-      const topHalf = sorted2.slice(0, Math.ceil(sorted2.length / 2));
-      const bottomHalf = sorted2.slice(Math.ceil(sorted2.length / 2));
-      const btRate = 9.75;
-      newInterest = topHalf.reduce((s, l) => s + calcTotalInterest(l.amount, btRate, Math.round(l.tenure * 0.8)), 0) +
-        bottomHalf.reduce((s, l) => s + calcTotalInterest(l.amount, l.rate, l.tenure), 0);
-      newEMI = topHalf.reduce((s, l) => s + calcEMI(l.amount, btRate, Math.round(l.tenure * 0.8)), 0) +
-        bottomHalf.reduce((s, l) => s + calcEMI(l.amount, l.rate, l.tenure), 0);
-      newTenure = maxTenure;
-      details = `Balance-transfer top ${topHalf.length} costliest loan(s) to ${btRate}% + accelerate repayment. Keep low-rate loans unchanged. Best risk-adjusted savings.`;
-      break;
-    }
-    default:
-      newInterest = currentTotalInterest;
-      newEMI = currentMonthlyEMI;
-      newTenure = maxTenure;
-      details = "";
-  }
-
-  const savings = currentTotalInterest - newInterest;
-  const emiReduction = currentMonthlyEMI - newEMI;
-
-  return {
-    strategyId,
-    currentTotalInterest,
-    currentMonthlyEMI,
-    currentTotalPayout,
-    newInterest,
-    newEMI,
-    newTenure,
-    savings: Math.max(0, savings),
-    emiReduction,
-    savingsPercent: currentTotalInterest > 0 ? (savings / currentTotalInterest) * 100 : 0,
-    details,
-    totalPrincipal,
+// ─── Report: Print ───
+// Prints the HTML report from a hidden frame, so the browser's "Save as PDF" lays out Devanagari
+// and Gujarati with its own fonts
+function printReport(html) {
+  const frame = document.createElement("iframe");
+  frame.style.cssText = "position:fixed;right:0;bottom:0;width:0;height:0;border:0";
+  frame.onload = () => {
+    const win = frame.contentWindow;
+    win.onafterprint = () => frame.remove();
+    // Let the fonts finish loading before the page is laid out for print
+    (win.document.fonts?.ready ?? Promise.resolve()).then(() => win.print());
   };
-}
-
-// ─── PDF Report Generator ───
-function generateReportHTML(loans, results, businessName) {
-  const bestResult = results.reduce((best, r) => r.savings > best.savings ? r : best, results[0]);
-  const stratLabel = RESTRUCTURE_STRATEGIES.find(s => s.id === bestResult.strategyId)?.label || "";
-
-  return `<!DOCTYPE html>
-<html><head><meta charset="utf-8"><title>Loan Restructuring Report - ${businessName}</title>
-<style>
-  @page { size: A4; margin: 20mm; }
-  * { margin: 0; padding: 0; box-sizing: border-box; }
-  body { font-family: 'Segoe UI', system-ui, sans-serif; color: #1a1a2e; line-height: 1.6; font-size: 11pt; }
-  .header { background: linear-gradient(135deg, #0a1628 0%, #1a365d 100%); color: white; padding: 32px; margin: -20mm -20mm 24px; }
-  .header h1 { font-size: 22pt; font-weight: 700; margin-bottom: 4px; }
-  .header p { opacity: 0.8; font-size: 10pt; }
-  .badge { display: inline-block; background: #f6ad55; color: #1a1a2e; padding: 3px 12px; border-radius: 20px; font-size: 9pt; font-weight: 600; margin-top: 8px; }
-  .section { margin-bottom: 20px; }
-  .section h2 { font-size: 13pt; color: #1a365d; border-bottom: 2px solid #e2e8f0; padding-bottom: 6px; margin-bottom: 12px; }
-  table { width: 100%; border-collapse: collapse; font-size: 10pt; margin-bottom: 16px; }
-  th { background: #f7fafc; color: #4a5568; font-weight: 600; text-align: left; padding: 8px 12px; border-bottom: 2px solid #e2e8f0; }
-  td { padding: 8px 12px; border-bottom: 1px solid #edf2f7; }
-  .highlight-row { background: #f0fff4; }
-  .savings-box { background: linear-gradient(135deg, #f0fff4, #c6f6d5); border: 2px solid #38a169; border-radius: 12px; padding: 20px; text-align: center; margin: 20px 0; }
-  .savings-amount { font-size: 28pt; font-weight: 800; color: #22543d; }
-  .savings-label { font-size: 10pt; color: #4a5568; margin-top: 4px; }
-  .strategy-box { background: #ebf8ff; border-left: 4px solid #3182ce; padding: 12px 16px; margin: 12px 0; border-radius: 0 8px 8px 0; }
-  .footer { margin-top: 32px; padding-top: 16px; border-top: 1px solid #e2e8f0; font-size: 9pt; color: #a0aec0; text-align: center; }
-  .metric-grid { display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 12px; margin: 16px 0; }
-  .metric { background: #f7fafc; padding: 12px; border-radius: 8px; text-align: center; }
-  .metric-value { font-size: 16pt; font-weight: 700; color: #1a365d; }
-  .metric-label { font-size: 8pt; color: #718096; text-transform: uppercase; letter-spacing: 0.5px; }
-</style></head><body>
-  <div class="header">
-    <h1>Loan Restructuring Analysis</h1>
-    <p>${businessName} — Confidential Report</p>
-    <span class="badge">Generated ${new Date().toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' })}</span>
-  </div>
-
-  <div class="section">
-    <h2>Current Loan Portfolio</h2>
-    <table>
-      <thead><tr><th>Loan Type</th><th>Principal</th><th>Rate (p.a.)</th><th>Tenure</th><th>Monthly EMI</th><th>Total Interest</th></tr></thead>
-      <tbody>
-        ${loans.map(l => `<tr>
-          <td>${LOAN_TYPES.find(t => t.id === l.type)?.label || l.type}</td>
-          <td>${formatINRFull(l.amount)}</td>
-          <td>${l.rate}%</td>
-          <td>${l.tenure} months</td>
-          <td>${formatINRFull(calcEMI(l.amount, l.rate, l.tenure))}</td>
-          <td>${formatINRFull(calcTotalInterest(l.amount, l.rate, l.tenure))}</td>
-        </tr>`).join("")}
-        <tr style="font-weight:700;background:#f7fafc;">
-          <td>TOTAL</td>
-          <td>${formatINRFull(loans.reduce((s, l) => s + l.amount, 0))}</td>
-          <td>—</td><td>—</td>
-          <td>${formatINRFull(loans.reduce((s, l) => s + calcEMI(l.amount, l.rate, l.tenure), 0))}</td>
-          <td>${formatINRFull(loans.reduce((s, l) => s + calcTotalInterest(l.amount, l.rate, l.tenure), 0))}</td>
-        </tr>
-      </tbody>
-    </table>
-  </div>
-
-  <div class="savings-box">
-    <div class="savings-amount">${formatINRFull(bestResult.savings)}</div>
-    <div class="savings-label">Maximum Potential Interest Savings with "${stratLabel}" Strategy</div>
-  </div>
-
-  <div class="section">
-    <h2>Strategy Comparison</h2>
-    <table>
-      <thead><tr><th>Strategy</th><th>New Total Interest</th><th>Interest Saved</th><th>New Monthly EMI</th><th>EMI Change</th></tr></thead>
-      <tbody>
-        ${results.map(r => {
-          const strat = RESTRUCTURE_STRATEGIES.find(s => s.id === r.strategyId);
-          const isBest = r.strategyId === bestResult.strategyId;
-          return `<tr class="${isBest ? 'highlight-row' : ''}">
-            <td>${isBest ? '⭐ ' : ''}${strat?.label}</td>
-            <td>${formatINRFull(r.newInterest)}</td>
-            <td style="color:#38a169;font-weight:600;">${formatINRFull(r.savings)}</td>
-            <td>${formatINRFull(r.newEMI)}</td>
-            <td style="color:${r.emiReduction > 0 ? '#38a169' : '#e53e3e'}">${r.emiReduction > 0 ? '↓' : '↑'} ${formatINRFull(Math.abs(r.emiReduction))}</td>
-          </tr>`;
-        }).join("")}
-      </tbody>
-    </table>
-  </div>
-
-  <div class="section">
-    <h2>Recommended Action Plan</h2>
-    <div class="strategy-box">
-      <strong>${stratLabel}</strong><br/>
-      ${bestResult.details}
-    </div>
-    <div class="metric-grid">
-      <div class="metric"><div class="metric-value">${formatINR(bestResult.savings)}</div><div class="metric-label">Total Savings</div></div>
-      <div class="metric"><div class="metric-value">${bestResult.savingsPercent.toFixed(1)}%</div><div class="metric-label">Interest Reduction</div></div>
-      <div class="metric"><div class="metric-value">${bestResult.newTenure}mo</div><div class="metric-label">Optimized Tenure</div></div>
-    </div>
-  </div>
-
-  <div class="footer">
-    <p>This report is generated by <strong>LoanRestructure Pro</strong> for advisory purposes only. Actual savings may vary based on lender terms, processing fees, and market conditions. Consult your CA or financial advisor before taking action.</p>
-    <p style="margin-top:4px;">© ${new Date().getFullYear()} LoanRestructure Pro</p>
-  </div>
-</body></html>`;
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
 }
 
 // ─── Chart Components ───
@@ -265,59 +64,1492 @@ function BarChart({ data, height = 200 }) {
   );
 }
 
+// A strategy that costs more interest than today shows the extra share in red, as a negative saving
 function DonutChart({ current, saved, size = 140 }) {
   const pct = current > 0 ? ((current - saved) / current) * 100 : 100;
+  const worse = saved < 0;
   const r = (size - 20) / 2;
   const circ = 2 * Math.PI * r;
-  const offset = circ - (pct / 100) * circ;
+  const offset = circ - (Math.min(100, worse ? pct - 100 : pct) / 100) * circ;
   return (
     <svg width={size} height={size} viewBox={`0 0 ${size} ${size}`}>
       <circle cx={size/2} cy={size/2} r={r} fill="none" stroke="#e2e8f0" strokeWidth="12" />
-      <circle cx={size/2} cy={size/2} r={r} fill="none" stroke="#38a169" strokeWidth="12"
+      <circle cx={size/2} cy={size/2} r={r} fill="none" stroke={worse ? "#e53e3e" : "#38a169"} strokeWidth="12"
         strokeDasharray={circ} strokeDashoffset={offset} strokeLinecap="round"
         transform={`rotate(-90 ${size/2} ${size/2})`} style={{ transition: "stroke-dashoffset 1s ease" }} />
-      <text x={size/2} y={size/2-6} textAnchor="middle" style={{ fontSize: "18px", fontWeight: 800, fill: "#22543d", fontFamily: "'DM Mono', monospace" }}>
-        {(100 - pct).toFixed(1)}%
+      <text x={size/2} y={size/2-6} textAnchor="middle" style={{ fontSize: "18px", fontWeight: 800, fill: worse ? "#9b2c2c" : "#22543d", fontFamily: "'DM Mono', monospace" }}>
+        {localDigits((100 - pct).toFixed(1))}%
       </text>
       <text x={size/2} y={size/2+12} textAnchor="middle" style={{ fontSize: "9px", fill: "#718096", fontFamily: "'DM Sans', sans-serif" }}>
-        INTEREST SAVED
+        {t("INTEREST SAVED")}
       </text>
     </svg>
   );
 }
 
+// Over-time charts: the report's chart blocks, laid out by the engine and drawn here as SVG
+const DARK_CHART_THEME = { text: "#cbd5e0", muted: "#718096", grid: "rgba(255,255,255,0.06)", axis: "rgba(255,255,255,0.25)" };
+const CHART_WIDTH = 600;
+
+function TimeChart({ chart }) {
+  const height = chartHeight(chart, CHART_WIDTH);
+  const anchor = { left: "start", center: "middle", right: "end" };
+  const points = (s) => s.points.map(p => p.join(",")).join(" ");
+  return (
+    <div style={{ marginBottom: 16 }}>
+      <div style={{ fontSize: "11px", color: "#a0aec0", fontWeight: 600, marginBottom: 6 }}>{chart.title}</div>
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${height}`} width="100%" style={{ fontFamily: "'DM Sans', sans-serif", display: "block" }}>
+        {chartShapes(chart, CHART_WIDTH, height, DARK_CHART_THEME).map((s, i) => {
+          if (s.shape === "rect") return <rect key={i} x={s.x} y={s.y} width={s.w} height={s.h} fill={s.fill} />;
+          if (s.shape === "line") return <line key={i} x1={s.x1} y1={s.y1} x2={s.x2} y2={s.y2} stroke={s.color} strokeWidth={s.width} strokeDasharray={s.dash?.join(" ")} />;
+          if (s.shape === "polyline" && s.close) return <polygon key={i} points={points(s)} fill={s.fill} fillOpacity={0.8} />;
+          if (s.shape === "polyline") return <polyline key={i} points={points(s)} fill="none" stroke={s.color} strokeWidth={s.width} strokeDasharray={s.dash?.join(" ")} strokeLinejoin="round" />;
+          return <text key={i} x={s.x} y={s.y} fontSize={s.size} fill={s.color} textAnchor={anchor[s.align]} fontWeight={s.bold ? 700 : 400}>{s.text}</text>;
+        })}
+      </svg>
+    </div>
+  );
+}
+
+// ─── Amortization Schedule ───
+function ScheduleTable({ rows, maxHeight = 320 }) {
+  const hasCharges = rows.some(r => r.charges > 0);
+  const hasPrepayments = rows.some(r => r.prepayment > 0);
+  const cell = { padding: "6px 10px", textAlign: "right", fontFamily: "'DM Mono', monospace", whiteSpace: "nowrap" };
+  const head = { ...cell, position: "sticky", top: 0, background: "#14213a", color: "#718096", fontSize: "10px", fontWeight: 600, textTransform: "uppercase", letterSpacing: "0.5px", fontFamily: "'DM Sans', sans-serif" };
+  return (
+    <div style={{ maxHeight, overflow: "auto", borderRadius: "8px", border: "1px solid rgba(255,255,255,0.06)" }}>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "11px", color: "#cbd5e0" }}>
+        <thead>
+          <tr>
+            <th style={{ ...head, textAlign: "left" }}>{t("Month")}</th>
+            <th style={head}>{t("Opening")}</th>
+            <th style={head}>{t("EMI")}</th>
+            <th style={head}>{t("Interest")}</th>
+            <th style={head}>{t("Principal")}</th>
+            {hasPrepayments && <th style={head}>{t("of which Prepaid")}</th>}
+            {hasCharges && <th style={head}>{t("Charges")}</th>}
+            <th style={head}>{t("Closing")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(r => (
+            <tr key={r.month} style={{ borderTop: "1px solid rgba(255,255,255,0.04)" }}>
+              <td style={{ ...cell, textAlign: "left", color: "#718096" }}>{localDigits(r.month)}</td>
+              <td style={cell}>{formatINRFull(r.opening)}</td>
+              <td style={cell}>{formatINRFull(r.payment)}</td>
+              <td style={{ ...cell, color: "#fc8181" }}>{formatINRFull(r.interest)}</td>
+              <td style={{ ...cell, color: "#68d391" }}>{formatINRFull(r.principal)}</td>
+              {hasPrepayments && <td style={{ ...cell, color: "#63b3ed" }}>{r.prepayment ? formatINRFull(r.prepayment) : "—"}</td>}
+              {hasCharges && <td style={{ ...cell, color: "#f6ad55" }}>{r.charges ? formatINRFull(r.charges) : "—"}</td>}
+              <td style={cell}>{formatINRFull(r.closing)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function ScheduleList({ title, schedules }) {
+  const [open, setOpen] = useState(null);
+  const items = schedules.length > 1
+    ? [{ label: t("All loans combined"), rows: combineSchedules(schedules) }, ...schedules]
+    : schedules;
+  return (
+    <div style={{ marginBottom: 16 }}>
+      <div style={{ fontSize: "10px", color: "#718096", fontWeight: 600, textTransform: "uppercase", letterSpacing: "1px", marginBottom: 8 }}>{title}</div>
+      {items.map((s, i) => {
+        const interest = scheduleCost(s.rows);
+        return (
+          <div key={i} style={{
+            background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.06)",
+            borderRadius: "10px", padding: "10px 14px", marginBottom: 6,
+          }}>
+            <div onClick={() => setOpen(open === i ? null : i)} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", cursor: "pointer" }}>
+              <span style={{ fontSize: "13px", fontWeight: 600, color: "#e2e8f0" }}>{s.label}</span>
+              <span style={{ fontSize: "11px", color: "#718096" }}>
+                {t("{months} months", { months: s.rows.length })} • {s.rows.some(r => r.charges) ? t("Interest & charges") : t("Interest")} {formatINRFull(interest)}
+                <span style={{ marginLeft: 8, display: "inline-block", transition: "transform 0.3s", transform: open === i ? "rotate(45deg)" : "rotate(0)" }}>+</span>
+              </span>
+            </div>
+            {open === i && <div style={{ marginTop: 10 }}><ScheduleTable rows={s.rows} /></div>}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// ─── Prepayment Plan ───
+function PrepaymentComparison({ prepayment, currentInterest }) {
+  const { avalanche, snowball } = prepayment;
+  const cell = { padding: "8px 10px", textAlign: "right", fontFamily: "'DM Mono', monospace", whiteSpace: "nowrap" };
+  const head = { ...cell, color: "#718096", fontSize: "10px", fontWeight: 600, textTransform: "uppercase", letterSpacing: "0.5px", fontFamily: "'DM Sans', sans-serif" };
+  const payoff = (l) => l.payoffMonth ? monthLabel(l.payoffMonth) : l.revolving ? t("Limit kept") : "—";
+  const edge = snowball.totalInterest - avalanche.totalInterest;
+  return (
+    <div style={{ overflowX: "auto" }}>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "12px", color: "#cbd5e0" }}>
+        <thead>
+          <tr>
+            <th style={{ ...head, textAlign: "left" }}>{t("Loan")}</th>
+            <th style={head}>{t("Rate")}</th>
+            <th style={head}>{t("Outstanding")}</th>
+            <th style={head}>{t("As scheduled")}</th>
+            <th style={head}>{t("Highest rate first")}</th>
+            <th style={head}>{t("Smallest balance first")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {avalanche.loans.map((l, i) => (
+            <tr key={i} style={{ borderTop: "1px solid rgba(255,255,255,0.05)" }}>
+              <td style={{ ...cell, textAlign: "left", fontFamily: "'DM Sans', sans-serif" }}>{l.label}</td>
+              <td style={cell}>{localDigits(l.rate)}%</td>
+              <td style={cell}>{formatINR(l.balance)}</td>
+              <td style={{ ...cell, color: "#718096" }}>{l.scheduledPayoffMonth ? monthLabel(l.scheduledPayoffMonth) : t("Revolving")}</td>
+              <td style={{ ...cell, color: "#68d391" }}>{payoff(l)}</td>
+              <td style={{ ...cell, color: "#63b3ed" }}>{payoff(snowball.loans[i])}</td>
+            </tr>
+          ))}
+          <tr style={{ borderTop: "1px solid rgba(255,255,255,0.12)", fontWeight: 700 }}>
+            <td style={{ ...cell, textAlign: "left", fontFamily: "'DM Sans', sans-serif" }} colSpan={3}>{t("Total interest & charges")}</td>
+            <td style={{ ...cell, color: "#fc8181" }}>{formatINR(currentInterest)}</td>
+            <td style={{ ...cell, color: "#68d391" }}>{formatINR(avalanche.totalInterest)}</td>
+            <td style={{ ...cell, color: "#63b3ed" }}>{formatINR(snowball.totalInterest)}</td>
+          </tr>
+        </tbody>
+      </table>
+      <div style={{ fontSize: "11px", color: "#a0aec0", marginTop: 10, lineHeight: 1.6 }}>
+        {Math.abs(edge) < 1
+          ? t("Both orderings cost the same here.")
+          : edge > 0
+            ? t("Highest-rate-first saves {amount} more interest than smallest-balance-first.", { amount: formatINRFull(edge) })
+            : t("Smallest-balance-first saves {amount} more interest than highest-rate-first.", { amount: formatINRFull(-edge) })}
+        {" "}{t("Monthly budget: {budget} (today's EMIs + surplus), kept constant as loans close.", { budget: formatINRFull(avalanche.budget) })}
+      </div>
+    </div>
+  );
+}
+
+// ─── Hybrid Plan ───
+const ACTION_COLORS = { keep: "#a0aec0", prepay: "#68d391", transfer: "#63b3ed", consolidate: "#f6ad55", extend: "#fc8181" };
+
+function HybridActionTable({ optimizer, assumptions }) {
+  const cell = { padding: "8px 10px", textAlign: "left", fontSize: "12px", verticalAlign: "top" };
+  const head = { ...cell, color: "#718096", fontSize: "10px", fontWeight: 600, textTransform: "uppercase", letterSpacing: "0.5px" };
+  const { breaches } = optimizer;
+  const limits = [
+    assumptions.maxMonthlyEMI > 0 && t("EMI ≤ {amount}", { amount: formatINRFull(assumptions.maxMonthlyEMI) }),
+    assumptions.maxLenders > 0 && t(assumptions.maxLenders > 1 ? "≤ {count} lenders" : "≤ {count} lender", { count: assumptions.maxLenders }),
+    assumptions.targetClosure && t("closed by {month}", { month: assumptions.targetClosure }),
+  ].filter(Boolean);
+  return (
+    <div style={{ overflowX: "auto" }}>
+      <table style={{ width: "100%", borderCollapse: "collapse", color: "#cbd5e0" }}>
+        <thead>
+          <tr>
+            <th style={head}>{t("Loan")}</th>
+            <th style={head}>{t("Action")}</th>
+            <th style={head}>{t("Why")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {optimizer.actions.map((act, i) => (
+            <tr key={i} style={{ borderTop: "1px solid rgba(255,255,255,0.05)" }}>
+              <td style={{ ...cell, whiteSpace: "nowrap" }}>{act.label} <span style={{ color: "#718096", fontFamily: "'DM Mono', monospace" }}>{localDigits(act.rate)}%</span></td>
+              <td style={{ ...cell, color: ACTION_COLORS[act.action], fontWeight: 700 }}>{t(ACTION_LABELS[act.action])}</td>
+              <td style={{ ...cell, color: "#a0aec0", lineHeight: 1.5 }}>{act.reason}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div style={{ fontSize: "11px", color: "#a0aec0", marginTop: 10, lineHeight: 1.6 }}>
+        {t(optimizer.lenders !== 1 ? "{count} lenders after restructuring" : "{count} lender after restructuring", { count: optimizer.lenders })}
+        {" "}• {t("term debt closes {when}", { when: optimizer.closure > 0 ? monthLabel(optimizer.closure) : t("now") })}
+        {" "}• {limits.length
+          ? t("{count} combinations searched under: {limits}.", { count: optimizer.evaluations, limits: limits.join(", ") })
+          : t("{count} combinations searched with no constraints set.", { count: optimizer.evaluations })}
+      </div>
+      {!optimizer.feasible && (
+        <div style={{ fontSize: "11px", color: "#fc8181", marginTop: 6, lineHeight: 1.6 }}>
+          ⚠ {t("No combination meets every constraint; this is the closest plan found")}
+          {" "}({[
+            breaches.emi > 0 && t("EMI {pct}% over cap", { pct: (breaches.emi * 100).toFixed(0) }),
+            breaches.lenders > 0 && t("{count} lender(s) over limit", { count: breaches.lenders }),
+            breaches.closure > 0 && t("{months} months past target", { months: Math.round(breaches.closure * 12) }),
+            breaches.offers > 0 && t("{count} lender offer(s) over their maximum or not taking the loans", { count: breaches.offers }),
+          ].filter(Boolean).join(", ")}).
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── Offer Comparison ───
+// Each lender offer taken alone, by balance transfer and by consolidation; value ranks as the results do
+function OfferComparison({ comparison, value }) {
+  const cell = { padding: "8px 10px", textAlign: "right", fontFamily: "'DM Mono', monospace", whiteSpace: "nowrap", fontSize: "12px" };
+  const head = { ...cell, color: "#718096", fontSize: "10px", fontWeight: 600, textTransform: "uppercase", letterSpacing: "0.5px", fontFamily: "'DM Sans', sans-serif" };
+  const rows = comparison.rows.map(r => ({ ...r, transferValue: value(r.transfer), consolidateValue: value(r.consolidate) }))
+    .map(r => ({ ...r, value: Math.max(r.transferValue, r.consolidateValue) }))
+    .sort((x, y) => y.value - x.value);
+  const [winner, runnerUp] = rows;
+  const money = (v, best) => <td style={{ ...cell, color: v >= 0 ? "#68d391" : "#fc8181", fontWeight: best ? 700 : 400 }}>{formatINR(v)}</td>;
+  return (
+    <div style={{ overflowX: "auto" }}>
+      <table style={{ width: "100%", borderCollapse: "collapse", color: "#cbd5e0" }}>
+        <thead>
+          <tr>
+            <th style={{ ...head, textAlign: "left" }}>{t("Lender")}</th>
+            <th style={head}>{t("Rate")}</th>
+            <th style={head}>{t("Processing Fee")}</th>
+            <th style={head}>{t("Tenure Cap")}</th>
+            <th style={head}>{t("Max Amount")}</th>
+            <th style={head}>{t("Balance Transfer")}</th>
+            <th style={head}>{t("Consolidation")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r, i) => (
+            <tr key={i} style={{ borderTop: "1px solid rgba(255,255,255,0.05)", background: r === winner ? "rgba(104,211,145,0.06)" : "none" }}>
+              <td style={{ ...cell, textAlign: "left", fontFamily: "'DM Sans', sans-serif", fontWeight: r === winner ? 700 : 400 }}>
+                {r === winner && "🏆 "}{r.lender}
+                {r.offer.types?.length > 0 && <div style={{ fontSize: "10px", color: "#718096", fontWeight: 400 }}>{r.offer.types.map(id => loanLabel({ type: id })).join(", ")}</div>}
+              </td>
+              <td style={cell}>{localDigits(r.offer.rate)}%</td>
+              <td style={cell}>{localDigits(r.offer.processingFeePct || 0)}%</td>
+              <td style={cell}>{r.offer.maxTenure > 0 ? t("{months} months", { months: r.offer.maxTenure }) : t("No limit")}</td>
+              <td style={cell}>{r.offer.maxAmount > 0 ? formatINR(r.offer.maxAmount) : t("No limit")}</td>
+              {money(r.transferValue, r.transferValue >= r.consolidateValue)}
+              {money(r.consolidateValue, r.consolidateValue > r.transferValue)}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div style={{ fontSize: "11px", color: "#a0aec0", marginTop: 10, lineHeight: 1.6 }}>
+        {runnerUp
+          ? t("{lender} wins by {amount} over {runnerUp}.", { lender: winner.lender, amount: formatINR(winner.value - runnerUp.value), runnerUp: runnerUp.lender })
+          : t("{lender} is the only offer.", { lender: winner.lender })}
+        {" "}{t("Balance Transfer and Consolidation in the strategy list use every offer together, splitting loans across lenders where that pays.")}
+      </div>
+    </div>
+  );
+}
+
+// ─── Scenario Diff ───
+// Any two strategies or custom scenarios loan by loan; loans both leave the same way are dimmed
+function ScenarioDiff({ results, rankBy }) {
+  const ranked = rankResults(results, rankBy);
+  const [pair, setPair] = useState(null);
+  const valid = pair && pair.every(id => results.some(r => r.strategyId === id));
+  const [xId, yId] = valid ? pair : [ranked[0].strategyId, (ranked.find(r => isCustomScenario(r.strategyId) && r !== ranked[0]) ?? ranked[1] ?? ranked[0]).strategyId];
+  const x = results.find(r => r.strategyId === xId);
+  const y = results.find(r => r.strategyId === yId);
+  const diff = diffResults(x, y);
+  const cell = { padding: "8px 10px", textAlign: "right", fontSize: "12px", verticalAlign: "top" };
+  const head = { ...cell, color: "#718096", fontSize: "10px", fontWeight: 600, textTransform: "uppercase", letterSpacing: "0.5px" };
+  const mono = { fontFamily: "'DM Mono', monospace", whiteSpace: "nowrap" };
+  // Positive differences cost more under the second pick
+  const change = (v, more = "#fc8181", less = "#68d391") => (
+    <td style={{ ...cell, ...mono, color: Math.abs(v) < 1 ? "#718096" : v > 0 ? more : less }}>{Math.abs(v) < 1 ? "—" : `${v > 0 ? "+" : "−"}${formatINR(Math.abs(v))}`}</td>
+  );
+  const outcome = (o, dim) => {
+    const c = outcomeCell(o);
+    return (
+      <td style={{ ...cell, textAlign: "left", color: dim ? "#718096" : "#e2e8f0" }}>
+        {c.text}
+        <div style={{ fontSize: "10px", color: "#718096" }}>{c.sub}</div>
+      </td>
+    );
+  };
+  const pick = (value, onChange) => (
+    <select value={value} onChange={e => onChange(e.target.value)} style={{
+      padding: "6px 10px", border: "1.5px solid rgba(255,255,255,0.1)", borderRadius: "8px", fontSize: "12px",
+      fontFamily: "'DM Sans', sans-serif", background: "rgba(255,255,255,0.05)", color: "#fff", outline: "none",
+    }}>
+      {ranked.map(r => <option key={r.strategyId} value={r.strategyId} style={{ background: "#1a1a2e" }}>{strategyLabel(r.strategyId)}</option>)}
+    </select>
+  );
+  const total = (label, a, b, delta) => (
+    <tr style={{ borderTop: "1px solid rgba(255,255,255,0.1)" }}>
+      <td style={{ ...cell, textAlign: "left", fontWeight: 700 }}>{label}</td>
+      <td style={{ ...cell, ...mono }}>{a}</td>
+      <td style={{ ...cell, ...mono }}>{b}</td>
+      {delta}
+    </tr>
+  );
+  return (
+    <div>
+      <div style={{ display: "flex", alignItems: "center", gap: 10, flexWrap: "wrap", marginBottom: 12, fontSize: "12px", color: "#a0aec0" }}>
+        {pick(xId, id => setPair([id, yId]))}
+        <span>{t("vs")}</span>
+        {pick(yId, id => setPair([xId, id]))}
+        <button onClick={() => setPair([yId, xId])} title={t("Swap")} style={{
+          background: "rgba(255,255,255,0.04)", border: "1px solid rgba(255,255,255,0.1)", color: "#a0aec0",
+          padding: "5px 10px", borderRadius: "6px", cursor: "pointer", fontSize: "12px",
+        }}>⇄</button>
+      </div>
+      <div style={{ overflowX: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", color: "#cbd5e0", fontFamily: "'DM Sans', sans-serif" }}>
+          <thead>
+            <tr>
+              <th style={{ ...head, textAlign: "left" }}>{t("Loan")}</th>
+              <th style={{ ...head, textAlign: "left" }}>{strategyLabel(x.strategyId)}</th>
+              <th style={{ ...head, textAlign: "left" }}>{strategyLabel(y.strategyId)}</th>
+              <th style={head}>{t("Interest Difference")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {diff.rows.map(row => (
+              <tr key={row.index} style={{ borderTop: "1px solid rgba(255,255,255,0.05)" }}>
+                <td style={{ ...cell, textAlign: "left", fontWeight: 600, color: row.changed ? "#e2e8f0" : "#718096" }}>
+                  #{row.index + 1} {row.label}
+                  <div style={{ fontSize: "10px", color: "#718096", fontWeight: 400 }}>{localDigits(`${row.rate}%`)}</div>
+                </td>
+                {outcome(row.x, !row.changed)}
+                {outcome(row.y, !row.changed)}
+                {change(row.interest)}
+              </tr>
+            ))}
+            {total(t("Switching Costs"), formatINR(x.costs.total), formatINR(y.costs.total), change(diff.totals.costs))}
+            {total(t("New Monthly EMI"), formatINR(x.newEMI), formatINR(y.newEMI), change(diff.totals.emi, "#f6ad55", "#68d391"))}
+            {total(t("Net Savings"), formatINR(x.netSavings), formatINR(y.netSavings), change(diff.totals.netSavings, "#68d391", "#fc8181"))}
+          </tbody>
+        </table>
+      </div>
+      <div style={{ fontSize: "11px", color: "#718096", marginTop: 10, lineHeight: 1.6 }}>
+        {t("Per-loan interest is before tax and comes from each plan's schedules; a consolidated loan is shared out by what each loan brought in. Switching costs only exist for the plan as a whole.")}
+      </div>
+    </div>
+  );
+}
+
+// ─── What-if ───
+const whatIfValue = (input, v) => {
+  if (input.unit === "₹") return formatINR(v);
+  if (input.unit === "months") return t("{months} months", { months: v });
+  if (input.unit === "×") return localDigits(`${v}×`);
+  return localDigits(`${v}%`);
+};
+
+// Sliders for each loan's rate and tenure and the key assumptions; results follow as they move.
+// Slider ranges stay those of the inputs before the first drag, so a range does not shift under the thumb.
+// The sensitivity run is on demand: it re-prices every strategy a few hundred times.
+function WhatIfPanel({ loans, assumptions, onChange, onSensitivity, stamp }) {
+  const [open, setOpen] = useState(false);
+  const [baseline, setBaseline] = useState(null);
+  const [run, setRun] = useState(null);
+  const from = baseline && baseline.loans.length === loans.length ? baseline : { loans, assumptions };
+  const inputs = whatIfInputs(from.loans, from.assumptions);
+  const current = (input) => input.key ? assumptions[input.key] : loans[input.loan][input.field];
+  const original = (input) => input.key ? from.assumptions[input.key] : from.loans[input.loan][input.field];
+  const move = (input, v) => {
+    if (!baseline) setBaseline({ loans, assumptions });
+    onChange(applyWhatIf({ loans, assumptions }, input, Number(v)));
+  };
+  const reset = () => {
+    onChange(baseline);
+    setBaseline(null);
+  };
+  const btn = {
+    background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.12)", color: "#a0aec0",
+    padding: "6px 14px", borderRadius: "8px", cursor: "pointer", fontSize: "12px", fontWeight: 600, fontFamily: "'DM Sans', sans-serif",
+  };
+  return (
+    <div style={{
+      background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.08)",
+      borderRadius: "14px", padding: "14px 20px", marginBottom: 20,
+    }}>
+      <div onClick={() => setOpen(!open)} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", cursor: "pointer" }}>
+        <span style={{ fontSize: "11px", color: "#a0aec0", fontWeight: 600, textTransform: "uppercase", letterSpacing: "1px" }}>
+          {t("What-if & Sensitivity")} {baseline && <span style={{ color: "#f6ad55" }}>• {t("adjusted")}</span>}
+        </span>
+        <span style={{ color: "#718096", fontSize: "18px", transition: "transform 0.3s", transform: open ? "rotate(45deg)" : "rotate(0)" }}>+</span>
+      </div>
+      {open && (
+        <div style={{ marginTop: 14 }}>
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "10px 24px" }}>
+            {inputs.map(input => {
+              const v = current(input);
+              const moved = v !== original(input);
+              return (
+                <div key={input.id}>
+                  <div style={{ display: "flex", justifyContent: "space-between", fontSize: "11px", marginBottom: 2 }}>
+                    <span style={{ color: "#a0aec0" }}>{input.label}</span>
+                    <span style={{ color: moved ? "#f6ad55" : "#e2e8f0", fontFamily: "'DM Mono', monospace" }}>{whatIfValue(input, v)}</span>
+                  </div>
+                  <input type="range" min={input.min} max={input.max} step={input.step} value={v}
+                    onChange={e => move(input, e.target.value)} style={{ width: "100%", accentColor: moved ? "#f6ad55" : "#63b3ed" }} />
+                </div>
+              );
+            })}
+          </div>
+          <div style={{ display: "flex", gap: 8, marginTop: 12 }}>
+            {baseline && <button onClick={reset} style={btn}>{t("Undo what-ifs")}</button>}
+            <button onClick={() => setRun({ result: onSensitivity(), stamp })} style={{ ...btn, color: "#63b3ed" }}>
+              {run ? t("Re-run sensitivity") : t("Run sensitivity")}
+            </button>
+          </div>
+          {run && (
+            <div style={{ marginTop: 16 }}>
+              {run.stamp !== stamp && (
+                <div style={{ fontSize: "11px", color: "#f6ad55", marginBottom: 8 }}>⚠ {t("Inputs have changed since this run")}</div>
+              )}
+              <Tornado sensitivity={run.result} />
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Each input swung either side of today's value, widest effect on top, with where the best strategy changes
+function Tornado({ sensitivity }) {
+  const { rows, base, strategyId, best, flipInputs } = sensitivity;
+  const flipped = rows.some(r => r.below || r.above);
+  const lo = Math.min(base, ...rows.flatMap(r => [r.low.value, r.high.value]));
+  const hi = Math.max(base, ...rows.flatMap(r => [r.low.value, r.high.value]));
+  const x = (v) => hi > lo ? (v - lo) / (hi - lo) * 100 : 50;
+  // A flip only found at the very end of the slider happens there, not beyond it
+  const flip = (input, f, beyond) => f && t(f.at === input.min || f.at === input.max ? "{strategy} at {value}" : beyond, {
+    strategy: strategyLabel(f.strategyId), value: whatIfValue(input, f.at),
+  });
+  const flips = (r) => [flip(r.input, r.below, "{strategy} below {value}"), flip(r.input, r.above, "{strategy} above {value}")].filter(Boolean);
+  return (
+    <div>
+      <div style={{ fontSize: "11px", color: "#a0aec0", marginBottom: 10, lineHeight: 1.6 }}>
+        {t("{strategy}: {amount} today. Each bar shows where it goes when one input moves a step either way; the ends are labelled with that input's value.", { strategy: strategyLabel(strategyId), amount: formatINR(base) })}
+      </div>
+      {rows.map(r => {
+        const [left, right] = r.low.value <= r.high.value ? [r.low, r.high] : [r.high, r.low];
+        const where = flips(r);
+        return (
+          <div key={r.input.id} style={{ display: "grid", gridTemplateColumns: "200px 1fr", gap: 12, alignItems: "center", padding: "5px 0", borderTop: "1px solid rgba(255,255,255,0.05)" }}>
+            <div style={{ fontSize: "11px", color: "#cbd5e0" }}>
+              {r.input.label}
+              {where.length > 0 && <div style={{ fontSize: "10px", color: "#f6ad55" }}>{t("Best flips: {flips}", { flips: where.join("; ") })}</div>}
+            </div>
+            <div>
+              <div style={{ position: "relative", height: 14, background: "rgba(255,255,255,0.03)", borderRadius: 3 }}>
+                <div style={{ position: "absolute", left: `${x(left.value)}%`, width: `${Math.max(0.5, x(base) - x(left.value))}%`, top: 2, bottom: 2, background: "rgba(252,129,129,0.55)", borderRadius: "3px 0 0 3px" }} />
+                <div style={{ position: "absolute", left: `${x(base)}%`, width: `${Math.max(0.5, x(right.value) - x(base))}%`, top: 2, bottom: 2, background: "rgba(104,211,145,0.55)", borderRadius: "0 3px 3px 0" }} />
+                <div style={{ position: "absolute", left: `calc(${x(base)}% - 1px)`, top: -2, bottom: -2, width: 2, background: "#fff" }} />
+              </div>
+              <div style={{ display: "flex", justifyContent: "space-between", fontSize: "10px", color: "#718096", fontFamily: "'DM Mono', monospace", marginTop: 2 }}>
+                <span>{whatIfValue(r.input, left.at)}: {formatINR(left.value)}</span>
+                <span>{whatIfValue(r.input, right.at)}: {formatINR(right.value)}</span>
+              </div>
+            </div>
+          </div>
+        );
+      })}
+      <div style={{ fontSize: "11px", color: "#718096", marginTop: 10, lineHeight: 1.6 }}>
+        {flipped && t("Flip points are where another strategy overtakes {strategy} as that one input moves across its slider range.", { strategy: strategyLabel(best) })}
+        {!flipped && (flipInputs < rows.length
+          ? t("{strategy} stays the best strategy across the slider range of each of the {n} inputs with the widest swing, one input at a time.", { strategy: strategyLabel(best), n: flipInputs })
+          : t("{strategy} stays the best strategy across every slider's range, one input at a time.", { strategy: strategyLabel(best) }))}
+        {flipped && flipInputs < rows.length && <>{" "}{t("Only the {n} inputs with the widest swing are searched for flips.", { n: flipInputs })}</>}
+        {" "}{t("Hybrid Optimal keeps today's per-loan plan throughout.")}
+      </div>
+    </div>
+  );
+}
+
+// ─── Rate Stress Test ───
+function RateBandTable({ runs, baseId, value }) {
+  const cell = { padding: "8px 10px", textAlign: "right", fontFamily: "'DM Mono', monospace", whiteSpace: "nowrap", fontSize: "12px" };
+  const head = { ...cell, color: "#718096", fontSize: "10px", fontWeight: 600, textTransform: "uppercase", letterSpacing: "0.5px", fontFamily: "'DM Sans', sans-serif" };
+  const bands = runs[0].results.map(r => ({ strategyId: r.strategyId, ...rateBand(runs, r.strategyId, baseId, value) }))
+    .sort((x, y) => y.base - x.base);
+  const lo = Math.min(0, ...bands.map(b => b.worst));
+  const hi = Math.max(0, ...bands.map(b => b.best));
+  const x = (v) => hi > lo ? (v - lo) / (hi - lo) * 100 : 50;
+  return (
+    <div style={{ overflowX: "auto" }}>
+      <table style={{ width: "100%", borderCollapse: "collapse", color: "#cbd5e0" }}>
+        <thead>
+          <tr>
+            <th style={{ ...head, textAlign: "left" }}>{t("Strategy")}</th>
+            {runs.map(run => <th key={run.id} style={{ ...head, color: run.id === baseId ? "#68d391" : head.color }}>{t(run.label)}</th>)}
+            <th style={{ ...head, textAlign: "center", minWidth: 140 }}>{t("Worst · Base · Best")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {bands.map(b => (
+            <tr key={b.strategyId} style={{ borderTop: "1px solid rgba(255,255,255,0.05)" }}>
+              <td style={{ ...cell, textAlign: "left", fontFamily: "'DM Sans', sans-serif" }}>{strategyLabel(b.strategyId)}</td>
+              {b.values.map(v => <td key={v.id} style={{ ...cell, color: v.value >= 0 ? "#68d391" : "#fc8181" }}>{formatINR(v.value)}</td>)}
+              <td style={{ ...cell, textAlign: "center" }}>
+                <div style={{ position: "relative", height: 10, background: "rgba(255,255,255,0.05)", borderRadius: 5 }}>
+                  <div style={{ position: "absolute", left: `${x(0)}%`, top: -2, bottom: -2, width: 1, background: "rgba(255,255,255,0.25)" }} />
+                  <div style={{ position: "absolute", left: `${x(b.worst)}%`, width: `${Math.max(1, x(b.best) - x(b.worst))}%`, top: 2, bottom: 2, borderRadius: 3, background: b.worst >= 0 ? "rgba(104,211,145,0.5)" : "rgba(246,173,85,0.5)" }} />
+                  <div style={{ position: "absolute", left: `calc(${x(b.base)}% - 1px)`, top: 0, bottom: 0, width: 3, background: "#fff", borderRadius: 1 }} />
+                </div>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// ─── Cash-Flow Profile ───
+// Average monthly outgo per year, current vs the strategy: where a moratorium, step-up, balloon or
+// bullet moves the cash, not just how much interest it costs
+function OutgoProfile({ result }) {
+  const cell = { padding: "8px 10px", textAlign: "right", fontFamily: "'DM Mono', monospace", whiteSpace: "nowrap", fontSize: "12px" };
+  const head = { ...cell, color: "#718096", fontSize: "10px", fontWeight: 600, textTransform: "uppercase", letterSpacing: "0.5px", fontFamily: "'DM Sans', sans-serif" };
+  const years = Array.from({ length: Math.min(10, Math.max(result.currentOutgo.length, result.outgo.length)) }, (_, y) => y);
+  const change = (y) => (result.outgo[y] ?? 0) - (result.currentOutgo[y] ?? 0);
+  return (
+    <div style={{ overflowX: "auto" }}>
+      <table style={{ width: "100%", borderCollapse: "collapse", color: "#cbd5e0" }}>
+        <thead>
+          <tr>
+            <th style={{ ...head, textAlign: "left" }} />
+            {years.map(y => <th key={y} style={head}>{t("Year {year}", { year: y + 1 })}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          <tr style={{ borderTop: "1px solid rgba(255,255,255,0.05)" }}>
+            <td style={{ ...cell, textAlign: "left", fontFamily: "'DM Sans', sans-serif" }}>{t("Current")}</td>
+            {years.map(y => <td key={y} style={{ ...cell, color: "#a0aec0" }}>{result.currentOutgo[y] !== undefined ? formatINR(result.currentOutgo[y]) : "—"}</td>)}
+          </tr>
+          <tr style={{ borderTop: "1px solid rgba(255,255,255,0.05)" }}>
+            <td style={{ ...cell, textAlign: "left", fontFamily: "'DM Sans', sans-serif" }}>{strategyLabel(result.strategyId)}</td>
+            {years.map(y => <td key={y} style={{ ...cell, color: "#fff", fontWeight: 700 }}>{result.outgo[y] !== undefined ? formatINR(result.outgo[y]) : "—"}</td>)}
+          </tr>
+          <tr style={{ borderTop: "1px solid rgba(255,255,255,0.05)" }}>
+            <td style={{ ...cell, textAlign: "left", fontFamily: "'DM Sans', sans-serif", color: "#718096" }}>{t("Change")}</td>
+            {years.map(y => (
+              <td key={y} style={{ ...cell, color: Math.abs(change(y)) < 1 ? "#718096" : change(y) < 0 ? "#68d391" : "#fc8181" }}>
+                {Math.abs(change(y)) < 1 ? "—" : `${change(y) < 0 ? "↓" : "↑"} ${formatINR(Math.abs(change(y)))}`}
+              </td>
+            ))}
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// ─── Saved Clients ───
+const DIFF_LOAN_FIELDS = [
+  { key: "amount", label: "Amount / limit", format: formatINRFull },
+  { key: "rate", label: "Rate", format: v => localDigits(`${v}%`) },
+  { key: "tenure", label: "Tenure", format: v => t("{months} months", { months: v }) },
+  { key: "emisPaid", label: "EMIs paid", format: v => localDigits(v) },
+  { key: "utilization", label: "Utilization", format: v => localDigits(`${Math.round(v)}%`) },
+  { key: "lender", label: "Lender", format: v => v || "—" },
+  { key: "floating", label: "Floating", format: v => v ? t("Yes") : t("No") },
+  { key: "guaranteeFeePct", label: "Guarantee fee", format: v => localDigits(`${v}%`) },
+  { key: "repayment", label: "Repayment", format: v => t(REPAYMENT_STRUCTURES.find(r => r.id === v)?.label ?? "Level EMI") },
+];
+
+// What changed between two saved versions. Loans have no ids, so they are matched by type and order.
+function diffVersions(from, to) {
+  const keyed = (loans) => {
+    const seen = {};
+    return new Map(loans.map(l => {
+      seen[l.type] = (seen[l.type] ?? -1) + 1;
+      return [`${l.type}#${seen[l.type]}`, l];
+    }));
+  };
+  const before = keyed(from.inputs.loans), after = keyed(to.inputs.loans);
+  const loans = [];
+  after.forEach((l, key) => {
+    const old = before.get(key);
+    if (!old) return loans.push({ label: loanLabel(l), status: "added" });
+    const changes = DIFF_LOAN_FIELDS.filter(f => (old[f.key] ?? null) !== (l[f.key] ?? null))
+      .map(f => ({ label: t(f.label), from: f.format(old[f.key] ?? 0), to: f.format(l[f.key] ?? 0) }));
+    if (changes.length) loans.push({ label: loanLabel(l), status: "changed", changes });
+  });
+  before.forEach((l, key) => { if (!after.has(key)) loans.push({ label: loanLabel(l), status: "removed" }); });
+  const value = (v, key) => v?.[key] ?? DEFAULT_ASSUMPTIONS[key];
+  const assumptions = ASSUMPTION_FIELDS.filter(f => value(from.inputs.assumptions, f.key) !== value(to.inputs.assumptions, f.key))
+    .map(f => ({ label: t(f.label), from: value(from.inputs.assumptions, f.key) || "—", to: value(to.inputs.assumptions, f.key) || "—", unit: t(f.unit) }));
+  return { loans, assumptions };
+}
+
+const savedOn = (iso) => new Date(iso).toLocaleString(localeTag(), { day: "numeric", month: "short", year: "numeric", hour: "2-digit", minute: "2-digit" });
+
+function VersionCompare({ from, to }) {
+  const { loans, assumptions } = diffVersions(from, to);
+  const strat = (v) => v.summary?.strategyId ? strategyLabel(v.summary.strategyId) : "—";
+  const rows = [
+    [t("Outstanding"), formatINRFull(from.summary?.outstanding ?? 0), formatINRFull(to.summary?.outstanding ?? 0)],
+    [t("Remaining interest & charges"), formatINRFull(from.summary?.currentInterest ?? 0), formatINRFull(to.summary?.currentInterest ?? 0)],
+    [t("Monthly EMI"), formatINRFull(from.summary?.monthlyEMI ?? 0), formatINRFull(to.summary?.monthlyEMI ?? 0)],
+    [t("Best strategy"), strat(from), strat(to)],
+    [t("Net savings"), formatINRFull(from.summary?.netSavings ?? 0), formatINRFull(to.summary?.netSavings ?? 0)],
+  ];
+  const statusColor = { added: "#68d391", removed: "#fc8181", changed: "#f6ad55" };
+  return (
+    <div style={{ marginTop: 12, fontSize: "12px" }}>
+      <div style={{ display: "grid", gridTemplateColumns: "1.4fr 1fr 1fr", gap: 6 }}>
+        <span />
+        <span style={{ color: "#718096", fontSize: "10px", fontWeight: 600, textAlign: "right" }}>{savedOn(from.savedAt)}</span>
+        <span style={{ color: "#718096", fontSize: "10px", fontWeight: 600, textAlign: "right" }}>{savedOn(to.savedAt)}</span>
+        {rows.map(([label, a, b]) => (
+          <div key={label} style={{ display: "contents" }}>
+            <span style={{ color: "#a0aec0" }}>{label}</span>
+            <span style={{ textAlign: "right", color: "#a0aec0", fontFamily: "'DM Mono', monospace" }}>{a}</span>
+            <span style={{ textAlign: "right", color: a === b ? "#a0aec0" : "#fff", fontFamily: "'DM Mono', monospace", fontWeight: a === b ? 400 : 700 }}>{b}</span>
+          </div>
+        ))}
+      </div>
+      <div style={{ marginTop: 12, color: "#a0aec0", lineHeight: 1.7 }}>
+        {loans.length === 0 && assumptions.length === 0 && <div>{t("No changes to loans or assumptions.")}</div>}
+        {loans.map((l, i) => (
+          <div key={i}>
+            <span style={{ color: statusColor[l.status], fontWeight: 700, textTransform: "capitalize" }}>{t(l.status)}</span> {l.label}
+            {l.changes && <span style={{ color: "#718096" }}> — {l.changes.map(c => `${c.label} ${c.from} → ${c.to}`).join(", ")}</span>}
+          </div>
+        ))}
+        {assumptions.map((a, i) => (
+          <div key={`a${i}`}>
+            <span style={{ color: "#63b3ed", fontWeight: 700 }}>{t("Assumption")}</span> {a.label}: {a.from} → {a.to} <span style={{ color: "#718096" }}>{a.unit}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function SavedClients({ refreshKey, onOpen }) {
+  const [clients, setClients] = useState([]);
+  const [error, setError] = useState(null);
+  const [openClient, setOpenClient] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [compare, setCompare] = useState([]);
+
+  useEffect(() => {
+    listClients().then(setClients).catch(e => setError(e.message));
+  }, [refreshKey]);
+
+  useEffect(() => {
+    setCompare([]);
+    if (openClient) listVersions(openClient).then(setVersions).catch(e => setError(e.message));
+  }, [openClient, refreshKey]);
+
+  const toggleCompare = (id) => setCompare(compare.includes(id) ? compare.filter(x => x !== id) : [...compare, id].slice(-2));
+  const remove = async (id) => {
+    if (!window.confirm(t("Delete this client and all of its saved versions from this browser?"))) return;
+    await deleteClient(id);
+    setOpenClient(null);
+    setClients(await listClients());
+  };
+
+  if (error) return <div style={{ fontSize: "11px", color: "#718096", marginBottom: 16 }}>{t("Saved clients unavailable: {error}", { error })}</div>;
+  if (clients.length === 0) return null;
+  // Oldest of the pair on the left
+  const pair = versions.filter(v => compare.includes(v.id)).reverse();
+  const btn = {
+    background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.12)", color: "#a0aec0",
+    padding: "4px 10px", borderRadius: "6px", cursor: "pointer", fontSize: "11px", fontWeight: 600, fontFamily: "'DM Sans', sans-serif",
+  };
+  return (
+    <div style={{
+      background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.08)",
+      borderRadius: "14px", padding: "14px 20px", marginBottom: 24,
+    }}>
+      <div style={{ fontSize: "11px", fontWeight: 600, color: "#a0aec0", textTransform: "uppercase", letterSpacing: "1px", marginBottom: 8 }}>
+        {t("Saved Clients")} <span style={{ color: "#718096", textTransform: "none", letterSpacing: 0, fontWeight: 400 }}>— {t("stored in this browser only")}</span>
+      </div>
+      {clients.map(c => (
+        <div key={c.id} style={{ borderTop: "1px solid rgba(255,255,255,0.05)", padding: "8px 0" }}>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 }}>
+            <div onClick={() => setOpenClient(openClient === c.id ? null : c.id)} style={{ cursor: "pointer", fontSize: "13px", color: "#e2e8f0", fontWeight: 600 }}>
+              {openClient === c.id ? "▾" : "▸"} {c.name}
+              <span style={{ color: "#718096", fontWeight: 400, fontSize: "11px" }}> — {t(c.versions !== 1 ? "{count} versions, last {date}" : "{count} version, last {date}", { count: c.versions, date: savedOn(c.updatedAt) })}</span>
+            </div>
+            <button onClick={() => remove(c.id)} style={{ ...btn, color: "#fc8181" }}>{t("Delete")}</button>
+          </div>
+          {openClient === c.id && (
+            <div style={{ marginTop: 8, paddingLeft: 16 }}>
+              {versions.map(v => (
+                <div key={v.id} style={{ display: "flex", alignItems: "center", gap: 10, fontSize: "12px", color: "#a0aec0", padding: "3px 0" }}>
+                  <input type="checkbox" checked={compare.includes(v.id)} onChange={() => toggleCompare(v.id)} style={{ accentColor: "#63b3ed" }} />
+                  <span style={{ minWidth: 150 }}>{savedOn(v.savedAt)}</span>
+                  <span style={{ flex: 1, color: "#718096" }}>
+                    {t("{count} loans • {outstanding} outstanding • best: {net} net", { count: v.inputs.loans.length, outstanding: formatINR(v.summary?.outstanding ?? 0), net: formatINR(v.summary?.netSavings ?? 0) })}
+                  </span>
+                  <button onClick={() => onOpen(v)} style={btn}>{t("Open")}</button>
+                </div>
+              ))}
+              {pair.length === 2
+                ? <VersionCompare from={pair[0]} to={pair[1]} />
+                : versions.length > 1 && <div style={{ fontSize: "10px", color: "#718096", marginTop: 4 }}>{t("Tick two versions to compare them.")}</div>}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// ─── Practice Profile ───
+const PRACTICE_FIELDS = [
+  { key: "firmName", label: "Firm Name", placeholder: "Shah & Mehta" },
+  { key: "firmType", label: "Practising As" },
+  { key: "frn", label: "ICAI Firm Registration No. (FRN)", placeholder: "123456W" },
+  { key: "address", label: "Address", wide: true },
+  { key: "contact", label: "Phone / Email", wide: true },
+  { key: "signatory", label: "Signing Partner", placeholder: "CA ..." },
+  { key: "designation", label: "Designation" },
+  { key: "membershipNo", label: "ICAI Membership No." },
+];
+
+// Any image → a JPEG at most 480 × 160 px on white, small enough for localStorage and embeddable in the PDF
+function logoFromFile(file) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const scale = Math.min(1, 480 / img.width, 160 / img.height);
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.max(1, Math.round(img.width * scale));
+      canvas.height = Math.max(1, Math.round(img.height * scale));
+      const ctx = canvas.getContext("2d");
+      ctx.fillStyle = "#ffffff";
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(img.src);
+      resolve({ dataUrl: canvas.toDataURL("image/jpeg", 0.9), width: canvas.width, height: canvas.height });
+    };
+    img.onerror = () => reject(new Error(t("That file could not be read as an image")));
+    img.src = URL.createObjectURL(file);
+  });
+}
+
+function PracticeProfile({ practice, onChange, error }) {
+  const [open, setOpen] = useState(false);
+  const [logoError, setLogoError] = useState(null);
+  const update = (key, value) => onChange({ ...practice, [key]: value });
+  const uploadLogo = async (file) => {
+    if (!file) return;
+    setLogoError(null);
+    try {
+      update("logo", await logoFromFile(file));
+    } catch (e) {
+      setLogoError(e.message);
+    }
+  };
+  const label = { fontSize: "10px", color: "#718096", fontWeight: 600, display: "block", marginBottom: 4, textTransform: "uppercase", letterSpacing: "0.5px" };
+  const input = {
+    width: "100%", padding: "8px 10px", border: "1.5px solid rgba(255,255,255,0.1)", borderRadius: "8px",
+    fontSize: "13px", fontFamily: "'DM Sans', sans-serif", background: "rgba(255,255,255,0.05)", color: "#fff", outline: "none",
+  };
+  const btn = {
+    background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.12)", color: "#a0aec0",
+    padding: "4px 10px", borderRadius: "6px", cursor: "pointer", fontSize: "11px", fontWeight: 600, fontFamily: "'DM Sans', sans-serif",
+  };
+  return (
+    <div style={{
+      background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.08)",
+      borderRadius: "14px", padding: "14px 20px", marginBottom: 24,
+    }}>
+      <div onClick={() => setOpen(!open)} style={{ cursor: "pointer", fontSize: "11px", fontWeight: 600, color: "#a0aec0", textTransform: "uppercase", letterSpacing: "1px" }}>
+        {open ? "▾" : "▸"} {t("Your Practice — Report Letterhead")}
+        <span style={{ color: "#718096", textTransform: "none", letterSpacing: 0, fontWeight: 400 }}>
+          {" "}— {practice.firmName ? t("reports go out as {firm}", { firm: practice.firmName }) : t("reports carry LoanRestructure Pro branding until a firm name is set")}
+        </span>
+      </div>
+      {open && (
+        <div style={{ marginTop: 14 }}>
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 12 }}>
+            {PRACTICE_FIELDS.map(f => (
+              <div key={f.key} style={f.wide ? { gridColumn: "span 3" } : undefined}>
+                <label style={label}>{t(f.label)}</label>
+                <input value={practice[f.key] ?? ""} placeholder={f.placeholder} onChange={e => update(f.key, e.target.value)} style={input} />
+              </div>
+            ))}
+            <div style={{ gridColumn: "span 3" }}>
+              <label style={label}>{t("Disclaimer")} <span style={{ textTransform: "none", fontWeight: 400 }}>{t("(blank for the standard wording)")}</span></label>
+              <textarea value={practice.disclaimer} rows={2} onChange={e => update("disclaimer", e.target.value)} style={{ ...input, resize: "vertical" }} />
+            </div>
+            <div>
+              <label style={label}>{t("Logo")}</label>
+              <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                {practice.logo && <img src={practice.logo.dataUrl} alt="" style={{ maxHeight: 36, maxWidth: 100, borderRadius: 4 }} />}
+                <label style={{ ...btn, display: "inline-block" }}>
+                  {practice.logo ? t("Replace") : t("Upload")}
+                  <input type="file" accept="image/*" onChange={e => uploadLogo(e.target.files[0])} style={{ display: "none" }} />
+                </label>
+                {practice.logo && <button onClick={() => update("logo", null)} style={{ ...btn, color: "#fc8181" }}>{t("Remove")}</button>}
+              </div>
+            </div>
+            {[["primaryColor", "Brand Colour"], ["accentColor", "Accent Colour"]].map(([key, text]) => (
+              <div key={key}>
+                <label style={label}>{t(text)}</label>
+                <input type="color" value={practice[key]} onChange={e => update(key, e.target.value)}
+                  style={{ width: 56, height: 32, border: "none", background: "none", cursor: "pointer", padding: 0 }} />
+              </div>
+            ))}
+          </div>
+          {(error || logoError) && <div style={{ fontSize: "11px", color: "#fc8181", marginTop: 10 }}>{logoError || t("Could not save the profile in this browser: {error}", { error })}</div>}
+          <div style={{ fontSize: "10px", color: "#718096", marginTop: 10 }}>{t("Saved in this browser and applied to every report.")}</div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── Loan Types ───
+// The user's own loan types, next to the built-in ones: defaults for new loans, how the loan is
+// repaid, and what its scheme imposes. Saved in this browser; files and links carry the ones they use.
+const LOAN_TYPE_NUMBERS = [
+  { key: "defaultRate", label: "Usual Rate (% p.a.)", step: 0.25 },
+  { key: "defaultTenure", label: "Usual Tenure (months)", step: 6 },
+  { key: "defaultAmount", label: "Usual Amount (₹)", step: 100000 },
+];
+const LOAN_TYPE_COSTS = [
+  { key: "foreclosurePct", label: "Foreclosure / Prepay (%)", step: 0.25 },
+  { key: "processingFeePct", label: "Processing Fee (%)", step: 0.25 },
+  { key: "stampDuty", label: "Stamp Duty (₹)", step: 500 },
+  { key: "legalCharges", label: "Legal & Valuation (₹)", step: 500 },
+  { key: "guaranteeFeePct", label: "Guarantee Fee (% a year)", step: 0.05 },
+];
+
+// "custom-" plus the name; a name with no Latin letters gets a time-based id
+function loanTypeId(label, taken) {
+  const base = `custom-${label.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || Date.now().toString(36)}`;
+  let id = base;
+  for (let n = 2; taken.includes(id); n++) id = `${base}-${n}`;
+  return id;
+}
+
+function LoanTypeRegistry({ types, onChange, inUse, error }) {
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState(null);
+  const [problems, setProblems] = useState([]);
+  const update = (key, value) => setDraft({ ...draft, [key]: value });
+  const updateIn = (group, key, value) => setDraft({ ...draft, [group]: { ...draft[group], [key]: value } });
+  const startDraft = (lt) => {
+    setDraft({ ...lt, keywordsText: lt.keywords.join(", ") });
+    setProblems([]);
+  };
+  const save = () => {
+    const { keywordsText, ...fields } = draft;
+    const id = draft.id ?? loanTypeId(draft.label.trim(), [...loanTypes(), ...types].map(lt => lt.id));
+    const keywords = keywordsText.split(",").map(k => k.trim().toLowerCase()).filter(Boolean);
+    const { type, errors } = loanTypeFromJSON({ ...fields, id, label: draft.label.trim(), keywords });
+    setProblems(errors);
+    if (errors.length > 0) return;
+    onChange(mergeLoanTypes(types, [type]));
+    setDraft(null);
+  };
+  const label = { fontSize: "10px", color: "#718096", fontWeight: 600, display: "block", marginBottom: 4, textTransform: "uppercase", letterSpacing: "0.5px" };
+  const input = {
+    width: "100%", padding: "8px 10px", border: "1.5px solid rgba(255,255,255,0.1)", borderRadius: "8px",
+    fontSize: "13px", fontFamily: "'DM Sans', sans-serif", background: "rgba(255,255,255,0.05)", color: "#fff", outline: "none",
+  };
+  const btn = {
+    background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.12)", color: "#a0aec0",
+    padding: "4px 10px", borderRadius: "6px", cursor: "pointer", fontSize: "11px", fontWeight: 600, fontFamily: "'DM Sans', sans-serif",
+  };
+  // A cleared number is null, flagged under its input until filled; Save waits for every field to pass
+  const draftErrors = draft ? loanTypeErrors(draft) : {};
+  const numberField = (f, value, onValue) => (
+    <div key={f.key}>
+      <label style={label}>{t(f.label)}</label>
+      <input type="number" step={f.step} value={value ?? ""} onChange={e => onValue(e.target.value === "" ? null : Number(e.target.value))} style={errorBorder(input, draftErrors[f.key])} />
+      <FieldError error={draftErrors[f.key]} />
+    </div>
+  );
+  const builtIn = LOAN_TYPES.filter(lt => lt.rules || lt.defaultRepayment);
+  return (
+    <div style={{
+      background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.08)",
+      borderRadius: "14px", padding: "14px 20px", marginBottom: 24,
+    }}>
+      <div onClick={() => setOpen(!open)} style={{ cursor: "pointer", fontSize: "11px", fontWeight: 600, color: "#a0aec0", textTransform: "uppercase", letterSpacing: "1px" }}>
+        {open ? "▾" : "▸"} {t("Loan Types")}
+        <span style={{ color: "#718096", textTransform: "none", letterSpacing: 0, fontWeight: 400 }}>
+          {" "}— {t("{builtIn} built in, {custom} of your own", { builtIn: LOAN_TYPES.length, custom: types.length })}
+        </span>
+      </div>
+      {open && (
+        <div style={{ marginTop: 14 }}>
+          <div style={{ fontSize: "11px", color: "#718096", lineHeight: 1.7, marginBottom: 12 }}>
+            {builtIn.map(lt => (
+              <div key={lt.id}>
+                {lt.icon} <span style={{ color: "#a0aec0", fontWeight: 600 }}>{t(lt.label)}</span>
+                {" — "}{[lt.defaultRepayment && repaymentSummary({ type: lt.id, ...lt.defaultRepayment }), lt.rules?.note && t(lt.rules.note)].filter(Boolean).join("; ")}
+              </div>
+            ))}
+          </div>
+          {types.map(lt => (
+            <div key={lt.id} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", padding: "6px 0", borderTop: "1px solid rgba(255,255,255,0.05)", fontSize: "12px" }}>
+              <div style={{ color: "#e2e8f0" }}>
+                {lt.icon} {lt.label}
+                <span style={{ color: "#718096" }}> — {lt.nature === "revolving" ? t("Revolving") : t("Amortizing")}, {localDigits(lt.defaultRate)}%{lt.rules?.portable === false ? `, ${t("stays with the sanctioning bank")}` : ""}</span>
+              </div>
+              <div style={{ display: "flex", gap: 6 }}>
+                <button onClick={() => startDraft(lt)} style={btn}>{t("Edit")}</button>
+                <button onClick={() => onChange(types.filter(x => x.id !== lt.id))} disabled={inUse.includes(lt.id)}
+                  title={inUse.includes(lt.id) ? t("A loan in the portfolio uses this type") : undefined}
+                  style={{ ...btn, color: "#fc8181", opacity: inUse.includes(lt.id) ? 0.4 : 1 }}>{t("Remove")}</button>
+              </div>
+            </div>
+          ))}
+          {!draft && (
+            <button onClick={() => startDraft(NEW_LOAN_TYPE)} style={{ ...btn, marginTop: 10 }}>+ {t("New loan type")}</button>
+          )}
+          {draft && (
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 12, marginTop: 12 }}>
+              <div>
+                <label style={label}>{t("Name")}</label>
+                <input value={draft.label} onChange={e => update("label", e.target.value)} style={input} />
+              </div>
+              <div>
+                <label style={label}>{t("Icon")}</label>
+                <input value={draft.icon} onChange={e => update("icon", e.target.value)} style={input} />
+              </div>
+              <div>
+                <label style={label}>{t("Repaid As")}</label>
+                <select value={draft.nature} onChange={e => update("nature", e.target.value)} style={input}>
+                  <option value="amortizing" style={{ background: "#1a1a2e" }}>{t("Amortizing")}</option>
+                  <option value="revolving" style={{ background: "#1a1a2e" }}>{t("Revolving")}</option>
+                </select>
+              </div>
+              {LOAN_TYPE_NUMBERS.map(f => numberField(f, draft[f.key], v => update(f.key, v)))}
+              {draft.nature === "revolving" ? (<>
+                {numberField({ key: "defaultUtilization", label: "Avg. Utilization (%)", step: 5 }, draft.defaultUtilization, v => update("defaultUtilization", v))}
+                {numberField({ key: "defaultRenewalPct", label: "Renewal Charge (% of limit)", step: 0.05 }, draft.defaultRenewalPct, v => update("defaultRenewalPct", v))}
+              </>) : (
+                <div>
+                  <label style={label}>{t("Repayment")}</label>
+                  <select value={draft.defaultRepayment?.repayment ?? "emi"} style={input}
+                    onChange={e => update("defaultRepayment", e.target.value === "emi" ? null : { ...REPAYMENT_DEFAULTS, repayment: e.target.value })}>
+                    {REPAYMENT_STRUCTURES.map(r => <option key={r.id} value={r.id} style={{ background: "#1a1a2e" }}>{t(r.label)}</option>)}
+                  </select>
+                </div>
+              )}
+              {LOAN_TYPE_COSTS.map(f => numberField(f, draft.defaultCosts[f.key], v => updateIn("defaultCosts", f.key, v)))}
+              <div>
+                <label style={label}>{t("Other Lenders")}</label>
+                <select value={draft.rules.portable === false ? "no" : "yes"} onChange={e => updateIn("rules", "portable", e.target.value === "yes")} style={input}>
+                  <option value="yes" style={{ background: "#1a1a2e" }}>{t("Can take it over")}</option>
+                  <option value="no" style={{ background: "#1a1a2e" }}>{t("Cannot — stays with the sanctioning bank")}</option>
+                </select>
+              </div>
+              {numberField({ key: "lockInMonths", label: "Lock-in (EMIs)", step: 6 }, draft.rules.lockInMonths, v => updateIn("rules", "lockInMonths", v))}
+              <div>
+                <label style={label}>{t("Why (for the report)")}</label>
+                <input value={draft.rules.note} onChange={e => updateIn("rules", "note", e.target.value)} style={input} />
+              </div>
+              <div style={{ gridColumn: "span 3" }}>
+                <label style={label}>{t("Statement keywords, comma-separated")}</label>
+                <input value={draft.keywordsText} onChange={e => update("keywordsText", e.target.value)} style={input} />
+              </div>
+              <div style={{ gridColumn: "span 3", display: "flex", gap: 8 }}>
+                <button onClick={save} style={{ ...btn, color: "#68d391", border: "1px solid rgba(104,211,145,0.4)" }}>{t("Save type")}</button>
+                <button onClick={() => setDraft(null)} style={btn}>{t("Cancel")}</button>
+              </div>
+            </div>
+          )}
+          {problems.length > 0 && <div style={{ fontSize: "11px", color: "#fc8181", marginTop: 10 }}>{problems.join("; ")}</div>}
+          {error && <div style={{ fontSize: "11px", color: "#fc8181", marginTop: 10 }}>{t("Could not save the loan types in this browser: {error}", { error })}</div>}
+          <div style={{ fontSize: "10px", color: "#718096", marginTop: 10 }}>
+            {t("Saved in this browser. Exported files and share links carry the types their loans use. A lock-in bars prepaying or moving the loan until that many EMIs are paid.")}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── Lender Offers ───
+// Real quotes from banks and NBFCs. With none, balance transfer and consolidation use the assumed rates.
+// An offer with no loan types ticked takes any loan; 0 tenure or amount means the lender set no cap.
+const OFFER_FIELDS = [
+  { key: "rate", label: "Rate (%)", step: 0.05 },
+  { key: "processingFeePct", label: "Processing Fee (%)", step: 0.05 },
+  { key: "maxTenure", label: "Max Tenure (months)", step: 12 },
+  { key: "maxAmount", label: "Max Amount (₹)", step: 100000 },
+];
+
+function LenderOffers({ offers, onChange, types, errors }) {
+  const label = { fontSize: "10px", color: "#718096", fontWeight: 600, display: "block", marginBottom: 4, textTransform: "uppercase", letterSpacing: "0.5px" };
+  const input = {
+    width: "100%", padding: "8px 10px", border: "1.5px solid rgba(255,255,255,0.1)", borderRadius: "8px",
+    fontSize: "13px", fontFamily: "'DM Sans', sans-serif", background: "rgba(255,255,255,0.05)", color: "#fff", outline: "none",
+  };
+  const update = (i, key, value) => onChange(offers.map((o, j) => j === i ? { ...o, [key]: value } : o));
+  const toggleType = (i, id) => {
+    const taken = offers[i].types ?? [];
+    update(i, "types", taken.includes(id) ? taken.filter(x => x !== id) : [...taken, id]);
+  };
+  return (
+    <div style={{ marginBottom: 24 }}>
+      <div style={{ fontSize: "11px", fontWeight: 600, color: "#a0aec0", textTransform: "uppercase", letterSpacing: "1px", marginBottom: 6 }}>
+        {t("Lender Offers")}
+      </div>
+      <div style={{ fontSize: "11px", color: "#718096", lineHeight: 1.6, marginBottom: 12 }}>
+        {offers.length
+          ? t("Balance transfer and consolidation are priced on these offers instead of the assumed rates.")
+          : t("Add the quotes you have in hand to price balance transfer and consolidation on them.")}
+      </div>
+      {offers.map((o, i) => (
+        <div key={i} style={{
+          background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.08)",
+          borderRadius: "12px", padding: "12px 16px", marginBottom: 10,
+        }}>
+          <div style={{ display: "grid", gridTemplateColumns: "1.4fr 1fr 1fr 1fr 1fr auto", gap: 10, alignItems: "start" }}>
+            <div>
+              <label style={label}>{t("Lender")}</label>
+              <input value={o.lender} placeholder={t("Bank or NBFC")} onChange={e => update(i, "lender", e.target.value)} style={input} />
+            </div>
+            {OFFER_FIELDS.map(f => (
+              <div key={f.key}>
+                <label style={label}>{t(f.label)}</label>
+                <input type="number" step={f.step} value={o[f.key] ?? ""} onChange={e => update(i, f.key, e.target.value === "" ? null : Number(e.target.value))} style={errorBorder(input, errors[i][f.key])} />
+                <FieldError error={errors[i][f.key]} />
+              </div>
+            ))}
+            <button onClick={() => onChange(offers.filter((_, j) => j !== i))} style={{
+              background: "none", border: "none", color: "#fc8181", cursor: "pointer", fontSize: "18px", padding: "6px 4px", marginTop: 14,
+            }}>×</button>
+          </div>
+          {types.length > 1 && (
+            <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 6, marginTop: 10, fontSize: "11px", color: "#718096" }}>
+              {t("Takes:")}
+              {types.map(id => {
+                const on = o.types?.includes(id);
+                return (
+                  <button key={id} onClick={() => toggleType(i, id)} style={{
+                    background: on ? "rgba(99,179,237,0.15)" : "rgba(255,255,255,0.04)",
+                    border: `1px solid ${on ? "rgba(99,179,237,0.5)" : "rgba(255,255,255,0.1)"}`, color: on ? "#63b3ed" : "#a0aec0",
+                    padding: "3px 10px", borderRadius: "12px", cursor: "pointer", fontSize: "11px", fontFamily: "'DM Sans', sans-serif",
+                  }}>{loanLabel({ type: id })}</button>
+                );
+              })}
+              {!o.types?.length && <span>— {t("any loan")}</span>}
+            </div>
+          )}
+        </div>
+      ))}
+      <button onClick={() => onChange([...offers, { ...NEW_OFFER }])} style={{
+        background: "rgba(255,255,255,0.04)", border: "1.5px dashed rgba(255,255,255,0.15)",
+        color: "#a0aec0", padding: "6px 14px", borderRadius: "8px", cursor: "pointer",
+        fontSize: "12px", fontWeight: 600, fontFamily: "'DM Sans', sans-serif",
+      }}>+ {t("Add offer")}</button>
+    </div>
+  );
+}
+
+// ─── Custom Scenarios ───
+// The user's own plans: one action per loan, blank meaning "as it is". Named scenarios are ranked with
+// the strategies; the lender box suggests the offers above, and naming one of them brings its terms.
+const SCENARIO_FIELDS = [
+  { key: "rate", label: "New Rate (%)", step: 0.05, placeholder: (l) => l.rate },
+  { key: "tenure", label: "Months Left", step: 12, placeholder: (l) => loanPosition(l).remainingTenure },
+  { key: "prepayAmount", label: "Prepay (₹)", step: 50000, placeholder: () => "" },
+  { key: "prepayMonth", label: "In Month", step: 1, placeholder: () => 1 },
+];
+
+function ScenarioBuilder({ scenarios, onChange, loans, offers }) {
+  const label = { fontSize: "10px", color: "#718096", fontWeight: 600, display: "block", marginBottom: 4, textTransform: "uppercase", letterSpacing: "0.5px" };
+  const input = {
+    width: "100%", padding: "7px 9px", border: "1.5px solid rgba(255,255,255,0.1)", borderRadius: "8px",
+    fontSize: "12px", fontFamily: "'DM Sans', sans-serif", background: "rgba(255,255,255,0.05)", color: "#fff", outline: "none",
+  };
+  const small = {
+    background: "none", border: "1px solid rgba(255,255,255,0.1)", color: "#a0aec0", padding: "5px 10px",
+    borderRadius: "6px", cursor: "pointer", fontSize: "11px", fontFamily: "'DM Sans', sans-serif",
+  };
+  const update = (i, changes) => onChange(scenarios.map((sc, j) => j === i ? { ...sc, ...changes } : sc));
+  const updateAction = (i, loan, key, value) => {
+    const actions = loans.map((_, k) => ({ ...NEW_SCENARIO_ACTION, ...scenarios[i].actions[k] }));
+    actions[loan] = { ...actions[loan], [key]: value };
+    update(i, { actions });
+  };
+  const nameTaken = (i) => scenarios.some((sc, j) => j < i && sc.name.trim() === scenarios[i].name.trim());
+  const lenders = [...new Set(offers.map(o => o.lender.trim()).filter(Boolean))];
+  return (
+    <div style={{ marginBottom: 24 }}>
+      <div style={{ fontSize: "11px", fontWeight: 600, color: "#a0aec0", textTransform: "uppercase", letterSpacing: "1px", marginBottom: 6 }}>
+        {t("Custom Scenarios")}
+      </div>
+      <div style={{ fontSize: "11px", color: "#718096", lineHeight: 1.6, marginBottom: 12 }}>
+        {t("Spell out your own plan loan by loan — a new rate or tenure, a part-prepayment in a given month, a move to another lender, a CC/OD termed out. Leave a box blank to keep that term. Named scenarios are ranked with the strategies and appear in the report.")}
+      </div>
+      <datalist id="scenario-lenders">{lenders.map(l => <option key={l} value={l} />)}</datalist>
+      {scenarios.map((sc, i) => (
+        <div key={i} style={{
+          background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.08)",
+          borderRadius: "12px", padding: "12px 16px", marginBottom: 10,
+        }}>
+          <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 10 }}>
+            <input value={sc.name} placeholder={t("Scenario name")} onChange={e => update(i, { name: e.target.value })} style={{ ...input, fontWeight: 700, flex: 1 }} />
+            <button onClick={() => onChange([...scenarios.slice(0, i + 1), { ...sc, name: t("{name} (copy)", { name: sc.name }) }, ...scenarios.slice(i + 1)])} style={small}>{t("Duplicate")}</button>
+            <button onClick={() => onChange(scenarios.filter((_, j) => j !== i))} style={{
+              background: "none", border: "none", color: "#fc8181", cursor: "pointer", fontSize: "18px", padding: "4px",
+            }}>×</button>
+          </div>
+          {(!sc.name.trim() || nameTaken(i)) && (
+            <div style={{ fontSize: "11px", color: "#f6ad55", marginBottom: 8 }}>
+              ⚠ {sc.name.trim() ? t("Another scenario already has this name — only the first one is ranked") : t("Name the scenario to rank it")}
+            </div>
+          )}
+          {loans.map((l, k) => {
+            const act = { ...NEW_SCENARIO_ACTION, ...sc.actions[k] };
+            const revolving = isRevolving(l);
+            return (
+              <div key={k} style={{ display: "grid", gridTemplateColumns: "1.5fr 0.8fr 0.8fr 1fr 0.7fr 1.2fr 0.8fr", gap: 8, alignItems: "end", marginBottom: 8 }}>
+                <div style={{ fontSize: "12px", color: "#e2e8f0", fontWeight: 600, paddingBottom: 8 }}>
+                  #{k + 1} {loanLabel(l)}
+                  <div style={{ fontSize: "10px", color: "#718096", fontWeight: 400 }}>
+                    {[l.lender, localDigits(`${l.rate}%`), formatINR(loanPosition(l).outstanding)].filter(Boolean).join(" · ")}
+                  </div>
+                </div>
+                {SCENARIO_FIELDS.map(f => {
+                  const off = f.key === "tenure" && revolving && !act.toTerm;
+                  return (
+                    <div key={f.key}>
+                      {k === 0 && <label style={label}>{t(f.label)}</label>}
+                      <input type="number" step={f.step} min={0} disabled={off} value={act[f.key] || ""} placeholder={off ? "—" : String(f.placeholder(l))}
+                        onChange={e => updateAction(i, k, f.key, Number(e.target.value) || 0)} style={{ ...input, opacity: off ? 0.4 : 1 }} />
+                    </div>
+                  );
+                })}
+                <div>
+                  {k === 0 && <label style={label}>{t("Move to Lender")}</label>}
+                  <input list="scenario-lenders" value={act.lender} placeholder={l.lender || t("Same lender")} onChange={e => updateAction(i, k, "lender", e.target.value)} style={input} />
+                </div>
+                <div style={{ paddingBottom: 8 }}>
+                  {revolving && (
+                    <label style={{ fontSize: "11px", color: "#a0aec0", display: "flex", alignItems: "center", gap: 5, cursor: "pointer" }}>
+                      <input type="checkbox" checked={act.toTerm} onChange={e => updateAction(i, k, "toTerm", e.target.checked)} />
+                      {t("Term out")}
+                    </label>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      ))}
+      <button onClick={() => onChange([...scenarios, { ...NEW_SCENARIO, name: t("My plan {n}", { n: scenarios.length + 1 }), actions: [] }])} style={{
+        background: "rgba(255,255,255,0.04)", border: "1.5px dashed rgba(255,255,255,0.15)",
+        color: "#a0aec0", padding: "6px 14px", borderRadius: "8px", cursor: "pointer",
+        fontSize: "12px", fontWeight: 600, fontFamily: "'DM Sans', sans-serif",
+      }}>+ {t("Add scenario")}</button>
+    </div>
+  );
+}
+
+// ─── Import Wizard ───
+// Pick a file → map statement columns (CSV only) → preview → replace or add to the portfolio
+function ImportWizard({ onImport, onClose }) {
+  const [stage, setStage] = useState("pick");
+  const [fileName, setFileName] = useState("");
+  const [rows, setRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [dateFormat, setDateFormat] = useState("DD/MM/YYYY");
+  const [amountUnit, setAmountUnit] = useState("auto");
+  const [json, setJson] = useState(null);
+  const [error, setError] = useState(null);
+
+  const readFile = async (file) => {
+    if (!file) return;
+    setError(null);
+    setFileName(file.name);
+    const text = await file.text();
+    try {
+      if (/\.json$/i.test(file.name) || /^\s*[[{]/.test(text)) {
+        const data = parsePortfolioJSON(text);
+        setJson(data);
+        setStage("preview");
+        return;
+      }
+      const parsed = parseCSV(text);
+      if (parsed.length < 2) throw new Error(t("The file needs a header row and at least one loan"));
+      const guess = guessMapping(parsed[0]);
+      setRows(parsed);
+      setJson(null);
+      setMapping(guess);
+      if (guess.sanctionDate !== undefined) setDateFormat(detectDateFormat(parsed.slice(1).map(r => r[guess.sanctionDate] ?? "")));
+      setStage("map");
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  // Labels are read while the file's own loan types are registered
+  const parsedLoans = useMemo(() => {
+    if (stage !== "preview") return [];
+    const described = (p) => ({ ...p, label: loanLabel(p.loan), revolving: isRevolving(p.loan) });
+    if (json) return withLoanTypes(loanTypesFromJSON(json.loanTypes), () => json.loans.map(l => described(loanFromJSON(l))));
+    return rows.slice(1).map(r => described(loanFromImport(
+      Object.fromEntries(Object.entries(mapping).map(([key, col]) => [key, r[col] ?? ""])),
+      { dateFormat, amountUnit }
+    )));
+  }, [stage, json, rows, mapping, dateFormat, amountUnit]);
+  const valid = parsedLoans.filter(p => p.errors.length === 0);
+
+  const finish = (mode) => onImport(valid.map(p => p.loan), mode, json);
+
+  const btn = {
+    background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.12)", color: "#a0aec0",
+    padding: "6px 14px", borderRadius: "8px", cursor: "pointer", fontSize: "12px", fontWeight: 600, fontFamily: "'DM Sans', sans-serif",
+  };
+  const primary = { ...btn, background: "rgba(104,211,145,0.15)", border: "1px solid rgba(104,211,145,0.4)", color: "#68d391" };
+  const select = {
+    width: "100%", padding: "6px 8px", border: "1.5px solid rgba(255,255,255,0.1)", borderRadius: "6px",
+    fontSize: "12px", background: "rgba(255,255,255,0.05)", color: "#fff", fontFamily: "'DM Sans', sans-serif",
+  };
+  const th = { textAlign: "left", padding: "6px 8px", color: "#718096", fontSize: "10px", fontWeight: 600, textTransform: "uppercase" };
+  const td = { padding: "6px 8px", borderTop: "1px solid rgba(255,255,255,0.05)", color: "#e2e8f0" };
+
+  return (
+    <div style={{
+      background: "rgba(99,179,237,0.05)", border: "1px solid rgba(99,179,237,0.25)",
+      borderRadius: "14px", padding: "18px 20px", marginBottom: 16,
+    }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 12 }}>
+        <div style={{ fontSize: "11px", fontWeight: 600, color: "#a0aec0", textTransform: "uppercase", letterSpacing: "1px" }}>
+          {t("Import Loans")} {fileName && <span style={{ color: "#718096", textTransform: "none", letterSpacing: 0, fontWeight: 400 }}>— {fileName}</span>}
+        </div>
+        <button onClick={onClose} style={btn}>{t("Close")}</button>
+      </div>
+
+      {stage === "pick" && (
+        <div style={{ fontSize: "12px", color: "#a0aec0", lineHeight: 1.6 }}>
+          <input type="file" accept=".csv,.json,text/csv,application/json" onChange={e => readFile(e.target.files[0])} style={{ color: "#a0aec0", fontSize: "12px" }} />
+          <div style={{ marginTop: 8, color: "#718096", fontSize: "11px" }}>
+            {t("A portfolio JSON exported from this app, or a CSV — your own sheet or a bank's loan account statement, one loan per row. Columns are matched on the next step.")}
+          </div>
+        </div>
+      )}
+
+      {stage === "map" && (
+        <>
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "8px 16px" }}>
+            {IMPORT_FIELDS.map(f => (
+              <div key={f.key}>
+                <label style={{ fontSize: "10px", color: "#718096", fontWeight: 600 }}>{t(f.label)}</label>
+                <select value={mapping[f.key] ?? ""} style={select} onChange={e => {
+                  const next = { ...mapping };
+                  if (e.target.value === "") delete next[f.key]; else next[f.key] = Number(e.target.value);
+                  setMapping(next);
+                }}>
+                  <option value="" style={{ background: "#1a1a2e" }}>— {t("not in file")} —</option>
+                  {rows[0].map((h, i) => <option key={i} value={i} style={{ background: "#1a1a2e" }}>{h || t("Column {n}", { n: i + 1 })} {rows[1][i] ? t("(e.g. {value})", { value: rows[1][i] }) : ""}</option>)}
+                </select>
+              </div>
+            ))}
+            <div>
+              <label style={{ fontSize: "10px", color: "#718096", fontWeight: 600 }}>{t("Date format")}</label>
+              <select value={dateFormat} onChange={e => setDateFormat(e.target.value)} style={select}>
+                {Object.entries(DATE_FORMATS).map(([id, f]) => <option key={id} value={id} style={{ background: "#1a1a2e" }}>{f.label}</option>)}
+              </select>
+            </div>
+            <div>
+              <label style={{ fontSize: "10px", color: "#718096", fontWeight: 600 }}>{t("Amounts are in")}</label>
+              <select value={amountUnit} onChange={e => setAmountUnit(e.target.value)} style={select}>
+                {Object.entries(AMOUNT_UNITS).map(([id, u]) => <option key={id} value={id} style={{ background: "#1a1a2e" }}>{t(u.label)}</option>)}
+              </select>
+            </div>
+          </div>
+          <div style={{ display: "flex", gap: 8, marginTop: 14 }}>
+            <button onClick={() => setStage("pick")} style={btn}>{t("Back")}</button>
+            <button onClick={() => setStage("preview")} disabled={mapping.amount === undefined && mapping.outstanding === undefined}
+              style={primary}>{t("Preview {count} rows", { count: rows.length - 1 })} →</button>
+          </div>
+        </>
+      )}
+
+      {stage === "preview" && (
+        <>
+          <div style={{ overflowX: "auto" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "12px" }}>
+              <thead>
+                <tr>{["", "Type", "Lender", "Amount", "Rate", "Tenure", "EMIs paid", "Status"].map(h => <th key={h} style={th}>{h && t(h)}</th>)}</tr>
+              </thead>
+              <tbody>
+                {parsedLoans.map(({ loan, errors, warnings, label, revolving }, i) => (
+                  <tr key={i}>
+                    <td style={{ ...td, color: "#718096" }}>{localDigits(i + 1)}</td>
+                    <td style={td}>{label}</td>
+                    <td style={td}>{loan.lender || "—"}</td>
+                    <td style={{ ...td, fontFamily: "'DM Mono', monospace" }}>{loan.amount > 0 ? formatINRFull(loan.amount) : "—"}</td>
+                    <td style={{ ...td, fontFamily: "'DM Mono', monospace" }}>{localDigits(loan.rate ?? "—")}%</td>
+                    <td style={{ ...td, fontFamily: "'DM Mono', monospace" }}>{localDigits(loan.tenure ?? "—")}</td>
+                    <td style={{ ...td, fontFamily: "'DM Mono', monospace" }}>{revolving ? "—" : localDigits(loan.emisPaid)}</td>
+                    <td style={{ ...td, fontSize: "11px", color: errors.length ? "#fc8181" : warnings.length ? "#f6ad55" : "#68d391" }}>
+                      {errors.length ? t("Skipped: {errors}", { errors: errors.join("; ") }) : warnings.length ? warnings.join("; ") : t("OK")}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div style={{ fontSize: "11px", color: "#718096", marginTop: 8 }}>
+            {t("{valid} of {total} loans will be imported.", { valid: valid.length, total: parsedLoans.length })}
+            {json && json.businessName && ` ${t("Replacing also loads the business name, tax profile, cash flow and assumptions from the file.")}`}
+          </div>
+          <div style={{ display: "flex", gap: 8, marginTop: 12 }}>
+            <button onClick={() => setStage(json ? "pick" : "map")} style={btn}>{t("Back")}</button>
+            <button onClick={() => finish("replace")} disabled={valid.length === 0} style={primary}>{t("Replace portfolio")}</button>
+            <button onClick={() => finish("merge")} disabled={valid.length === 0} style={{ ...primary, background: "rgba(99,179,237,0.12)", border: "1px solid rgba(99,179,237,0.4)", color: "#63b3ed" }}>{t("Add to portfolio")}</button>
+          </div>
+        </>
+      )}
+
+      {error && <div style={{ fontSize: "12px", color: "#fc8181", marginTop: 10 }}>{error}</div>}
+    </div>
+  );
+}
+
+// ─── Share Link ───
+// The link is built from everything the results step shows; share.js does the packing
+const sharePanel = {
+  background: "rgba(255,255,255,0.04)", border: "1px solid rgba(255,255,255,0.08)",
+  borderRadius: "14px", padding: "14px 20px",
+};
+const shareInput = {
+  padding: "8px 10px", border: "1.5px solid rgba(255,255,255,0.1)", borderRadius: "8px",
+  fontSize: "12px", fontFamily: "'DM Sans', sans-serif", background: "rgba(255,255,255,0.05)", color: "#fff", outline: "none",
+};
+const shareButton = {
+  background: "rgba(99,179,237,0.12)", border: "1px solid rgba(99,179,237,0.4)", color: "#63b3ed",
+  padding: "8px 14px", borderRadius: "8px", cursor: "pointer", fontSize: "12px", fontWeight: 600, fontFamily: "'DM Sans', sans-serif",
+};
+
+function ShareLink({ analysis }) {
+  const [passphrase, setPassphrase] = useState("");
+  const [link, setLink] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  // A link made earlier no longer matches once anything on the page changes
+  useEffect(() => { setLink(null); setMessage(null); }, [analysis, passphrase]);
+
+  const copyLink = async () => {
+    setError(null);
+    try {
+      const url = `${location.origin}${location.pathname}${location.search}${await encodeShareLink(analysis, passphrase)}`;
+      setLink(url);
+      try {
+        await navigator.clipboard.writeText(url);
+        setMessage(passphrase
+          ? t("Locked link copied — send the passphrase separately, not in the same chat.")
+          : t("Link copied. Anyone with it can see these loans."));
+      } catch {
+        setMessage(t("Copy the link below."));
+      }
+    } catch (e) {
+      setError(t(e.message));
+    }
+  };
+
+  return (
+    <div style={{ ...sharePanel, marginTop: 12 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+        <span style={{ fontSize: "10px", color: "#718096", textTransform: "uppercase", letterSpacing: "0.5px" }}>{t("Share")}</span>
+        <input type="password" value={passphrase} onChange={e => setPassphrase(e.target.value)} placeholder={t("Passphrase (optional)")}
+          autoComplete="new-password" style={{ ...shareInput, flex: 1, minWidth: 160 }} />
+        <button onClick={copyLink} style={shareButton}>🔗 {t("Copy link")}</button>
+      </div>
+      {link && <input readOnly value={link} onFocus={e => e.target.select()} style={{ ...shareInput, width: "100%", marginTop: 8, fontFamily: "'DM Mono', monospace", color: "#a0aec0" }} />}
+      <div style={{ fontSize: "11px", color: error ? "#fc8181" : "#718096", marginTop: 8, lineHeight: 1.6 }}>
+        {error ?? message ?? t("The analysis is packed into the link itself — nothing is uploaded. Add a passphrase to encrypt it.")}
+      </div>
+    </div>
+  );
+}
+
+// Shown when a locked link is opened
+function UnlockLink({ hash, onOpen, onCancel }) {
+  const [passphrase, setPassphrase] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const unlock = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      onOpen(await decodeShareLink(hash, passphrase));
+    } catch (err) {
+      setError(t(err.message));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form onSubmit={unlock} style={{ ...sharePanel, marginBottom: 24, borderColor: "rgba(99,179,237,0.4)" }}>
+      <div style={{ fontSize: "14px", fontWeight: 700, color: "#e2e8f0", marginBottom: 4 }}>🔒 {t("This shared analysis is locked")}</div>
+      <div style={{ fontSize: "12px", color: "#a0aec0", marginBottom: 12 }}>{t("Enter the passphrase you were given to open it.")}</div>
+      <div style={{ display: "flex", gap: 8 }}>
+        <input type="password" autoFocus value={passphrase} onChange={e => setPassphrase(e.target.value)} placeholder={t("Passphrase")} style={{ ...shareInput, flex: 1 }} />
+        <button type="submit" disabled={busy || !passphrase} style={shareButton}>{t("Open")}</button>
+        <button type="button" onClick={onCancel} style={{ ...shareButton, background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.12)", color: "#a0aec0" }}>{t("Cancel")}</button>
+      </div>
+      {error && <div style={{ fontSize: "12px", color: "#fc8181", marginTop: 10 }}>{error}</div>}
+    </form>
+  );
+}
+
+// ─── Language Switcher ───
+// DM Sans has no Indic glyphs, so Hindi, Marathi and Gujarati text falls through to Noto Sans
+// A loan field's problem, under its input; the input's border turns red with it
+const errorBorder = (style, error) => error ? { ...style, borderColor: "rgba(252,129,129,0.6)" } : style;
+
+function FieldError({ error }) {
+  return error ? <div style={{ fontSize: "10px", color: "#fc8181", marginTop: 3 }}>{error}</div> : null;
+}
+
+const FONTS_URL = "https://fonts.googleapis.com/css2?family=DM+Sans:wght@400;500;600;700&family=DM+Mono:wght@400;500&family=Playfair+Display:wght@700;800;900&family=Noto+Sans+Devanagari:wght@400;600;700&family=Noto+Sans+Gujarati:wght@400;600;700&display=swap";
+
+function LanguageSwitcher({ lang, onChange }) {
+  return (
+    <select value={lang} onChange={e => onChange(e.target.value)} aria-label="Language" style={{
+      background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.12)", color: "#a0aec0",
+      padding: "6px 8px", borderRadius: "8px", cursor: "pointer", fontSize: "12px", fontWeight: 600, fontFamily: "inherit",
+    }}>
+      {LANGUAGES.map(l => <option key={l.id} value={l.id} style={{ background: "#1a1a2e" }}>{l.label}</option>)}
+    </select>
+  );
+}
+
 // ─── Landing Page ───
-function LandingPage({ onStart }) {
+function LandingPage({ onStart, lang, onLanguage }) {
   const [animIn, setAnimIn] = useState(false);
   useState(() => { setTimeout(() => setAnimIn(true), 50); });
 
   const stats = [
-    { value: "₹28L+", label: "Avg. savings identified per SME" },
-    { value: "5", label: "Restructuring strategies compared" },
-    { value: "60sec", label: "From input to actionable report" },
-    { value: "100%", label: "Data stays on your device" },
+    { value: t("₹28L+"), label: t("Avg. savings identified per SME") },
+    { value: localDigits(5), label: t("Restructuring strategies compared") },
+    { value: t("60sec"), label: t("From input to actionable report") },
+    { value: localDigits("100%"), label: t("Data stays on your device") },
   ];
 
   const forCA = [
-    { icon: "📊", title: "Instant Client Reports", desc: "Enter your client's loan stack, get a professional restructuring report in 60 seconds. Download and email — your client sees you as a hero." },
-    { icon: "💡", title: "Advisory, Not Just Compliance", desc: "Move beyond filing and compliance. Offer strategic debt advice that directly saves your clients money. Higher value = higher fees." },
-    { icon: "⚡", title: "5 Strategies, Auto-Ranked", desc: "Prepayment, consolidation, balance transfer, tenure extension, hybrid — all compared side by side with exact rupee savings." },
-    { icon: "🔒", title: "Client Data Never Leaves", desc: "Everything runs in the browser. No server, no uploads, no data risk. Show it to clients with full confidence." },
+    { icon: "📊", title: t("Instant Client Reports"), desc: t("Enter your client's loan stack, get a professional restructuring report in 60 seconds. Download and email — your client sees you as a hero.") },
+    { icon: "💡", title: t("Advisory, Not Just Compliance"), desc: t("Move beyond filing and compliance. Offer strategic debt advice that directly saves your clients money. Higher value = higher fees.") },
+    { icon: "⚡", title: t("5 Strategies, Auto-Ranked"), desc: t("Prepayment, consolidation, balance transfer, tenure extension, hybrid — all compared side by side with exact rupee savings.") },
+    { icon: "🔒", title: t("Client Data Never Leaves"), desc: t("Everything runs in the browser. No server, no uploads, no data risk. Show it to clients with full confidence.") },
   ];
 
   const forSME = [
-    { icon: "🏦", title: "See Your Real Cost", desc: "Most SME owners don't know how much interest they're actually paying across all loans combined. This tool shows you the total picture in one screen." },
-    { icon: "💰", title: "Find Hidden Savings", desc: "That CC/OD at 14%? That old term loan you never revisited? There's almost always ₹2-10L sitting on the table. We find it." },
-    { icon: "📄", title: "Take the Report to Your Bank", desc: "Download a professional analysis showing exactly what restructuring looks like. Walk into your bank branch with data, not just a request." },
-    { icon: "🎯", title: "No Jargon, Just Numbers", desc: "We don't sell you financial products. We show you the math. You decide what makes sense for your business." },
+    { icon: "🏦", title: t("See Your Real Cost"), desc: t("Most SME owners don't know how much interest they're actually paying across all loans combined. This tool shows you the total picture in one screen.") },
+    { icon: "💰", title: t("Find Hidden Savings"), desc: t("That CC/OD at 14%? That old term loan you never revisited? There's almost always ₹2-10L sitting on the table. We find it.") },
+    { icon: "📄", title: t("Take the Report to Your Bank"), desc: t("Download a professional analysis showing exactly what restructuring looks like. Walk into your bank branch with data, not just a request.") },
+    { icon: "🎯", title: t("No Jargon, Just Numbers"), desc: t("We don't sell you financial products. We show you the math. You decide what makes sense for your business.") },
   ];
 
   const faqs = [
-    { q: "Is my data safe?", a: "Yes. Everything runs 100% in your browser. No data is sent to any server. We never see your loan details." },
-    { q: "How accurate are the savings estimates?", a: "We use standard amortization mathematics — the same formulas banks use. Actual savings depend on your lender's specific terms, processing fees, and prepayment penalties." },
-    { q: "Do I need to pay anything?", a: "The tool is currently free during our early access period. We're gathering feedback to build the best possible product for CAs and SME owners." },
-    { q: "Can I use this for my clients? (for CAs)", a: "Absolutely — that's exactly what it's built for. Enter each client's loans, generate a report, and deliver it as part of your advisory service." },
-    { q: "What loan types are supported?", a: "Term Loans, CC/OD Facilities, MUDRA Loans, Vehicle/Equipment Finance, and Working Capital loans. We're adding more based on feedback." },
+    { q: t("Is my data safe?"), a: t("Yes. Everything runs 100% in your browser. No data is sent to any server. We never see your loan details.") },
+    { q: t("How accurate are the savings estimates?"), a: t("We use standard amortization mathematics — the same formulas banks use. Actual savings depend on your lender's specific terms, processing fees, and prepayment penalties.") },
+    { q: t("Do I need to pay anything?"), a: t("The tool is currently free during our early access period. We're gathering feedback to build the best possible product for CAs and SME owners.") },
+    { q: t("Can I use this for my clients? (for CAs)"), a: t("Absolutely — that's exactly what it's built for. Enter each client's loans, generate a report, and deliver it as part of your advisory service.") },
+    { q: t("What loan types are supported?"), a: t("Term Loans, CC/OD Facilities, MUDRA Loans, Vehicle/Equipment Finance, and Working Capital loans. We're adding more based on feedback.") },
   ];
 
   const [openFaq, setOpenFaq] = useState(null);
@@ -326,11 +1558,11 @@ function LandingPage({ onStart }) {
     <div style={{
       minHeight: "100vh",
       background: "linear-gradient(165deg, #0a1628 0%, #1a2744 35%, #0f2027 100%)",
-      fontFamily: "'DM Sans', 'Segoe UI', system-ui, sans-serif",
+      fontFamily: "'DM Sans', 'Noto Sans Devanagari', 'Noto Sans Gujarati', 'Segoe UI', system-ui, sans-serif",
       color: "#e2e8f0",
       opacity: animIn ? 1 : 0, transition: "opacity 0.8s ease",
     }}>
-      <link href="https://fonts.googleapis.com/css2?family=DM+Sans:wght@400;500;600;700&family=DM+Mono:wght@400;500&family=Playfair+Display:wght@700;800;900&display=swap" rel="stylesheet" />
+      <link href={FONTS_URL} rel="stylesheet" />
 
       {/* ── Nav ── */}
       <div style={{
@@ -354,13 +1586,16 @@ function LandingPage({ onStart }) {
             </div>
           </div>
         </div>
-        <button onClick={onStart} style={{
-          background: "linear-gradient(135deg, #f6ad55, #ed8936)",
-          border: "none", borderRadius: "8px", padding: "10px 20px", cursor: "pointer",
-          fontSize: "13px", fontWeight: 700, color: "#1a1a2e",
-          fontFamily: "'DM Sans', sans-serif",
-          boxShadow: "0 4px 15px rgba(246,173,85,0.25)",
-        }}>Try Free →</button>
+        <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
+          <LanguageSwitcher lang={lang} onChange={onLanguage} />
+          <button onClick={onStart} style={{
+            background: "linear-gradient(135deg, #f6ad55, #ed8936)",
+            border: "none", borderRadius: "8px", padding: "10px 20px", cursor: "pointer",
+            fontSize: "13px", fontWeight: 700, color: "#1a1a2e",
+            fontFamily: "'DM Sans', sans-serif",
+            boxShadow: "0 4px 15px rgba(246,173,85,0.25)",
+          }}>{t("Try Free")} →</button>
+        </div>
       </div>
 
       <div style={{ maxWidth: 900, margin: "0 auto", padding: "0 20px" }}>
@@ -372,26 +1607,25 @@ function LandingPage({ onStart }) {
             borderRadius: "20px", padding: "5px 16px", fontSize: "11px", fontWeight: 600,
             color: "#f6ad55", letterSpacing: "0.5px", marginBottom: 20,
           }}>
-            🚀 EARLY ACCESS — FREE FOR LIMITED TIME
+            🚀 {t("EARLY ACCESS — FREE FOR LIMITED TIME")}
           </div>
           <h1 style={{
             fontFamily: "'Playfair Display', serif", fontSize: "clamp(32px, 6vw, 52px)",
             fontWeight: 900, lineHeight: 1.15, color: "#fff", marginBottom: 20,
             letterSpacing: "-1px",
           }}>
-            Your SME clients are<br />
+            {t("Your SME clients are")}<br />
             <span style={{
               background: "linear-gradient(135deg, #f6ad55, #68d391)",
               WebkitBackgroundClip: "text", WebkitTextFillColor: "transparent",
-            }}>overpaying on loans.</span><br />
-            Show them exactly how much.
+            }}>{t("overpaying on loans.")}</span><br />
+            {t("Show them exactly how much.")}
           </h1>
           <p style={{
             fontSize: "17px", color: "#a0aec0", maxWidth: 560, margin: "0 auto 32px",
             lineHeight: 1.7,
           }}>
-            Enter any SME's loan portfolio. Get 5 restructuring strategies ranked by savings.
-            Download a professional report your client can take to their bank — in 60 seconds.
+            {t("Enter any SME's loan portfolio. Get 5 restructuring strategies ranked by savings. Download a professional report your client can take to their bank — in 60 seconds.")}
           </p>
           <button onClick={onStart} style={{
             background: "linear-gradient(135deg, #f6ad55, #ed8936)",
@@ -401,10 +1635,10 @@ function LandingPage({ onStart }) {
             boxShadow: "0 8px 30px rgba(246,173,85,0.3)",
             transition: "transform 0.2s",
           }}>
-            Analyze Loans Free — No Signup Required
+            {t("Analyze Loans Free — No Signup Required")}
           </button>
           <p style={{ fontSize: "11px", color: "#4a5568", marginTop: 12 }}>
-            🔒 100% browser-based. Your data never leaves your device.
+            🔒 {t("100% browser-based. Your data never leaves your device.")}
           </p>
         </div>
 
@@ -424,21 +1658,21 @@ function LandingPage({ onStart }) {
 
         {/* ── How It Works ── */}
         <div style={{ textAlign: "center", marginBottom: 48 }}>
-          <div style={{ fontSize: "11px", color: "#f6ad55", fontWeight: 700, textTransform: "uppercase", letterSpacing: "2px", marginBottom: 10 }}>How It Works</div>
+          <div style={{ fontSize: "11px", color: "#f6ad55", fontWeight: 700, textTransform: "uppercase", letterSpacing: "2px", marginBottom: 10 }}>{t("How It Works")}</div>
           <h2 style={{ fontFamily: "'Playfair Display', serif", fontSize: "28px", fontWeight: 800, color: "#fff", marginBottom: 32 }}>
-            Three steps. Sixty seconds. Real savings.
+            {t("Three steps. Sixty seconds. Real savings.")}
           </h2>
           <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 20 }}>
             {[
-              { step: "01", title: "Enter Loans", desc: "Add your client's loans — Term, CC/OD, MUDRA, Vehicle, Working Capital. Takes 30 seconds.", color: "#63b3ed" },
-              { step: "02", title: "See Strategies", desc: "Instantly compare 5 restructuring approaches ranked by total interest saved.", color: "#68d391" },
-              { step: "03", title: "Download Report", desc: "Get a professional PDF-ready report your client can take to their bank.", color: "#f6ad55" },
+              { step: "01", title: t("Enter Loans"), desc: t("Add your client's loans — Term, CC/OD, MUDRA, Vehicle, Working Capital. Takes 30 seconds."), color: "#63b3ed" },
+              { step: "02", title: t("See Strategies"), desc: t("Instantly compare 5 restructuring approaches ranked by total interest saved."), color: "#68d391" },
+              { step: "03", title: t("Download Report"), desc: t("Get a professional PDF-ready report your client can take to their bank."), color: "#f6ad55" },
             ].map((s, i) => (
               <div key={i} style={{
                 background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.06)",
                 borderRadius: "14px", padding: "28px 20px",
               }}>
-                <div style={{ fontSize: "32px", fontWeight: 900, color: s.color, fontFamily: "'DM Mono', monospace", marginBottom: 12, opacity: 0.6 }}>{s.step}</div>
+                <div style={{ fontSize: "32px", fontWeight: 900, color: s.color, fontFamily: "'DM Mono', monospace", marginBottom: 12, opacity: 0.6 }}>{localDigits(s.step)}</div>
                 <div style={{ fontWeight: 700, fontSize: "16px", color: "#fff", marginBottom: 8 }}>{s.title}</div>
                 <div style={{ fontSize: "13px", color: "#718096", lineHeight: 1.6 }}>{s.desc}</div>
               </div>
@@ -449,9 +1683,9 @@ function LandingPage({ onStart }) {
         {/* ── For CAs ── */}
         <div style={{ marginBottom: 56 }}>
           <div style={{ textAlign: "center", marginBottom: 32 }}>
-            <div style={{ fontSize: "11px", color: "#68d391", fontWeight: 700, textTransform: "uppercase", letterSpacing: "2px", marginBottom: 10 }}>For Chartered Accountants</div>
+            <div style={{ fontSize: "11px", color: "#68d391", fontWeight: 700, textTransform: "uppercase", letterSpacing: "2px", marginBottom: 10 }}>{t("For Chartered Accountants")}</div>
             <h2 style={{ fontFamily: "'Playfair Display', serif", fontSize: "28px", fontWeight: 800, color: "#fff" }}>
-              Stop being just a compliance CA.<br />Become a strategic advisor.
+              {t("Stop being just a compliance CA.")}<br />{t("Become a strategic advisor.")}
             </h2>
           </div>
           <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 16 }}>
@@ -471,9 +1705,9 @@ function LandingPage({ onStart }) {
         {/* ── For SME Owners ── */}
         <div style={{ marginBottom: 56 }}>
           <div style={{ textAlign: "center", marginBottom: 32 }}>
-            <div style={{ fontSize: "11px", color: "#63b3ed", fontWeight: 700, textTransform: "uppercase", letterSpacing: "2px", marginBottom: 10 }}>For SME Business Owners</div>
+            <div style={{ fontSize: "11px", color: "#63b3ed", fontWeight: 700, textTransform: "uppercase", letterSpacing: "2px", marginBottom: 10 }}>{t("For SME Business Owners")}</div>
             <h2 style={{ fontFamily: "'Playfair Display', serif", fontSize: "28px", fontWeight: 800, color: "#fff" }}>
-              You're running a business, not a bank.<br />But your loans deserve attention too.
+              {t("You're running a business, not a bank.")}<br />{t("But your loans deserve attention too.")}
             </h2>
           </div>
           <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 16 }}>
@@ -496,30 +1730,30 @@ function LandingPage({ onStart }) {
           borderRadius: "16px", padding: "32px", marginBottom: 56,
         }}>
           <div style={{ textAlign: "center", marginBottom: 24 }}>
-            <div style={{ fontSize: "11px", color: "#f6ad55", fontWeight: 700, textTransform: "uppercase", letterSpacing: "2px", marginBottom: 10 }}>Real Example</div>
+            <div style={{ fontSize: "11px", color: "#f6ad55", fontWeight: 700, textTransform: "uppercase", letterSpacing: "2px", marginBottom: 10 }}>{t("Real Example")}</div>
             <h2 style={{ fontFamily: "'Playfair Display', serif", fontSize: "24px", fontWeight: 800, color: "#fff" }}>
-              How a typical SME saves ₹2.8 Lakhs
+              {t("How a typical SME saves ₹2.8 Lakhs")}
             </h2>
           </div>
           <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 24 }}>
             <div>
-              <div style={{ fontSize: "12px", color: "#718096", fontWeight: 600, textTransform: "uppercase", letterSpacing: "1px", marginBottom: 12 }}>Current Loan Stack</div>
+              <div style={{ fontSize: "12px", color: "#718096", fontWeight: 600, textTransform: "uppercase", letterSpacing: "1px", marginBottom: 12 }}>{t("Current Loan Stack")}</div>
               {[
-                { type: "Term Loan", amount: "₹15,00,000", rate: "11.5%", tenure: "60 mo" },
-                { type: "CC/OD Facility", amount: "₹8,00,000", rate: "13.5%", tenure: "12 mo" },
-                { type: "MUDRA Loan", amount: "₹5,00,000", rate: "10.0%", tenure: "36 mo" },
+                { type: "term", amount: 1500000, rate: "11.5", tenure: 60 },
+                { type: "ccod", amount: 800000, rate: "13.5", tenure: 12 },
+                { type: "mudra", amount: 500000, rate: "10.0", tenure: 36 },
               ].map((l, i) => (
                 <div key={i} style={{
                   display: "flex", justifyContent: "space-between", padding: "10px 0",
                   borderBottom: "1px solid rgba(255,255,255,0.05)", fontSize: "13px",
                 }}>
-                  <span style={{ color: "#e2e8f0" }}>{l.type}</span>
-                  <span style={{ color: "#718096" }}>{l.amount} @ {l.rate} for {l.tenure}</span>
+                  <span style={{ color: "#e2e8f0" }}>{loanLabel(l)}</span>
+                  <span style={{ color: "#718096" }}>{t("{amount} @ {rate}% for {months} mo", { amount: formatINRFull(l.amount), rate: l.rate, months: l.tenure })}</span>
                 </div>
               ))}
               <div style={{ display: "flex", justifyContent: "space-between", padding: "12px 0", fontSize: "14px", fontWeight: 700 }}>
-                <span style={{ color: "#fc8181" }}>Total Interest Payable</span>
-                <span style={{ color: "#fc8181" }}>₹6,42,000</span>
+                <span style={{ color: "#fc8181" }}>{t("Total Interest Payable")}</span>
+                <span style={{ color: "#fc8181" }}>{formatINRFull(642000)}</span>
               </div>
             </div>
             <div style={{ display: "flex", flexDirection: "column", justifyContent: "center", alignItems: "center" }}>
@@ -529,12 +1763,12 @@ function LandingPage({ onStart }) {
                 padding: "28px", textAlign: "center", width: "100%",
               }}>
                 <div style={{ fontSize: "11px", color: "#68d391", textTransform: "uppercase", letterSpacing: "1.5px", fontWeight: 700, marginBottom: 8 }}>
-                  Best Strategy: Hybrid Optimal
+                  {t("Best Strategy: {strategy}", { strategy: strategyLabel("hybrid") })}
                 </div>
                 <div style={{ fontSize: "36px", fontWeight: 900, color: "#68d391", fontFamily: "'Playfair Display', serif" }}>
-                  ₹2,81,000
+                  {formatINRFull(281000)}
                 </div>
-                <div style={{ fontSize: "12px", color: "#a0aec0", marginTop: 6 }}>saved in total interest (43.8%)</div>
+                <div style={{ fontSize: "12px", color: "#a0aec0", marginTop: 6 }}>{t("saved in total interest ({pct}%)", { pct: "43.8" })}</div>
               </div>
             </div>
           </div>
@@ -543,9 +1777,9 @@ function LandingPage({ onStart }) {
         {/* ── FAQ ── */}
         <div style={{ marginBottom: 56 }}>
           <div style={{ textAlign: "center", marginBottom: 32 }}>
-            <div style={{ fontSize: "11px", color: "#a0aec0", fontWeight: 700, textTransform: "uppercase", letterSpacing: "2px", marginBottom: 10 }}>FAQ</div>
+            <div style={{ fontSize: "11px", color: "#a0aec0", fontWeight: 700, textTransform: "uppercase", letterSpacing: "2px", marginBottom: 10 }}>{t("FAQ")}</div>
             <h2 style={{ fontFamily: "'Playfair Display', serif", fontSize: "28px", fontWeight: 800, color: "#fff" }}>
-              Common Questions
+              {t("Common Questions")}
             </h2>
           </div>
           {faqs.map((faq, i) => (
@@ -572,11 +1806,10 @@ function LandingPage({ onStart }) {
           padding: "36px", textAlign: "center", marginBottom: 56,
         }}>
           <h2 style={{ fontFamily: "'Playfair Display', serif", fontSize: "24px", fontWeight: 800, color: "#fff", marginBottom: 12 }}>
-            We're building this for you.
+            {t("We're building this for you.")}
           </h2>
           <p style={{ fontSize: "14px", color: "#a0aec0", maxWidth: 500, margin: "0 auto 20px", lineHeight: 1.7 }}>
-            This tool is in early access. Try it, break it, tell us what's missing.
-            Your feedback directly shapes what we build next.
+            {t("This tool is in early access. Try it, break it, tell us what's missing. Your feedback directly shapes what we build next.")}
           </p>
           <div style={{ display: "flex", gap: 12, justifyContent: "center", flexWrap: "wrap" }}>
             <button onClick={onStart} style={{
@@ -584,13 +1817,13 @@ function LandingPage({ onStart }) {
               border: "none", borderRadius: "10px", padding: "14px 32px", cursor: "pointer",
               fontSize: "14px", fontWeight: 700, color: "#1a1a2e", fontFamily: "'DM Sans', sans-serif",
               boxShadow: "0 6px 25px rgba(246,173,85,0.25)",
-            }}>Try the Tool Free →</button>
+            }}>{t("Try the Tool Free")} →</button>
             <a href="mailto:feedback@loanrestructurepro.in?subject=Feedback on LoanRestructure Pro" style={{
               background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.12)",
               borderRadius: "10px", padding: "14px 32px", cursor: "pointer",
               fontSize: "14px", fontWeight: 600, color: "#a0aec0", fontFamily: "'DM Sans', sans-serif",
               textDecoration: "none", display: "inline-block",
-            }}>Share Feedback 💬</a>
+            }}>{t("Share Feedback")} 💬</a>
           </div>
         </div>
 
@@ -600,83 +1833,351 @@ function LandingPage({ onStart }) {
           textAlign: "center", fontSize: "11px", color: "#4a5568",
         }}>
           <div style={{ marginBottom: 4 }}>
-            <span style={{ fontWeight: 700, color: "#718096" }}>LoanRestructure Pro</span> — Built for Indian CAs and SME Owners
+            <span style={{ fontWeight: 700, color: "#718096" }}>LoanRestructure Pro</span> — {t("Built for Indian CAs and SME Owners")}
           </div>
-          <div>© {new Date().getFullYear()} • 100% Privacy-First • No Data Collected</div>
+          <div>© {localDigits(new Date().getFullYear())} • {t("100% Privacy-First")} • {t("No Data Collected")}</div>
         </div>
       </div>
     </div>
   );
 }
 
-// ─── Main App ───
-export default function App() {
-  const [step, setStep] = useState("landing");
-  const [businessName, setBusinessName] = useState("ABC Trading Co.");
-  const [loans, setLoans] = useState([
-    { type: "term", amount: 1500000, rate: 11.5, tenure: 60 },
-    { type: "ccod", amount: 800000, rate: 13.5, tenure: 12 },
-    { type: "mudra", amount: 500000, rate: 10.0, tenure: 36 },
-  ]);
-  const [results, setResults] = useState([]);
-  const [selectedStrategy, setSelectedStrategy] = useState(null);
-  const [animateIn, setAnimateIn] = useState(false);
+// ─── Main App ───
+export default function App() {
+  const [step, setStep] = useState("landing");
+  const [businessName, setBusinessName] = useState("ABC Trading Co.");
+  const [loans, setLoans] = useState(() => {
+    const monthsAgo = (n) => { const d = new Date(); d.setMonth(d.getMonth() - n); return d.toISOString().slice(0, 7); };
+    return [
+      { type: "term", amount: 1500000, rate: 11.5, tenure: 60, sanctionDate: monthsAgo(24), emisPaid: 24, ...defaultCostsFor("term") },
+      { type: "ccod", amount: 800000, rate: 13.5, tenure: 36, utilization: 75, monthlyUtilization: null, renewalPct: 0.5, ...defaultCostsFor("ccod") },
+      { type: "mudra", amount: 500000, rate: 10.0, tenure: 36, sanctionDate: monthsAgo(12), emisPaid: 12, ...defaultCostsFor("mudra") },
+    ];
+  });
+  const [assumptions, setAssumptions] = useState(DEFAULT_ASSUMPTIONS);
+  const [taxProfile, setTaxProfile] = useState(DEFAULT_TAX_PROFILE);
+  const [postTax, setPostTax] = useState(false);
+  const [cashFlow, setCashFlow] = useState(DEFAULT_CASH_FLOW);
+  const [rateScenarios, setRateScenarios] = useState(RATE_SCENARIOS);
+  const [baseScenario, setBaseScenario] = useState("flat");
+  const [offers, setOffers] = useState([]);
+  const [customScenarios, setCustomScenarios] = useState([]);
+  const [openRate, setOpenRate] = useState(null);
+  const [openRepayment, setOpenRepayment] = useState(null);
+  const [savedKey, setSavedKey] = useState(0);
+  const [showAssumptions, setShowAssumptions] = useState(false);
+  const [selectedStrategy, setSelectedStrategy] = useState(null);
+  const [animateIn, setAnimateIn] = useState(false);
+  const [openCosts, setOpenCosts] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [practice, setPractice] = useState(() => ({ ...DEFAULT_PRACTICE, ...loadPractice() }));
+  const [practiceError, setPracticeError] = useState(null);
+  const [customTypes, setCustomTypes] = useState(loadLoanTypes);
+  const [loanTypeError, setLoanTypeError] = useState(null);
+  const [lang, setLang] = useState(() => loadLanguage() ?? "en");
+  const [reportLang, setReportLang] = useState(lang);
+  const [lockedLink, setLockedLink] = useState(null);
+  const [linkError, setLinkError] = useState(null);
+
+  // t() reads the module-level language, so switch it before anything below renders text;
+  // the engine's loan-type registry works the same way
+  setLanguage(lang);
+  setCustomLoanTypes(customTypes);
+
+  useEffect(() => {
+    try {
+      savePractice(practice);
+      setPracticeError(null);
+    } catch (e) {
+      setPracticeError(e.message);
+    }
+  }, [practice]);
+
+  useEffect(() => {
+    try {
+      saveLoanTypes(customTypes);
+      setLoanTypeError(null);
+    } catch (e) {
+      setLoanTypeError(e.message);
+    }
+  }, [customTypes]);
+
+  // Types a file or link brings are added to this browser's, so its loans keep their type
+  const adoptLoanTypes = (defs) => {
+    const incoming = loanTypesFromJSON(defs);
+    if (incoming.length > 0) setCustomTypes(types => mergeLoanTypes(types, incoming));
+  };
+
+  useEffect(() => {
+    saveLanguage(lang);
+    document.documentElement.lang = lang;
+  }, [lang]);
+
+  // The report follows the screen language until a different one is picked for it
+  const changeLanguage = (l) => {
+    setLang(l);
+    setReportLang(l);
+  };
 
   const addLoan = (typeId) => {
-    const lt = LOAN_TYPES.find(t => t.id === typeId);
+    const lt = loanTypeOf(typeId);
     if (!lt) return;
-    setLoans([...loans, { type: lt.id, amount: lt.defaultAmount, rate: lt.defaultRate, tenure: lt.defaultTenure }]);
+    const loan = lt.nature === "revolving"
+      ? { type: lt.id, amount: lt.defaultAmount, rate: lt.defaultRate, tenure: lt.defaultTenure, utilization: lt.defaultUtilization, monthlyUtilization: null, renewalPct: lt.defaultRenewalPct }
+      : { type: lt.id, amount: lt.defaultAmount, rate: lt.defaultRate, tenure: lt.defaultTenure, sanctionDate: currentMonth(), emisPaid: 0,
+        ...(lt.defaultRepayment && { ...REPAYMENT_DEFAULTS, ...lt.defaultRepayment }) };
+    setLoans([...loans, { ...loan, ...lt.defaultCosts }]);
   };
 
-  const removeLoan = (idx) => setLoans(loans.filter((_, i) => i !== idx));
+  // Scenario actions follow the loans by position, so a removed loan takes its actions with it
+  const removeLoan = (idx) => {
+    setLoans(loans.filter((_, i) => i !== idx));
+    setCustomScenarios(customScenarios.map(sc => ({ ...sc, actions: sc.actions.filter((_, i) => i !== idx) })));
+  };
 
+  // A cleared number field is stored as null, so it shows as blank and is flagged rather than read as 0
   const updateLoan = (idx, field, val) => {
     const next = [...loans];
-    next[idx] = { ...next[idx], [field]: Number(val) };
+    const num = (v) => v === "" ? null : Number(v);
+    if (field === "sanctionDate") {
+      const elapsed = monthsElapsed(val);
+      next[idx] = { ...next[idx], sanctionDate: val, emisPaid: next[idx].tenure > 0 ? Math.min(elapsed, next[idx].tenure) : elapsed };
+    } else if (field === "lender" || field === "bulletInterest") {
+      next[idx] = { ...next[idx], [field]: val };
+    } else if (field === "repayment") {
+      // A new structure starts from the usual terms; anything already entered for it is kept
+      next[idx] = { ...REPAYMENT_DEFAULTS, ...next[idx], repayment: val };
+    } else if (field === "capitalizeInterest") {
+      next[idx] = { ...next[idx], capitalizeInterest: val === "capitalize" };
+    } else if (field === "floating" || field === "benchmark") {
+      // Switching benchmark (or going floating) loads its usual level and reset; the spread keeps today's rate
+      const l = next[idx];
+      const bm = BENCHMARKS.find(b => b.id === (field === "benchmark" ? val : l.benchmark)) || BENCHMARKS[1];
+      next[idx] = field === "floating" && !val
+        ? { ...l, floating: false }
+        : { ...l, floating: true, benchmark: bm.id, benchmarkRate: bm.rate, resetMonths: bm.resetMonths, spread: +(l.rate - bm.rate).toFixed(2) };
+    } else if (loans[idx].floating && (field === "benchmarkRate" || field === "spread")) {
+      const l = { ...next[idx], [field]: num(val) };
+      next[idx] = { ...l, rate: l.benchmarkRate === null || l.spread === null ? null : +(l.benchmarkRate + l.spread).toFixed(2) };
+    } else if (loans[idx].floating && field === "rate") {
+      next[idx] = val === "" ? { ...next[idx], rate: null } : { ...next[idx], rate: Number(val), spread: +(Number(val) - next[idx].benchmarkRate).toFixed(2) };
+    } else {
+      next[idx] = { ...next[idx], [field]: num(val) };
+    }
+    setLoans(next);
+  };
+
+  // Switches a CC/OD between a single average utilization and a Jan–Dec pattern
+  const toggleMonthlyUtilization = (idx) => {
+    const next = [...loans];
+    const l = next[idx];
+    next[idx] = { ...l, monthlyUtilization: l.monthlyUtilization ? null : Array(12).fill(l.utilization ?? 0) };
+    setLoans(next);
+  };
+
+  const updateUtilizationMonth = (idx, month, val) => {
+    const next = [...loans];
+    const monthly = [...next[idx].monthlyUtilization];
+    monthly[month] = val === "" ? null : Number(val);
+    next[idx] = { ...next[idx], monthlyUtilization: monthly, utilization: monthly.reduce((s, u) => s + (u || 0), 0) / 12 };
     setLoans(next);
   };
 
+  // An offer with a field cleared or out of range holds the analysis (see inputProblems); an unnamed
+  // scenario is left out of it
+  const offerErrs = offers.map(offerErrors);
+  const quotedOffers = offers.filter((_, i) => Object.keys(offerErrs[i]).length === 0);
+  const namedScenarios = useMemo(() => scenariosFromJSON(customScenarios), [customScenarios]);
+
   const runAnalysis = () => {
-    if (loans.length === 0) return;
-    const res = RESTRUCTURE_STRATEGIES.map(s => simulateRestructure(loans, s.id));
-    setResults(res);
-    const best = res.reduce((b, r) => r.savings > b.savings ? r : b, res[0]);
+    if (!canAnalyze) return;
+    const basePath = rateScenarios.find(sc => sc.id === baseScenario)?.path;
+    const best = bestOf(analyzePortfolio(loans, { ...assumptions, ratePath: basePath, offers: quotedOffers, scenarios: namedScenarios }, taxProfile), assumptions.rankBy);
     setSelectedStrategy(best.strategyId);
+    // Every analysis is kept as a dated version of this client, locally in IndexedDB
+    saveVersion(businessName, { businessName, loans, loanTypes: loanTypesUsed(loans), offers, scenarios: customScenarios, assumptions, taxProfile, cashFlow, rateScenarios, baseScenario }, {
+      strategyId: best.strategyId, netSavings: best.netSavings, outstanding: best.totalPrincipal,
+      currentInterest: best.currentTotalInterest, monthlyEMI: best.currentMonthlyEMI,
+    }).then(() => setSavedKey(k => k + 1)).catch(() => {});
     setStep("results");
     setAnimateIn(false);
     setTimeout(() => setAnimateIn(true), 50);
   };
 
-  const downloadReport = () => {
-    const html = generateReportHTML(loans, results, businessName);
-    const blob = new Blob([html], { type: "text/html" });
+  // Results follow the loans and assumptions live, so edits on the results step re-rank immediately.
+  // Rate scenarios only matter when something floats: existing loans, or refinanced ones.
+  // The strategy details are written in the current language, so a language change re-runs too.
+  const ratesMatter = needsRateScenarios(loans, assumptions);
+  const runClient = () => analyzeClient(loans, assumptions, taxProfile, { rateScenarios, baseScenario, offers: quotedOffers, scenarios: namedScenarios });
+  const analysis = useMemo(
+    () => step === "results" && loans.length > 0 ? runClient() : null,
+    [step, loans, assumptions, taxProfile, rateScenarios, baseScenario, offers, namedScenarios, ratesMatter, lang]
+  );
+  const scenarioRuns = analysis?.runs ?? [];
+  const offerComparison = analysis?.offerComparison ?? null;
+  const results = scenarioRuns.find(run => run.id === baseScenario)?.results ?? [];
+  const shownResults = postTax ? results.map(asPostTax) : results;
+  const loadInputs = (inputs) => {
+    adoptLoanTypes(inputs.loanTypes);
+    setBusinessName(inputs.businessName ?? "");
+    setLoans(inputs.loans);
+    setAssumptions({ ...DEFAULT_ASSUMPTIONS, ...inputs.assumptions });
+    setTaxProfile(inputs.taxProfile ?? DEFAULT_TAX_PROFILE);
+    setCashFlow(inputs.cashFlow ?? DEFAULT_CASH_FLOW);
+    setRateScenarios(inputs.rateScenarios ?? RATE_SCENARIOS);
+    setBaseScenario(inputs.baseScenario ?? "flat");
+    setOffers(offersFromJSON(inputs.offers));
+    setCustomScenarios(scenariosFromJSON(inputs.scenarios));
+  };
+
+  const openVersion = ({ inputs }) => {
+    loadInputs(inputs);
+    setStep("input");
+  };
+
+  // Everything needed to put a colleague on the same screen: the inputs plus what is being looked at
+  const sharedAnalysis = useMemo(() => ({
+    inputs: { businessName, loans, loanTypes: loanTypesUsed(loans), offers, scenarios: customScenarios, assumptions, taxProfile, cashFlow, rateScenarios, baseScenario },
+    step, selectedStrategy, postTax,
+  }), [businessName, loans, customTypes, offers, customScenarios, assumptions, taxProfile, cashFlow, rateScenarios, baseScenario, step, selectedStrategy, postTax]);
+
+  const openShared = (shared) => {
+    loadInputs(shared.inputs);
+    setPostTax(Boolean(shared.postTax));
+    setSelectedStrategy(shared.selectedStrategy ?? null);
+    setStep(shared.step === "results" && shared.selectedStrategy && shared.inputs.loans.length > 0 ? "results" : "input");
+    setAnimateIn(true);
+    setLockedLink(null);
+    setLinkError(null);
+    // The fragment has done its job; editing from here on should not look like the shared version
+    history.replaceState(null, "", location.pathname + location.search);
+  };
+
+  // A share link can arrive on first load or be pasted into the address bar later
+  useEffect(() => {
+    const readLink = () => {
+      const kind = shareLinkKind(location.hash);
+      if (kind === "locked") setLockedLink(location.hash);
+      else if (kind === "open") decodeShareLink(location.hash).then(openShared, e => setLinkError(e.message));
+    };
+    readLink();
+    window.addEventListener("hashchange", readLink);
+    return () => window.removeEventListener("hashchange", readLink);
+  }, []);
+
+  // A portfolio file replacing the stack brings its own business details along
+  const importLoans = (imported, mode, file) => {
+    adoptLoanTypes(file?.loanTypes);
+    setLoans(mode === "merge" ? [...loans, ...imported] : imported);
+    // Scenario actions point at loans by position, so a new stack starts them afresh
+    if (mode !== "merge") setCustomScenarios(file?.scenarios ? scenariosFromJSON(file.scenarios) : customScenarios.map(sc => ({ ...sc, actions: [] })));
+    if (mode === "replace" && file) {
+      if (file.businessName) setBusinessName(file.businessName);
+      if (file.assumptions) setAssumptions(assumptionsFromJSON(file.assumptions));
+      if (file.taxProfile) setTaxProfile(taxProfileFromJSON(file.taxProfile));
+      if (file.cashFlow) setCashFlow(cashFlowFromJSON(file.cashFlow));
+      if (file.offers) setOffers(offersFromJSON(file.offers));
+      if (file.rateScenarios) setRateScenarios(file.rateScenarios);
+      if (file.baseScenario) setBaseScenario(file.baseScenario);
+    }
+    setImporting(false);
+  };
+
+  const exportLoans = () => {
+    const blob = new Blob([exportPortfolio({ businessName, loans, loanTypes: loanTypesUsed(loans), offers, scenarios: customScenarios, assumptions, taxProfile, cashFlow, rateScenarios, baseScenario })], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `Portfolio_${businessName.replace(/\s+/g, "_")}_${new Date().toISOString().slice(0, 10)}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Cleared number fields are null here too, flagged until filled rather than read as 0
+  const numberOrBlank = (val) => val === "" ? null : Number(val);
+  const updateCashFlow = (field, val) => setCashFlow({ ...cashFlow, [field]: field === "basis" ? val : numberOrBlank(val) });
+  const bandValue = (r) => rankValue(postTax ? asPostTax(r) : r, assumptions.rankBy);
+
+  const updateScenario = (id, field, val) => setRateScenarios(rateScenarios.map(sc => sc.id === id ? { ...sc, [field]: val } : sc));
+  const updateScenarioYear = (id, year, val) => setRateScenarios(rateScenarios.map(sc =>
+    sc.id === id ? { ...sc, path: sc.path.map((bps, y) => y === year ? Number(val) : bps) } : sc));
+  const addScenario = () => setRateScenarios([...rateScenarios, { id: `custom-${Date.now()}`, label: t("Scenario {n}", { n: rateScenarios.length + 1 }), path: [0, 0, 0, 0, 0] }]);
+  const removeScenario = (id) => setRateScenarios(rateScenarios.filter(sc => sc.id !== id));
+
+  // Picking an entity loads its usual rate; the rate, surcharge and cess stay editable
+  const updateTaxProfile = (field, val) => setTaxProfile(field === "entity"
+    ? { ...TAX_ENTITIES.find(e => e.id === val), entity: val }
+    : { ...taxProfile, [field]: numberOrBlank(val) });
+
+  const updateAssumption = (key, val) => setAssumptions({ ...assumptions, [key]: typeof DEFAULT_ASSUMPTIONS[key] === "string" ? val : numberOrBlank(val) });
+
+  // PDF by default; the HTML version stays available for printing or editing.
+  // A report in another language than the screen re-runs the analysis so the strategy details match.
+  // The PDF writer only has Latin fonts, so an Indian-language PDF goes through the browser's print dialog.
+  const downloadReport = (format = "pdf") => withLanguage(reportLang, () => {
+    const { runs, results: reportResults, offerComparison: comparison } = reportLang === lang ? analysis : runClient();
+    const context = { taxProfile, rateStress: { runs, baseId: baseScenario }, cashFlow, practice, template: practice.template, offerComparison: comparison };
+    if (format === "pdf" && reportLang !== "en") return printReport(generateReportHTML(loans, reportResults, businessName, assumptions, context));
+    const blob = format === "pdf"
+      ? new Blob([generateReportPDF(loans, reportResults, businessName, assumptions, context)], { type: "application/pdf" })
+      : new Blob([generateReportHTML(loans, reportResults, businessName, assumptions, context)], { type: "text/html" });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
-    a.download = `LoanRestructure_${businessName.replace(/\s+/g, "_")}_${new Date().toISOString().slice(0, 10)}.html`;
+    a.download = `LoanRestructure_${businessName.replace(/\s+/g, "_")}_${new Date().toISOString().slice(0, 10)}.${format}`;
     a.click();
     URL.revokeObjectURL(url);
+  });
+
+  // Each loan's field problems show under its inputs and are listed above the Analyze button, which
+  // waits until there are none. A loan with problems has no position until they are fixed.
+  const loanErrors = loans.map(loanFieldErrors);
+  const assumptionErrs = assumptionErrors(assumptions);
+  const taxErrs = taxProfileErrors(taxProfile);
+  const cashErrs = cashFlowErrors(cashFlow);
+  const fieldLabels = {
+    rate: t(TAX_ENTITIES.find(e => e.id === taxProfile.entity)?.rateLabel ?? "rate"), surcharge: t("Surcharge (%)"), cess: t("Cess (%)"),
+    revenue: t("Monthly revenue (₹)"), cash: t("Monthly {basis} (₹)", { basis: t(CASH_FLOW_BASES[cashFlow.basis]) }), obligations: t("Other monthly obligations (₹)"),
+    ...Object.fromEntries(ASSUMPTION_FIELDS.map(f => [f.key, t(f.label)])),
   };
+  const inputProblems = [
+    ...loans.flatMap((l, index) => Object.values(loanErrors[index]).map(message => ({ index, label: loanLabel(l), message }))),
+    ...[taxErrs, cashErrs, assumptionErrs].flatMap(errors => Object.entries(errors).map(([key, message]) => ({ label: fieldLabels[key], message }))),
+    ...offers.flatMap((o, i) => Object.entries(offerErrs[i]).map(([key, message]) => ({
+      label: `${o.lender.trim() || t("Offer {n}", { n: i + 1 })} — ${t(OFFER_FIELDS.find(f => f.key === key).label)}`, message,
+    }))),
+  ];
+  const positions = loans.map((l, i) => Object.keys(loanErrors[i]).length > 0 ? null : loanPosition(l));
+  // Repaid loans pass their checks but leave the strategies nothing to work on
+  const leftToRestructure = positions.some((p, i) => p && p.remainingTenure > 0 && (isRevolving(loans[i]) || p.outstanding > 0.5));
+  const canAnalyze = inputProblems.length === 0 && leftToRestructure;
+  const totalPrincipal = positions.reduce((s, p) => s + (p?.outstanding ?? 0), 0);
+  const totalInterest = loans.reduce((s, l, i) => s + (positions[i] ? remainingCost(l) : 0), 0);
+  const totalEMI = positions.reduce((s, p) => s + (p?.remainingTenure > 0 ? p.emi : 0), 0);
+  const activeResult = shownResults.find(r => r.strategyId === selectedStrategy);
 
-  const totalPrincipal = loans.reduce((s, l) => s + l.amount, 0);
-  const totalInterest = loans.reduce((s, l) => s + calcTotalInterest(l.amount, l.rate, l.tenure), 0);
-  const totalEMI = loans.reduce((s, l) => s + calcEMI(l.amount, l.rate, l.tenure), 0);
-  const activeResult = results.find(r => r.strategyId === selectedStrategy);
+  // The recommended strategy's sensitivity on the base rate path, ranked as the results are
+  const runSensitivity = () => {
+    const basePath = rateScenarios.find(sc => sc.id === baseScenario)?.path;
+    const recommended = rankResults(shownResults, assumptions.rankBy)[0];
+    return sensitivity(loans, { ...assumptions, ratePath: basePath, offers: quotedOffers, scenarios: namedScenarios }, taxProfile, recommended.strategyId, { value: bandValue });
+  };
 
   const inputStyle = {
     width: "100%", padding: "10px 12px", border: "1.5px solid rgba(255,255,255,0.1)", borderRadius: "8px",
     fontSize: "14px", fontFamily: "'DM Mono', monospace", background: "rgba(255,255,255,0.05)", color: "#fff",
     outline: "none", transition: "border-color 0.2s",
   };
+  const labelStyle = { fontSize: "10px", color: "#718096", fontWeight: 600, display: "block", marginBottom: 4, textTransform: "uppercase", letterSpacing: "0.5px" };
 
   return (
     <div style={{
       minHeight: "100vh",
       background: "linear-gradient(165deg, #0a1628 0%, #1a2744 35%, #0f2027 100%)",
-      fontFamily: "'DM Sans', 'Segoe UI', system-ui, sans-serif",
+      fontFamily: "'DM Sans', 'Noto Sans Devanagari', 'Noto Sans Gujarati', 'Segoe UI', system-ui, sans-serif",
       color: "#e2e8f0", margin: 0, padding: 0,
     }}>
-      <link href="https://fonts.googleapis.com/css2?family=DM+Sans:wght@400;500;600;700&family=DM+Mono:wght@400;500&family=Playfair+Display:wght@700;800;900&display=swap" rel="stylesheet" />
+      <link href={FONTS_URL} rel="stylesheet" />
 
       {/* Header - only on input/results */}
       {(step === "input" || step === "results") && (
@@ -699,44 +2200,105 @@ export default function App() {
               LoanRestructure <span style={{ color: "#f6ad55" }}>Pro</span>
             </div>
             <div style={{ fontSize: "10px", color: "#718096", letterSpacing: "1.5px", textTransform: "uppercase" }}>
-              SME Debt Optimization Engine
+              {t("SME Debt Optimization Engine")}
             </div>
           </div>
         </div>
-        {step === "results" && (
-          <button onClick={() => { setStep("input"); setResults([]); }} style={{
-            background: "rgba(255,255,255,0.08)", border: "1px solid rgba(255,255,255,0.12)",
-            color: "#a0aec0", padding: "8px 16px", borderRadius: "8px", cursor: "pointer",
-            fontSize: "12px", fontWeight: 600, fontFamily: "'DM Sans', sans-serif",
-          }}>← Edit Loans</button>
-        )}
+        <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
+          <LanguageSwitcher lang={lang} onChange={changeLanguage} />
+          {step === "results" && (
+            <button onClick={() => setStep("input")} style={{
+              background: "rgba(255,255,255,0.08)", border: "1px solid rgba(255,255,255,0.12)",
+              color: "#a0aec0", padding: "8px 16px", borderRadius: "8px", cursor: "pointer",
+              fontSize: "12px", fontWeight: 600, fontFamily: "'DM Sans', sans-serif",
+            }}>← {t("Edit Loans")}</button>
+          )}
+        </div>
       </div>
       )}
 
       <div style={{ maxWidth: 900, margin: "0 auto", padding: "24px 16px" }}>
 
+        {lockedLink && (
+          <UnlockLink key={lockedLink} hash={lockedLink} onOpen={openShared} onCancel={() => {
+            setLockedLink(null);
+            history.replaceState(null, "", location.pathname + location.search);
+          }} />
+        )}
+        {linkError && (
+          <div style={{ fontSize: "12px", color: "#fc8181", marginBottom: 16 }}>
+            {t("Could not open the shared analysis: {error}", { error: t(linkError) })}
+          </div>
+        )}
+
         {/* ════ LANDING PAGE ════ */}
-        {step === "landing" && <LandingPage onStart={() => setStep("input")} />}
+        {step === "landing" && <LandingPage onStart={() => setStep("input")} lang={lang} onLanguage={changeLanguage} />}
 
         {/* ════ INPUT STEP ════ */}
         {step === "input" && (
           <div>
+            <SavedClients refreshKey={savedKey} onOpen={openVersion} />
+            <PracticeProfile practice={practice} onChange={setPractice} error={practiceError} />
+
             <div style={{ marginBottom: 24 }}>
               <label style={{ fontSize: "11px", fontWeight: 600, color: "#a0aec0", textTransform: "uppercase", letterSpacing: "1px", display: "block", marginBottom: 6 }}>
-                Business / Client Name
+                {t("Business / Client Name")}
               </label>
               <input value={businessName} onChange={e => setBusinessName(e.target.value)}
-                style={{ ...inputStyle, maxWidth: 360 }} placeholder="Enter business name..." />
+                style={{ ...inputStyle, maxWidth: 360 }} placeholder={t("Enter business name...")} />
             </div>
 
-            <div style={{ fontSize: "11px", fontWeight: 600, color: "#a0aec0", textTransform: "uppercase", letterSpacing: "1px", marginBottom: 12 }}>
-              Loan Portfolio ({loans.length} active)
+            <div style={{ display: "grid", gridTemplateColumns: "1.4fr 1fr 1fr 1fr 1fr", gap: 12, marginBottom: 24 }}>
+              <div>
+                <label style={labelStyle}>{t("Entity Type")}</label>
+                <select value={taxProfile.entity} onChange={e => updateTaxProfile("entity", e.target.value)} style={inputStyle}>
+                  {TAX_ENTITIES.map(e => <option key={e.id} value={e.id} style={{ background: "#1a1a2e" }}>{t(e.label)}</option>)}
+                </select>
+              </div>
+              <div>
+                <label style={labelStyle}>{t(TAX_ENTITIES.find(e => e.id === taxProfile.entity)?.rateLabel ?? "rate")} (%)</label>
+                <input type="number" step="1" value={taxProfile.rate ?? ""} onChange={e => updateTaxProfile("rate", e.target.value)} style={errorBorder(inputStyle, taxErrs.rate)} />
+                <FieldError error={taxErrs.rate} />
+              </div>
+              <div>
+                <label style={labelStyle}>{t("Surcharge (%)")}</label>
+                <input type="number" step="1" value={taxProfile.surcharge ?? ""} onChange={e => updateTaxProfile("surcharge", e.target.value)} style={errorBorder(inputStyle, taxErrs.surcharge)} />
+                <FieldError error={taxErrs.surcharge} />
+              </div>
+              <div>
+                <label style={labelStyle}>{t("Cess (%)")}</label>
+                <input type="number" step="1" value={taxProfile.cess ?? ""} onChange={e => updateTaxProfile("cess", e.target.value)} style={errorBorder(inputStyle, taxErrs.cess)} />
+                <FieldError error={taxErrs.cess} />
+              </div>
+              <div>
+                <label style={labelStyle}>{t("Effective Tax Rate")}</label>
+                <input readOnly value={localDigits(`${effectiveTaxRate(taxProfile).toFixed(2)}%`)} style={{ ...inputStyle, color: "#63b3ed", background: "rgba(99,179,237,0.06)", cursor: "default" }} />
+              </div>
+            </div>
+
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 12 }}>
+              <div style={{ fontSize: "11px", fontWeight: 600, color: "#a0aec0", textTransform: "uppercase", letterSpacing: "1px" }}>
+                {t("Loan Portfolio ({count} active)", { count: loans.length })}
+              </div>
+              <div style={{ display: "flex", gap: 8 }}>
+                {[["Import", () => setImporting(!importing)], ["Export JSON", exportLoans]].map(([label, onClick]) => (
+                  <button key={label} onClick={onClick} disabled={label === "Export JSON" && loans.length === 0} style={{
+                    background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.12)", color: "#a0aec0",
+                    padding: "5px 12px", borderRadius: "6px", cursor: "pointer", fontSize: "11px", fontWeight: 600, fontFamily: "'DM Sans', sans-serif",
+                  }}>{t(label)}</button>
+                ))}
+              </div>
             </div>
 
+            {importing && <ImportWizard onImport={importLoans} onClose={() => setImporting(false)} />}
+
             {loans.map((loan, idx) => {
-              const lt = LOAN_TYPES.find(t => t.id === loan.type);
-              const emi = calcEMI(loan.amount, loan.rate, loan.tenure);
-              const interest = calcTotalInterest(loan.amount, loan.rate, loan.tenure);
+              const lt = loanTypeOf(loan.type);
+              const lock = loanLock(loan);
+              const errors = loanErrors[idx];
+              const { outstanding, remainingTenure, emi } = positions[idx] ?? {};
+              const interest = positions[idx] ? remainingCost(loan) : 0;
+              const revolving = isRevolving(loan);
               return (
                 <div key={idx} style={{
                   background: "rgba(255,255,255,0.04)", border: "1px solid rgba(255,255,255,0.08)",
@@ -746,49 +2308,313 @@ export default function App() {
                     <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
                       <span style={{ fontSize: "20px" }}>{lt?.icon}</span>
                       <div>
-                        <div style={{ fontWeight: 700, fontSize: "14px", color: "#fff" }}>{lt?.label}</div>
+                        <div style={{ fontWeight: 700, fontSize: "14px", color: "#fff" }}>{loanLabel(loan)}</div>
                         <div style={{ fontSize: "11px", color: "#718096" }}>
-                          EMI: {formatINRFull(emi)} • Interest: {formatINRFull(interest)}
+                          {!positions[idx]
+                            ? <span style={{ color: "#fc8181" }}>{t("Fix the fields marked in red to see this loan's EMI and interest")}</span>
+                            : revolving
+                            ? t("Interest only: {emi}/mo • {drawn} drawn of {limit} • Cost over {months} months: {cost}", { emi: formatINRFull(emi), drawn: formatINR(outstanding), limit: formatINR(loan.amount), months: loan.tenure, cost: formatINRFull(interest) })
+                            : t("EMI: {emi} • {left} of {tenure} EMIs left • Interest ahead: {cost}", { emi: formatINRFull(emi), left: remainingTenure, tenure: loan.tenure, cost: formatINRFull(interest) })}
                         </div>
+                        {lock && <div style={{ fontSize: "10px", color: "#f6ad55", marginTop: 2 }}>🔒 {lock.prepay ? t("Cannot move to another lender: {reason}", { reason: lock.reason }) : t("Cannot be prepaid or moved yet: {reason}", { reason: lock.reason })}</div>}
                       </div>
                     </div>
+                    <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                    <input placeholder={t("Lender")} value={loan.lender || ""} onChange={e => updateLoan(idx, "lender", e.target.value)}
+                      style={{ ...inputStyle, width: 140, padding: "6px 10px", fontSize: "12px" }} />
                     <button onClick={() => removeLoan(idx)} style={{
                       background: "rgba(229,62,62,0.15)", border: "1px solid rgba(229,62,62,0.3)",
                       color: "#fc8181", width: 30, height: 30, borderRadius: "8px", cursor: "pointer",
                       fontSize: "16px", display: "flex", alignItems: "center", justifyContent: "center",
                     }}>×</button>
+                    </div>
+                  </div>
+                  {revolving ? (
+                  <div>
+                  <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 12 }}>
+                    <div>
+                      <label style={labelStyle}>{t("Sanctioned Limit (₹)")}</label>
+                      <input type="number" value={loan.amount ?? ""} onChange={e => updateLoan(idx, "amount", e.target.value)} style={errorBorder(inputStyle, errors.amount)} />
+                      <FieldError error={errors.amount} />
+                    </div>
+                    <div>
+                      <label style={labelStyle}>{t("Rate (% p.a.)")}</label>
+                      <input type="number" step="0.1" value={loan.rate ?? ""} onChange={e => updateLoan(idx, "rate", e.target.value)} style={errorBorder(inputStyle, errors.rate)} />
+                      <FieldError error={errors.rate} />
+                    </div>
+                    <div>
+                      <label style={labelStyle}>{t("Avg. Utilization (%)")}</label>
+                      <input type="number" value={loan.monthlyUtilization ? averageUtilization(loan).toFixed(1) : (loan.utilization ?? "")} readOnly={!!loan.monthlyUtilization}
+                        onChange={e => updateLoan(idx, "utilization", e.target.value)} style={loan.monthlyUtilization ? { ...inputStyle, color: "#63b3ed", background: "rgba(99,179,237,0.06)" } : errorBorder(inputStyle, errors.utilization)} />
+                      <FieldError error={errors.utilization} />
+                    </div>
+                    <div>
+                      <label style={labelStyle}>{t("Keep Limit For (months)")}</label>
+                      <input type="number" value={loan.tenure ?? ""} onChange={e => updateLoan(idx, "tenure", e.target.value)} style={errorBorder(inputStyle, errors.tenure)} />
+                      <FieldError error={errors.tenure} />
+                    </div>
+                    <div>
+                      <label style={labelStyle}>{t("Renewal Charge (% of limit)")}</label>
+                      <input type="number" step="0.05" value={loan.renewalPct ?? ""} onChange={e => updateLoan(idx, "renewalPct", e.target.value)} style={errorBorder(inputStyle, errors.renewalPct)} />
+                      <FieldError error={errors.renewalPct} />
+                    </div>
+                    <div style={{ display: "flex", alignItems: "flex-end" }}>
+                      <button onClick={() => toggleMonthlyUtilization(idx)} style={{
+                        width: "100%", padding: "10px 12px", borderRadius: "8px", cursor: "pointer",
+                        background: loan.monthlyUtilization ? "rgba(99,179,237,0.15)" : "rgba(255,255,255,0.04)",
+                        border: "1.5px dashed rgba(255,255,255,0.15)", color: "#a0aec0",
+                        fontSize: "12px", fontWeight: 600, fontFamily: "'DM Sans', sans-serif",
+                      }}>{loan.monthlyUtilization ? t("Use average utilization") : t("Enter month-wise utilization")}</button>
+                    </div>
+                  </div>
+                  {loan.monthlyUtilization && (
+                    <div style={{ display: "grid", gridTemplateColumns: "repeat(6, 1fr)", gap: 8, marginTop: 12 }}>
+                      {["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"].map((m, mi) => (
+                        <div key={m}>
+                          <label style={labelStyle}>{t(m)} %</label>
+                          <input type="number" value={loan.monthlyUtilization[mi] ?? ""} onChange={e => updateUtilizationMonth(idx, mi, e.target.value)} style={{ ...inputStyle, padding: "6px 8px", fontSize: "12px" }} />
+                        </div>
+                      ))}
+                      <div style={{ gridColumn: "1 / -1" }}><FieldError error={errors.monthlyUtilization} /></div>
+                    </div>
+                  )}
                   </div>
+                  ) : (
                   <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 12 }}>
                     <div>
-                      <label style={{ fontSize: "10px", color: "#718096", fontWeight: 600, display: "block", marginBottom: 4, textTransform: "uppercase", letterSpacing: "0.5px" }}>Principal (₹)</label>
-                      <input type="number" value={loan.amount} onChange={e => updateLoan(idx, "amount", e.target.value)} style={inputStyle} />
+                      <label style={labelStyle}>{t("Sanction Date")}</label>
+                      <input type="month" value={loan.sanctionDate || ""} max={currentMonth()} onChange={e => updateLoan(idx, "sanctionDate", e.target.value)} style={inputStyle} />
+                    </div>
+                    <div>
+                      <label style={labelStyle}>{t("EMIs Paid")}</label>
+                      <input type="number" value={loan.emisPaid ?? ""} onChange={e => updateLoan(idx, "emisPaid", e.target.value)} style={errorBorder(inputStyle, errors.emisPaid)} />
+                      <FieldError error={errors.emisPaid} />
+                    </div>
+                    <div>
+                      <label style={labelStyle}>{t("Outstanding (₹)")}</label>
+                      <input readOnly value={positions[idx] ? formatINRFull(outstanding) : "—"} style={{ ...inputStyle, color: "#63b3ed", background: "rgba(99,179,237,0.06)", cursor: "default" }} />
+                    </div>
+                    <div>
+                      <label style={labelStyle}>{t("Original Amount (₹)")}</label>
+                      <input type="number" value={loan.amount ?? ""} onChange={e => updateLoan(idx, "amount", e.target.value)} style={errorBorder(inputStyle, errors.amount)} />
+                      <FieldError error={errors.amount} />
                     </div>
                     <div>
-                      <label style={{ fontSize: "10px", color: "#718096", fontWeight: 600, display: "block", marginBottom: 4, textTransform: "uppercase", letterSpacing: "0.5px" }}>Rate (% p.a.)</label>
-                      <input type="number" step="0.1" value={loan.rate} onChange={e => updateLoan(idx, "rate", e.target.value)} style={inputStyle} />
+                      <label style={labelStyle}>{t("Rate (% p.a.)")}</label>
+                      <input type="number" step="0.1" value={loan.rate ?? ""} onChange={e => updateLoan(idx, "rate", e.target.value)} style={errorBorder(inputStyle, errors.rate)} />
+                      <FieldError error={errors.rate} />
                     </div>
                     <div>
-                      <label style={{ fontSize: "10px", color: "#718096", fontWeight: 600, display: "block", marginBottom: 4, textTransform: "uppercase", letterSpacing: "0.5px" }}>Tenure (months)</label>
-                      <input type="number" value={loan.tenure} onChange={e => updateLoan(idx, "tenure", e.target.value)} style={inputStyle} />
+                      <label style={labelStyle}>{t("Original Tenure (months)")}</label>
+                      <input type="number" value={loan.tenure ?? ""} onChange={e => updateLoan(idx, "tenure", e.target.value)} style={errorBorder(inputStyle, errors.tenure)} />
+                      <FieldError error={errors.tenure} />
+                    </div>
+                  </div>
+                  )}
+                  <div onClick={() => setOpenRate(openRate === idx ? null : idx)} style={{ marginTop: 12, fontSize: "11px", color: "#a0aec0", cursor: "pointer", fontWeight: 600 }}>
+                    {openRate === idx ? "▾" : "▸"} {loan.floating ? t("Floating rate") : t("Fixed rate")}{errors.resetMonths && <span style={{ color: "#fc8181" }}> ⚠</span>}
+                    {loan.floating && <span style={{ color: "#718096", fontWeight: 400 }}> — {t("{benchmark} {level}% + {spread}% spread, resets every {months} months", {
+                      benchmark: t(BENCHMARKS.find(b => b.id === loan.benchmark)?.label ?? ""), level: loan.benchmarkRate, spread: loan.spread, months: loan.resetMonths,
+                    })}</span>}
+                  </div>
+                  {openRate === idx && (
+                    <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr 1fr 1fr", gap: 12, marginTop: 10 }}>
+                      <div>
+                        <label style={labelStyle}>{t("Rate Type")}</label>
+                        <select value={loan.floating ? "floating" : "fixed"} onChange={e => updateLoan(idx, "floating", e.target.value === "floating")} style={inputStyle}>
+                          <option value="fixed" style={{ background: "#1a1a2e" }}>{t("Fixed")}</option>
+                          <option value="floating" style={{ background: "#1a1a2e" }}>{t("Floating")}</option>
+                        </select>
+                      </div>
+                      {loan.floating && (<>
+                        <div>
+                          <label style={labelStyle}>{t("Benchmark")}</label>
+                          <select value={loan.benchmark} onChange={e => updateLoan(idx, "benchmark", e.target.value)} style={inputStyle}>
+                            {BENCHMARKS.map(b => <option key={b.id} value={b.id} style={{ background: "#1a1a2e" }}>{t(b.label)}</option>)}
+                          </select>
+                        </div>
+                        <div>
+                          <label style={labelStyle}>{t("Benchmark Now (%)")}</label>
+                          <input type="number" step="0.05" value={loan.benchmarkRate ?? ""} onChange={e => updateLoan(idx, "benchmarkRate", e.target.value)} style={inputStyle} />
+                        </div>
+                        <div>
+                          <label style={labelStyle}>{t("Spread (%)")}</label>
+                          <input type="number" step="0.05" value={loan.spread ?? ""} onChange={e => updateLoan(idx, "spread", e.target.value)} style={inputStyle} />
+                        </div>
+                        <div>
+                          <label style={labelStyle}>{t("Reset (months)")}</label>
+                          <input type="number" step="1" value={loan.resetMonths ?? ""} onChange={e => updateLoan(idx, "resetMonths", e.target.value)} style={errorBorder(inputStyle, errors.resetMonths)} />
+                          <FieldError error={errors.resetMonths} />
+                        </div>
+                      </>)}
                     </div>
+                  )}
+                  {!revolving && (
+                    <div onClick={() => setOpenRepayment(openRepayment === idx ? null : idx)} style={{ marginTop: 12, fontSize: "11px", color: "#a0aec0", cursor: "pointer", fontWeight: 600 }}>
+                      {openRepayment === idx ? "▾" : "▸"} {repaymentLabel(loan)}{["repayment", "moratoriumMonths", "stepPct", "stepMonths", "balloonPct"].some(k => errors[k]) && <span style={{ color: "#fc8181" }}> ⚠</span>}
+                      {structureOf(loan) && <span style={{ color: "#718096", fontWeight: 400 }}> — {repaymentSummary(loan)}</span>}
+                    </div>
+                  )}
+                  {!revolving && openRepayment === idx && (
+                    <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr 1fr", gap: 12, marginTop: 10 }}>
+                      <div>
+                        <label style={labelStyle}>{t("Repayment")}</label>
+                        <select value={structureOf(loan) ?? "emi"} onChange={e => updateLoan(idx, "repayment", e.target.value)} style={inputStyle}>
+                          {REPAYMENT_STRUCTURES.map(r => <option key={r.id} value={r.id} style={{ background: "#1a1a2e" }}>{t(r.label)}</option>)}
+                        </select>
+                      </div>
+                      {structureOf(loan) === "moratorium" && (<>
+                        <div>
+                          <label style={labelStyle}>{t("Moratorium (months)")}</label>
+                          <input type="number" min="0" value={loan.moratoriumMonths ?? ""} onChange={e => updateLoan(idx, "moratoriumMonths", e.target.value)} style={errorBorder(inputStyle, errors.moratoriumMonths)} />
+                          <FieldError error={errors.moratoriumMonths} />
+                        </div>
+                        <div>
+                          <label style={labelStyle}>{t("Interest During Moratorium")}</label>
+                          <select value={loan.capitalizeInterest !== false ? "capitalize" : "pay"} onChange={e => updateLoan(idx, "capitalizeInterest", e.target.value)} style={inputStyle}>
+                            <option value="capitalize" style={{ background: "#1a1a2e" }}>{t("Added to the loan")}</option>
+                            <option value="pay" style={{ background: "#1a1a2e" }}>{t("Paid monthly")}</option>
+                          </select>
+                        </div>
+                      </>)}
+                      {structureOf(loan) === "step" && (<>
+                        <div>
+                          <label style={labelStyle}>{t("EMI Change per Step (%)")}</label>
+                          <input type="number" step="1" value={loan.stepPct ?? ""} onChange={e => updateLoan(idx, "stepPct", e.target.value)} style={errorBorder(inputStyle, errors.stepPct)} />
+                          <FieldError error={errors.stepPct} />
+                        </div>
+                        <div>
+                          <label style={labelStyle}>{t("Step Every (months)")}</label>
+                          <input type="number" min="1" value={loan.stepMonths ?? ""} onChange={e => updateLoan(idx, "stepMonths", e.target.value)} style={errorBorder(inputStyle, errors.stepMonths)} />
+                          <FieldError error={errors.stepMonths} />
+                        </div>
+                      </>)}
+                      {structureOf(loan) === "balloon" && (
+                        <div>
+                          <label style={labelStyle}>{t("Balloon (% of amount)")}</label>
+                          <input type="number" step="5" value={loan.balloonPct ?? ""} onChange={e => updateLoan(idx, "balloonPct", e.target.value)} style={errorBorder(inputStyle, errors.balloonPct)} />
+                          <FieldError error={errors.balloonPct} />
+                        </div>
+                      )}
+                      {structureOf(loan) === "bullet" && (
+                        <div>
+                          <label style={labelStyle}>{t("Interest")}</label>
+                          <select value={loan.bulletInterest} onChange={e => updateLoan(idx, "bulletInterest", e.target.value)} style={inputStyle}>
+                            <option value="monthly" style={{ background: "#1a1a2e" }}>{t("Paid monthly")}</option>
+                            <option value="maturity" style={{ background: "#1a1a2e" }}>{t("Paid at maturity")}</option>
+                          </select>
+                        </div>
+                      )}
+                      <div style={{ gridColumn: "1 / -1", fontSize: "10px", color: "#718096" }}>
+                        {t("Tenure includes any moratorium. EMIs Paid counts every month since sanction, so a running loan picks up its structure where it is today.")}
+                      </div>
+                    </div>
+                  )}
+                  <div onClick={() => setOpenCosts(openCosts === idx ? null : idx)} style={{ marginTop: 12, fontSize: "11px", color: "#a0aec0", cursor: "pointer", fontWeight: 600 }}>
+                    {openCosts === idx ? "▾" : "▸"} {t("Switching costs")}{["foreclosurePct", "processingFeePct", "stampDuty", "legalCharges", "guaranteeFeePct"].some(k => errors[k]) && <span style={{ color: "#fc8181" }}> ⚠</span>}
+                    <span style={{ color: "#718096", fontWeight: 400 }}> — {t("{foreclosure}% foreclosure, {processing}% processing, {other} stamp & legal", {
+                      foreclosure: loan.foreclosurePct || 0, processing: loan.processingFeePct || 0, other: formatINR((loan.stampDuty || 0) + (loan.legalCharges || 0)),
+                    })}{loan.guaranteeFeePct > 0 && t(", {fee}% a year guarantee fee", { fee: loan.guaranteeFeePct })}</span>
                   </div>
+                  {openCosts === idx && (
+                    <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr 1fr", gap: 12, marginTop: 10 }}>
+                      <div>
+                        <label style={labelStyle}>{t("Foreclosure / Prepay (%)")}</label>
+                        <input type="number" step="0.25" value={loan.foreclosurePct ?? ""} onChange={e => updateLoan(idx, "foreclosurePct", e.target.value)} style={errorBorder(inputStyle, errors.foreclosurePct)} />
+                        <FieldError error={errors.foreclosurePct} />
+                      </div>
+                      <div>
+                        <label style={labelStyle}>{t("Processing Fee (%)")}</label>
+                        <input type="number" step="0.25" value={loan.processingFeePct ?? ""} onChange={e => updateLoan(idx, "processingFeePct", e.target.value)} style={errorBorder(inputStyle, errors.processingFeePct)} />
+                        <FieldError error={errors.processingFeePct} />
+                      </div>
+                      <div>
+                        <label style={labelStyle}>{t("Stamp Duty (₹)")}</label>
+                        <input type="number" value={loan.stampDuty ?? ""} onChange={e => updateLoan(idx, "stampDuty", e.target.value)} style={errorBorder(inputStyle, errors.stampDuty)} />
+                        <FieldError error={errors.stampDuty} />
+                      </div>
+                      <div>
+                        <label style={labelStyle}>{t("Legal & Valuation (₹)")}</label>
+                        <input type="number" value={loan.legalCharges ?? ""} onChange={e => updateLoan(idx, "legalCharges", e.target.value)} style={errorBorder(inputStyle, errors.legalCharges)} />
+                        <FieldError error={errors.legalCharges} />
+                      </div>
+                      <div>
+                        <label style={labelStyle}>{t("Guarantee Fee (% a year)")}</label>
+                        <input type="number" step="0.05" value={loan.guaranteeFeePct ?? ""} onChange={e => updateLoan(idx, "guaranteeFeePct", e.target.value)} style={errorBorder(inputStyle, errors.guaranteeFeePct)} />
+                        <FieldError error={errors.guaranteeFeePct} />
+                      </div>
+                      <div style={{ gridColumn: "1 / -1", fontSize: "10px", color: "#718096" }}>
+                        {t("GST @ {rate}% is added to foreclosure, processing and legal charges. Penalties apply to the amount closed or prepaid; fees to the amount moved to a new lender.", { rate: GST_RATE })}
+                        {" "}{t("A guarantee fee (CGTMSE and similar) is paid each year on the outstanding and ends when the loan moves to a new lender.")}
+                      </div>
+                    </div>
+                  )}
                 </div>
               );
             })}
 
             <div style={{ display: "flex", flexWrap: "wrap", gap: 8, marginTop: 16, marginBottom: 28 }}>
-              {LOAN_TYPES.filter(lt => !loans.find(l => l.type === lt.id)).map(lt => (
+              {loanTypes().filter(lt => !loans.find(l => l.type === lt.id)).map(lt => (
                 <button key={lt.id} onClick={() => addLoan(lt.id)} style={{
                   background: "rgba(255,255,255,0.04)", border: "1.5px dashed rgba(255,255,255,0.15)",
                   color: "#a0aec0", padding: "8px 16px", borderRadius: "10px", cursor: "pointer",
                   fontSize: "12px", fontWeight: 600, fontFamily: "'DM Sans', sans-serif",
                   display: "flex", alignItems: "center", gap: 6, transition: "all 0.2s",
                 }}>
-                  <span style={{ fontSize: "14px" }}>{lt.icon}</span> + {lt.label}
+                  <span style={{ fontSize: "14px" }}>{lt.icon}</span> + {t(lt.label)}
                 </button>
               ))}
             </div>
 
+            <LoanTypeRegistry types={customTypes} onChange={setCustomTypes} inUse={loans.map(l => l.type)} error={loanTypeError} />
+
+            <div style={{ fontSize: "11px", fontWeight: 600, color: "#a0aec0", textTransform: "uppercase", letterSpacing: "1px", marginBottom: 12 }}>
+              {t("Prepayment Budget")}
+            </div>
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12, marginBottom: 24 }}>
+              <div>
+                <label style={labelStyle}>{t("Monthly surplus available (₹)")}</label>
+                <input type="number" step="5000" value={assumptions.monthlySurplus ?? ""} onChange={e => updateAssumption("monthlySurplus", e.target.value)} style={errorBorder(inputStyle, assumptionErrs.monthlySurplus)} />
+                <FieldError error={assumptionErrs.monthlySurplus} />
+              </div>
+              <div>
+                <label style={labelStyle}>{t("Lump sum available now (₹)")}</label>
+                <input type="number" step="50000" value={assumptions.lumpSum ?? ""} onChange={e => updateAssumption("lumpSum", e.target.value)} style={errorBorder(inputStyle, assumptionErrs.lumpSum)} />
+                <FieldError error={assumptionErrs.lumpSum} />
+              </div>
+            </div>
+
+            <LenderOffers offers={offers} onChange={setOffers} types={[...new Set(loans.map(l => l.type))]} errors={offerErrs} />
+
+            {loans.length > 0 && <ScenarioBuilder scenarios={customScenarios} onChange={setCustomScenarios} loans={loans} offers={quotedOffers} />}
+
+            <div style={{ fontSize: "11px", fontWeight: 600, color: "#a0aec0", textTransform: "uppercase", letterSpacing: "1px", marginBottom: 12 }}>
+              {t("Business Cash Flow")}
+            </div>
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr 1fr", gap: 12, marginBottom: 24 }}>
+              <div>
+                <label style={labelStyle}>{t("Monthly revenue (₹)")}</label>
+                <input type="number" step="50000" value={cashFlow.revenue ?? ""} onChange={e => updateCashFlow("revenue", e.target.value)} style={errorBorder(inputStyle, cashErrs.revenue)} />
+                <FieldError error={cashErrs.revenue} />
+              </div>
+              <div>
+                <label style={labelStyle}>{t("Cash flow basis")}</label>
+                <select value={cashFlow.basis} onChange={e => updateCashFlow("basis", e.target.value)} style={inputStyle}>
+                  {Object.entries(CASH_FLOW_BASES).map(([id, label]) => <option key={id} value={id} style={{ background: "#1a1a2e" }}>{t(label)}</option>)}
+                </select>
+              </div>
+              <div>
+                <label style={labelStyle}>{t("Monthly {basis} (₹)", { basis: t(CASH_FLOW_BASES[cashFlow.basis]) })}</label>
+                <input type="number" step="10000" value={cashFlow.cash ?? ""} onChange={e => updateCashFlow("cash", e.target.value)} style={errorBorder(inputStyle, cashErrs.cash)} />
+                <FieldError error={cashErrs.cash} />
+              </div>
+              <div>
+                <label style={labelStyle}>{t("Other monthly obligations (₹)")}</label>
+                <input type="number" step="5000" value={cashFlow.obligations ?? ""} onChange={e => updateCashFlow("obligations", e.target.value)} style={errorBorder(inputStyle, cashErrs.obligations)} />
+                <FieldError error={cashErrs.obligations} />
+              </div>
+            </div>
+
             {loans.length > 0 && (
               <div style={{
                 background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.08)",
@@ -796,9 +2622,9 @@ export default function App() {
                 display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 16,
               }}>
                 {[
-                  { label: "Total Principal", value: formatINR(totalPrincipal), color: "#63b3ed" },
-                  { label: "Total Interest", value: formatINR(totalInterest), color: "#fc8181" },
-                  { label: "Monthly EMI", value: formatINRFull(totalEMI), color: "#f6ad55" },
+                  { label: t("Total Outstanding"), value: formatINR(totalPrincipal), color: "#63b3ed" },
+                  { label: t("Interest Ahead"), value: formatINR(totalInterest), color: "#fc8181" },
+                  { label: t("Monthly EMI"), value: formatINRFull(totalEMI), color: "#f6ad55" },
                 ].map((m, i) => (
                   <div key={i} style={{ textAlign: "center" }}>
                     <div style={{ fontSize: "10px", color: "#718096", fontWeight: 600, textTransform: "uppercase", letterSpacing: "1px", marginBottom: 4 }}>{m.label}</div>
@@ -808,16 +2634,33 @@ export default function App() {
               </div>
             )}
 
-            <button onClick={runAnalysis} disabled={loans.length === 0} style={{
+            {inputProblems.length > 0 && (
+              <div style={{ background: "rgba(229,62,62,0.08)", border: "1px solid rgba(229,62,62,0.3)", borderRadius: "12px", padding: "14px 18px", marginBottom: 12 }}>
+                <div style={{ fontSize: "12px", fontWeight: 700, color: "#fc8181", marginBottom: 6 }}>
+                  {t(inputProblems.length > 1 ? "Fix {count} problems before analysing" : "Fix {count} problem before analysing", { count: inputProblems.length })}
+                </div>
+                <ul style={{ margin: 0, paddingLeft: 18, fontSize: "12px", color: "#fed7d7", lineHeight: 1.6 }}>
+                  {inputProblems.map((w, i) => <li key={i}>{warningText(w)}</li>)}
+                </ul>
+              </div>
+            )}
+
+            {loans.length > 0 && inputProblems.length === 0 && !leftToRestructure && (
+              <div style={{ fontSize: "12px", color: "#fc8181", marginBottom: 12 }}>
+                {t("Every loan is already repaid — nothing left to restructure")}
+              </div>
+            )}
+
+            <button onClick={runAnalysis} disabled={!canAnalyze} style={{
               width: "100%", padding: "16px",
-              background: loans.length > 0 ? "linear-gradient(135deg, #f6ad55, #ed8936)" : "#4a5568",
-              border: "none", borderRadius: "12px", cursor: loans.length > 0 ? "pointer" : "not-allowed",
+              background: canAnalyze ? "linear-gradient(135deg, #f6ad55, #ed8936)" : "#4a5568",
+              border: "none", borderRadius: "12px", cursor: canAnalyze ? "pointer" : "not-allowed",
               fontSize: "15px", fontWeight: 700, color: "#1a1a2e",
               fontFamily: "'DM Sans', sans-serif", letterSpacing: "0.3px",
-              boxShadow: loans.length > 0 ? "0 8px 30px rgba(246,173,85,0.3)" : "none",
+              boxShadow: canAnalyze ? "0 8px 30px rgba(246,173,85,0.3)" : "none",
               transition: "all 0.3s",
             }}>
-              {loans.length > 0 ? `🔍 Analyze ${loans.length} Loan${loans.length > 1 ? "s" : ""} — Find Savings` : "Add at least one loan to begin"}
+              {loans.length > 0 ? `🔍 ${t(loans.length > 1 ? "Analyze {count} Loans — Find Savings" : "Analyze {count} Loan — Find Savings", { count: loans.length })}` : t("Add at least one loan to begin")}
             </button>
           </div>
         )}
@@ -826,19 +2669,52 @@ export default function App() {
         {step === "results" && (
           <div style={{ opacity: animateIn ? 1 : 0, transform: animateIn ? "translateY(0)" : "translateY(20px)", transition: "all 0.6s ease" }}>
 
+            <div style={{ display: "flex", justifyContent: "flex-end", alignItems: "center", gap: 6, marginBottom: 12 }}>
+              <span style={{ fontSize: "10px", color: "#718096", textTransform: "uppercase", letterSpacing: "0.5px" }}>{t("Figures")}</span>
+              {[[false, t("Gross")], [true, t("Post-tax @ {rate}%", { rate: effectiveTaxRate(taxProfile).toFixed(1) })]].map(([on, label]) => (
+                <button key={label} onClick={() => setPostTax(on)} style={{
+                  background: postTax === on ? "rgba(99,179,237,0.2)" : "rgba(255,255,255,0.04)",
+                  border: `1px solid ${postTax === on ? "rgba(99,179,237,0.4)" : "rgba(255,255,255,0.1)"}`,
+                  color: postTax === on ? "#63b3ed" : "#a0aec0", padding: "4px 10px", borderRadius: "6px",
+                  cursor: "pointer", fontSize: "11px", fontWeight: 600, fontFamily: "'DM Sans', sans-serif",
+                }}>{label}</button>
+              ))}
+            </div>
+
+            {results[0]?.warnings.length > 0 && (
+              <div style={{ background: "rgba(246,173,85,0.08)", border: "1px solid rgba(246,173,85,0.3)", borderRadius: "12px", padding: "12px 18px", marginBottom: 16 }}>
+                <div style={{ fontSize: "12px", fontWeight: 700, color: "#f6ad55", marginBottom: 4 }}>{t("Left Out of This Analysis")}</div>
+                <ul style={{ margin: 0, paddingLeft: 18, fontSize: "12px", color: "#e2e8f0", lineHeight: 1.6 }}>
+                  {results[0].warnings.map((w, i) => <li key={i}>{warningText(w)}</li>)}
+                </ul>
+              </div>
+            )}
+
             {activeResult && (
               <div style={{
                 background: "linear-gradient(135deg, rgba(56,161,105,0.15), rgba(49,130,206,0.1))",
                 border: "1.5px solid rgba(56,161,105,0.3)", borderRadius: "16px", padding: "24px", marginBottom: 20, textAlign: "center",
               }}>
                 <div style={{ fontSize: "11px", color: "#68d391", textTransform: "uppercase", letterSpacing: "2px", fontWeight: 700, marginBottom: 8 }}>
-                  Maximum Potential Savings
+                  {postTax ? t("Net Savings After Switching Costs & Tax") : t("Net Savings After Switching Costs")}
                 </div>
-                <div style={{ fontSize: "42px", fontWeight: 900, color: "#68d391", fontFamily: "'Playfair Display', serif", lineHeight: 1 }}>
-                  {formatINRFull(activeResult.savings)}
+                <div style={{ fontSize: "42px", fontWeight: 900, color: activeResult.netSavings >= 0 ? "#68d391" : "#fc8181", fontFamily: "'Playfair Display', serif", lineHeight: 1 }}>
+                  {formatINRFull(activeResult.netSavings)}
                 </div>
+                {activeResult.costs.total > 0 && (
+                  <div style={{ fontSize: "12px", color: "#a0aec0", marginTop: 8 }}>
+                    {activeResult.savings >= 0
+                      ? t("{saved} interest saved − {costs} foreclosure, fees, GST, stamp duty & legal", { saved: formatINRFull(activeResult.savings), costs: formatINRFull(activeResult.costs.total) })
+                      : t("{extra} more interest + {costs} foreclosure, fees, GST, stamp duty & legal", { extra: formatINRFull(-activeResult.savings), costs: formatINRFull(activeResult.costs.total) })}
+                    {" • "}{activeResult.breakEvenMonth ? t("break-even in month {month}", { month: activeResult.breakEvenMonth }) : t("costs not recovered")}
+                  </div>
+                )}
                 <div style={{ fontSize: "13px", color: "#a0aec0", marginTop: 8 }}>
-                  on total interest of {formatINRFull(activeResult.currentTotalInterest)} across {formatINR(activeResult.totalPrincipal)} in loans
+                  {t("on remaining interest of {interest} across {outstanding} outstanding", { interest: formatINRFull(activeResult.currentTotalInterest), outstanding: formatINR(activeResult.totalPrincipal) })}
+                </div>
+                <div style={{ fontSize: "12px", color: "#a0aec0", marginTop: 8 }}>
+                  {t("Discounted at {rate}%: {amount} saved in today's money", { rate: assumptions.discountRate, amount: formatINRFull(activeResult.discountedSavings) })}
+                  {activeResult.effectiveCost !== null && activeResult.currentEffectiveCost !== null && ` • ${t("effective cost {from}% → {to}% p.a. incl. fees", { from: activeResult.currentEffectiveCost.toFixed(2), to: activeResult.effectiveCost.toFixed(2) })}`}
                 </div>
               </div>
             )}
@@ -849,12 +2725,12 @@ export default function App() {
                 borderRadius: "14px", padding: "20px",
               }}>
                 <div style={{ fontSize: "11px", color: "#718096", fontWeight: 600, textTransform: "uppercase", letterSpacing: "1px", marginBottom: 16, textAlign: "center" }}>
-                  Interest Comparison
+                  {t("Interest Comparison")}
                 </div>
                 {activeResult && (
                   <BarChart height={180} data={[
-                    { label: "Current Interest", value: activeResult.currentTotalInterest, color: "linear-gradient(180deg, #fc8181, #e53e3e)" },
-                    { label: "After Restructure", value: activeResult.newInterest, color: "linear-gradient(180deg, #68d391, #38a169)" },
+                    { label: t("Current Interest"), value: activeResult.currentTotalInterest, color: "linear-gradient(180deg, #fc8181, #e53e3e)" },
+                    { label: t("After Restructure"), value: activeResult.newInterest, color: "linear-gradient(180deg, #68d391, #38a169)" },
                   ]} />
                 )}
               </div>
@@ -863,27 +2739,74 @@ export default function App() {
                 borderRadius: "14px", padding: "20px", display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "center",
               }}>
                 <div style={{ fontSize: "11px", color: "#718096", fontWeight: 600, textTransform: "uppercase", letterSpacing: "1px", marginBottom: 12 }}>
-                  Savings Rate
+                  {t("Savings Rate")}
                 </div>
                 {activeResult && <DonutChart current={activeResult.currentTotalInterest} saved={activeResult.savings} />}
                 {activeResult && (
                   <div style={{ marginTop: 8, fontSize: "12px", color: "#a0aec0", textAlign: "center" }}>
-                    EMI: {formatINRFull(activeResult.currentMonthlyEMI)} → {formatINRFull(activeResult.newEMI)}
+                    {t("EMI")}: {formatINRFull(activeResult.currentMonthlyEMI)} → {formatINRFull(activeResult.newEMI)}
                   </div>
                 )}
               </div>
             </div>
 
-            <div style={{ fontSize: "11px", color: "#a0aec0", fontWeight: 600, textTransform: "uppercase", letterSpacing: "1px", marginBottom: 12 }}>
-              Restructuring Strategies
+            <div style={{
+              background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.08)",
+              borderRadius: "14px", padding: "14px 20px", marginBottom: 20,
+            }}>
+              <div onClick={() => setShowAssumptions(!showAssumptions)} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", cursor: "pointer" }}>
+                <span style={{ fontSize: "11px", color: "#a0aec0", fontWeight: 600, textTransform: "uppercase", letterSpacing: "1px" }}>
+                  {t("Assumptions")} {ASSUMPTION_FIELDS.some(f => assumptions[f.key] !== DEFAULT_ASSUMPTIONS[f.key]) && <span style={{ color: "#f6ad55" }}>• {t("adjusted")}</span>}
+                </span>
+                <span style={{ color: "#718096", fontSize: "18px", transition: "transform 0.3s", transform: showAssumptions ? "rotate(45deg)" : "rotate(0)" }}>+</span>
+              </div>
+              {showAssumptions && (
+                <div style={{ marginTop: 14 }}>
+                  <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 }}>
+                    {ASSUMPTION_FIELDS.map(f => (
+                      <div key={f.key}>
+                        <label style={labelStyle}>{t(f.label)} ({t(f.unit)})</label>
+                        <input type={f.type || "number"} step={f.step} value={assumptions[f.key] ?? ""} onChange={e => updateAssumption(f.key, e.target.value)}
+                          style={errorBorder({ ...inputStyle, borderColor: assumptions[f.key] !== DEFAULT_ASSUMPTIONS[f.key] ? "rgba(246,173,85,0.5)" : "rgba(255,255,255,0.1)" }, assumptionErrs[f.key])} />
+                        <FieldError error={assumptionErrs[f.key]} />
+                      </div>
+                    ))}
+                  </div>
+                  <button onClick={() => setAssumptions(DEFAULT_ASSUMPTIONS)} style={{
+                    marginTop: 12, background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.12)",
+                    color: "#a0aec0", padding: "8px 16px", borderRadius: "8px", cursor: "pointer",
+                    fontSize: "12px", fontWeight: 600, fontFamily: "'DM Sans', sans-serif",
+                  }}>{t("Reset to defaults")}</button>
+                </div>
+              )}
+            </div>
+
+            <WhatIfPanel loans={loans} assumptions={assumptions} stamp={analysis}
+              onChange={next => { setLoans(next.loans); setAssumptions(next.assumptions); }}
+              onSensitivity={runSensitivity} />
+
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 12 }}>
+              <div style={{ fontSize: "11px", color: "#a0aec0", fontWeight: 600, textTransform: "uppercase", letterSpacing: "1px" }}>
+                {t("Restructuring Strategies")}
+              </div>
+              <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                <span style={{ fontSize: "10px", color: "#718096", textTransform: "uppercase", letterSpacing: "0.5px" }}>{t("Rank by")}</span>
+                {Object.entries(RANKINGS).map(([id, label]) => (
+                  <button key={id} onClick={() => updateAssumption("rankBy", id)} style={{
+                    background: assumptions.rankBy === id ? "rgba(56,161,105,0.2)" : "rgba(255,255,255,0.04)",
+                    border: `1px solid ${assumptions.rankBy === id ? "rgba(56,161,105,0.4)" : "rgba(255,255,255,0.1)"}`,
+                    color: assumptions.rankBy === id ? "#68d391" : "#a0aec0", padding: "4px 10px", borderRadius: "6px",
+                    cursor: "pointer", fontSize: "11px", fontWeight: 600, fontFamily: "'DM Sans', sans-serif",
+                  }}>{t(label)}</button>
+                ))}
+              </div>
             </div>
 
-            {results.sort((a, b) => b.savings - a.savings).map((r, i) => {
-              const strat = RESTRUCTURE_STRATEGIES.find(s => s.id === r.strategyId);
+            {rankResults(shownResults, assumptions.rankBy).map((r, i) => {
               const isActive = selectedStrategy === r.strategyId;
               const isBest = i === 0;
               return (
-                <div key={r.strategyId} onClick={() => setSelectedStrategy(r.strategyId)} style={{
+                <div key={r.strategyId} title={strategyDescription(r.strategyId)} onClick={() => setSelectedStrategy(r.strategyId)} style={{
                   background: isActive ? "rgba(56,161,105,0.1)" : "rgba(255,255,255,0.03)",
                   border: `1.5px solid ${isActive ? "rgba(56,161,105,0.4)" : "rgba(255,255,255,0.06)"}`,
                   borderRadius: "12px", padding: "16px 20px", marginBottom: 8,
@@ -895,47 +2818,304 @@ export default function App() {
                       {isBest && <span style={{
                         background: "#f6ad55", color: "#1a1a2e", fontSize: "9px", fontWeight: 800,
                         padding: "2px 8px", borderRadius: "20px", textTransform: "uppercase", letterSpacing: "0.5px",
-                      }}>Best</span>}
+                      }}>{t("Best")}</span>}
+                      {isCustomScenario(r.strategyId) && <span style={{
+                        background: "rgba(99,179,237,0.15)", color: "#63b3ed", fontSize: "9px", fontWeight: 800,
+                        padding: "2px 8px", borderRadius: "20px", textTransform: "uppercase", letterSpacing: "0.5px",
+                      }}>{t("Custom")}</span>}
                       <span style={{ fontWeight: 700, fontSize: "14px", color: isActive ? "#68d391" : "#e2e8f0" }}>
-                        {strat?.label}
+                        {strategyLabel(r.strategyId)}
                       </span>
                     </div>
                     <div style={{ fontSize: "11px", color: "#718096", lineHeight: 1.5 }}>{r.details}</div>
                   </div>
                   <div style={{ textAlign: "right", marginLeft: 16, minWidth: 100 }}>
-                    <div style={{ fontSize: "18px", fontWeight: 800, color: "#68d391", fontFamily: "'DM Mono', monospace" }}>
-                      {formatINR(r.savings)}
+                    <div style={{ fontSize: "18px", fontWeight: 800, color: r.netSavings >= 0 ? "#68d391" : "#fc8181", fontFamily: "'DM Mono', monospace" }}>
+                      {formatINR(r.netSavings)}
+                    </div>
+                    <div style={{ fontSize: "10px", color: "#718096" }}>{t("net saved ({percent}% gross)", { percent: r.savingsPercent.toFixed(0) })}</div>
+                    {r.costs.total > 0 && (
+                      <div style={{ fontSize: "10px", color: "#718096" }}>
+                        {t("after {costs} costs", { costs: formatINR(r.costs.total) })} • {r.breakEvenMonth ? t("break-even {month} mo", { month: r.breakEvenMonth }) : t("no break-even")}
+                      </div>
+                    )}
+                    <div style={{ fontSize: "10px", color: assumptions.rankBy === "npv" ? "#e2e8f0" : "#718096" }}>
+                      {t("NPV {amount} @ {rate}%", { amount: formatINR(r.discountedSavings), rate: assumptions.discountRate })}{r.effectiveCost !== null ? ` • ${t("costs {rate}% p.a.", { rate: r.effectiveCost.toFixed(2) })}` : ""}
                     </div>
-                    <div style={{ fontSize: "10px", color: "#718096" }}>saved ({r.savingsPercent.toFixed(0)}%)</div>
+                    {(() => {
+                      const { before, after, warnings } = affordability(r, cashFlow, assumptions);
+                      if (after.dscr === null) return null;
+                      return (
+                        <div style={{ fontSize: "10px", color: warnings.length ? "#fc8181" : "#718096" }}>
+                          {warnings.length ? "⚠ " : ""}DSCR {localDigits(before.dscr.toFixed(2))} → {localDigits(after.dscr.toFixed(2))}
+                        </div>
+                      );
+                    })()}
+                    {scenarioRuns.length > 1 && (() => {
+                      const band = rateBand(scenarioRuns, r.strategyId, baseScenario, bandValue);
+                      return (
+                        <div style={{ fontSize: "10px", color: band.worst < 0 ? "#f6ad55" : "#718096" }}>
+                          {t("rates: {worst} worst … {best} best", { worst: formatINR(band.worst), best: formatINR(band.best) })}
+                        </div>
+                      );
+                    })()}
                   </div>
                 </div>
               );
             })}
 
-            <div style={{ display: "flex", gap: 12, marginTop: 24 }}>
-              <button onClick={downloadReport} style={{
+            {activeResult && (() => {
+              const { before, after, warnings } = affordability(activeResult, cashFlow, assumptions);
+              const rows = [
+                [t("Debt service / month (year one)"), formatINRFull(before.debtService), formatINRFull(after.debtService), null],
+                [t("DSCR on {basis}", { basis: t(CASH_FLOW_BASES[cashFlow.basis]) }), before.dscr !== null ? localDigits(before.dscr.toFixed(2)) : "—", after.dscr !== null ? localDigits(after.dscr.toFixed(2)) : "—", after.dscr !== null && after.dscr < assumptions.minDSCR],
+                [t("Debt service to revenue"), before.emiToIncome !== null ? `${localDigits(before.emiToIncome.toFixed(1))}%` : "—", after.emiToIncome !== null ? `${localDigits(after.emiToIncome.toFixed(1))}%` : "—", after.emiToIncome !== null && after.emiToIncome > assumptions.maxEmiToIncome],
+              ];
+              return (
+                <div style={{
+                  background: "rgba(255,255,255,0.04)", border: `1px solid ${warnings.length ? "rgba(252,129,129,0.4)" : "rgba(255,255,255,0.08)"}`,
+                  borderRadius: "14px", padding: "20px", marginTop: 20,
+                }}>
+                  <div style={{ fontSize: "11px", color: "#a0aec0", fontWeight: 600, textTransform: "uppercase", letterSpacing: "1px", marginBottom: 12 }}>
+                    {t("Debt Service Coverage")} — {strategyLabel(activeResult.strategyId)}
+                  </div>
+                  <div style={{ display: "grid", gridTemplateColumns: "1.6fr 1fr 1fr", gap: 8, fontSize: "12px" }}>
+                    <span style={labelStyle} />
+                    <span style={{ ...labelStyle, textAlign: "right" }}>{t("Current")}</span>
+                    <span style={{ ...labelStyle, textAlign: "right" }}>{t("After")}</span>
+                    {rows.map(([label, was, now, breach]) => (
+                      <div key={label} style={{ display: "contents" }}>
+                        <span style={{ color: "#cbd5e0" }}>{label}</span>
+                        <span style={{ textAlign: "right", color: "#a0aec0", fontFamily: "'DM Mono', monospace" }}>{was}</span>
+                        <span style={{ textAlign: "right", color: breach ? "#fc8181" : "#68d391", fontFamily: "'DM Mono', monospace", fontWeight: 700 }}>{now}</span>
+                      </div>
+                    ))}
+                  </div>
+                  <div style={{ fontSize: "11px", color: warnings.length ? "#fc8181" : "#a0aec0", marginTop: 12, lineHeight: 1.6 }}>
+                    {warnings.length
+                      ? `⚠ ${t("Lenders are likely to push back: {warnings}.", { warnings: warnings.join("; ") })}`
+                      : after.dscr === null && after.emiToIncome === null
+                        ? t("Enter monthly revenue and cash flow under Edit Loans to check affordability.")
+                        : t("Within lender thresholds: DSCR at least {dscr} and debt service at most {ratio}% of revenue.", { dscr: assumptions.minDSCR, ratio: assumptions.maxEmiToIncome })}
+                    {" "}{t("Other obligations of {amount}/month are counted with debt service.", { amount: formatINRFull(cashFlow.obligations) })}
+                  </div>
+                </div>
+              );
+            })()}
+
+            {activeResult && (
+              <div style={{
+                background: "rgba(255,255,255,0.04)", border: "1px solid rgba(255,255,255,0.08)",
+                borderRadius: "14px", padding: "20px", marginTop: 20,
+              }}>
+                <div style={{ fontSize: "11px", color: "#a0aec0", fontWeight: 600, textTransform: "uppercase", letterSpacing: "1px", marginBottom: 12 }}>
+                  {t("Cash-Flow Profile")} — {strategyLabel(activeResult.strategyId)}
+                </div>
+                <OutgoProfile result={activeResult} />
+                <div style={{ fontSize: "11px", color: "#a0aec0", marginTop: 10, lineHeight: 1.6 }}>
+                  {t("Average monthly payment in each year, prepayments and final balloon or bullet payments included.")}
+                </div>
+              </div>
+            )}
+
+            {scenarioRuns.length > 0 && ratesMatter && (
+              <div style={{
+                background: "rgba(255,255,255,0.04)", border: "1px solid rgba(255,255,255,0.08)",
+                borderRadius: "14px", padding: "20px", marginTop: 20,
+              }}>
+                <div style={{ fontSize: "11px", color: "#a0aec0", fontWeight: 600, textTransform: "uppercase", letterSpacing: "1px", marginBottom: 12 }}>
+                  {t("Rate Stress Test — Benchmark Scenarios")}
+                </div>
+                <div style={{ display: "grid", gridTemplateColumns: "60px 1.4fr repeat(5, 1fr) 30px", gap: 8, alignItems: "center", marginBottom: 12 }}>
+                  <span style={labelStyle}>{t("Base")}</span>
+                  <span style={labelStyle}>{t("Scenario")}</span>
+                  {[1, 2, 3, 4, 5].map(y => <span key={y} style={labelStyle}>{t("Yr {year} (bps)", { year: y })}</span>)}
+                  <span />
+                  {rateScenarios.map(sc => (
+                    <div key={sc.id} style={{ display: "contents" }}>
+                      <input type="radio" checked={baseScenario === sc.id} onChange={() => setBaseScenario(sc.id)} style={{ accentColor: "#68d391" }} />
+                      <input value={sc.label} onChange={e => updateScenario(sc.id, "label", e.target.value)} style={{ ...inputStyle, padding: "6px 8px", fontSize: "12px" }} />
+                      {sc.path.map((bps, y) => (
+                        <input key={y} type="number" step="25" value={bps} onChange={e => updateScenarioYear(sc.id, y, e.target.value)} style={{ ...inputStyle, padding: "6px 8px", fontSize: "12px" }} />
+                      ))}
+                      {baseScenario !== sc.id ? (
+                        <button onClick={() => removeScenario(sc.id)} style={{
+                          background: "none", border: "none", color: "#fc8181", cursor: "pointer", fontSize: "16px",
+                        }}>×</button>
+                      ) : <span />}
+                    </div>
+                  ))}
+                </div>
+                <button onClick={addScenario} style={{
+                  background: "rgba(255,255,255,0.04)", border: "1.5px dashed rgba(255,255,255,0.15)",
+                  color: "#a0aec0", padding: "6px 14px", borderRadius: "8px", cursor: "pointer", marginBottom: 16,
+                  fontSize: "12px", fontWeight: 600, fontFamily: "'DM Sans', sans-serif",
+                }}>+ {t("Add scenario")}</button>
+                <RateBandTable runs={scenarioRuns} baseId={baseScenario} value={bandValue} />
+                <div style={{ fontSize: "11px", color: "#a0aec0", marginTop: 10, lineHeight: 1.6 }}>
+                  {postTax ? t("{measure} after tax under each path.", { measure: t(RANKINGS[assumptions.rankBy]) }) : t("{measure} under each path.", { measure: t(RANKINGS[assumptions.rankBy]) })}
+                  {" "}{t("Floating loans pick up the change at their next reset and re-price the EMI over the remaining tenure")}
+                  {assumptions.newLoanReset > 0 ? t("; refinanced loans float with a {months}-month reset", { months: assumptions.newLoanReset }) : t("; refinanced loans are fixed")}.
+                </div>
+              </div>
+            )}
+
+            {activeResult?.prepayment && (
+              <div style={{
+                background: "rgba(255,255,255,0.04)", border: "1px solid rgba(255,255,255,0.08)",
+                borderRadius: "14px", padding: "20px", marginTop: 20,
+              }}>
+                <div style={{ fontSize: "11px", color: "#a0aec0", fontWeight: 600, textTransform: "uppercase", letterSpacing: "1px", marginBottom: 12 }}>
+                  {t("Prepayment Plan — Avalanche vs Snowball")}
+                </div>
+                <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12, marginBottom: 16 }}>
+                  <div>
+                    <label style={labelStyle}>{t("Monthly Surplus (₹)")}</label>
+                    <input type="number" step="5000" value={assumptions.monthlySurplus ?? ""} onChange={e => updateAssumption("monthlySurplus", e.target.value)} style={errorBorder(inputStyle, assumptionErrs.monthlySurplus)} />
+                    <FieldError error={assumptionErrs.monthlySurplus} />
+                  </div>
+                  <div>
+                    <label style={labelStyle}>{t("Lump Sum Now (₹)")}</label>
+                    <input type="number" step="50000" value={assumptions.lumpSum ?? ""} onChange={e => updateAssumption("lumpSum", e.target.value)} style={errorBorder(inputStyle, assumptionErrs.lumpSum)} />
+                    <FieldError error={assumptionErrs.lumpSum} />
+                  </div>
+                </div>
+                <PrepaymentComparison prepayment={activeResult.prepayment} currentInterest={activeResult.currentTotalInterest} />
+              </div>
+            )}
+
+            {activeResult?.optimizer && (
+              <div style={{
+                background: "rgba(255,255,255,0.04)", border: "1px solid rgba(255,255,255,0.08)",
+                borderRadius: "14px", padding: "20px", marginTop: 20,
+              }}>
+                <div style={{ fontSize: "11px", color: "#a0aec0", fontWeight: 600, textTransform: "uppercase", letterSpacing: "1px", marginBottom: 12 }}>
+                  {t("Hybrid Plan — Action Per Loan")}
+                </div>
+                <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 12, marginBottom: 16 }}>
+                  <div>
+                    <label style={labelStyle}>{t("Max Monthly EMI (₹, 0 = no cap)")}</label>
+                    <input type="number" step="5000" value={assumptions.maxMonthlyEMI ?? ""} onChange={e => updateAssumption("maxMonthlyEMI", e.target.value)} style={errorBorder(inputStyle, assumptionErrs.maxMonthlyEMI)} />
+                    <FieldError error={assumptionErrs.maxMonthlyEMI} />
+                  </div>
+                  <div>
+                    <label style={labelStyle}>{t("Max Lenders (0 = no limit)")}</label>
+                    <input type="number" value={assumptions.maxLenders ?? ""} onChange={e => updateAssumption("maxLenders", e.target.value)} style={errorBorder(inputStyle, assumptionErrs.maxLenders)} />
+                    <FieldError error={assumptionErrs.maxLenders} />
+                  </div>
+                  <div>
+                    <label style={labelStyle}>{t("Close Term Debt By")}</label>
+                    <input type="month" value={assumptions.targetClosure} min={currentMonth()} onChange={e => updateAssumption("targetClosure", e.target.value)} style={inputStyle} />
+                  </div>
+                </div>
+                <HybridActionTable optimizer={activeResult.optimizer} assumptions={assumptions} />
+              </div>
+            )}
+
+            {results.length > 1 && (
+              <div style={{
+                background: "rgba(255,255,255,0.04)", border: "1px solid rgba(255,255,255,0.08)",
+                borderRadius: "14px", padding: "20px", marginTop: 20,
+              }}>
+                <div style={{ fontSize: "11px", color: "#a0aec0", fontWeight: 600, textTransform: "uppercase", letterSpacing: "1px", marginBottom: 12 }}>
+                  {t("Side by Side — Loan by Loan")}
+                </div>
+                <ScenarioDiff results={results} rankBy={assumptions.rankBy} />
+              </div>
+            )}
+
+            {activeResult && (
+              <div style={{
+                background: "rgba(255,255,255,0.04)", border: "1px solid rgba(255,255,255,0.08)",
+                borderRadius: "14px", padding: "20px", marginTop: 20,
+              }}>
+                <div style={{ fontSize: "11px", color: "#a0aec0", fontWeight: 600, textTransform: "uppercase", letterSpacing: "1px", marginBottom: 12 }}>
+                  {t("Over Time")}
+                </div>
+                <TimeChart chart={balanceChart(rankResults(shownResults, assumptions.rankBy), activeResult.strategyId)} />
+                <TimeChart chart={emiChart(activeResult)} />
+                <TimeChart chart={interestChart(activeResult)} />
+              </div>
+            )}
+
+            {offerComparison && (
+              <div style={{
+                background: "rgba(255,255,255,0.04)", border: "1px solid rgba(255,255,255,0.08)",
+                borderRadius: "14px", padding: "20px", marginTop: 20,
+              }}>
+                <div style={{ fontSize: "11px", color: "#a0aec0", fontWeight: 600, textTransform: "uppercase", letterSpacing: "1px", marginBottom: 12 }}>
+                  {t("Lender Offer Comparison")}
+                </div>
+                <OfferComparison comparison={offerComparison} value={bandValue} />
+              </div>
+            )}
+
+            {activeResult && (
+              <div style={{ marginTop: 24 }}>
+                <div style={{ fontSize: "11px", color: "#a0aec0", fontWeight: 600, textTransform: "uppercase", letterSpacing: "1px", marginBottom: 12 }}>
+                  {t("Repayment Schedules")}
+                </div>
+                <ScheduleList title={t("Current Portfolio")} schedules={activeResult.currentSchedules} />
+                <ScheduleList key={activeResult.strategyId} title={strategyLabel(activeResult.strategyId)} schedules={activeResult.schedules} />
+              </div>
+            )}
+
+            <div style={{ display: "flex", alignItems: "center", gap: 6, marginTop: 24 }}>
+              <span style={{ fontSize: "10px", color: "#718096", textTransform: "uppercase", letterSpacing: "0.5px" }}>{t("Report")}</span>
+              {REPORT_TEMPLATES.map(tpl => (
+                <button key={tpl.id} title={t(tpl.audience)} onClick={() => setPractice({ ...practice, template: tpl.id })} style={{
+                  background: practice.template === tpl.id ? "rgba(99,179,237,0.15)" : "rgba(255,255,255,0.04)",
+                  border: `1px solid ${practice.template === tpl.id ? "rgba(99,179,237,0.4)" : "rgba(255,255,255,0.1)"}`,
+                  color: practice.template === tpl.id ? "#63b3ed" : "#a0aec0", padding: "4px 10px", borderRadius: "6px",
+                  cursor: "pointer", fontSize: "11px", fontWeight: 600, fontFamily: "'DM Sans', sans-serif",
+                }}>{t(tpl.label)}</button>
+              ))}
+              <span style={{ fontSize: "11px", color: "#718096", marginLeft: 4 }}>
+                {t(REPORT_TEMPLATES.find(tpl => tpl.id === practice.template)?.audience ?? "")}
+                {practice.firmName ? ` • ${t("on {firm} letterhead", { firm: practice.firmName })}` : ""}
+              </span>
+              <span style={{ flex: 1 }} />
+              <span style={{ fontSize: "10px", color: "#718096", textTransform: "uppercase", letterSpacing: "0.5px" }}>{t("Report language")}</span>
+              <LanguageSwitcher lang={reportLang} onChange={setReportLang} />
+            </div>
+            {reportLang !== "en" && (
+              <div style={{ fontSize: "11px", color: "#718096", marginTop: 8, lineHeight: 1.6 }}>
+                {t("PDF in {language} opens the print dialog — choose “Save as PDF”. The built-in PDF writer only has Latin fonts.", { language: LANGUAGES.find(l => l.id === reportLang).label })}
+              </div>
+            )}
+
+            <div style={{ display: "flex", gap: 12, marginTop: 12 }}>
+              <button onClick={() => downloadReport("pdf")} style={{
                 flex: 1, padding: "14px",
                 background: "linear-gradient(135deg, #3182ce, #2c5282)",
                 border: "none", borderRadius: "12px", cursor: "pointer",
                 fontSize: "14px", fontWeight: 700, color: "#fff",
                 fontFamily: "'DM Sans', sans-serif",
                 boxShadow: "0 6px 25px rgba(49,130,206,0.3)",
-              }}>📄 Download Report</button>
-              <button onClick={() => { setStep("input"); setResults([]); }} style={{
+              }}>📄 {t("Download PDF Report")}</button>
+              <button onClick={() => downloadReport("html")} style={{
+                padding: "14px 20px",
+                background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.12)",
+                borderRadius: "12px", cursor: "pointer", fontSize: "14px", fontWeight: 600, color: "#a0aec0",
+                fontFamily: "'DM Sans', sans-serif",
+              }}>HTML</button>
+              <button onClick={() => setStep("input")} style={{
                 padding: "14px 24px",
                 background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.12)",
                 borderRadius: "12px", cursor: "pointer",
                 fontSize: "14px", fontWeight: 600, color: "#a0aec0",
                 fontFamily: "'DM Sans', sans-serif",
-              }}>↻ New Analysis</button>
+              }}>↻ {t("New Analysis")}</button>
             </div>
 
+            <ShareLink analysis={sharedAnalysis} />
+
             <div style={{
               marginTop: 24, padding: "14px 18px",
               background: "rgba(255,255,255,0.02)", border: "1px solid rgba(255,255,255,0.05)",
               borderRadius: "10px", fontSize: "10px", color: "#4a5568", lineHeight: 1.6,
             }}>
-              <strong style={{ color: "#718096" }}>Disclaimer:</strong> Savings are estimates based on standard amortization models. Actual results depend on lender policies, processing fees, prepayment penalties, and market conditions. Consult a qualified CA or financial advisor before restructuring.
+              <strong style={{ color: "#718096" }}>{t("Disclaimer:")}</strong> {t("Savings are estimates based on standard amortization models. Actual results depend on lender policies, processing fees, prepayment penalties, and market conditions. Consult a qualified CA or financial advisor before restructuring.")}
             </div>
           </div>
         )}
@@ -0,0 +1,220 @@
+// ─── Constants & Config ───
+// Revolving facilities: amount = sanctioned limit, tenure = months the limit is kept (renewed annually)
+// keywords: how the facility is described in bank statements, for imports
+// defaultCosts: foreclosure/prepayment penalty % and processing fee % of the amount moved, stamp duty and legal/valuation in ₹,
+//   and any credit-guarantee fee the borrower pays (% a year on the outstanding; it ends when the loan moves to a new lender)
+// defaultRepayment: the product's usual repayment structure, for loans added or imported without one
+// rules: what the scheme itself imposes — portable: false when no other lender can take the loan over
+//   (the guarantee or security stays with the sanctioning bank), lockInMonths: EMIs to be paid before it
+//   can be prepaid or moved, note: why, in a few words
+export const LOAN_TYPES = [
+  { id: "term", label: "Term Loan", icon: "🏦", nature: "amortizing", defaultRate: 11.5, defaultTenure: 60, defaultAmount: 1500000,
+    keywords: ["term loan", "tl", "wctl", "business loan"],
+    defaultCosts: { foreclosurePct: 2, processingFeePct: 1, stampDuty: 5000, legalCharges: 10000 } },
+  { id: "ccod", label: "CC/OD Facility", icon: "💳", nature: "revolving", defaultRate: 13.5, defaultTenure: 36, defaultAmount: 800000, defaultUtilization: 75, defaultRenewalPct: 0.5,
+    keywords: ["cash credit", "cc", "od", "overdraft", "cc/od", "ccod"],
+    defaultCosts: { foreclosurePct: 0, processingFeePct: 0.5, stampDuty: 2000, legalCharges: 5000 } },
+  { id: "mudra", label: "MUDRA Loan", icon: "🏛️", nature: "amortizing", defaultRate: 10.0, defaultTenure: 36, defaultAmount: 500000,
+    keywords: ["mudra", "pmmy", "shishu", "kishore", "tarun"],
+    defaultCosts: { foreclosurePct: 0, processingFeePct: 0.5, stampDuty: 1000, legalCharges: 0 } },
+  { id: "vehicle", label: "Vehicle/Equipment", icon: "🚛", nature: "amortizing", defaultRate: 12.0, defaultTenure: 48, defaultAmount: 1200000,
+    keywords: ["vehicle", "equipment", "car", "truck", "machinery", "auto loan", "commercial vehicle", "cv", "tractor"],
+    defaultCosts: { foreclosurePct: 4, processingFeePct: 1, stampDuty: 2000, legalCharges: 3000 } },
+  { id: "working", label: "Working Capital", icon: "⚙️", nature: "revolving", defaultRate: 14.0, defaultTenure: 24, defaultAmount: 600000, defaultUtilization: 80, defaultRenewalPct: 0.5,
+    keywords: ["working capital", "wc", "wcdl", "packing credit", "bill discounting", "invoice finance"],
+    defaultCosts: { foreclosurePct: 0, processingFeePct: 0.5, stampDuty: 2000, legalCharges: 5000 } },
+  { id: "lap", label: "Loan Against Property", icon: "🏠", nature: "amortizing", defaultRate: 10.5, defaultTenure: 120, defaultAmount: 3000000,
+    keywords: ["lap", "loan against property", "mortgage loan", "property loan"],
+    defaultCosts: { foreclosurePct: 2, processingFeePct: 1, stampDuty: 10000, legalCharges: 15000 } },
+  { id: "gold", label: "Gold Loan", icon: "🪙", nature: "amortizing", defaultRate: 9.5, defaultTenure: 12, defaultAmount: 300000,
+    keywords: ["gold loan", "gold", "jewel loan"],
+    defaultCosts: { foreclosurePct: 0, processingFeePct: 0.5, stampDuty: 0, legalCharges: 500 },
+    defaultRepayment: { repayment: "bullet", bulletInterest: "maturity" } },
+  { id: "eclgs", label: "ECLGS Loan", icon: "🛡️", nature: "amortizing", defaultRate: 9.25, defaultTenure: 60, defaultAmount: 1000000,
+    keywords: ["eclgs", "gecl", "emergency credit line"],
+    defaultCosts: { foreclosurePct: 0, processingFeePct: 0, stampDuty: 0, legalCharges: 0 },
+    defaultRepayment: { repayment: "moratorium", moratoriumMonths: 12, capitalizeInterest: false },
+    rules: { portable: false, note: "NCGTC guarantee stays with the sanctioning bank" } },
+  { id: "cgtmse", label: "CGTMSE-Covered Loan", icon: "🤝", nature: "amortizing", defaultRate: 11.0, defaultTenure: 60, defaultAmount: 1000000,
+    keywords: ["cgtmse", "collateral free"],
+    defaultCosts: { foreclosurePct: 2, processingFeePct: 1, stampDuty: 2000, legalCharges: 0, guaranteeFeePct: 0.75 } },
+  { id: "pmegp", label: "PMEGP Loan", icon: "🏭", nature: "amortizing", defaultRate: 10.5, defaultTenure: 84, defaultAmount: 1500000,
+    keywords: ["pmegp", "kvic"],
+    defaultCosts: { foreclosurePct: 0, processingFeePct: 0, stampDuty: 2000, legalCharges: 0 },
+    defaultRepayment: { repayment: "moratorium", moratoriumMonths: 6, capitalizeInterest: false },
+    rules: { lockInMonths: 36, note: "margin-money subsidy is forfeited if closed within 3 years" } },
+  { id: "standup", label: "Stand-Up India", icon: "🌱", nature: "amortizing", defaultRate: 9.75, defaultTenure: 84, defaultAmount: 2500000,
+    keywords: ["stand up india", "standup india", "standup"],
+    defaultCosts: { foreclosurePct: 0, processingFeePct: 0.5, stampDuty: 5000, legalCharges: 5000 },
+    defaultRepayment: { repayment: "moratorium", moratoriumMonths: 18, capitalizeInterest: false } },
+  { id: "lafd", label: "Loan Against FD", icon: "🔐", nature: "amortizing", defaultRate: 8.0, defaultTenure: 12, defaultAmount: 500000,
+    keywords: ["loan against fd", "fd loan", "loan against deposit", "od against fd", "lafd"],
+    defaultCosts: { foreclosurePct: 0, processingFeePct: 0, stampDuty: 0, legalCharges: 0 },
+    defaultRepayment: { repayment: "bullet", bulletInterest: "monthly" },
+    rules: { portable: false, note: "secured by the lending bank's own deposit" } },
+];
+
+// The fields a user-defined loan type keeps, and what a new one starts from
+export const NEW_LOAN_TYPE = {
+  label: "", icon: "📄", nature: "amortizing", defaultRate: 12, defaultTenure: 60, defaultAmount: 1000000,
+  defaultUtilization: 75, defaultRenewalPct: 0.5, keywords: [],
+  defaultCosts: { foreclosurePct: 2, processingFeePct: 1, stampDuty: 2000, legalCharges: 5000, guaranteeFeePct: 0 },
+  defaultRepayment: null, rules: { portable: true, lockInMonths: 0, note: "" },
+};
+
+export const GST_RATE = 18;
+
+// External and internal benchmarks for floating-rate loans; levels are starting points to edit per loan
+export const BENCHMARKS = [
+  { id: "repo", label: "RBI Repo", rate: 5.5, resetMonths: 3 },
+  { id: "eblr", label: "EBLR", rate: 8.25, resetMonths: 3 },
+  { id: "mclr", label: "1-Year MCLR", rate: 8.75, resetMonths: 12 },
+];
+
+// Benchmark paths: change from today's level in bps, one value per year (the last year carries on)
+export const RATE_SCENARIOS = [
+  { id: "flat", label: "Flat", path: [0, 0, 0, 0, 0] },
+  { id: "up100", label: "+100 bps", path: [100, 100, 100, 100, 100] },
+  { id: "down50", label: "−50 bps", path: [-50, -50, -50, -50, -50] },
+  { id: "custom", label: "Custom", path: [25, 75, 100, 50, 0] },
+];
+
+// How an amortizing loan is repaid. Level EMI unless the loan sets repayment; the other fields take
+// these defaults. moratorium: no EMI for moratoriumMonths, interest added to the loan (or paid as it
+// falls due); step: the EMI changes by stepPct every stepMonths (negative = step-down); balloon:
+// balloonPct of the amount is left for the last month; bullet: principal at the end, interest monthly
+// or, as with gold loans, accrued and paid at maturity.
+export const REPAYMENT_STRUCTURES = [
+  { id: "emi", label: "Level EMI" },
+  { id: "moratorium", label: "Moratorium, then EMI" },
+  { id: "step", label: "Step-up / step-down EMI" },
+  { id: "balloon", label: "Balloon final payment" },
+  { id: "bullet", label: "Bullet repayment" },
+];
+
+export const REPAYMENT_DEFAULTS = {
+  moratoriumMonths: 6, capitalizeInterest: true, stepPct: 10, stepMonths: 12, balloonPct: 25, bulletInterest: "monthly",
+};
+
+// What a loan's amount (₹), rate (% p.a.) and tenure (months) may be. min and max are excluded for
+// amount and rate and included for tenure. A loan outside them is flagged in the app and left out of
+// the analysis with a warning.
+export const LOAN_LIMITS = {
+  amount: { min: 0, max: 1e10 },
+  rate: { min: 0, max: 40 },
+  tenure: { min: 1, max: 360 },
+};
+
+// A sanction offer from a bank or NBFC, for transfers and consolidation. maxTenure and maxAmount of 0
+// mean no cap; an empty types list means the lender takes over any loan type.
+export const NEW_OFFER = { lender: "", rate: 9.75, processingFeePct: 0.5, maxTenure: 0, maxAmount: 0, types: [] };
+
+// A scenario the user builds: a name and one action per loan, by position in the portfolio. In an
+// action 0 or "" leaves that term alone: rate is the new rate, tenure the new months left, prepayAmount
+// a part-prepayment paid in prepayMonth (months from today; the whole balance closes the loan), lender
+// a move to another lender (an offer's lender brings its rate, fee and tenure cap) and toTerm turns a
+// CC/OD limit's drawn balance into a term loan.
+export const NEW_SCENARIO = { name: "", actions: [] };
+export const NEW_SCENARIO_ACTION = { rate: 0, tenure: 0, prepayAmount: 0, prepayMonth: 1, lender: "", toTerm: false };
+
+export const RESTRUCTURE_STRATEGIES = [
+  { id: "prepay_highest", label: "Prepay Highest Rate First", description: "Avalanche method — surplus and freed-up EMIs go to the costliest loan" },
+  { id: "consolidate", label: "Consolidate All Loans", description: "Single loan at a negotiated lower rate" },
+  { id: "balance_transfer", label: "Balance Transfer", description: "Move high-rate loans to a lower-rate lender" },
+  { id: "extend_tenure", label: "Extend Tenure + Reduce EMI", description: "Ease monthly cash flow pressure" },
+  { id: "hybrid", label: "Hybrid Optimal", description: "Best keep / prepay / transfer / consolidate / extend action for each loan, within your EMI, lender and closure limits" },
+  { id: "ccod_to_term", label: "Convert CC/OD to Term Loan", description: "Move the hard-core OD balance to a term loan and cut the limit", needsRevolving: true },
+  { id: "moratorium", label: "Moratorium + Capitalized Interest", description: "Pause term-loan EMIs, add the interest to the loan and extend the tenure to match", needsAmortizing: true },
+  { id: "step_up", label: "Step-Up EMI", description: "Lower EMIs now that rise every year as the business grows", needsAmortizing: true },
+  { id: "balloon", label: "Balloon Repayment", description: "Lower EMIs, with part of the principal left for one final payment", needsAmortizing: true },
+  { id: "bullet", label: "Interest-Only + Bullet", description: "Pay only interest and repay the principal in one go at the end", needsAmortizing: true },
+];
+
+// Strategy assumptions — editable per analysis from the results step
+export const DEFAULT_ASSUMPTIONS = {
+  monthlySurplus: 25000,
+  lumpSum: 0,
+  transferRate: 9.75,
+  transferCutoff: 11,
+  consolidationDiscount: 2.5,
+  consolidationFloor: 9.5,
+  consolidationTenureFactor: 1.1,
+  extendTenureFactor: 1.5,
+  maxMonthlyEMI: 0,
+  maxLenders: 0,
+  targetClosure: "",
+  termOutDiscount: 1.5,
+  residualLimitPct: 10,
+  moratoriumMonths: 6,
+  stepUpPct: 10,
+  balloonPct: 25,
+  newLoanReset: 3,
+  minDSCR: 1.25,
+  maxEmiToIncome: 25,
+  discountRate: 12,
+  rankBy: "net",
+};
+
+// range is what the app accepts, both ends included; whole fields take whole numbers only
+export const ASSUMPTION_FIELDS = [
+  { key: "monthlySurplus", label: "Monthly surplus for prepayment", unit: "₹", step: 5000, range: [0, Infinity] },
+  { key: "lumpSum", label: "Lump-sum prepayment now", unit: "₹", step: 50000, range: [0, Infinity] },
+  { key: "transferRate", label: "Balance transfer rate", unit: "% p.a.", step: 0.05, range: [1, 39] },
+  { key: "transferCutoff", label: "Transfer loans priced above", unit: "% p.a.", step: 0.25, range: [0, 40] },
+  { key: "consolidationDiscount", label: "Consolidation discount to weighted rate", unit: "% points", step: 0.25, range: [0, 20] },
+  { key: "consolidationFloor", label: "Consolidation rate floor", unit: "% p.a.", step: 0.25, range: [0, 40] },
+  { key: "consolidationTenureFactor", label: "Consolidated tenure vs longest loan", unit: "×", step: 0.05, range: [0.25, 5] },
+  { key: "extendTenureFactor", label: "Tenure extension", unit: "×", step: 0.05, range: [1, 5] },
+  { key: "maxMonthlyEMI", label: "Hybrid: maximum monthly EMI (0 = no cap)", unit: "₹", step: 5000, range: [0, Infinity] },
+  { key: "maxLenders", label: "Hybrid: maximum number of lenders (0 = no limit)", unit: "lenders", step: 1, range: [0, 50], whole: true },
+  { key: "targetClosure", label: "Hybrid: close all term debt by", unit: "month", type: "month" },
+  { key: "termOutDiscount", label: "CC/OD term-out discount to OD rate", unit: "% points", step: 0.25, range: [0, 20] },
+  { key: "residualLimitPct", label: "Minimum CC/OD limit kept after term-out", unit: "% of limit", step: 5, range: [0, 100] },
+  { key: "moratoriumMonths", label: "Moratorium granted on term loans", unit: "months", step: 1, range: [0, 60], whole: true },
+  { key: "stepUpPct", label: "Step-up EMI: yearly change (negative = step-down)", unit: "%", step: 1, range: [-50, 100] },
+  { key: "balloonPct", label: "Balloon: principal left for the final payment", unit: "%", step: 5, range: [0, 90] },
+  { key: "newLoanReset", label: "Refinanced loans float, resetting every (0 = fixed)", unit: "months", step: 3, range: [0, 120], whole: true },
+  { key: "minDSCR", label: "Lender minimum DSCR", unit: "×", step: 0.05, range: [0, 5] },
+  { key: "maxEmiToIncome", label: "Lender maximum debt service to revenue", unit: "%", step: 5, range: [0, 100] },
+  { key: "discountRate", label: "Discount rate (business cost of capital)", unit: "% p.a.", step: 0.5, range: [0, 50] },
+];
+
+// What-if sliders on the results step: the strategy assumptions that move results most, each with a
+// slider range and the swing the sensitivity (tornado) view tests either side of today's value.
+// Each loan's rate (±1% point) and tenure (±12 months) get sliders as well.
+export const WHAT_IF_ASSUMPTIONS = [
+  { key: "transferRate", min: 7, max: 14, step: 0.05, swing: 1 },
+  { key: "consolidationDiscount", min: 0, max: 5, step: 0.25, swing: 1 },
+  { key: "extendTenureFactor", min: 1, max: 2.5, step: 0.05, swing: 0.25 },
+  { key: "monthlySurplus", min: 0, max: 200000, step: 5000, swing: 10000 },
+  { key: "discountRate", min: 6, max: 20, step: 0.5, swing: 2 },
+];
+
+export const RANKINGS = { net: "Net savings", npv: "Discounted savings (NPV)" };
+
+// Business interest is a deductible expense, so its real cost is after tax
+export const TAX_ENTITIES = [
+  { id: "proprietorship", label: "Proprietorship", rateLabel: "Slab rate", rate: 30, surcharge: 0, cess: 4 },
+  { id: "partnership", label: "Partnership / LLP", rateLabel: "Firm rate", rate: 30, surcharge: 0, cess: 4 },
+  { id: "company", label: "Company", rateLabel: "Corporate rate", rate: 22, surcharge: 10, cess: 4 },
+];
+
+export const DEFAULT_TAX_PROFILE = { entity: "proprietorship", rate: 30, surcharge: 0, cess: 4 };
+
+// Monthly business cash flow for DSCR. Net cash accruals are after interest, so interest is added back.
+export const CASH_FLOW_BASES = { ebitda: "EBITDA", nca: "Net cash accruals" };
+
+export const DEFAULT_CASH_FLOW = { revenue: 800000, basis: "ebitda", cash: 120000, obligations: 15000 };
+
+// The advising firm's letterhead. An empty firm name keeps the LoanRestructure Pro branding.
+// logo: { dataUrl, width, height }, always a JPEG so the PDF can embed it as is
+export const DEFAULT_PRACTICE = {
+  firmName: "", firmType: "Chartered Accountants", frn: "", address: "", contact: "",
+  signatory: "", designation: "Partner", membershipNo: "", disclaimer: "",
+  primaryColor: "#1a365d", accentColor: "#f6ad55", logo: null, template: "detailed",
+};
+
+export const REPORT_TEMPLATES = [
+  { id: "executive", label: "Executive summary", audience: "Short — for the client" },
+  { id: "detailed", label: "Detailed", audience: "Full analysis — for the banker" },
+];
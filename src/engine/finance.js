@@ -0,0 +1,1437 @@
+import { t, localeTag, localDigits } from "../i18n.js";
+import {
+  GST_RATE, RATE_SCENARIOS, REPAYMENT_STRUCTURES, REPAYMENT_DEFAULTS, RESTRUCTURE_STRATEGIES, DEFAULT_ASSUMPTIONS, ASSUMPTION_FIELDS,
+  DEFAULT_TAX_PROFILE, LOAN_LIMITS,
+} from "./config.js";
+import { formatINR } from "./format.js";
+import { loanTypeOf, typeRules } from "./types.js";
+
+// ─── Financial Calculation Engine ───
+// Marginal rate on business income: base rate, then surcharge on the tax, then cess on both
+export const effectiveTaxRate = (p) => p ? p.rate * (1 + (p.surcharge || 0) / 100) * (1 + (p.cess || 0) / 100) : 0;
+
+export function calcEMI(principal, annualRate, tenureMonths) {
+  if (principal <= 0 || tenureMonths <= 0) return 0;
+  const r = annualRate / 100 / 12;
+  if (r === 0) return principal / tenureMonths;
+  return (principal * r * Math.pow(1 + r, tenureMonths)) / (Math.pow(1 + r, tenureMonths) - 1);
+}
+
+export function calcTotalInterest(principal, annualRate, tenureMonths) {
+  const emi = calcEMI(principal, annualRate, tenureMonths);
+  return emi * tenureMonths - principal;
+}
+
+// Month-by-month amortization: one row per instalment
+export function buildSchedule(principal, annualRate, tenureMonths) {
+  const rows = [];
+  if (principal <= 0 || tenureMonths <= 0) return rows;
+  const emi = calcEMI(principal, annualRate, tenureMonths);
+  const r = annualRate / 100 / 12;
+  let balance = principal;
+  for (let month = 1; month <= tenureMonths; month++) {
+    const interest = balance * r;
+    const principalPaid = month === tenureMonths ? balance : Math.min(balance, emi - interest);
+    const closing = balance - principalPaid;
+    rows.push({ month, opening: balance, payment: interest + principalPaid, interest, principal: principalPaid, closing });
+    balance = closing;
+  }
+  return rows;
+}
+
+export const isRevolving = (l) => loanTypeOf(l.type)?.nature === "revolving";
+
+// A floating loan only behaves differently from a fixed one when its benchmark path moves
+const isFloating = (l) => !!l.floating && !!l.ratePath?.some(bps => bps !== 0);
+
+// Rate in schedule month m: the benchmark change seen at the last reset, on top of today's rate
+function rateAt(loan, month) {
+  if (!isFloating(loan)) return loan.rate;
+  const reset = loan.resetMonths || 3;
+  const lastReset = Math.floor((month - 1) / reset) * reset;
+  const bps = lastReset <= 0 ? 0 : loan.ratePath[Math.min(Math.floor((lastReset - 1) / 12), loan.ratePath.length - 1)];
+  return Math.max(0, loan.rate + bps / 100);
+}
+
+// Floating-rate amortization: at each reset the EMI is recomputed over the remaining tenure
+function buildFloatingSchedule(loan) {
+  const rows = [];
+  if (loan.amount <= 0 || loan.tenure <= 0) return rows;
+  let balance = loan.amount;
+  let rate = null, emi = 0;
+  for (let month = 1; month <= loan.tenure; month++) {
+    const current = rateAt(loan, month);
+    if (current !== rate) {
+      rate = current;
+      emi = calcEMI(balance, rate, loan.tenure - month + 1);
+    }
+    const interest = balance * rate / 100 / 12;
+    const principalPaid = month === loan.tenure ? balance : Math.min(balance, emi - interest);
+    const closing = balance - principalPaid;
+    rows.push({ month, opening: balance, payment: interest + principalPaid, interest, principal: principalPaid, closing });
+    balance = closing;
+  }
+  return rows;
+}
+
+// Utilization (% of limit) in schedule month m; monthlyUtilization is indexed Jan..Dec
+function utilizationAt(loan, month) {
+  if (!loan.monthlyUtilization) return loan.utilization ?? 0;
+  const calendarMonth = (new Date().getMonth() + month) % 12;
+  return loan.monthlyUtilization[calendarMonth] ?? 0;
+}
+
+export const averageUtilization = (loan) => loan.monthlyUtilization
+  ? loan.monthlyUtilization.reduce((s, u) => s + (u || 0), 0) / 12
+  : (loan.utilization ?? 0);
+
+// Revolving limit: interest only on the drawn amount, no principal repaid, renewal charge every 12 months
+function buildRevolvingSchedule(loan) {
+  const rows = [];
+  for (let month = 1; month <= loan.tenure; month++) {
+    const drawn = loan.amount * utilizationAt(loan, month) / 100;
+    const interest = drawn * rateAt(loan, month) / 100 / 12;
+    const charges = month % 12 === 0 ? loan.amount * (loan.renewalPct || 0) / 100 : 0;
+    rows.push({ month, opening: drawn, payment: interest + charges, interest, charges, principal: 0, closing: drawn });
+  }
+  return rows;
+}
+
+// Repayment structure of an amortizing loan, or null for a level EMI
+export const structureOf = (l) => !isRevolving(l) && l.repayment && l.repayment !== "emi" ? l.repayment : null;
+
+// A running loan keeps its structure's clock: monthsRun instalments are behind it, and the balloon
+// and bullet interest are worked out on the originalAmount
+function repaymentTerms(l) {
+  const s = { ...REPAYMENT_DEFAULTS, ...l };
+  const ran = l.monthsRun || 0;
+  const original = l.originalAmount ?? l.amount;
+  const step = s.repayment === "step" ? 1 + s.stepPct / 100 : 1;
+  const every = Math.max(1, s.stepMonths);
+  return {
+    repayment: s.repayment,
+    moratorium: s.repayment === "moratorium" ? Math.max(0, s.moratoriumMonths - ran) : 0,
+    capitalize: s.capitalizeInterest !== false,
+    balloon: s.repayment === "balloon" ? original * s.balloonPct / 100 : 0,
+    accrueToMaturity: s.repayment === "bullet" && s.bulletInterest === "maturity",
+    original,
+    growth: (month) => Math.pow(step, Math.floor((month - 1 + ran) / every)),
+  };
+}
+
+// Instalment (before any step change) that clears the balance from month `from` to the end, leaving the balloon for the last month
+function structuredInstalment(balance, r, from, tenure, terms) {
+  let factor = 0, discount = 1;
+  for (let month = from; month <= tenure; month++) {
+    discount /= 1 + r;
+    factor += terms.growth(month) * discount;
+  }
+  return factor > 0 ? (balance - terms.balloon * discount) / factor : 0;
+}
+
+// Moratorium, step, balloon and bullet schedules, fixed or floating. Capitalized interest shows as
+// negative principal. The instalment is re-solved when the moratorium ends and at every rate reset.
+function buildStructuredSchedule(loan) {
+  const rows = [];
+  if (loan.amount <= 0 || loan.tenure <= 0) return rows;
+  const terms = repaymentTerms(loan);
+  let balance = loan.amount, rate = null, instalment = 0;
+  for (let month = 1; month <= loan.tenure; month++) {
+    const current = rateAt(loan, month);
+    const r = current / 100 / 12;
+    const last = month === loan.tenure;
+    let interest = balance * r, principal;
+    if (terms.repayment === "bullet") {
+      // Gold-loan style: simple interest on the amount lent, all of it due with the principal
+      if (terms.accrueToMaturity) interest = terms.original * r;
+      principal = last ? balance : terms.accrueToMaturity ? -interest : 0;
+    } else if (month <= terms.moratorium) {
+      principal = terms.capitalize ? -interest : 0;
+    } else {
+      if (current !== rate || month === terms.moratorium + 1) {
+        rate = current;
+        instalment = structuredInstalment(balance, r, month, loan.tenure, terms);
+      }
+      principal = last ? balance : Math.min(balance, instalment * terms.growth(month) - interest);
+    }
+    rows.push({ month, opening: balance, payment: interest + principal, interest, principal, closing: balance - principal });
+    balance -= principal;
+  }
+  return rows;
+}
+
+// Credit-guarantee fee (CGTMSE and the like): guaranteeFeePct a year on what is outstanding — the
+// limit, for revolving facilities — charged at the start of each year
+const guaranteeFee = (leg, month, outstanding) => leg.guaranteeFeePct > 0 && month % 12 === 1
+  ? (isRevolving(leg) ? leg.amount : outstanding) * leg.guaranteeFeePct / 100
+  : 0;
+
+function withGuaranteeFee(leg, rows) {
+  if (!(leg.guaranteeFeePct > 0)) return rows;
+  return rows.map(r => {
+    const fee = guaranteeFee(leg, r.month, r.opening);
+    return fee > 0 ? { ...r, charges: (r.charges || 0) + fee, payment: r.payment + fee } : r;
+  });
+}
+
+const legSchedule = (leg) => withGuaranteeFee(leg, isRevolving(leg) ? buildRevolvingSchedule(leg)
+  : structureOf(leg) ? buildStructuredSchedule(leg)
+  : isFloating(leg) ? buildFloatingSchedule(leg)
+  : buildSchedule(leg.amount, leg.rate, leg.tenure));
+
+// Cost of credit: interest plus renewal charges and guarantee fees
+export const scheduleCost = (rows) => rows.reduce((t, r) => t + r.interest + (r.charges || 0), 0);
+
+// Regular monthly outgo: the EMI, interest-only servicing at average utilization, or for other
+// structures what falls due next month
+const monthlyOutgo = (leg) => isRevolving(leg)
+  ? leg.amount * averageUtilization(leg) / 100 * leg.rate / 100 / 12
+  : structureOf(leg) ? (buildStructuredSchedule(leg)[0]?.payment ?? 0)
+  : calcEMI(leg.amount, leg.rate, leg.tenure);
+
+// Adds up several loan schedules into one portfolio-level schedule
+export function combineSchedules(schedules) {
+  const months = Math.max(0, ...schedules.map(s => s.rows.length));
+  const rows = [];
+  for (let i = 0; i < months; i++) {
+    const row = { month: i + 1, opening: 0, payment: 0, interest: 0, charges: 0, principal: 0, closing: 0 };
+    schedules.forEach(s => {
+      const r = s.rows[i];
+      if (!r) return;
+      row.opening += r.opening;
+      row.payment += r.payment;
+      row.interest += r.interest;
+      row.charges += r.charges || 0;
+      row.principal += r.principal;
+      row.closing += r.closing;
+    });
+    rows.push(row);
+  }
+  return rows;
+}
+
+export const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+export function monthsElapsed(sanctionDate, asOf = new Date()) {
+  if (!sanctionDate) return 0;
+  const [y, m] = sanctionDate.split("-").map(Number);
+  return Math.max(0, (asOf.getFullYear() - y) * 12 + (asOf.getMonth() + 1 - m));
+}
+
+const monthsPaid = (loan) => Math.min(Math.max(0, loan.emisPaid || 0), loan.tenure);
+
+// Where a running loan stands today: balance still owed and instalments left.
+// emi is the level EMI, or for other structures the next instalment.
+export function loanPosition(loan) {
+  if (isRevolving(loan)) {
+    return { outstanding: loan.amount * averageUtilization(loan) / 100, remainingTenure: loan.tenure, emi: monthlyOutgo(loan) };
+  }
+  const paid = monthsPaid(loan);
+  const structured = structureOf(loan);
+  const rows = structured ? buildStructuredSchedule(loan) : buildSchedule(loan.amount, loan.rate, loan.tenure);
+  const outstanding = paid > 0 ? (rows[paid - 1]?.closing ?? 0) : loan.amount;
+  return { outstanding, remainingTenure: loan.tenure - paid, emi: structured ? (rows[paid]?.payment ?? 0) : calcEMI(loan.amount, loan.rate, loan.tenure) };
+}
+
+// Strategies work on what is still owed: amount = outstanding, tenure = months left
+function toRunningLoan(loan) {
+  if (isRevolving(loan)) return loan;
+  const { outstanding, remainingTenure } = loanPosition(loan);
+  const running = { ...loan, amount: outstanding, tenure: remainingTenure };
+  return structureOf(loan)
+    ? { ...running, monthsRun: (loan.monthsRun || 0) + monthsPaid(loan), originalAmount: loan.originalAmount ?? loan.amount }
+    : running;
+}
+
+// EMIs already paid, worked back from a statement's outstanding balance
+export function emisPaidFor(amount, annualRate, tenure, outstanding) {
+  if (outstanding >= amount) return 0;
+  if (outstanding <= 0) return tenure;
+  const r = annualRate / 100 / 12;
+  if (r === 0) return Math.round((amount - outstanding) / (amount / tenure));
+  const emi = calcEMI(amount, annualRate, tenure);
+  const paid = Math.log((emi - outstanding * r) / (emi - amount * r)) / Math.log(1 + r);
+  return Math.min(tenure, Math.max(0, Math.round(paid)));
+}
+
+export const remainingCost = (loan) => scheduleCost(legSchedule(toRunningLoan(loan)));
+
+// "6-month moratorium, interest capitalized", "step-up 10% a year", ...; empty for a level EMI
+export function repaymentSummary(l) {
+  const s = { ...REPAYMENT_DEFAULTS, ...l };
+  switch (structureOf(l)) {
+    case "moratorium": return s.capitalizeInterest !== false
+      ? t("{months}-month moratorium, interest capitalized", { months: s.moratoriumMonths })
+      : t("{months}-month moratorium, interest paid monthly", { months: s.moratoriumMonths });
+    case "step": return s.stepPct >= 0
+      ? t("EMI steps up {pct}% every {months} months", { pct: s.stepPct, months: s.stepMonths })
+      : t("EMI steps down {pct}% every {months} months", { pct: -s.stepPct, months: s.stepMonths });
+    case "balloon": return t("{pct}% balloon in the last month", { pct: s.balloonPct });
+    case "bullet": return s.bulletInterest === "maturity" ? t("Bullet — interest and principal at maturity") : t("Bullet — interest monthly, principal at maturity");
+    default: return "";
+  }
+}
+
+export const repaymentLabel = (l) => t(REPAYMENT_STRUCTURES.find(r => r.id === (structureOf(l) ?? "emi")).label);
+
+export const loanLabel = (l) => t(loanTypeOf(l.type)?.label || l.type);
+
+export const defaultCostsFor = (typeId) => ({ ...loanTypeOf(typeId)?.defaultCosts });
+
+// Why a loan cannot be moved to another lender today, or null. A lock-in also bars prepayment until
+// its EMIs are paid; revolving limits have no EMIs, so only portable applies to them.
+export function loanLock(loan) {
+  const rules = typeRules(loan);
+  const left = isRevolving(loan) ? 0 : (rules.lockInMonths || 0) - monthsPaid(loan);
+  const note = rules.note ? t(rules.note) : "";
+  if (left > 0) {
+    return { prepay: false, reason: note ? t("{note}; locked in for {months} more months", { note, months: left }) : t("locked in for {months} more months", { months: left }) };
+  }
+  if (rules.portable === false) return { prepay: true, reason: note || t("stays with the sanctioning bank") };
+  return null;
+}
+
+const NO_COSTS = { foreclosure: 0, processing: 0, legal: 0, gst: 0, stampDuty: 0, total: 0 };
+
+// One-off cost of moving `amount` of a loan. foreclosure: old lender's penalty;
+// fees: processing fee + stamp duty on the new paperwork (at an offer's own processing fee when given);
+// legal: legal/valuation for a new lender
+function switchingCosts(loan, amount, { foreclosure = true, fees = true, legal = true, processingFeePct = loan.processingFeePct } = {}) {
+  const c = {
+    foreclosure: foreclosure ? amount * (loan.foreclosurePct || 0) / 100 : 0,
+    processing: fees ? amount * (processingFeePct || 0) / 100 : 0,
+    legal: legal ? (loan.legalCharges || 0) : 0,
+    stampDuty: fees ? (loan.stampDuty || 0) : 0,
+  };
+  c.gst = (c.foreclosure + c.processing + c.legal) * GST_RATE / 100;
+  c.total = c.foreclosure + c.processing + c.legal + c.gst + c.stampDuty;
+  return c;
+}
+
+const scaleCosts = (c, k) => ({
+  foreclosure: c.foreclosure * k, processing: c.processing * k, legal: c.legal * k,
+  gst: c.gst * k, stampDuty: c.stampDuty * k, total: c.total * k,
+});
+
+const addCosts = (a, b) => ({
+  foreclosure: a.foreclosure + b.foreclosure, processing: a.processing + b.processing, legal: a.legal + b.legal,
+  gst: a.gst + b.gst, stampDuty: a.stampDuty + b.stampDuty, total: a.total + b.total,
+});
+
+// First month in which cumulative interest saved covers the one-off switching costs
+function breakEvenMonth(currentRows, newRows, upfront) {
+  if (upfront <= 0) return 0;
+  const cost = (r) => r ? r.interest + (r.charges || 0) : 0;
+  let saved = 0;
+  for (let i = 0; i < Math.max(currentRows.length, newRows.length); i++) {
+    saved += cost(currentRows[i]) - cost(newRows[i]);
+    if (saved >= upfront) return i + 1;
+  }
+  return null;
+}
+
+function scheduleLegs(legs) {
+  return legs.map(leg => leg.rows ? leg : { ...leg, rows: legSchedule(leg) });
+}
+
+// Calendar label for a month counted from today (month 1 = next month)
+export const monthLabel = (offset) => {
+  const d = new Date();
+  return localDigits(new Date(d.getFullYear(), d.getMonth() + offset, 1).toLocaleDateString(localeTag(), { month: "short", year: "numeric" }));
+};
+
+// Month-by-month prepayment. The monthly budget stays at today's EMIs + surplus: each loan gets its
+// regular payment, and whatever is left — surplus, lump sum, EMIs freed by closed loans — goes to one
+// target loan at a time: highest rate first (avalanche) or smallest balance first (snowball).
+// Revolving limits are paid down from their average drawn balance; the limit and its renewal charge stay.
+export function simulatePrepayment(loans, { monthlySurplus = 0, lumpSum = 0, order = "avalanche", eligible = () => true, withRows = true } = {}) {
+  const state = loans.map(l => {
+    const revolving = isRevolving(l);
+    const opening = revolving ? l.amount * averageUtilization(l) / 100 : l.amount;
+    return {
+      loan: l, revolving, opening, balance: opening,
+      emi: revolving ? 0 : calcEMI(l.amount, l.rate, l.tenure),
+      // Other structures keep their contractual instalments; prepayment only brings the end forward
+      plan: structureOf(l) ? legSchedule(l).map(row => row.payment) : null,
+      r: l.rate / 100 / 12,
+      floating: isFloating(l),
+      renewal: revolving ? l.amount * (l.renewalPct || 0) / 100 : 0,
+      eligible: eligible(l),
+      rows: [], cost: 0, prepaid: 0, payoffMonth: null, lastMonth: 0,
+      // this month's figures
+      interest: 0, due: 0, prepayment: 0, charges: 0, monthOpening: 0,
+    };
+  });
+  const budget = state.reduce((s, x) => s + (x.revolving ? x.balance * x.r : x.plan ? x.plan[0] : x.emi), 0) + monthlySurplus;
+  const horizon = Math.max(0, ...loans.map(l => l.tenure));
+  // Avalanche order never changes, so rank once; snowball re-checks balances every time
+  const ranked = state.filter(x => x.eligible).sort((p, q) => q.loan.rate - p.loan.rate);
+  const nextTarget = (month) => {
+    let best = null;
+    for (const x of ranked) {
+      if (month > x.loan.tenure || x.balance <= 0.5) continue;
+      if (order !== "snowball") return x;
+      if (!best || x.balance < best.balance) best = x;
+    }
+    return best;
+  };
+
+  let lump = lumpSum;
+  for (let month = 1; month <= horizon; month++) {
+    let required = 0;
+    let open = false;
+    for (const x of state) {
+      x.interest = x.due = x.prepayment = x.charges = 0;
+      x.monthOpening = x.balance;
+      if (month > x.loan.tenure) continue;
+      // A limit runs to its tenure even once cleared: its renewal charge and guarantee fee still fall due
+      if (x.balance > 0.5 || x.revolving) open = true;
+      if (x.floating) {
+        // Reset: new rate, and an EMI that clears the balance left over the remaining tenure
+        const r = rateAt(x.loan, month) / 100 / 12;
+        if (r !== x.r && !x.revolving && !x.plan) x.emi = calcEMI(x.balance, r * 1200, x.loan.tenure - month + 1);
+        x.r = r;
+      }
+      x.interest = x.balance * x.r;
+      const instalment = x.plan ? x.plan[month - 1] : x.emi;
+      x.due = x.revolving ? 0 : (month === x.loan.tenure ? x.balance : Math.min(x.balance, instalment - x.interest));
+      x.charges = (x.revolving && month % 12 === 0 ? x.renewal : 0) + guaranteeFee(x.loan, month, x.monthOpening);
+      x.balance -= x.due;
+      required += x.interest + x.due;
+      // A part-prepayment fixed in advance (a custom scenario's), paid on top of the month's dues
+      if (month === x.loan.prepayMonth && x.loan.prepayAmount > 0) {
+        const paid = Math.min(x.loan.prepayAmount, x.balance);
+        x.balance -= paid;
+        x.prepaid += paid;
+        x.prepayment += paid;
+      }
+    }
+    if (!open) break;
+    let extra = Math.max(0, budget - required) + lump;
+    lump = 0;
+    for (let target = nextTarget(month); target && extra > 0.5; target = nextTarget(month)) {
+      const paid = Math.min(extra, target.balance);
+      target.balance -= paid;
+      target.prepaid += paid;
+      target.prepayment += paid;
+      extra -= paid;
+    }
+    for (const x of state) {
+      if (month > x.loan.tenure || (x.monthOpening <= 0.5 && x.charges === 0)) continue;
+      x.cost += x.interest + x.charges;
+      x.lastMonth = month;
+      if (withRows) {
+        x.rows.push({
+          month, opening: x.monthOpening, interest: x.interest, principal: x.due + x.prepayment, prepayment: x.prepayment,
+          charges: x.charges, payment: x.interest + x.due + x.prepayment + x.charges, closing: x.balance,
+        });
+      }
+      if (x.payoffMonth === null && x.balance <= 0.5 && x.monthOpening > 0.5) x.payoffMonth = month;
+    }
+  }
+
+  const costs = state.reduce((c, x) => addCosts(c, switchingCosts(x.loan, x.prepaid, { fees: false, legal: false })), NO_COSTS);
+  return {
+    order,
+    budget,
+    totalInterest: state.reduce((s, x) => s + x.cost, 0),
+    debtFreeMonth: Math.max(0, ...state.map(x => x.payoffMonth ?? x.lastMonth)),
+    costs,
+    schedules: withRows ? state.map(x => ({ ...x.loan, label: x.loan.label || loanLabel(x.loan), rows: x.rows })) : null,
+    loans: state.map(x => ({
+      label: loanLabel(x.loan), rate: x.loan.rate, revolving: x.revolving, balance: x.opening, prepaid: x.prepaid,
+      payoffMonth: x.payoffMonth, lastMonth: x.lastMonth, scheduledPayoffMonth: x.revolving ? null : x.loan.tenure,
+    })),
+  };
+}
+
+// ─── Validation ───
+// What is wrong with a loan as entered, keyed by field. The app shows each message under its input,
+// imports reject the loan, and the strategies leave it out with a warning. A field cleared in the app is
+// null. Structure fields left out take REPAYMENT_DEFAULTS; blank charges, EMIs paid and reset mean none.
+const blank = (v) => v === null || v === undefined || v === "" || Number.isNaN(v);
+const unset = (v) => v === undefined;
+const CHARGE_FIELDS = {
+  foreclosurePct: "foreclosure charge", processingFeePct: "processing fee", stampDuty: "stamp duty",
+  legalCharges: "legal charges", guaranteeFeePct: "guarantee fee", renewalPct: "renewal charge",
+};
+
+export function loanFieldErrors(l) {
+  const errors = {};
+  const { amount, rate, tenure } = LOAN_LIMITS;
+  if (!loanTypeOf(l.type)) errors.type = t("unknown loan type \"{type}\"", { type: l.type });
+  if (blank(l.amount) || !(l.amount > amount.min)) errors.amount = t("amount missing or not positive");
+  else if (!(l.amount < amount.max)) errors.amount = t("amount must be below {max}", { max: formatINR(amount.max) });
+  if (blank(l.rate)) errors.rate = t("rate missing");
+  else if (!(l.rate > rate.min && l.rate < rate.max)) errors.rate = t("rate {rate}% is not a plausible annual rate", { rate: l.rate });
+  if (blank(l.tenure)) errors.tenure = t("tenure missing");
+  else if (!Number.isInteger(l.tenure) || l.tenure < tenure.min || l.tenure > tenure.max) errors.tenure = t("tenure must be whole months from {min} to {max}", tenure);
+
+  if (isRevolving(l)) {
+    if (l.monthlyUtilization) {
+      if (l.monthlyUtilization.some(u => !blank(u) && !(u >= 0 && u <= 100))) errors.monthlyUtilization = t("each month's utilization must be 0–100%");
+    } else if (blank(l.utilization) || !(l.utilization >= 0 && l.utilization <= 100)) errors.utilization = t("utilization must be 0–100%");
+  } else {
+    if (!errors.tenure && !blank(l.emisPaid) && !(Number.isInteger(l.emisPaid) && l.emisPaid >= 0 && !(l.emisPaid > l.tenure))) {
+      errors.emisPaid = t("EMIs paid must be a whole number from 0 to the tenure");
+    }
+    if (l.repayment && !REPAYMENT_STRUCTURES.some(r => r.id === l.repayment)) errors.repayment = t("unknown repayment structure \"{repayment}\"", { repayment: l.repayment });
+    const structure = structureOf(l);
+    if (structure === "moratorium" && !errors.tenure && !unset(l.moratoriumMonths) && !(Number.isInteger(l.moratoriumMonths) && l.moratoriumMonths >= 0 && !(l.moratoriumMonths >= l.tenure))) {
+      errors.moratoriumMonths = t("moratorium must be whole months, shorter than the tenure");
+    }
+    if (structure === "step") {
+      if (!unset(l.stepPct) && (blank(l.stepPct) || !(l.stepPct > -100))) errors.stepPct = t("EMI change must be above −100%");
+      if (!unset(l.stepMonths) && !(Number.isInteger(l.stepMonths) && l.stepMonths >= 1)) errors.stepMonths = t("step interval must be at least 1 month");
+    }
+    if (structure === "balloon" && !unset(l.balloonPct) && (blank(l.balloonPct) || !(l.balloonPct >= 0 && l.balloonPct < 100))) errors.balloonPct = t("balloon must be 0–99% of the amount");
+  }
+  if (l.floating && !blank(l.resetMonths) && !(l.resetMonths >= 1)) errors.resetMonths = t("reset interval must be at least 1 month");
+  // Charges may be left blank (none), never negative
+  Object.entries(CHARGE_FIELDS).forEach(([k, charge]) => {
+    if (!blank(l[k]) && !(l[k] >= 0)) errors[k] = t("{charge} cannot be negative", { charge: t(charge) });
+  });
+  return errors;
+}
+
+// The same for the strategy assumptions (each within its ASSUMPTION_FIELDS range), the tax profile
+// and the business cash flow, keyed like them
+function rangeError(v, [min, max], whole) {
+  if (blank(v)) return t("missing");
+  if (typeof v !== "number") return t("not a number");
+  if (whole && !Number.isInteger(v)) return t("must be a whole number");
+  if (v >= min && v <= max) return null;
+  return max === Infinity ? t("cannot be below {min}", { min }) : t("must be from {min} to {max}", { min, max });
+}
+
+const fieldErrors = (values, ranges) => Object.fromEntries(ranges
+  .map(([key, range, whole]) => [key, rangeError(values[key], range, whole)])
+  .filter(([, error]) => error));
+
+export const assumptionErrors = (a) => fieldErrors(a, ASSUMPTION_FIELDS.filter(f => f.range).map(f => [f.key, f.range, f.whole]));
+
+export const taxProfileErrors = (p) => fieldErrors(p, ["rate", "surcharge", "cess"].map(key => [key, [0, 100]]));
+
+// Cash accruals may be negative in a bad month; revenue and other obligations may not
+export const cashFlowErrors = (c) => fieldErrors(c, [["revenue", [0, Infinity]], ["cash", [-Infinity, Infinity]], ["obligations", [0, Infinity]]]);
+
+// A lender offer: 0 tenure or amount is no cap
+export const offerErrors = (o) => fieldErrors(o, [["rate", [1, 39]], ["processingFeePct", [0, 10]], ["maxTenure", [0, LOAN_LIMITS.tenure.max], true], ["maxAmount", [0, Infinity]]]);
+
+// A user's own loan type: the usual terms new loans start from; its charges and lock-in may be left blank (none)
+export function loanTypeErrors(lt) {
+  const present = (values, keys) => keys.filter(k => !blank(values?.[k]));
+  return {
+    ...fieldErrors(lt, [
+      ["defaultRate", [1, 39]], ["defaultTenure", [LOAN_LIMITS.tenure.min, LOAN_LIMITS.tenure.max], true], ["defaultAmount", [1, Infinity]],
+      ...(lt.nature === "revolving" ? [["defaultUtilization", [0, 100]], ["defaultRenewalPct", [0, 100]]] : []),
+    ]),
+    ...fieldErrors(lt.defaultCosts ?? {}, present(lt.defaultCosts, Object.keys(CHARGE_FIELDS)).map(k => [k, [0, Infinity]])),
+    ...fieldErrors(lt.rules ?? {}, present(lt.rules, ["lockInMonths"]).map(k => [k, [0, LOAN_LIMITS.tenure.max], true])),
+  };
+}
+
+// A result warning as one line: "#2 Term Loan: rate missing", or "Balance transfer rate: ..." for an assumption
+export const warningText = (w) => `${w.index !== undefined ? `#${w.index + 1} ` : ""}${w.label}: ${w.message}`;
+
+// ─── Time Value ───
+// Month-indexed outflows (index 0 = today): upfront costs, every scheduled payment, and any
+// balance still drawn on a revolving limit when the horizon ends, so all strategies repay the same debt.
+// With a tax rate, interest, charges and switching costs are reduced by the tax they save.
+function cashOutflows(schedules, upfront = 0, taxRate = 0) {
+  const t = taxRate / 100;
+  const flows = [upfront * (1 - t)];
+  schedules.forEach(s => s.rows.forEach(r => { flows[r.month] = (flows[r.month] || 0) + r.payment - t * (r.interest + (r.charges || 0)); }));
+  schedules.forEach(s => {
+    const last = s.rows[s.rows.length - 1];
+    if (last && last.closing > 0.5) flows[last.month] += last.closing;
+  });
+  return Array.from(flows, f => f || 0);
+}
+
+// Effective annual rate → equivalent monthly rate, and back
+const monthlyRate = (annualPct) => Math.pow(1 + annualPct / 100, 1 / 12) - 1;
+const annualRate = (monthly) => (Math.pow(1 + monthly, 12) - 1) * 100;
+
+export const presentValue = (flows, annualPct) => {
+  const r = monthlyRate(annualPct);
+  return flows.reduce((pv, f, t) => pv + f / Math.pow(1 + r, t), 0);
+};
+
+// Effective annual cost of borrowing: the IRR that equates the outflows to the amount financed
+export function effectiveCost(flows, financed) {
+  if (financed <= 0) return null;
+  const pvAt = (r) => flows.reduce((pv, f, t) => pv + f / Math.pow(1 + r, t), 0);
+  if (pvAt(0) < financed) return null;
+  let lo = 0, hi = 0.2;
+  for (let i = 0; i < 60; i++) {
+    const mid = (lo + hi) / 2;
+    if (pvAt(mid) > financed) lo = mid; else hi = mid;
+  }
+  return annualRate((lo + hi) / 2);
+}
+
+// ─── Hybrid Optimizer ───
+const HYBRID_ACTIONS = ["keep", "prepay", "transfer", "consolidate", "extend"];
+export const ACTION_LABELS = { keep: "Keep", prepay: "Prepay", transfer: "Transfer", consolidate: "Consolidate", extend: "Extend" };
+
+// Months from today until the start of a "YYYY-MM" target
+const monthsUntil = (target) => {
+  const [y, m] = target.split("-").map(Number);
+  const now = new Date();
+  return (y - now.getFullYear()) * 12 + (m - 1 - now.getMonth());
+};
+
+// Loans moved to a new lender float on its benchmark when a reset period is set, otherwise they are fixed
+// (and leave any scheme guarantee, with its fee, behind)
+const refinancedTerms = (a) => ({ floating: a.newLoanReset > 0, resetMonths: a.newLoanReset, ratePath: a.ratePath, repayment: "emi", guaranteeFeePct: 0 });
+
+// Interest + charges of a leg without building its schedule (keeps the search cheap)
+const legCost = (leg) => isRevolving(leg) || isFloating(leg) || structureOf(leg) || leg.guaranteeFeePct > 0
+  ? scheduleCost(legSchedule(leg))
+  : calcTotalInterest(leg.amount, leg.rate, leg.tenure);
+
+// ─── Lender Offers ───
+// Real sanction offers (NEW_OFFER) replace the assumed transfer rate and consolidation discount.
+// A lender only takes loan types it lists, up to its maximum amount across everything it takes,
+// and over no more than its maximum tenure.
+const hasOffers = (a) => a.offers?.length > 0;
+const offerTakes = (offer, l) => !offer.types?.length || offer.types.includes(l.type);
+const offerRoom = (offer, used = 0) => offer.maxAmount > 0 ? Math.max(0, offer.maxAmount - used) : Infinity;
+const offerTenure = (offer, months) => offer.maxTenure > 0 ? Math.min(months, offer.maxTenure) : months;
+const offerLender = (offer) => offer.lender?.trim() || t("Offer at {rate}%", { rate: offer.rate });
+
+// `amount` of a loan moved to an offer, and what moving it costs
+function offerLeg(l, offer, amount, a, label) {
+  return {
+    leg: {
+      ...l, ...refinancedTerms(a), label, lender: offerLender(offer), amount, rate: offer.rate,
+      tenure: isRevolving(l) ? l.tenure : offerTenure(offer, l.tenure),
+    },
+    costs: switchingCosts(l, amount, { processingFeePct: offer.processingFeePct }),
+  };
+}
+
+// What is left with the old lender after part of a loan moves: same rate and tenure, smaller balance
+const remainderLeg = (l, amount) => ({
+  ...l, label: t("{loan} (balance kept)", { loan: loanLabel(l) }), amount,
+  ...(l.originalAmount && { originalAmount: l.originalAmount * amount / l.amount }),
+});
+
+// Offers that would take a loan, cheapest first over its remaining life (interest plus processing fee)
+function offersFor(l, offers, a) {
+  const cost = (offer) => {
+    const { leg, costs } = offerLeg(l, offer, l.amount, a, "");
+    return legCost(leg) + costs.processing;
+  };
+  return offers.filter(o => offerTakes(o, l) && o.rate < l.rate).map(o => ({ offer: o, cost: cost(o) })).sort((x, y) => x.cost - y.cost).map(x => x.offer);
+}
+
+// Balance transfer across several lenders: the costliest loans choose first, each going to the
+// cheapest offer with room left and splitting over the next cheapest when that one runs out.
+// A CC/OD limit moves whole or not at all. Whatever no offer can take stays where it is.
+function placeOnOffers(loans, offers, a) {
+  const used = new Map();
+  const placements = [];
+  const legs = [];
+  let costs = NO_COSTS;
+  [...loans].sort((x, y) => y.rate - x.rate).forEach(l => {
+    let remaining = l.amount;
+    for (const offer of offersFor(l, offers, a)) {
+      const room = offerRoom(offer, used.get(offer));
+      if (isRevolving(l) ? room < remaining : room <= 0.5) continue;
+      const amount = Math.min(room, remaining);
+      const moved = offerLeg(l, offer, amount, a, t("{loan} → {lender}", { loan: loanLabel(l), lender: offerLender(offer) }));
+      legs.push(moved.leg);
+      costs = addCosts(costs, moved.costs);
+      placements.push({ offer, loan: l, amount });
+      used.set(offer, (used.get(offer) || 0) + amount);
+      remaining -= amount;
+      if (remaining <= 0.5) break;
+    }
+    if (remaining > 0.5) legs.push(remaining < l.amount ? remainderLeg(l, remaining) : { ...l, label: loanLabel(l) });
+  });
+  return { legs, costs, placements };
+}
+
+// "HDFC Bank ₹12.0 L at 9.4%, Bajaj Finance ₹5.0 L at 10.1%": what each lender takes
+function placementSummary(placements) {
+  const byLender = new Map();
+  placements.forEach(p => {
+    const lender = offerLender(p.offer);
+    const x = byLender.get(lender) ?? { lender, rate: p.offer.rate, amount: 0, loans: [] };
+    x.amount += p.amount;
+    x.loans.push(loanLabel(p.loan));
+    byLender.set(lender, x);
+  });
+  return [...byLender.values()];
+}
+
+const describePlacements = (summary) => summary
+  .map(x => t("{lender} {amount} at {rate}%", { lender: x.lender, amount: formatINR(x.amount), rate: x.rate })).join(", ");
+
+// Which loans a consolidated loan took over, by portfolio index, and each one's share of it
+const sharesOf = (group, drawnOf) => {
+  const total = group.reduce((s, l) => s + drawnOf(l), 0);
+  return Object.fromEntries(group.map(l => [l.index, drawnOf(l) / total]));
+};
+
+// Consolidation with one offer: the lender takes the costliest loans it accepts, up to its maximum
+function consolidateWithOffer(loans, offer, a, drawnOf) {
+  const group = [];
+  let principal = 0;
+  [...loans].sort((x, y) => y.rate - x.rate).forEach(l => {
+    if (!offerTakes(offer, l) || drawnOf(l) > offerRoom(offer, principal)) return;
+    group.push(l);
+    principal += drawnOf(l);
+  });
+  if (group.length === 0) return null;
+  const tenure = offerTenure(offer, Math.round(Math.max(...group.map(l => l.tenure)) * a.consolidationTenureFactor));
+  const legs = [
+    { label: t("Consolidated Loan — {lender}", { lender: offerLender(offer) }), type: "term", lender: offerLender(offer), amount: principal, rate: offer.rate, tenure, ...refinancedTerms(a), shares: sharesOf(group, drawnOf) },
+    ...loans.filter(l => !group.includes(l)).map(l => ({ ...l, label: loanLabel(l) })),
+  ];
+  const costs = group.reduce((c, l) => addCosts(c, switchingCosts(l, drawnOf(l), { processingFeePct: offer.processingFeePct })), NO_COSTS);
+  return { offer, group, principal, legs, costs, cost: legs.reduce((s, leg) => s + legCost(leg), 0) + costs.total };
+}
+
+// What each action does to one loan on its own: the resulting leg, its switching costs and lender.
+// Only the consolidation group and the prepayment run depend on the other loans' actions.
+// An action the loan cannot take (a scheme lock, no offer that takes it) is null.
+function prepareHybridActions(loans, a) {
+  return loans.map((l, i) => {
+    const ownLender = l.lender?.trim().toLowerCase() || `#${i}`;
+    const withStats = (option) => option.leg
+      ? { ...option, cost: legCost(option.leg), emi: monthlyOutgo(option.leg), revolving: isRevolving(option.leg) }
+      : option;
+    // With offers, a transfer goes whole to the cheapest lender that has room for it
+    const offer = hasOffers(a) ? offersFor(l, a.offers, a).find(o => offerRoom(o) >= l.amount) : null;
+    const drawn = isRevolving(l) ? l.amount * averageUtilization(l) / 100 : l.amount;
+    const transfer = offer
+      ? { ...offerLeg(l, offer, l.amount, a, t("{loan} → {lender}", { loan: loanLabel(l), lender: offerLender(offer) })), lender: offerLender(offer).toLowerCase(), offer }
+      : !hasOffers(a) && { leg: { ...l, ...refinancedTerms(a), label: t("{loan} (transferred)", { loan: loanLabel(l) }), rate: a.transferRate }, costs: switchingCosts(l, l.amount), lender: "new lender" };
+    return {
+      keep: withStats({ leg: { ...l, label: loanLabel(l) }, costs: NO_COSTS, lender: ownLender }),
+      prepay: l.lock?.prepay === false ? null : withStats({ leg: { ...l, label: loanLabel(l), prepay: true }, costs: NO_COSTS, lender: ownLender }),
+      transfer: l.lock || !transfer ? null : withStats(transfer),
+      extend: isRevolving(l) ? null : withStats({ leg: { ...l, label: t("{loan} (extended)", { loan: loanLabel(l) }), tenure: Math.round(l.tenure * a.extendTenureFactor) }, costs: switchingCosts(l, l.amount, { foreclosure: false, legal: false }), lender: ownLender }),
+      // A CC/OD limit is closed and only its drawn balance moves, so that is what the fees are on
+      consolidate: l.lock ? null : { leg: null, costs: switchingCosts(l, drawn), lender: "new lender", drawn },
+    };
+  });
+}
+
+// The offer that takes the whole consolidation group at least cost, given what transfers already use
+function groupOffer(group, principal, tenure, a, used) {
+  return a.offers
+    .filter(o => group.every(l => offerTakes(o, l)) && offerRoom(o, used.get(o)) >= principal)
+    .map(o => ({ offer: o, cost: legCost({ type: "term", amount: principal, rate: o.rate, tenure: offerTenure(o, tenure), ...refinancedTerms(a) }) + principal * (o.processingFeePct || 0) / 100 }))
+    .sort((x, y) => x.cost - y.cost)[0]?.offer ?? null;
+}
+
+// Applies one action per loan. Transfers and the consolidation go to one new lender; loans marked
+// "prepay" share the monthly surplus (highest rate first) along with EMIs freed as loans close.
+function buildHybridPlan(loans, actions, a, withSchedules = false, prepared = prepareHybridActions(loans, a)) {
+  let costs = NO_COSTS;
+  let interest = 0, emi = 0, closure = 0, principal = 0, weighted = 0, groupTenure = 0;
+  let prepaying = false;
+  let offerBreaches = 0;
+  const legs = [];
+  const group = [];
+  const lenders = new Set();
+  const used = new Map();
+  loans.forEach((l, i) => {
+    const option = prepared[i][actions[i]];
+    if (!option.leg) {
+      // With offers the group's lender, and so its fees, is only known once the group is
+      if (!hasOffers(a)) {
+        costs = addCosts(costs, option.costs);
+        lenders.add(option.lender);
+      }
+      group.push(l);
+      principal += option.drawn;
+      weighted += l.rate * option.drawn;
+      groupTenure = Math.max(groupTenure, l.tenure);
+      return;
+    }
+    costs = addCosts(costs, option.costs);
+    lenders.add(option.lender);
+    if (option.offer) used.set(option.offer, (used.get(option.offer) || 0) + l.amount);
+    legs.push(option.leg);
+    prepaying = prepaying || actions[i] === "prepay";
+    interest += option.cost;
+    emi += option.emi;
+    if (!option.revolving) closure = Math.max(closure, option.leg.tenure);
+  });
+  let groupRate = null, groupLender = null;
+  if (principal > 0) {
+    const tenure = Math.round(groupTenure * a.consolidationTenureFactor);
+    const offer = hasOffers(a) ? groupOffer(group, principal, tenure, a, used) : null;
+    // No offer takes the whole group: costed at the assumed rate, but the plan breaks the offer limits
+    if (hasOffers(a)) {
+      if (!offer) offerBreaches++;
+      groupLender = offer ? offerLender(offer) : t("new lender");
+      lenders.add(groupLender.toLowerCase());
+      group.forEach(l => { costs = addCosts(costs, switchingCosts(l, prepared[loans.indexOf(l)].consolidate.drawn, offer ? { processingFeePct: offer.processingFeePct } : {})); });
+      if (offer) used.set(offer, (used.get(offer) || 0) + principal);
+    }
+    groupRate = offer ? offer.rate : Math.max(a.consolidationFloor, weighted / principal - a.consolidationDiscount);
+    const leg = {
+      label: offer ? t("Consolidated Loan — {lender}", { lender: groupLender }) : t("Consolidated Loan"), type: "term", lender: groupLender ?? undefined,
+      amount: principal, rate: groupRate, tenure: offer ? offerTenure(offer, tenure) : tenure, ...refinancedTerms(a),
+      shares: sharesOf(group, l => prepared[loans.indexOf(l)].consolidate.drawn),
+    };
+    legs.push(leg);
+    interest += legCost(leg);
+    emi += monthlyOutgo(leg);
+    closure = Math.max(closure, leg.tenure);
+  }
+  // Transfers to one lender add up against its maximum amount
+  used.forEach((amount, offer) => { if (amount > offerRoom(offer) + 0.5) offerBreaches++; });
+
+  let schedules = null;
+  if (prepaying) {
+    const sim = simulatePrepayment(legs, { monthlySurplus: a.monthlySurplus, lumpSum: a.lumpSum, eligible: l => l.prepay, withRows: withSchedules });
+    costs = addCosts(costs, sim.costs);
+    interest = sim.totalInterest;
+    schedules = sim.schedules;
+    closure = Math.max(0, ...sim.loans.filter(l => !l.revolving).map(l => l.lastMonth));
+  } else if (withSchedules) {
+    schedules = scheduleLegs(legs);
+  }
+  return { legs, schedules, costs, interest, groupRate, groupLender, closure, emi, lenders: lenders.size, offerBreaches };
+}
+
+// Steepest-ascent search over one-loan action changes, starting from "keep everything".
+// A plan that breaks fewer constraints always wins; among equals, higher net savings wins.
+// a.hybridActions (one action per loan) skips the search and prices that plan as it stands: a
+// what-if sweep asks what the chosen plan saves when an input moves, not what plan it would choose.
+export function optimizeHybrid(loans, a, currentInterest) {
+  const closureLimit = a.targetClosure ? monthsUntil(a.targetClosure) : Infinity;
+  const prepared = prepareHybridActions(loans, a);
+  const choices = (i) => HYBRID_ACTIONS.filter(act => prepared[i][act]);
+  const cache = new Map();
+  const evaluate = (actions) => {
+    const key = actions.join();
+    if (cache.has(key)) return cache.get(key);
+    const plan = buildHybridPlan(loans, actions, a, false, prepared);
+    const breaches = {
+      emi: a.maxMonthlyEMI > 0 ? Math.max(0, plan.emi - a.maxMonthlyEMI) / a.maxMonthlyEMI : 0,
+      lenders: a.maxLenders > 0 ? Math.max(0, plan.lenders - a.maxLenders) : 0,
+      closure: Math.max(0, plan.closure - closureLimit) / 12,
+      offers: plan.offerBreaches,
+    };
+    const result = { ...plan, actions, breaches, violation: breaches.emi + breaches.lenders + breaches.closure + breaches.offers, net: currentInterest - plan.interest - plan.costs.total };
+    cache.set(key, result);
+    return result;
+  };
+  const better = (x, y) => x.violation < y.violation - 1e-9 || (Math.abs(x.violation - y.violation) <= 1e-9 && x.net > y.net + 0.5);
+  const withAction = (actions, i, act) => actions.map((x, j) => j === i ? act : x);
+
+  const fixed = a.hybridActions?.length === loans.length
+    ? a.hybridActions.map((act, i) => prepared[i][act] ? act : "keep")
+    : null;
+  let best = evaluate(fixed ?? loans.map(() => "keep"));
+  for (let iter = 0; !fixed && iter < loans.length * 4; iter++) {
+    let move = null;
+    loans.forEach((l, i) => choices(i).forEach(act => {
+      if (act === best.actions[i]) return;
+      const candidate = evaluate(withAction(best.actions, i, act));
+      if (better(candidate, move || best)) move = candidate;
+    }));
+    if (!move) break;
+    best = move;
+  }
+
+  // Why each loan got its action: compare against the best alternative for that loan alone
+  const constraintNames = { emi: t("EMI cap"), lenders: t("lender limit"), closure: t("closure date"), offers: t("offer limits") };
+  const reasons = fixed ? loans.map(() => t("Plan held as chosen")) : loans.map((l, i) => {
+    const chosen = best.actions[i];
+    const runnerUp = choices(i).filter(act => act !== chosen)
+      .map(act => evaluate(withAction(best.actions, i, act)))
+      .reduce((r, p) => !r || better(p, r) ? p : r, null);
+    const what = {
+      keep: t("Stays at {rate}%", { rate: l.rate }),
+      prepay: t("Receives the surplus and freed-up EMIs"),
+      transfer: prepared[i].transfer?.offer
+        ? t("{from}% → {to}% with {lender}", { from: l.rate, to: prepared[i].transfer.offer.rate, lender: offerLender(prepared[i].transfer.offer) })
+        : t("{from}% → {to}%", { from: l.rate, to: a.transferRate }),
+      consolidate: (best.actions.filter(x => x === "consolidate").length > 1
+        ? t("Merged with other loans at {rate}%", { rate: best.groupRate?.toFixed(2) })
+        : t("Refinanced as a term loan at {rate}%", { rate: best.groupRate?.toFixed(2) }))
+        + (best.groupLender ? t(" with {lender}", { lender: best.groupLender }) : ""),
+      extend: t("Tenure {from} → {to} months, lower EMI", { from: l.tenure, to: Math.round(l.tenure * a.extendTenureFactor) }),
+    }[chosen];
+    if (!runnerUp) return what;
+    const alt = t(ACTION_LABELS[runnerUp.actions[i]]).toLowerCase();
+    if (runnerUp.violation > best.violation + 1e-9) {
+      const broken = Object.keys(constraintNames).filter(k => runnerUp.breaches[k] > best.breaches[k] + 1e-9).map(k => constraintNames[k]);
+      return t("{what}; choosing {alt} instead would break the {limits}", { what, alt, limits: broken.join(t(" and ")) });
+    }
+    const gain = best.net - runnerUp.net;
+    return gain < 1
+      ? t("{what}; same net savings as {alt}", { what, alt })
+      : t("{what}; {gain} more net savings than {alt}", { what, alt, gain: formatINR(gain) });
+  });
+
+  const plan = buildHybridPlan(loans, best.actions, a, true, prepared);
+  return {
+    ...plan,
+    net: best.net,
+    feasible: best.violation <= 1e-9,
+    breaches: best.breaches,
+    evaluations: cache.size,
+    actions: loans.map((l, i) => ({ index: l.index, label: loanLabel(l), rate: l.rate, action: best.actions[i], reason: reasons[i] })),
+  };
+}
+
+// The repayment-structure strategies: each term loan is re-papered with its current lender on a new
+// structure over what is still owed (processing fee and stamp duty, no foreclosure)
+const STRUCTURE_TERMS = {
+  moratorium: (l, a) => ({ repayment: "moratorium", moratoriumMonths: a.moratoriumMonths, capitalizeInterest: true, tenure: l.tenure + a.moratoriumMonths }),
+  step_up: (l, a) => ({ repayment: "step", stepPct: a.stepUpPct, stepMonths: 12 }),
+  balloon: (l, a) => ({ repayment: "balloon", balloonPct: a.balloonPct }),
+  bullet: () => ({ repayment: "bullet", bulletInterest: "monthly" }),
+};
+
+// ─── Custom Scenarios ───
+// A scenario the user builds (NEW_SCENARIO) runs as a strategy of its own, ranked and reported with
+// the built-in ones; its id carries its name.
+const CUSTOM_PREFIX = "custom:";
+export const scenarioId = (s) => CUSTOM_PREFIX + s.name;
+export const isCustomScenario = (id) => id.startsWith(CUSTOM_PREFIX);
+
+export const scenarioActionUsed = (act) => !!act && (act.rate > 0 || act.tenure > 0 || act.prepayAmount > 0 || !!act.lender?.trim() || !!act.toTerm);
+
+const offerNamed = (a, lender) => a.offers?.find(o => offerLender(o).toLowerCase() === lender.toLowerCase()) ?? null;
+
+// One loan under its scenario action: the leg it becomes, what re-papering it costs and a line for the
+// details. A move to another lender pays the full switching costs; new terms with the same lender pay
+// the processing fee and stamp duty. A scheme loan that cannot move stays put, and one locked in takes
+// no prepayment.
+function scenarioLeg(l, act, a) {
+  const asIs = { ...l, label: loanLabel(l) };
+  if (!scenarioActionUsed(act)) return { leg: asIs, costs: NO_COSTS, change: null };
+  const revolving = isRevolving(l);
+  const wanted = act.lender?.trim() ?? "";
+  const lender = l.lock ? "" : wanted;
+  const offer = lender ? offerNamed(a, lender) : null;
+  const toTerm = revolving && !!act.toTerm;
+  const drawn = revolving ? l.amount * averageUtilization(l) / 100 : l.amount;
+  const rate = act.rate > 0 ? act.rate : offer ? offer.rate : l.rate;
+  const tenure = (months) => offer ? offerTenure(offer, months) : months;
+  const parts = [];
+  let leg = asIs;
+  let costs = NO_COSTS;
+
+  if (toTerm) {
+    const months = tenure(act.tenure > 0 ? act.tenure : l.tenure);
+    leg = { ...asIs, ...(lender && refinancedTerms(a)), label: t("{loan} → Term Loan", { loan: loanLabel(l) }), type: "term", repayment: "emi", lender: lender || l.lender, amount: drawn, rate, tenure: months };
+    costs = lender ? switchingCosts(l, drawn, offer ? { processingFeePct: offer.processingFeePct } : {}) : switchingCosts(l, drawn, { foreclosure: false, legal: false });
+    parts.push(lender
+      ? t("drawn balance moved to {lender} as a term loan at {rate}% over {months} months", { lender: offer ? offerLender(offer) : lender, rate, months })
+      : t("drawn balance termed out at {rate}% over {months} months", { rate, months }));
+  } else if (lender) {
+    const months = revolving ? l.tenure : tenure(act.tenure > 0 ? act.tenure : l.tenure);
+    const name = offer ? offerLender(offer) : lender;
+    leg = { ...asIs, ...refinancedTerms(a), label: t("{loan} → {lender}", { loan: loanLabel(l), lender: name }), lender: name, rate, tenure: months };
+    costs = switchingCosts(l, l.amount, offer ? { processingFeePct: offer.processingFeePct } : {});
+    parts.push(revolving || months === l.tenure
+      ? t("moved to {lender} at {rate}%", { lender: name, rate })
+      : t("moved to {lender} at {rate}% over {months} months", { lender: name, rate, months }));
+  } else if (act.rate > 0 || (act.tenure > 0 && !revolving)) {
+    const months = act.tenure > 0 && !revolving ? act.tenure : l.tenure;
+    leg = { ...asIs, label: t("{loan} (new terms)", { loan: loanLabel(l) }), rate, tenure: months };
+    costs = switchingCosts(l, l.amount, { foreclosure: false, legal: false });
+    if (rate !== l.rate) parts.push(t("rate {from}% → {to}%", { from: l.rate, to: rate }));
+    if (months !== l.tenure) parts.push(t("tenure {from} → {to} months", { from: l.tenure, to: months }));
+  }
+  if (l.lock && wanted) parts.push(t("cannot move ({reason})", { reason: l.lock.reason }));
+  if (offer && !offerTakes(offer, l)) parts.push(t("⚠ {lender}'s offer does not cover this loan type", { lender: offerLender(offer) }));
+
+  if (act.prepayAmount > 0) {
+    const month = Math.max(1, Math.round(act.prepayMonth || 1));
+    if (l.lock?.prepay === false) parts.push(t("no prepayment ({reason})", { reason: l.lock.reason }));
+    else {
+      leg = { ...leg, prepayAmount: act.prepayAmount, prepayMonth: month };
+      parts.push(isRevolving(leg)
+        ? t("{amount} of the drawn balance repaid in month {month}", { amount: formatINR(Math.min(act.prepayAmount, drawn)), month })
+        : act.prepayAmount >= leg.amount
+          ? t("closed with {amount} in month {month}", { amount: formatINR(leg.amount), month })
+          : t("{amount} prepaid in month {month}", { amount: formatINR(act.prepayAmount), month }));
+    }
+  }
+  return { leg, costs, offer, moved: toTerm ? drawn : l.amount, change: parts.length ? `${loanLabel(l)}: ${parts.join(", ")}` : null };
+}
+
+// Average monthly outgo in each year from today: the cash-flow profile of a set of schedules
+function outgoByYear(schedules) {
+  const rows = combineSchedules(schedules);
+  return Array.from({ length: Math.ceil(rows.length / 12) }, (_, y) => {
+    const year = rows.slice(y * 12, y * 12 + 12);
+    return year.reduce((s, r) => s + r.payment, 0) / year.length;
+  });
+}
+
+export function simulateRestructure(portfolio, strategyId, assumptions = DEFAULT_ASSUMPTIONS, taxProfile = DEFAULT_TAX_PROFILE) {
+  const warnings = [];
+  const a = { ...DEFAULT_ASSUMPTIONS, ...assumptions };
+  // An assumption out of its range falls back to its default, and a loan that fails its checks or is
+  // already repaid is left out; each is listed in warnings rather than dropped quietly
+  Object.entries(assumptionErrors(a)).forEach(([key, error]) => {
+    const field = ASSUMPTION_FIELDS.find(f => f.key === key);
+    warnings.push({ field: key, label: t(field.label), message: t("{error}, {value} used", { error, value: DEFAULT_ASSUMPTIONS[key] }) });
+    a[key] = DEFAULT_ASSUMPTIONS[key];
+  });
+  const loans = portfolio.flatMap((l, index) => {
+    const errors = Object.entries(loanFieldErrors(l));
+    errors.forEach(([field, message]) => warnings.push({ index, label: loanLabel(l), field, message }));
+    if (errors.length > 0) return [];
+    const running = { ...toRunningLoan(l), index, ratePath: a.ratePath, lock: loanLock(l) };
+    if (running.amount > 0.5 && running.tenure > 0) return [running];
+    warnings.push({ index, label: loanLabel(l), field: "emisPaid", message: t("already repaid, nothing left to restructure") });
+    return [];
+  });
+  const asIs = (l) => ({ ...l, label: loanLabel(l) });
+  const drawnOf = (l) => isRevolving(l) ? l.amount * averageUtilization(l) / 100 : l.amount;
+  const currentSchedules = scheduleLegs(loans.map(asIs));
+  const totalPrincipal = loans.reduce((s, l) => s + drawnOf(l), 0);
+  const currentTotalInterest = currentSchedules.reduce((s, leg) => s + scheduleCost(leg.rows), 0);
+  const currentMonthlyEMI = loans.reduce((s, l) => s + monthlyOutgo(l), 0);
+  const currentTotalPayout = totalPrincipal + currentTotalInterest;
+  const maxTenure = Math.max(0, ...loans.map(l => l.tenure));
+  const revolvingLoans = loans.filter(isRevolving);
+
+  let legs, newEMI, newTenure, details, prepayment, optimizer, offerPlan;
+  let costs = NO_COSTS;
+  const charge = (l, amount, opts) => { costs = addCosts(costs, switchingCosts(l, amount, opts)); };
+  const scenario = isCustomScenario(strategyId) ? a.scenarios?.find(s => scenarioId(s) === strategyId) : null;
+
+  // With no loan left (all left out or repaid) every strategy is the portfolio as it is
+  switch (loans.length === 0 ? "none" : scenario ? "custom" : strategyId) {
+    case "none":
+      legs = [];
+      newTenure = 0;
+      details = t("No loan left to restructure");
+      break;
+    case "prepay_highest": {
+      const plan = { monthlySurplus: a.monthlySurplus, lumpSum: a.lumpSum, eligible: l => l.lock?.prepay !== false };
+      const avalanche = simulatePrepayment(loans, { ...plan, order: "avalanche" });
+      const snowball = simulatePrepayment(loans, { ...plan, order: "snowball" });
+      prepayment = { avalanche, snowball };
+      legs = avalanche.schedules;
+      costs = addCosts(costs, avalanche.costs);
+      newEMI = avalanche.budget;
+      newTenure = avalanche.debtFreeMonth;
+      const edge = snowball.totalInterest - avalanche.totalInterest;
+      const sources = [
+        a.monthlySurplus > 0 && t("{amount}/month", { amount: formatINR(a.monthlySurplus) }),
+        a.lumpSum > 0 && t("{amount} lump sum", { amount: formatINR(a.lumpSum) }),
+      ].filter(Boolean);
+      const vars = { sources: sources.join(" + "), loan: loanLabel([...loans].sort((x, y) => y.rate - x.rate)[0]), months: avalanche.debtFreeMonth, scheduled: maxTenure };
+      details = `${sources.length
+        ? t("Put {sources} plus every freed-up EMI into the costliest loan first ({loan}) — debt-free in {months} months vs {scheduled}", vars)
+        : t("Put every freed-up EMI into the costliest loan first ({loan}) — debt-free in {months} months vs {scheduled}", vars)}; ${Math.abs(edge) < 1
+        ? t("same interest as smallest-balance-first")
+        : edge > 0 ? t("saves {amount} more than smallest-balance-first", { amount: formatINR(edge) }) : t("{amount} costlier than smallest-balance-first", { amount: formatINR(-edge) })}`;
+      break;
+    }
+    case "consolidate": {
+      // A CC/OD limit with nothing drawn has nothing to term out, so it stays as it is
+      const moving = loans.filter(l => !l.lock && drawnOf(l) > 0.5);
+      const staying = loans.filter(l => !moving.includes(l));
+      if (moving.length === 0) {
+        legs = loans.map(asIs);
+        newTenure = maxTenure;
+        details = t("No loan in the portfolio can move to a new lender");
+        break;
+      }
+      if (hasOffers(a)) {
+        // The one offer that leaves the least to pay; loans it will not take stay where they are
+        const best = a.offers.map(o => consolidateWithOffer(moving, o, a, drawnOf)).filter(Boolean).sort((x, y) => x.cost - y.cost)[0];
+        if (!best) {
+          legs = loans.map(asIs);
+          newTenure = maxTenure;
+          details = t("None of the lender offers takes these loans");
+          break;
+        }
+        legs = [...best.legs, ...staying.map(asIs)];
+        costs = addCosts(costs, best.costs);
+        newTenure = Math.max(...legs.map(l => l.tenure));
+        offerPlan = [{ lender: offerLender(best.offer), rate: best.offer.rate, amount: best.principal, loans: best.group.map(loanLabel) }];
+        const weighted = best.group.reduce((s, l) => s + l.rate * drawnOf(l), 0) / best.principal;
+        const left = moving.filter(l => !best.group.includes(l));
+        details = t("Consolidate {count} loans with {lender} at {rate}% (vs weighted avg {weighted}%) — simpler compliance, one EMI", {
+          count: best.group.length, lender: offerLender(best.offer), rate: best.offer.rate, weighted: weighted.toFixed(1),
+        }) + (left.length ? t("; the offer does not take {loans}", { loans: left.map(loanLabel).join(", ") }) : "");
+        break;
+      }
+      const principal = moving.reduce((s, l) => s + drawnOf(l), 0);
+      const weightedRate = moving.reduce((s, l) => s + l.rate * drawnOf(l), 0) / principal;
+      const newRate = Math.max(a.consolidationFloor, weightedRate - a.consolidationDiscount);
+      const consolidatedTenure = Math.round(Math.max(...moving.map(l => l.tenure)) * a.consolidationTenureFactor);
+      legs = [
+        { label: t("Consolidated Loan"), type: "term", amount: principal, rate: newRate, tenure: consolidatedTenure, ...refinancedTerms(a), shares: sharesOf(moving, drawnOf) },
+        ...staying.map(asIs),
+      ];
+      newTenure = Math.max(...legs.map(l => l.tenure));
+      moving.forEach(l => charge(l, drawnOf(l)));
+      const revolvingMoved = moving.filter(isRevolving).length;
+      details = t("Consolidate {count} loans into single facility at {rate}% (vs weighted avg {weighted}%) — simpler compliance, one EMI", { count: moving.length, rate: newRate.toFixed(1), weighted: weightedRate.toFixed(1) })
+        + (revolvingMoved ? t("; {count} CC/OD limit(s) closed and drawn balance termed out", { count: revolvingMoved }) : "");
+      break;
+    }
+    case "balance_transfer": {
+      if (hasOffers(a)) {
+        // Real offers decide which loans are worth moving, and where
+        const movable = loans.filter(l => !l.lock);
+        const placed = placeOnOffers(movable, a.offers, a);
+        legs = [...placed.legs, ...loans.filter(l => l.lock).map(asIs)];
+        costs = addCosts(costs, placed.costs);
+        newTenure = Math.max(0, ...legs.map(l => l.tenure));
+        offerPlan = placementSummary(placed.placements);
+        details = offerPlan.length
+          ? t("Move {count} loan(s) to {lenders} lender(s): {placements}", {
+            count: new Set(placed.placements.map(x => x.loan)).size, lenders: offerPlan.length, placements: describePlacements(offerPlan),
+          })
+          : t("No lender offer beats the current rates");
+        break;
+      }
+      const highRateLoans = loans.filter(l => l.rate > a.transferCutoff && !l.lock);
+      const lowRateLoans = loans.filter(l => !highRateLoans.includes(l));
+      const transferRate = a.transferRate;
+      legs = [
+        ...highRateLoans.map(l => ({ ...asIs(l), ...refinancedTerms(a), label: t("{loan} (transferred)", { loan: loanLabel(l) }), rate: transferRate })),
+        ...lowRateLoans.map(asIs),
+      ];
+      highRateLoans.forEach(l => charge(l, l.amount));
+      newTenure = maxTenure;
+      details = t("Transfer {count} high-rate loan(s) to {rate}% lender", { count: highRateLoans.length, rate: transferRate });
+      break;
+    }
+    case "extend_tenure": {
+      legs = loans.map(l => isRevolving(l) ? asIs(l) : { ...asIs(l), tenure: Math.round(l.tenure * a.extendTenureFactor) });
+      loans.filter(l => !isRevolving(l)).forEach(l => charge(l, l.amount, { foreclosure: false, legal: false }));
+      newTenure = Math.max(0, ...legs.map(l => l.tenure));
+      details = t("Extend all loan tenures by ~{pct}% — EMI drops significantly, total interest increases but cash flow pressure eases immediately", { pct: Math.round((a.extendTenureFactor - 1) * 100) })
+        + (revolvingLoans.length ? t(". CC/OD limits have no tenure and stay as they are") : "");
+      break;
+    }
+    case "hybrid": {
+      const best = optimizeHybrid(loans, a, currentTotalInterest);
+      legs = best.schedules;
+      costs = addCosts(costs, best.costs);
+      newEMI = best.emi;
+      newTenure = Math.max(0, ...best.schedules.map(l => l.rows.length));
+      optimizer = { actions: best.actions, feasible: best.feasible, breaches: best.breaches, evaluations: best.evaluations, lenders: best.lenders, closure: best.closure };
+      const counts = HYBRID_ACTIONS.map(act => [act, best.actions.filter(x => x.action === act).length]).filter(([, n]) => n > 0);
+      details = t("Optimised per-loan plan: {counts} — best of {evaluations} combinations searched", {
+        counts: counts.map(([act, n]) => `${t(ACTION_LABELS[act]).toLowerCase()} ${localDigits(n)}`).join(", "),
+        evaluations: best.evaluations,
+      }) + (best.feasible ? "" : t(". ⚠ Not every constraint could be met"));
+      break;
+    }
+    case "ccod_to_term": {
+      // Hard-core = the balance that never leaves the account (lowest monthly draw); it becomes a WCTL
+      legs = loans.filter(l => !isRevolving(l)).map(asIs);
+      revolvingLoans.forEach(l => {
+        const draws = Array.from({ length: 12 }, (_, m) => l.amount * utilizationAt(l, m + 1) / 100);
+        const core = Math.min(...draws);
+        const newLimit = Math.max(Math.max(...draws) - core, l.amount * a.residualLimitPct / 100);
+        const termRate = Math.max(0, l.rate - a.termOutDiscount);
+        legs.push({ label: t("{loan} → Term Loan", { loan: loanLabel(l) }), type: "term", index: l.index, amount: core, rate: termRate, tenure: l.tenure, ...refinancedTerms(a) });
+        charge(l, core, { foreclosure: false, legal: false });
+        // A limit drawn flat, with no minimum kept, is termed out whole and closed
+        if (newLimit > 0.5) legs.push({
+          ...asIs(l), label: t("{loan} (reduced limit)", { loan: loanLabel(l) }), amount: newLimit,
+          utilization: (drawnOf(l) - core) / newLimit * 100,
+          monthlyUtilization: l.monthlyUtilization?.map(u => (l.amount * (u || 0) / 100 - core) / newLimit * 100) ?? null,
+        });
+      });
+      newTenure = maxTenure;
+      details = revolvingLoans.length
+        ? t("Term out the hard-core balance of {count} CC/OD limit(s) at ~{discount}% lower and cut limits to the seasonal swing — lower interest and renewal charges", { count: revolvingLoans.length, discount: a.termOutDiscount })
+        : t("No CC/OD or working capital limits in the portfolio");
+      break;
+    }
+    case "moratorium":
+    case "step_up":
+    case "balloon":
+    case "bullet": {
+      const termLoans = loans.filter(l => !isRevolving(l));
+      legs = scheduleLegs(loans.map(l => isRevolving(l) ? asIs(l)
+        : { ...asIs(l), monthsRun: 0, originalAmount: l.amount, ...STRUCTURE_TERMS[strategyId](l, a) }));
+      termLoans.forEach(l => charge(l, l.amount, { foreclosure: false, legal: false }));
+      newTenure = Math.max(0, ...legs.map(l => l.tenure));
+      const outgo = combineSchedules(legs.filter(l => !isRevolving(l)));
+      const vars = { count: termLoans.length, emi: formatINR(outgo[0]?.payment ?? 0) };
+      details = {
+        moratorium: () => t("{months}-month moratorium on {count} term loan(s), interest added to the loan and tenure extended to match — no EMI until month {resume}, then {after}/month", {
+          ...vars, months: a.moratoriumMonths, resume: a.moratoriumMonths + 1, after: formatINR(outgo[a.moratoriumMonths]?.payment ?? 0),
+        }),
+        step_up: () => a.stepUpPct >= 0
+          ? t("Step-up EMIs on {count} term loan(s): {emi}/month in year one, rising {pct}% a year", { ...vars, pct: a.stepUpPct })
+          : t("Step-down EMIs on {count} term loan(s): {emi}/month in year one, falling {pct}% a year", { ...vars, pct: -a.stepUpPct }),
+        balloon: () => t("{pct}% of {count} term loan(s) ({amount}) left for one final payment — {emi}/month until then", {
+          ...vars, pct: a.balloonPct, amount: formatINR(termLoans.reduce((s, l) => s + l.amount, 0) * a.balloonPct / 100),
+        }),
+        bullet: () => t("Interest only on {count} term loan(s) — {emi}/month — and the {amount} principal repaid in one go at the end", {
+          ...vars, amount: formatINR(termLoans.reduce((s, l) => s + l.amount, 0)),
+        }),
+      }[strategyId]();
+      break;
+    }
+    case "custom": {
+      const planned = loans.map(l => scenarioLeg(l, scenario.actions?.[l.index], a));
+      planned.forEach(p => { costs = addCosts(costs, p.costs); });
+      legs = planned.map(p => p.leg);
+      newTenure = Math.max(0, ...legs.map(l => l.tenure));
+      if (legs.some(l => l.prepayAmount > 0)) {
+        // Prepayments keep each EMI as it is and bring the loan's last month forward
+        const sim = simulatePrepayment(legs, { eligible: () => false });
+        costs = addCosts(costs, sim.costs);
+        newEMI = legs.reduce((s, l, i) => s + (sim.loans[i].payoffMonth === l.prepayMonth ? 0 : monthlyOutgo(l)), 0);
+        newTenure = sim.debtFreeMonth;
+        legs = sim.schedules;
+      }
+      // Loans sent to one offer add up against its maximum amount
+      const asked = new Map();
+      planned.filter(p => p.offer).forEach(p => asked.set(p.offer, (asked.get(p.offer) || 0) + p.moved));
+      const over = [...asked].filter(([offer, amount]) => amount > offerRoom(offer) + 0.5)
+        .map(([offer, amount]) => t("⚠ {lender} is asked for {amount}, above its maximum of {max}", { lender: offerLender(offer), amount: formatINR(amount), max: formatINR(offer.maxAmount) }));
+      const changes = [...planned.map(p => p.change).filter(Boolean), ...over];
+      details = changes.length
+        ? t("Custom scenario — {changes}", { changes: changes.join("; ") })
+        : t("Custom scenario with no changes — every loan stays as it is");
+      break;
+    }
+    default:
+      legs = loans.map(asIs);
+      newTenure = maxTenure;
+      details = "";
+  }
+
+  // Scheme loans the strategy would have moved (or prepaid) but has to leave where they are
+  const stuck = {
+    prepay_highest: l => l.lock?.prepay === false,
+    consolidate: l => !!l.lock,
+    balance_transfer: l => !!l.lock && (hasOffers(a) || l.rate > a.transferCutoff),
+    hybrid: l => !!l.lock,
+  }[strategyId];
+  const kept = stuck && details ? loans.filter(stuck) : [];
+  if (kept.length > 0) {
+    details += t(" — kept as they are: {loans}", { loans: kept.map(l => `${loanLabel(l)} (${l.lock.reason})`).join(", ") });
+  }
+
+  const schedules = scheduleLegs(legs);
+  const newInterest = schedules.reduce((s, leg) => s + scheduleCost(leg.rows), 0);
+  if (newEMI === undefined) newEMI = legs.reduce((s, l) => s + monthlyOutgo(l), 0);
+
+  const savings = currentTotalInterest - newInterest;
+  const currentFlows = cashOutflows(currentSchedules);
+  const newFlows = cashOutflows(schedules, costs.total);
+  const currentNPV = presentValue(currentFlows, a.discountRate);
+  const npv = presentValue(newFlows, a.discountRate);
+  const taxRate = effectiveTaxRate(taxProfile);
+  const afterTax = (x) => x * (1 - taxRate / 100);
+  const currentFlowsAfterTax = cashOutflows(currentSchedules, 0, taxRate);
+  const newFlowsAfterTax = cashOutflows(schedules, costs.total, taxRate);
+  const currentNPVAfterTax = presentValue(currentFlowsAfterTax, a.discountRate);
+  const npvAfterTax = presentValue(newFlowsAfterTax, a.discountRate);
+  const emiReduction = currentMonthlyEMI - newEMI;
+  const breakEven = breakEvenMonth(combineSchedules(currentSchedules), combineSchedules(schedules), costs.total);
+  if (costs.total > 0) {
+    details += breakEven
+      ? t(breakEven > 1 ? " — switching costs {amount} incl. GST, recovered in {months} months" : " — switching costs {amount} incl. GST, recovered in {months} month", { amount: formatINR(costs.total), months: breakEven })
+      : t(" — switching costs {amount} incl. GST are never recovered", { amount: formatINR(costs.total) });
+  }
+
+  return {
+    strategyId,
+    currentTotalInterest,
+    currentMonthlyEMI,
+    currentTotalPayout,
+    newInterest,
+    newEMI,
+    newTenure,
+    savings,
+    costs,
+    netSavings: savings - costs.total,
+    breakEvenMonth: breakEven,
+    currentNPV,
+    npv,
+    discountedSavings: currentNPV - npv,
+    currentEffectiveCost: effectiveCost(currentFlows, totalPrincipal),
+    effectiveCost: effectiveCost(newFlows, totalPrincipal),
+    emiReduction,
+    savingsPercent: currentTotalInterest > 0 ? (savings / currentTotalInterest) * 100 : 0,
+    details,
+    taxRate,
+    postTax: {
+      currentTotalInterest: afterTax(currentTotalInterest),
+      newInterest: afterTax(newInterest),
+      savings: afterTax(savings),
+      costs: scaleCosts(costs, 1 - taxRate / 100),
+      netSavings: afterTax(savings - costs.total),
+      currentNPV: currentNPVAfterTax,
+      npv: npvAfterTax,
+      discountedSavings: currentNPVAfterTax - npvAfterTax,
+      currentEffectiveCost: effectiveCost(currentFlowsAfterTax, totalPrincipal),
+      effectiveCost: effectiveCost(newFlowsAfterTax, totalPrincipal),
+    },
+    totalPrincipal,
+    currentOutgo: outgoByYear(currentSchedules),
+    outgo: outgoByYear(schedules),
+    schedules,
+    currentSchedules,
+    prepayment,
+    optimizer,
+    offerPlan,
+    warnings,
+  };
+}
+
+// Strategies are ranked on savings net of switching costs, or on the same savings discounted to today
+export const rankValue = (r, rankBy = "net") => rankBy === "npv" ? r.discountedSavings : r.netSavings;
+export const rankResults = (results, rankBy) => [...results].sort((x, y) => rankValue(y, rankBy) - rankValue(x, rankBy));
+export const bestOf = (results, rankBy) => rankResults(results, rankBy)[0];
+
+// The same result with every interest, cost and savings figure in post-tax terms
+export const asPostTax = (r) => ({ ...r, ...r.postTax });
+
+export const strategyLabel = (id) => isCustomScenario(id) ? id.slice(CUSTOM_PREFIX.length) : t(RESTRUCTURE_STRATEGIES.find(s => s.id === id)?.label ?? id);
+export const strategyDescription = (id) => isCustomScenario(id)
+  ? t("Your own scenario — an explicit action for each loan")
+  : t(RESTRUCTURE_STRATEGIES.find(s => s.id === id)?.description ?? "");
+
+// Strategies that apply to this portfolio (CC/OD conversion only when a limit exists, new repayment
+// structures only when there is a term loan to restructure)
+export const strategiesFor = (loans) => RESTRUCTURE_STRATEGIES.filter(s =>
+  (!s.needsRevolving || loans.some(isRevolving)) && (!s.needsAmortizing || loans.some(l => !isRevolving(l))));
+
+// The applicable strategies, then the user's own scenarios (assumptions.scenarios)
+export const strategyIds = (loans, assumptions) => [...strategiesFor(loans).map(s => s.id), ...(assumptions.scenarios ?? []).map(scenarioId)];
+
+export const analyzePortfolio = (loans, assumptions, taxProfile) => strategyIds(loans, assumptions).map(id => simulateRestructure(loans, id, assumptions, taxProfile));
+
+// Every strategy under every benchmark path
+export const runRateScenarios = (loans, assumptions, taxProfile, scenarios) => scenarios.map(sc => ({
+  id: sc.id, label: sc.label, path: sc.path,
+  results: analyzePortfolio(loans, { ...assumptions, ratePath: sc.path }, taxProfile),
+}));
+
+// Benchmark scenarios only matter when something floats: existing loans, or refinanced ones
+export const needsRateScenarios = (loans, assumptions) => loans.some(l => l.floating) || assumptions.newLoanReset > 0;
+
+// One client end to end, as the app and the command line run it: every strategy on the base path,
+// and on every other scenario as well when rates matter. results are the base path's.
+// Lender offers, when there are any, are what balance transfer and consolidation are priced against;
+// custom scenarios are ranked alongside the strategies.
+export function analyzeClient(loans, assumptions, taxProfile, { rateScenarios = RATE_SCENARIOS, baseScenario = "flat", offers = [], scenarios = [] } = {}) {
+  const a = { ...assumptions, ...(offers.length && { offers }), ...(scenarios.length && { scenarios }) };
+  const runs = runRateScenarios(loans, a, taxProfile,
+    needsRateScenarios(loans, a) ? rateScenarios : rateScenarios.filter(sc => sc.id === baseScenario));
+  const basePath = rateScenarios.find(sc => sc.id === baseScenario)?.path;
+  return {
+    runs,
+    results: runs.find(run => run.id === baseScenario)?.results ?? [],
+    offerComparison: compareOffers(loans, { ...a, ratePath: basePath }, taxProfile),
+  };
+}
+
+// Each lender offer on its own: what moving to it alone would save by balance transfer and by
+// consolidation, best first, with the winner's lead over the next offer
+export function compareOffers(loans, assumptions, taxProfile) {
+  if (!hasOffers(assumptions)) return null;
+  const rows = assumptions.offers.map(offer => {
+    const a = { ...assumptions, offers: [offer] };
+    const [transfer, consolidate] = ["balance_transfer", "consolidate"].map(id => simulateRestructure(loans, id, a, taxProfile));
+    const best = rankValue(consolidate, a.rankBy) > rankValue(transfer, a.rankBy) ? consolidate : transfer;
+    return { offer, lender: offerLender(offer), transfer, consolidate, best: best.strategyId, value: rankValue(best, a.rankBy) };
+  }).sort((x, y) => y.value - x.value);
+  return { rows, winner: rows[0], runnerUp: rows[1] ?? null, margin: rows.length > 1 ? rows[0].value - rows[1].value : null };
+}
+
+// One strategy across benchmark scenarios: its best, base and worst value (net savings or NPV)
+export function rateBand(runs, strategyId, baseId, value) {
+  const values = runs.map(run => ({ id: run.id, label: run.label, value: value(run.results.find(r => r.strategyId === strategyId)) }));
+  const all = values.map(v => v.value);
+  return { best: Math.max(...all), worst: Math.min(...all), base: values.find(v => v.id === baseId)?.value, values };
+}
+
+// ─── Scenario Diff ───
+// What a result does to one loan of the portfolio: the legs that carry it afterwards, with a consolidated
+// loan shared out by what each loan brought in
+function loanOutcome(result, index) {
+  const parts = result.schedules
+    .map(leg => ({ leg, share: leg.index === index ? 1 : leg.shares?.[index] ?? 0 }))
+    .filter(p => p.share > 0);
+  const sum = (f) => parts.reduce((s, p) => s + f(p.leg) * p.share, 0);
+  const first = (leg) => leg.rows[0] ? leg.rows[0].payment - (leg.rows[0].prepayment || 0) : 0;
+  const term = parts.filter(p => !isRevolving(p.leg));
+  return {
+    legs: parts.map(p => ({ label: p.leg.label, rate: p.leg.rate, lender: p.leg.lender, share: p.share })),
+    emi: sum(first),
+    prepaid: sum(leg => leg.rows.reduce((s, r) => s + (r.prepayment || 0), 0)),
+    interest: sum(leg => scheduleCost(leg.rows)),
+    closes: term.length ? Math.max(...term.map(p => p.leg.rows.length)) : null,
+  };
+}
+
+// Two results side by side, loan by loan (any two strategies or custom scenarios of one run). Per-loan
+// figures come from the schedules, so they are before tax; switching costs only exist for the whole plan.
+export function diffResults(x, y) {
+  const rows = x.currentSchedules.map(c => {
+    const from = loanOutcome(x, c.index);
+    const to = loanOutcome(y, c.index);
+    const same = (p, q) => p.legs.length === q.legs.length && p.legs.every((leg, i) => leg.label === q.legs[i].label && leg.rate === q.legs[i].rate)
+      && Math.abs(p.interest - q.interest) < 1 && Math.abs(p.prepaid - q.prepaid) < 1;
+    return {
+      index: c.index, label: c.label, rate: c.rate, currentInterest: scheduleCost(c.rows),
+      x: from, y: to, interest: to.interest - from.interest, changed: !same(from, to),
+    };
+  });
+  return {
+    x, y, rows,
+    totals: {
+      interest: y.newInterest - x.newInterest, costs: y.costs.total - x.costs.total,
+      netSavings: y.netSavings - x.netSavings, emi: y.newEMI - x.newEMI, tenure: y.newTenure - x.newTenure,
+    },
+  };
+}
+
+// ─── Debt Service Coverage ───
+// Year-one average monthly debt service from the schedules. Voluntary prepayments are left out:
+// lenders judge what the business must pay, not what it chooses to. NCA is after today's interest,
+// so addBack is the monthly interest put back on that basis (the schedules' own unless given).
+// A loss still gets a DSCR, below zero; only a cash flow left at nothing at all has none.
+export function serviceCover(schedules, cashFlow, months = 12, addBack) {
+  let service = 0, interest = 0;
+  schedules.forEach(s => s.rows.slice(0, months).forEach(r => {
+    service += r.payment - (r.prepayment || 0);
+    interest += r.interest;
+  }));
+  service /= months;
+  interest /= months;
+  const obligations = cashFlow.obligations || 0;
+  const entered = Number.isFinite(cashFlow.cash) && (cashFlow.cash !== 0 || cashFlow.revenue > 0);
+  const available = cashFlow.basis === "nca" ? cashFlow.cash + (addBack ?? interest) : cashFlow.cash;
+  return {
+    debtService: service,
+    interest,
+    dscr: entered && service + obligations > 0 ? available / (service + obligations) : null,
+    emiToIncome: cashFlow.revenue > 0 ? service / cashFlow.revenue * 100 : null,
+  };
+}
+
+// DSCR and debt-service-to-revenue before and after a strategy, against the lender thresholds
+export function affordability(result, cashFlow, assumptions = DEFAULT_ASSUMPTIONS) {
+  const a = { ...DEFAULT_ASSUMPTIONS, ...assumptions };
+  const before = serviceCover(result.currentSchedules, cashFlow);
+  // On the NCA basis both sides add back today's interest, the interest the NCA figure is after
+  const after = serviceCover(result.schedules, cashFlow, 12, before.interest);
+  const warnings = [];
+  if (after.dscr !== null && after.dscr < a.minDSCR) warnings.push(t("DSCR {dscr} is below the lender minimum of {min}", { dscr: (Math.floor(after.dscr * 100) / 100).toFixed(2), min: a.minDSCR }));
+  if (after.emiToIncome !== null && after.emiToIncome > a.maxEmiToIncome) warnings.push(t("debt service is {pct}% of revenue, above the {max}% limit", { pct: after.emiToIncome.toFixed(0), max: a.maxEmiToIncome }));
+  return { before, after, warnings };
+}
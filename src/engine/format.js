@@ -0,0 +1,13 @@
+import { t, localDigits } from "../i18n.js";
+
+// ─── Formatting ───
+// Lakh / crore wording and digits follow the current language: ₹12.50 L, ₹१२.५० लाख, ₹૧૨.૫૦ લાખ
+export const formatINR = (n) => {
+  if (n < 0) return `−${formatINR(-n)}`;
+  if (n >= 10000000) return t("₹{n} Cr", { n: (n / 10000000).toFixed(2) });
+  if (n >= 100000) return t("₹{n} L", { n: (n / 100000).toFixed(2) });
+  if (n >= 1000) return t("₹{n}K", { n: (n / 1000).toFixed(1) });
+  return localDigits(`₹${Math.round(n).toLocaleString("en-IN")}`);
+};
+
+export const formatINRFull = (n) => localDigits(n < 0 ? `−₹${Math.round(-n).toLocaleString("en-IN")}` : `₹${Math.round(n).toLocaleString("en-IN")}`);
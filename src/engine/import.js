@@ -0,0 +1,162 @@
+import { t } from "../i18n.js";
+import { parseAmount, parsePercent, parseMonths, parseDate, parsePortfolioJSON, IMPORT_FIELDS } from "../importers.js";
+import { LOAN_TYPES, NEW_LOAN_TYPE, NEW_OFFER, NEW_SCENARIO_ACTION, REPAYMENT_STRUCTURES, RATE_SCENARIOS, DEFAULT_ASSUMPTIONS, ASSUMPTION_FIELDS, DEFAULT_TAX_PROFILE, DEFAULT_CASH_FLOW } from "./config.js";
+import { monthsElapsed, emisPaidFor, loanFieldErrors, offerErrors, loanTypeErrors } from "./finance.js";
+import { loanTypeOf, customLoanTypes, withLoanTypes } from "./types.js";
+
+// ─── Import ───
+const TYPE_MATCH_ORDER = ["eclgs", "pmegp", "standup", "cgtmse", "lafd", "gold", "lap", "mudra", "vehicle", "ccod", "working", "term"];
+
+const words = (text) => ` ${String(text ?? "").toLowerCase().replace(/[^a-z0-9/]+/g, " ").trim()} `;
+
+// Loan type from a product description: an id or label, else the first keyword hit — the user's own
+// types first, then the most specific built-in type
+export function loanTypeFor(text) {
+  const s = words(text);
+  const candidates = [...customLoanTypes(), ...TYPE_MATCH_ORDER.map(loanTypeOf)];
+  const exact = candidates.find(t => s.trim() === t.id || s.trim() === words(t.label).trim());
+  if (exact) return { type: exact.id, matched: true };
+  const hit = candidates.find(lt => lt.keywords.some(k => s.includes(words(k))));
+  if (hit) return { type: hit.id, matched: true };
+  return { type: "term", matched: false };
+}
+
+// A user-defined loan type from a file or link, filled out with NEW_LOAN_TYPE and checked
+export function loanTypeFromJSON(def) {
+  const errors = [];
+  if (typeof def?.id !== "string" || !def.id.trim()) errors.push(t("loan type has no id"));
+  else if (LOAN_TYPES.some(lt => lt.id === def.id)) errors.push(t("\"{type}\" is a built-in loan type", { type: def.id }));
+  if (typeof def?.label !== "string" || !def.label.trim()) errors.push(t("loan type has no name"));
+  if (def?.nature !== "amortizing" && def?.nature !== "revolving") errors.push(t("repayment nature must be amortizing or revolving"));
+  const type = {
+    ...NEW_LOAN_TYPE, ...def,
+    keywords: Array.isArray(def?.keywords) ? def.keywords.map(String) : [],
+    defaultCosts: { ...NEW_LOAN_TYPE.defaultCosts, ...def?.defaultCosts },
+    rules: { ...NEW_LOAN_TYPE.rules, ...def?.rules },
+  };
+  const numbers = (values, keys) => keys.forEach(k => { if (values[k] !== undefined && values[k] !== null) values[k] = Number(values[k]); });
+  numbers(type, ["defaultRate", "defaultTenure", "defaultAmount", "defaultUtilization", "defaultRenewalPct"]);
+  numbers(type.defaultCosts, Object.keys(NEW_LOAN_TYPE.defaultCosts));
+  numbers(type.rules, ["lockInMonths"]);
+  if (Object.keys(loanTypeErrors(type)).length > 0) errors.push(t("usual terms missing or out of range"));
+  if (type.defaultRepayment && !REPAYMENT_STRUCTURES.some(r => r.id === type.defaultRepayment.repayment)) {
+    errors.push(t("unknown repayment structure \"{repayment}\"", { repayment: type.defaultRepayment.repayment }));
+  }
+  return { type, errors };
+}
+
+// The valid custom types in a portfolio file or share link
+export const loanTypesFromJSON = (defs) => (Array.isArray(defs) ? defs : [])
+  .map(loanTypeFromJSON).filter(p => p.errors.length === 0).map(p => p.type);
+
+// Lender offers from a file: numbers coerced, anything out of range (offerErrors) dropped
+export const offersFromJSON = (offers) => (Array.isArray(offers) ? offers : [])
+  .map(o => ({
+    ...NEW_OFFER, ...o, types: Array.isArray(o?.types) ? o.types : [],
+    ...Object.fromEntries(["rate", "processingFeePct", "maxTenure", "maxAmount"].map(k => [k, Number(o?.[k] ?? NEW_OFFER[k])])),
+  }))
+  .filter(o => Object.keys(offerErrors(o)).length === 0);
+
+// Custom scenarios from a file: named, one action per loan with numbers coerced, duplicate names dropped
+export const scenariosFromJSON = (scenarios) => (Array.isArray(scenarios) ? scenarios : [])
+  .filter(sc => typeof sc?.name === "string" && sc.name.trim())
+  .map(sc => ({
+    name: sc.name.trim(),
+    actions: (Array.isArray(sc.actions) ? sc.actions : []).map(act => ({
+      ...NEW_SCENARIO_ACTION, ...act, lender: String(act?.lender ?? ""), toTerm: !!act?.toTerm,
+      ...Object.fromEntries(["rate", "tenure", "prepayAmount", "prepayMonth"].map(k => [k, Number(act?.[k] ?? NEW_SCENARIO_ACTION[k]) || 0])),
+    })),
+  }))
+  .filter((sc, i, all) => all.findIndex(x => x.name === sc.name) === i);
+
+// Assumptions, tax profile and cash flow from a file: a number written as text is read as one;
+// anything else is left as it is for the checks to flag
+const numbersIn = (values, keys) => ({
+  ...values,
+  ...Object.fromEntries(keys.filter(k => typeof values[k] === "string" && values[k].trim() !== "" && Number.isFinite(Number(values[k]))).map(k => [k, Number(values[k])])),
+});
+export const assumptionsFromJSON = (a) => numbersIn({ ...DEFAULT_ASSUMPTIONS, ...a }, ASSUMPTION_FIELDS.filter(f => f.range).map(f => f.key));
+export const taxProfileFromJSON = (p) => numbersIn(p ?? DEFAULT_TAX_PROFILE, ["rate", "surcharge", "cess"]);
+export const cashFlowFromJSON = (c) => numbersIn(c ?? DEFAULT_CASH_FLOW, ["revenue", "cash", "obligations"]);
+
+// Every field problem with the loan (loanFieldErrors), added to errors
+export function checkLoan(loan, errors) {
+  errors.push(...Object.values(loanFieldErrors(loan)));
+  return errors;
+}
+
+// One statement row (raw strings keyed by IMPORT_FIELDS) → a loan, with what could not be read
+export function loanFromImport(raw, { dateFormat = "DD/MM/YYYY", amountUnit = "auto" } = {}) {
+  const errors = [], warnings = [];
+  const { type, matched } = loanTypeFor(raw.type);
+  if (!matched) warnings.push(raw.type ? t("\"{type}\" read as Term Loan", { type: raw.type }) : t("no loan type, read as Term Loan"));
+  const lt = loanTypeOf(type);
+  const number = (key, parse = parsePercent) => raw[key] === undefined || raw[key] === "" ? null : parse(raw[key]);
+  let amount = number("amount", v => parseAmount(v, amountUnit));
+  const outstanding = number("outstanding", v => parseAmount(v, amountUnit));
+  if (!(amount > 0) && outstanding > 0) {
+    amount = outstanding;
+    warnings.push(t("no sanctioned amount, outstanding used"));
+  }
+  const costs = Object.fromEntries(Object.entries(lt.defaultCosts).map(([k, v]) => [k, number(k, k.endsWith("Pct") ? parsePercent : v2 => parseAmount(v2, amountUnit)) ?? v]));
+  const loan = { type, lender: raw.lender || "", amount, rate: number("rate"), ...costs };
+  const guaranteeFee = number("guaranteeFeePct");
+  if (guaranteeFee !== null) loan.guaranteeFeePct = guaranteeFee;
+
+  if (lt.nature === "revolving") {
+    loan.tenure = number("tenure", parseMonths) ?? lt.defaultTenure;
+    loan.utilization = number("utilization") ?? (outstanding > 0 && amount > 0 ? Math.min(100, outstanding / amount * 100) : lt.defaultUtilization);
+    loan.monthlyUtilization = null;
+    loan.renewalPct = number("renewalPct") ?? lt.defaultRenewalPct;
+  } else {
+    Object.assign(loan, lt.defaultRepayment);
+    loan.tenure = number("tenure", parseMonths);
+    loan.sanctionDate = raw.sanctionDate ? parseDate(raw.sanctionDate, dateFormat) : null;
+    if (raw.sanctionDate && !loan.sanctionDate) warnings.push(t("date \"{date}\" not read as {format}", { date: raw.sanctionDate, format: dateFormat }));
+    const paid = number("emisPaid");
+    loan.emisPaid = paid !== null ? paid
+      : outstanding !== null && amount > 0 && loan.rate > 0 && loan.tenure > 0 ? emisPaidFor(amount, loan.rate, loan.tenure, outstanding)
+      : loan.sanctionDate ? monthsElapsed(loan.sanctionDate)
+      : 0;
+    if (loan.tenure > 0) loan.emisPaid = Math.min(loan.emisPaid, loan.tenure);
+  }
+  return { loan, errors: checkLoan(loan, errors), warnings };
+}
+
+// A loan from a portfolio JSON file: known type, defaults for anything the file leaves out
+export function loanFromJSON(l) {
+  const lt = loanTypeOf(l?.type);
+  if (!lt) return { loan: l, errors: [t("unknown loan type \"{type}\"", { type: l?.type })], warnings: [] };
+  const defaults = lt.nature === "revolving"
+    ? { tenure: lt.defaultTenure, utilization: lt.defaultUtilization, monthlyUtilization: null, renewalPct: lt.defaultRenewalPct }
+    : { emisPaid: 0, ...lt.defaultRepayment };
+  const loan = { ...lt.defaultCosts, ...defaults, ...l };
+  [
+    "amount", "rate", "tenure", "emisPaid", "utilization", "moratoriumMonths", "stepPct", "stepMonths", "balloonPct",
+    "foreclosurePct", "processingFeePct", "stampDuty", "legalCharges", "guaranteeFeePct", "renewalPct", "benchmarkRate", "spread", "resetMonths",
+  ].forEach(k => { if (loan[k] !== undefined && loan[k] !== null) loan[k] = Number(loan[k]); });
+  return { loan, errors: checkLoan(loan, []), warnings: [] };
+}
+
+// A portfolio file ready for analysis, with the app's defaults for anything it leaves out.
+// Loans that fail the checks are left out and listed in rejected with their 1-based position.
+// Custom loan types the file brings are returned too: analyse it inside withLoanTypes(p.loanTypes, ...).
+export function portfolioFromJSON(text) {
+  const data = parsePortfolioJSON(text);
+  const loanTypes = loanTypesFromJSON(data.loanTypes);
+  const parsed = withLoanTypes(loanTypes, () => data.loans.map(loanFromJSON));
+  return {
+    businessName: data.businessName ?? "",
+    loanTypes,
+    loans: parsed.filter(p => p.errors.length === 0).map(p => p.loan),
+    assumptions: assumptionsFromJSON(data.assumptions),
+    taxProfile: taxProfileFromJSON(data.taxProfile),
+    cashFlow: cashFlowFromJSON(data.cashFlow),
+    rateScenarios: data.rateScenarios ?? RATE_SCENARIOS,
+    baseScenario: data.baseScenario ?? "flat",
+    offers: offersFromJSON(data.offers),
+    // Actions follow the loans by position, so rejected loans take theirs with them
+    scenarios: scenariosFromJSON(data.scenarios).map(sc => ({ ...sc, actions: sc.actions.filter((_, i) => parsed[i]?.errors.length === 0) })),
+    rejected: parsed.map((p, i) => ({ index: i + 1, errors: p.errors })).filter(r => r.errors.length > 0),
+  };
+}
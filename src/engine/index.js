@@ -0,0 +1,100 @@
+// ─── Engine ───
+// Everything the app calculates, without React or the browser: loans in, ranked strategies and a
+// client report out. The app imports it from here, and so do the command line and any script.
+//
+//   import { portfolioFromJSON, analyzeClient, bestOf, generateReportHTML } from "./src/engine/index.js";
+//   const p = portfolioFromJSON(fs.readFileSync("client.json", "utf8"));
+//   const { runs, results, offerComparison } = analyzeClient(p.loans, p.assumptions, p.taxProfile, p);
+//   const html = generateReportHTML(p.loans, results, p.businessName, p.assumptions,
+//     { taxProfile: p.taxProfile, cashFlow: p.cashFlow, rateStress: { runs, baseId: p.baseScenario }, offerComparison });
+//
+// A loan is stored as the app keeps it: { type, amount, rate, tenure, emisPaid, ...costs } with amounts
+// in rupees, rates in % a year and tenures in months; a CC/OD limit adds utilization instead of emisPaid.
+// repayment picks a moratorium, step, balloon or bullet structure (REPAYMENT_STRUCTURES) over a level EMI.
+// type is a LOAN_TYPES id, or a custom type's registered with setCustomLoanTypes / withLoanTypes.
+// Lender offers ({ lender, rate, processingFeePct, maxTenure, maxAmount, types }, NEW_OFFER) replace the
+// assumed transfer and consolidation rates when given, as assumptions.offers or analyzeClient's offers.
+// Custom scenarios ({ name, actions }, NEW_SCENARIO; one NEW_SCENARIO_ACTION per loan) run as strategies
+// with id scenarioId(scenario), given as assumptions.scenarios or analyzeClient's scenarios.
+// Each result lists in warnings ({ index, label, field, message }) the loans it left out — failing
+// loanFieldErrors or already repaid — and any assumption it replaced with the default for not being a number.
+// Wording in results and reports follows the current language: wrap calls in withLanguage("hi", ...).
+
+// Loan types, strategies, benchmark scenarios, and the default assumptions, tax and cash-flow profiles
+export {
+  LOAN_TYPES, NEW_LOAN_TYPE, NEW_OFFER, NEW_SCENARIO, NEW_SCENARIO_ACTION, GST_RATE, BENCHMARKS, RATE_SCENARIOS, REPAYMENT_STRUCTURES, REPAYMENT_DEFAULTS, RESTRUCTURE_STRATEGIES, DEFAULT_ASSUMPTIONS, ASSUMPTION_FIELDS,
+  WHAT_IF_ASSUMPTIONS, LOAN_LIMITS,
+  RANKINGS, TAX_ENTITIES, DEFAULT_TAX_PROFILE, CASH_FLOW_BASES, DEFAULT_CASH_FLOW, DEFAULT_PRACTICE, REPORT_TEMPLATES,
+} from "./config.js";
+
+// Loan-type registry: loanTypes() lists the built-in and custom types, loanTypeOf(id) finds one,
+// loanTypesUsed(loans) picks the custom ones a portfolio needs to travel with it
+export {
+  loanTypes, loanTypeOf, setCustomLoanTypes, customLoanTypes, withLoanTypes, mergeLoanTypes, loanTypesUsed, typeRules,
+} from "./types.js";
+
+// ₹12.50 L style and ₹12,50,000 style amounts
+export { formatINR, formatINRFull } from "./format.js";
+
+// Building blocks:
+//   calcEMI(principal, annualRate, months) and calcTotalInterest(principal, annualRate, months)
+//   buildSchedule(principal, annualRate, months) → month-by-month rows
+//   loanPosition(loan) → { outstanding, remainingTenure, emi } as of today
+//   remainingCost(loan) → interest (or facility cost) still to be paid
+//   structureOf(loan) → "moratorium" | "step" | "balloon" | "bullet", or null for a level EMI
+//   loanLock(loan) → { prepay, reason } when the loan's scheme keeps it with its lender, else null
+//   loanFieldErrors(loan) → { field: message } for each field out of range (LOAN_LIMITS) or unreadable
+//   assumptionErrors(a), taxProfileErrors(p), cashFlowErrors(c), offerErrors(o) and loanTypeErrors(lt) → the same for the other inputs
+//   effectiveCost(flows, principal) and presentValue(flows, annualRate) on month-indexed outflows
+export {
+  effectiveTaxRate, calcEMI, calcTotalInterest, buildSchedule, isRevolving, averageUtilization, scheduleCost,
+  combineSchedules, currentMonth, monthsElapsed, loanPosition, emisPaidFor, remainingCost, loanLabel, defaultCostsFor,
+  structureOf, repaymentSummary, repaymentLabel, loanLock, loanFieldErrors, assumptionErrors, taxProfileErrors, cashFlowErrors, offerErrors, loanTypeErrors, warningText,
+  monthLabel, presentValue, effectiveCost, ACTION_LABELS,
+} from "./finance.js";
+
+// Strategies:
+//   simulateRestructure(loans, strategyId, assumptions, taxProfile) → one strategy's result
+//     { strategyId, savings, costs, netSavings, discountedSavings, breakEvenMonth, newEMI, details,
+//       postTax, outgo (average monthly outgo by year), schedules, currentSchedules, ... }
+//   analyzePortfolio(loans, assumptions, taxProfile) → every applicable strategy, then each custom scenario
+//   runRateScenarios(loans, assumptions, taxProfile, scenarios) → [{ id, label, path, results }]
+//   analyzeClient(loans, assumptions, taxProfile, { rateScenarios, baseScenario, offers, scenarios })
+//     → { runs, results, offerComparison }
+//   compareOffers(loans, assumptions, taxProfile) → each offer alone, best first: { rows, winner, runnerUp, margin }
+//   rankResults(results, rankBy) and bestOf(results, rankBy), rankBy "net" or "npv"
+//   affordability(result, cashFlow, assumptions) → DSCR before and after, with lender warnings
+//   diffResults(x, y) → two results loan by loan: { rows: [{ label, x, y, interest, changed }], totals }
+export {
+  simulatePrepayment, optimizeHybrid, simulateRestructure, rankValue, rankResults, bestOf, asPostTax, strategyLabel,
+  strategyDescription, strategiesFor, strategyIds, scenarioId, isCustomScenario, scenarioActionUsed, diffResults, analyzePortfolio, runRateScenarios, needsRateScenarios, analyzeClient, compareOffers, rateBand,
+  serviceCover, affordability,
+} from "./finance.js";
+
+// What-if: whatIfInputs(loans, assumptions) lists the slider inputs (loan rates and tenures, key
+// assumptions), applyWhatIf({ loans, assumptions }, input, value) sets one, and
+// sensitivity(loans, assumptions, taxProfile, strategyId, { inputs, value, flipInputs }) → { best, base, rows, flipInputs }
+// gives each input's low/high value for the strategy, widest swing first, and where the best strategy flips
+// along the flipInputs widest ones
+export { whatIfInputs, applyWhatIf, sensitivity } from "./sensitivity.js";
+
+// Loans from a statement row (loanFromImport) or a portfolio file (loanFromJSON, portfolioFromJSON),
+// each checked: { loan, errors, warnings }. assumptionsFromJSON, taxProfileFromJSON and cashFlowFromJSON
+// read a file's settings with numbers written as text turned into numbers.
+export {
+  loanTypeFor, checkLoan, loanFromImport, loanFromJSON, portfolioFromJSON, loanTypeFromJSON, loanTypesFromJSON, offersFromJSON, scenariosFromJSON,
+  assumptionsFromJSON, taxProfileFromJSON, cashFlowFromJSON,
+} from "./import.js";
+
+// Client report: buildReport(loans, results, businessName, assumptions, context) gives the block
+// model; renderReportHTML / renderReportPDF draw it, generateReportHTML / generateReportPDF do both.
+// context: { taxProfile, rateStress: { runs, baseId }, cashFlow, practice, template, offerComparison }
+// Charts: balanceChart(results, highlightId), emiChart(result) and interestChart(result) give chart
+// blocks; chartShapes(chart, width, chartHeight(chart, width), theme) lays one out for shapesToSVG or your own drawing.
+// outcomeCell(row.x) words one side of a diffResults row as a table cell { text, sub }
+export {
+  buildReport, outcomeCell, balanceChart, emiChart, interestChart, chartColor, chartHeight, chartShapes, shapesToSVG, LIGHT_CHART_THEME,
+  renderReportHTML, generateReportHTML, renderReportPDF, generateReportPDF,
+} from "./report.js";
+
+export { LANGUAGES, withLanguage } from "../i18n.js";
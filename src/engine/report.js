@@ -0,0 +1,902 @@
+import { t, getLanguage, localeTag, localDigits } from "../i18n.js";
+import { createPDF, textWidth, wrapText } from "../pdf.js";
+import { GST_RATE, BENCHMARKS, DEFAULT_ASSUMPTIONS, RANKINGS, TAX_ENTITIES, DEFAULT_TAX_PROFILE, CASH_FLOW_BASES, DEFAULT_PRACTICE, ASSUMPTION_FIELDS } from "./config.js";
+import { formatINR, formatINRFull } from "./format.js";
+import { effectiveTaxRate, isRevolving, repaymentSummary, combineSchedules, averageUtilization, loanPosition, remainingCost, loanLabel, monthLabel, ACTION_LABELS, rankValue, rankResults, strategyLabel, rateBand, affordability, isCustomScenario, diffResults, loanFieldErrors, warningText } from "./finance.js";
+
+// ─── Client Report ───
+// The report is built once as a list of blocks and rendered to HTML (print, email) or PDF.
+// Blocks: section, text, table, savings, callout, metrics, chart. A table cell is a string
+// or { text, sub, color, bold, span }; a row's tone is "highlight", "shaded" or "total".
+const REPORT_GREEN = "#38a169", REPORT_RED = "#e53e3e";
+const signedCell = (n, text = formatINRFull(n)) => ({ text, color: n >= 0 ? REPORT_GREEN : REPORT_RED });
+const hexColor = (value, fallback) => /^#[0-9a-f]{6}$/i.test(value ?? "") ? value : fallback;
+
+// Optional context: taxProfile, rateStress ({ runs, baseId }), cashFlow, the practice letterhead, the
+// template and the lender offerComparison (compareOffers), each with a neutral default. The executive template keeps the portfolio, the headline
+// comparison and the recommendation; the detailed one adds every supporting table for the banker.
+export function buildReport(loans, results, businessName, assumptions = DEFAULT_ASSUMPTIONS, {
+  taxProfile = DEFAULT_TAX_PROFILE,
+  rateStress = { runs: [], baseId: "flat" },
+  cashFlow = null,
+  practice = DEFAULT_PRACTICE,
+  template = "detailed",
+  offerComparison = null,
+} = {}) {
+  const detailed = template !== "executive";
+  // Loans the strategies left out are listed under the portfolio rather than in it
+  const portfolio = loans.filter(l => Object.keys(loanFieldErrors(l)).length === 0);
+  const positions = portfolio.map(loanPosition);
+  const ranked = rankResults(results, assumptions.rankBy);
+  const bestResult = ranked[0];
+  const taxEntity = TAX_ENTITIES.find(e => e.id === taxProfile.entity);
+  const taxRate = effectiveTaxRate(taxProfile);
+  const prepayment = results.find(r => r.prepayment)?.prepayment;
+  const hybrid = results.find(r => r.optimizer)?.optimizer;
+  const rankLabel = t(RANKINGS[assumptions.rankBy] ?? RANKINGS.net);
+  const strategyName = (r) => strategyLabel(r.strategyId);
+  const stratLabel = strategyName(bestResult);
+  const pct = (v, digits) => localDigits(`${digits === undefined ? v : v.toFixed(digits)}%`);
+  const assumptionValue = (f) => {
+    const v = assumptions[f.key] ?? DEFAULT_ASSUMPTIONS[f.key];
+    if (f.key.startsWith("max") && !v) return t("No limit");
+    if (f.type === "month") return v || t("None");
+    return f.unit === "₹" ? formatINRFull(v) : localDigits(`${v} ${t(f.unit)}`);
+  };
+  const rateCell = (l) => l.floating
+    ? { text: pct(l.rate), sub: t("{benchmark} + {spread}%, {months}-month reset", { benchmark: t(BENCHMARKS.find(b => b.id === l.benchmark)?.label ?? ""), spread: l.spread, months: l.resetMonths }) }
+    : pct(l.rate);
+  const blocks = [];
+  const section = (title, ...content) => blocks.push({ kind: "section", title }, ...content.filter(Boolean));
+
+  section(t("Current Loan Portfolio"), {
+    kind: "table",
+    head: [t("Loan Type"), t("Sanctioned / Limit"), t("Outstanding"), t("Rate (p.a.)"), t("Remaining Tenure"), t("Monthly EMI"), t("Remaining Interest & Charges")],
+    rows: [
+      ...portfolio.map((l, i) => ({
+        cells: isRevolving(l) ? [
+          { text: loanLabel(l), sub: t("revolving, renewal {pct}% p.a.", { pct: l.renewalPct || 0 }) },
+          `${t("Limit")}\u00a0${formatINRFull(l.amount)}`,
+          { text: formatINRFull(positions[i].outstanding), sub: t("{pct}% drawn", { pct: averageUtilization(l).toFixed(0) }) },
+          rateCell(l),
+          t("Renewed annually — {months} months modelled", { months: l.tenure }),
+          { text: formatINRFull(positions[i].emi), sub: t("interest only") },
+          formatINRFull(remainingCost(l)),
+        ] : [
+          { text: loanLabel(l), sub: [l.sanctionDate && t("since {date}", { date: localDigits(l.sanctionDate) }), repaymentSummary(l)].filter(Boolean).join(" · ") },
+          formatINRFull(l.amount),
+          formatINRFull(positions[i].outstanding),
+          rateCell(l),
+          t("{remaining} of {tenure} months", { remaining: positions[i].remainingTenure, tenure: l.tenure }),
+          formatINRFull(positions[i].remainingTenure > 0 ? positions[i].emi : 0),
+          formatINRFull(remainingCost(l)),
+        ],
+      })),
+      {
+        tone: "total",
+        cells: [
+          t("TOTAL"),
+          formatINRFull(portfolio.reduce((s, l) => s + l.amount, 0)),
+          formatINRFull(positions.reduce((s, p) => s + p.outstanding, 0)),
+          "—", "—",
+          formatINRFull(positions.reduce((s, p) => s + (p.remainingTenure > 0 ? p.emi : 0), 0)),
+          formatINRFull(portfolio.reduce((s, l) => s + remainingCost(l), 0)),
+        ],
+      },
+    ],
+  }, bestResult.warnings?.length > 0 && {
+    kind: "callout", title: t("Left Out of This Analysis"), text: bestResult.warnings.map(warningText).join("; "),
+  });
+
+  blocks.push({
+    kind: "savings",
+    value: formatINRFull(rankValue(bestResult, assumptions.rankBy)),
+    label: assumptions.rankBy === "npv"
+      ? t("Maximum Potential Savings, Net of Switching Costs and Discounted at {rate}%, with \"{strategy}\" Strategy", { rate: assumptions.discountRate, strategy: stratLabel })
+      : t("Maximum Potential Savings, Net of Switching Costs, with \"{strategy}\" Strategy", { strategy: stratLabel }),
+  });
+
+  // [heading, cell, shown in the executive summary]
+  const comparison = [
+    [t("Strategy"), r => `${r.strategyId === bestResult.strategyId ? "⭐ " : ""}${strategyName(r)}`, true],
+    [t("New Total Interest"), r => formatINRFull(r.newInterest)],
+    [t("Interest Saved"), r => signedCell(r.savings)],
+    [t("Switching Costs"), r => formatINRFull(r.costs.total)],
+    [t("Net Savings"), r => ({ ...signedCell(r.netSavings), bold: true }), true],
+    [t("Post-tax Net Savings"), r => signedCell(r.postTax.netSavings)],
+    [t("Break-even"), r => r.costs.total <= 0 ? "—" : r.breakEvenMonth ? t("{months} mo", { months: r.breakEvenMonth }) : t("Not recovered"), true],
+    [t("New Monthly EMI"), r => formatINRFull(r.newEMI), true],
+    [t("EMI Change"), r => ({ text: `${r.emiReduction > 0 ? "↓" : "↑"}\u00a0${formatINRFull(Math.abs(r.emiReduction))}`, color: r.emiReduction > 0 ? REPORT_GREEN : REPORT_RED }), true],
+  ].filter(([, , summary]) => detailed || summary);
+  section(t("Strategy Comparison"),
+    { kind: "text", text: detailed
+      ? t("Ranked by {ranking}. Post-tax figures treat interest, renewal charges and switching costs as deductible business expenses at an effective {rate}% ({entity}).", { ranking: rankLabel, rate: taxRate.toFixed(2), entity: t(taxEntity?.label ?? "business") })
+      : t("Ranked by {ranking}, after one-off switching costs.", { ranking: rankLabel }) },
+    {
+      kind: "table", small: detailed,
+      head: comparison.map(([head]) => head),
+      rows: ranked.map(r => ({
+        tone: r.strategyId === bestResult.strategyId ? "highlight" : undefined,
+        cells: comparison.map(([, cell]) => cell(r)),
+      })),
+    },
+    {
+      kind: "chart", type: "bars", title: t("{ranking} by strategy", { ranking: rankLabel }),
+      items: ranked.map(r => ({ label: strategyName(r), value: rankValue(r, assumptions.rankBy), highlight: r.strategyId === bestResult.strategyId })),
+    });
+
+  if (detailed) section(t("Time Value & Post-tax Cost of Debt"),
+    { kind: "text", text: (bestResult.currentEffectiveCost !== null
+      ? t("Outflows discounted at {rate}% p.a.; the current portfolio's outflows are worth {npv} today at an effective cost of {cost}% a year ({postTax}% after tax).", { rate: assumptions.discountRate, npv: formatINRFull(bestResult.currentNPV), cost: bestResult.currentEffectiveCost.toFixed(2), postTax: bestResult.postTax.currentEffectiveCost?.toFixed(2) })
+      : t("Outflows discounted at {rate}% p.a.; the current portfolio's outflows are worth {npv} today.", { rate: assumptions.discountRate, npv: formatINRFull(bestResult.currentNPV) }))
+      + " " + t("Effective cost is the annual IRR of all payments and fees against the {outstanding} outstanding.", { outstanding: formatINRFull(bestResult.totalPrincipal) }) },
+    {
+      kind: "table", small: true,
+      head: [t("Strategy"), t("NPV of Outflows"), t("Discounted Savings"), t("Post-tax Discounted Savings"), t("Effective Cost"), t("Post-tax Effective Cost")],
+      rows: ranked.map(r => ({
+        tone: r.strategyId === bestResult.strategyId ? "highlight" : undefined,
+        cells: [
+          strategyName(r),
+          formatINRFull(r.npv),
+          signedCell(r.discountedSavings),
+          signedCell(r.postTax.discountedSavings),
+          r.effectiveCost !== null ? pct(r.effectiveCost, 2) : "—",
+          r.postTax.effectiveCost !== null ? pct(r.postTax.effectiveCost, 2) : "—",
+        ],
+      })),
+    });
+
+  // Years 1–5 of monthly outgo, so moratorium, step-up, balloon and bullet plans show when they ask for cash
+  const outgoYears = Math.min(5, Math.max(0, ...results.map(r => r.outgo.length), bestResult.currentOutgo.length));
+  const outgoCells = (outgo) => Array.from({ length: outgoYears }, (_, y) => outgo[y] !== undefined ? formatINRFull(outgo[y]) : "—");
+  if (detailed && outgoYears > 0) section(t("Repayment Profile"),
+    { kind: "text", text: t("Average monthly payment in each year from today, including prepayments and any final balloon or bullet payment, so each strategy shows when it needs cash as well as what it costs.") },
+    {
+      kind: "table", small: true,
+      head: [t("Strategy"), ...Array.from({ length: outgoYears }, (_, y) => t("Year {year}", { year: y + 1 })), t("Total Interest & Charges")],
+      rows: [
+        { tone: "shaded", cells: [t("Current portfolio"), ...outgoCells(bestResult.currentOutgo), formatINRFull(bestResult.currentTotalInterest)] },
+        ...ranked.map(r => ({
+          tone: r.strategyId === bestResult.strategyId ? "highlight" : undefined,
+          cells: [strategyName(r), ...outgoCells(r.outgo), formatINRFull(r.newInterest)],
+        })),
+      ],
+    });
+
+  const hasCashFlow = cashFlow && (cashFlow.cash > 0 || cashFlow.revenue > 0);
+  if (detailed && hasCashFlow) {
+    const current = affordability(bestResult, cashFlow, assumptions).before;
+    const cover = (m) => [formatINRFull(m.debtService), m.dscr !== null ? localDigits(m.dscr.toFixed(2)) : "—", m.emiToIncome !== null ? pct(m.emiToIncome, 1) : "—"];
+    section(t("Debt Service Coverage (DSCR)"),
+      { kind: "text", text: [
+        t("Monthly revenue {revenue}; {basis} {cash}", { revenue: formatINRFull(cashFlow.revenue), basis: t(CASH_FLOW_BASES[cashFlow.basis]), cash: formatINRFull(cashFlow.cash) })
+          + (cashFlow.basis === "nca" ? t(" (interest added back)") : "")
+          + t("; other obligations {amount} a month, counted with debt service.", { amount: formatINRFull(cashFlow.obligations || 0) }),
+        t("Year-one scheduled debt service, excluding voluntary prepayments."),
+        t("Lender thresholds: DSCR of at least {dscr}, debt service at most {pct}% of revenue.", { dscr: assumptions.minDSCR, pct: assumptions.maxEmiToIncome }),
+      ].join(" ") },
+      {
+        kind: "table", small: true,
+        head: [t("Strategy"), t("Debt Service / Month"), t("DSCR"), t("Debt Service to Revenue"), t("Status")],
+        rows: [
+          {
+            tone: "shaded",
+            cells: [t("Current portfolio"), ...cover(current),
+              (current.dscr !== null && current.dscr < assumptions.minDSCR) || current.emiToIncome > assumptions.maxEmiToIncome ? t("Outside lender thresholds") : t("Meets thresholds")],
+          },
+          ...ranked.map(r => {
+            const { after, warnings } = affordability(r, cashFlow, assumptions);
+            return {
+              cells: [strategyName(r), ...cover(after),
+                { text: warnings.length ? `⚠ ${warnings.join("; ")}` : t("Meets thresholds"), color: warnings.length ? REPORT_RED : REPORT_GREEN }],
+            };
+          }),
+        ],
+      });
+  }
+
+  if (detailed && rateStress.runs.length > 1) {
+    section(t("Interest Rate Stress Test"),
+      { kind: "text", text: t("{ranking} for each strategy under each benchmark path (change in bps by year {paths}).", {
+        ranking: rankLabel,
+        paths: rateStress.runs.map(run => `— ${t(run.label)}: ${localDigits(run.path.join(" / "))}`).join(" "),
+      }) + " " + (assumptions.newLoanReset > 0
+        ? t("Floating loans re-price at their next reset; refinanced loans float with a {months}-month reset.", { months: assumptions.newLoanReset })
+        : t("Floating loans re-price at their next reset.")) },
+      {
+        kind: "table", small: true,
+        head: [t("Strategy"), ...rateStress.runs.map(run => `${t(run.label)}${run.id === rateStress.baseId ? t(" (base)") : ""}`), t("Worst"), t("Best")],
+        rows: ranked.map(r => {
+          const band = rateBand(rateStress.runs, r.strategyId, rateStress.baseId, x => rankValue(x, assumptions.rankBy));
+          return {
+            cells: [strategyName(r), ...band.values.map(v => formatINRFull(v.value)), signedCell(band.worst), { text: formatINRFull(band.best), color: REPORT_GREEN }],
+          };
+        }),
+      });
+  }
+
+  if (detailed && prepayment) {
+    const payoff = (x) => x.payoffMonth ? monthLabel(x.payoffMonth) : x.revolving ? t("Limit kept") : "—";
+    const budget = { budget: formatINRFull(prepayment.avalanche.budget), surplus: formatINRFull(assumptions.monthlySurplus ?? 0), lumpSum: formatINRFull(assumptions.lumpSum ?? 0) };
+    section(t("Prepayment Plan — Highest Rate First vs Smallest Balance First"),
+      { kind: "text", text: assumptions.lumpSum > 0
+        ? t("Monthly budget of {budget} (current EMIs plus {surplus} surplus) and a lump sum of {lumpSum} now; EMIs freed by closed loans roll into the next loan.", budget)
+        : t("Monthly budget of {budget} (current EMIs plus {surplus} surplus); EMIs freed by closed loans roll into the next loan.", budget) },
+      {
+        kind: "table",
+        head: [t("Loan"), t("Rate"), t("Outstanding"), t("As Scheduled"), t("Highest Rate First"), t("Smallest Balance First")],
+        rows: [
+          ...prepayment.avalanche.loans.map((l, i) => ({
+            cells: [l.label, pct(l.rate), formatINRFull(l.balance), l.scheduledPayoffMonth ? monthLabel(l.scheduledPayoffMonth) : t("Revolving"), payoff(l), payoff(prepayment.snowball.loans[i])],
+          })),
+          {
+            tone: "total",
+            cells: [{ text: t("Total interest & charges"), span: 3 }, formatINRFull(bestResult.currentTotalInterest), formatINRFull(prepayment.avalanche.totalInterest), formatINRFull(prepayment.snowball.totalInterest)],
+          },
+        ],
+      });
+  }
+
+  if (detailed && hybrid) {
+    section(t("Hybrid Optimal — Per-Loan Plan"),
+      { kind: "text", text: t("{count} lender(s) after restructuring; term debt closes {when}.", { count: hybrid.lenders, when: hybrid.closure > 0 ? monthLabel(hybrid.closure) : t("now") }) },
+      !hybrid.feasible && { kind: "text", text: t("Not every constraint could be met — this is the closest plan found."), color: REPORT_RED, bold: true },
+      {
+        kind: "table",
+        head: [t("Loan"), t("Rate"), t("Action"), t("Reason")],
+        rows: hybrid.actions.map(act => ({ cells: [act.label, pct(act.rate), { text: t(ACTION_LABELS[act.action]), bold: true }, act.reason] })),
+      });
+  }
+
+  // Each custom scenario against the recommendation, or against the best built-in strategy when it is the recommendation
+  const custom = ranked.filter(r => isCustomScenario(r.strategyId));
+  const builtIn = ranked.find(r => !isCustomScenario(r.strategyId));
+  if (custom.length > 0) {
+    section(t("Custom Scenarios"), ...custom.flatMap(r => {
+      const against = r === bestResult ? builtIn : bestResult;
+      const diff = against && diffResults(against, r);
+      const gap = against ? rankValue(r, assumptions.rankBy) - rankValue(against, assumptions.rankBy) : 0;
+      return [
+        { kind: "callout", title: strategyName(r), text: r.details },
+        diff && { kind: "text", text: t(gap >= 0 ? "{ranking}: {value}, {amount} ahead of {strategy}." : "{ranking}: {value}, {amount} behind {strategy}.", {
+          ranking: rankLabel, value: formatINRFull(rankValue(r, assumptions.rankBy)), amount: formatINRFull(Math.abs(gap)), strategy: strategyName(against),
+        }) },
+        detailed && diff && {
+          kind: "table", small: true,
+          head: [t("Loan"), strategyName(against), strategyName(r), t("Interest Difference")],
+          rows: [
+            ...diff.rows.map(row => ({
+              tone: row.changed ? undefined : "shaded",
+              cells: [row.label, outcomeCell(row.x), outcomeCell(row.y), signedCell(-row.interest, formatINRFull(row.interest))],
+            })),
+            { tone: "total", cells: [t("Switching Costs"), formatINRFull(against.costs.total), formatINRFull(r.costs.total), signedCell(-diff.totals.costs, formatINRFull(diff.totals.costs))] },
+            { tone: "total", cells: [t("Net Savings"), formatINRFull(against.netSavings), formatINRFull(r.netSavings), signedCell(diff.totals.netSavings)] },
+          ],
+        },
+      ];
+    }));
+  }
+
+  if (offerComparison) {
+    const { rows, winner, runnerUp, margin } = offerComparison;
+    const valueCell = (r, best) => ({ ...signedCell(rankValue(r, assumptions.rankBy)), bold: best });
+    section(t("Lender Offer Comparison"),
+      { kind: "text", text: runnerUp
+        ? t("{lender} wins by {amount} over {runnerUp} ({ranking}, each offer taken alone).", { lender: winner.lender, amount: formatINRFull(margin), runnerUp: runnerUp.lender, ranking: rankLabel.toLowerCase() })
+        : t("{lender} is the only offer: {amount} by {strategy}.", { lender: winner.lender, amount: formatINRFull(winner.value), strategy: strategyLabel(winner.best).toLowerCase() }) },
+      detailed && {
+        kind: "table", small: true,
+        head: [t("Lender"), t("Rate"), t("Processing Fee"), t("Tenure Cap"), t("Max Amount"), t("Balance Transfer"), t("Consolidation")],
+        rows: rows.map(r => ({
+          tone: r === winner ? "highlight" : undefined,
+          cells: [
+            { text: r.lender, bold: r === winner, sub: r.offer.types?.length ? r.offer.types.map(id => loanLabel({ type: id })).join(", ") : undefined },
+            pct(r.offer.rate), pct(r.offer.processingFeePct || 0),
+            r.offer.maxTenure > 0 ? t("{months} months", { months: r.offer.maxTenure }) : t("No limit"),
+            r.offer.maxAmount > 0 ? formatINRFull(r.offer.maxAmount) : t("No limit"),
+            valueCell(r.transfer, r.best === "balance_transfer"), valueCell(r.consolidate, r.best === "consolidate"),
+          ],
+        })),
+      });
+  }
+
+  const balances = (schedules) => [bestResult.totalPrincipal, ...combineSchedules(schedules).map(r => r.closing)];
+  const serviceCheck = hasCashFlow && affordability(bestResult, cashFlow, assumptions);
+  section(t("Recommended Action Plan"),
+    { kind: "callout", title: stratLabel, text: bestResult.details },
+    !detailed && serviceCheck && serviceCheck.before.dscr !== null && serviceCheck.after.dscr !== null && {
+      kind: "text",
+      text: `${t("Debt service cover moves from {from} to {to} (lender minimum {min})", { from: serviceCheck.before.dscr.toFixed(2), to: serviceCheck.after.dscr.toFixed(2), min: assumptions.minDSCR })}${serviceCheck.warnings.length ? ` — ${serviceCheck.warnings.join("; ")}` : ""}.`,
+      color: serviceCheck.warnings.length ? REPORT_RED : undefined,
+    },
+    {
+      kind: "metrics",
+      items: [
+        { value: formatINR(bestResult.netSavings), label: t("Net Savings") },
+        { value: pct(bestResult.savingsPercent, 1), label: t("Interest Reduction") },
+        { value: t("{months}mo", { months: bestResult.newTenure }), label: t("Optimized Tenure") },
+      ],
+    },
+    detailed ? balanceChart(ranked, bestResult.strategyId) : {
+      kind: "chart", type: "lines", title: t("Outstanding debt — current portfolio vs recommended"),
+      series: [
+        { label: t("Current portfolio"), color: "#a0aec0", values: balances(bestResult.currentSchedules) },
+        { label: stratLabel, color: REPORT_GREEN, values: balances(bestResult.schedules) },
+      ],
+    },
+    interestChart(bestResult),
+    detailed && emiChart(bestResult),
+    bestResult.costs.total > 0 && {
+      kind: "table",
+      head: [t("One-off Switching Cost"), t("Amount")],
+      rows: [
+        { cells: [t("Foreclosure / prepayment penalty"), formatINRFull(bestResult.costs.foreclosure)] },
+        { cells: [t("Processing fees"), formatINRFull(bestResult.costs.processing)] },
+        { cells: [t("Legal & valuation charges"), formatINRFull(bestResult.costs.legal)] },
+        { cells: [t("GST @ {rate}% on charges", { rate: GST_RATE }), formatINRFull(bestResult.costs.gst)] },
+        { cells: [t("Stamp duty"), formatINRFull(bestResult.costs.stampDuty)] },
+        { tone: "total", cells: [bestResult.breakEvenMonth ? t("TOTAL — recovered in month {month}", { month: bestResult.breakEvenMonth }) : t("TOTAL — not recovered within the loan term"), formatINRFull(bestResult.costs.total)] },
+      ],
+    });
+
+  if (detailed) section(t("Assumptions"), {
+    kind: "table",
+    head: [t("Assumption"), t("Value Used")],
+    rows: [
+      ...ASSUMPTION_FIELDS.map(f => ({
+        cells: [t(f.label), { text: assumptionValue(f), sub: (assumptions[f.key] ?? DEFAULT_ASSUMPTIONS[f.key]) !== DEFAULT_ASSUMPTIONS[f.key] ? t("adjusted") : "" }],
+      })),
+      { cells: [t("Tax profile"), t("{entity}: {rate}% {rateLabel} + {surcharge}% surcharge + {cess}% cess = {effective}% effective", {
+        entity: taxEntity ? t(taxEntity.label) : taxProfile.entity, rate: taxProfile.rate, rateLabel: t(taxEntity?.rateLabel ?? "rate").toLowerCase(),
+        surcharge: taxProfile.surcharge, cess: taxProfile.cess, effective: taxRate.toFixed(2),
+      })] },
+    ],
+  });
+
+  const firm = practice.firmName?.trim();
+  const today = localDigits(new Date().toLocaleDateString(localeTag(), { day: "numeric", month: "long", year: "numeric" }));
+  if (firm && practice.signatory) {
+    blocks.push({
+      kind: "signature",
+      lines: [t("For {firm}", { firm }), practice.firmType, practice.frn && `FRN ${practice.frn}`].filter(Boolean),
+      name: practice.signatory,
+      details: [practice.designation, practice.membershipNo && t("Membership No. {number}", { number: practice.membershipNo }), t("Date: {date}", { date: today })].filter(Boolean),
+    });
+  }
+
+  const title = detailed ? t("Loan Restructuring Analysis") : t("Loan Restructuring — Executive Summary");
+  return {
+    lang: getLanguage(),
+    title,
+    subtitle: t("{business} — Confidential Report", { business: businessName }),
+    documentTitle: `${title} - ${businessName}`,
+    generated: t("Generated {date}", { date: today }),
+    blocks,
+    brand: firm || "LoanRestructure Pro",
+    // Letterhead lines under the title, when a practice profile is set up
+    letterhead: firm ? [
+      t("Prepared by {firm}", { firm: `${firm}${practice.firmType ? `, ${practice.firmType}` : ""}${practice.frn ? ` (FRN ${practice.frn})` : ""}` }),
+      practice.address, practice.contact,
+    ].filter(Boolean) : [],
+    logo: firm ? practice.logo : null,
+    colors: {
+      primary: hexColor(practice.primaryColor, DEFAULT_PRACTICE.primaryColor),
+      accent: hexColor(practice.accentColor, DEFAULT_PRACTICE.accentColor),
+    },
+    disclaimer: practice.disclaimer?.trim() || t("This report is generated by {firm} for advisory purposes only. Actual savings may vary based on lender terms, processing fees, and market conditions. Consult your CA or financial advisor before taking action.", { firm: firm || "LoanRestructure Pro" }),
+    copyright: `© ${localDigits(new Date().getFullYear())} ${firm || "LoanRestructure Pro"}`,
+  };
+}
+
+// One loan's side of a diff (diffResults): where it ends up, then what it costs from here
+export function outcomeCell(o) {
+  const rate = (leg) => localDigits(Number(leg.rate.toFixed(2)));
+  return {
+    text: o.legs.map(leg => leg.share < 0.999
+      ? t("{loan} at {rate}% ({share}% of it)", { loan: leg.label, rate: rate(leg), share: Math.round(leg.share * 100) })
+      : t("{loan} at {rate}%", { loan: leg.label, rate: rate(leg) })).join(" + ") || "—",
+    sub: [
+      t("interest {amount}", { amount: formatINRFull(o.interest) }),
+      o.prepaid > 0.5 && t("prepaid {amount}", { amount: formatINRFull(o.prepaid) }),
+      o.closes !== null && t("closes {month}", { month: monthLabel(o.closes) }),
+    ].filter(Boolean).join(" · "),
+  };
+}
+
+// ─── Report Charts ───
+// Charts are laid out once as shapes in a width × height box, then drawn as SVG or PDF paths.
+// The theme colours the axes and labels: the report's light one by default, the app passes a dark one.
+const CHART_HEIGHT = { bars: 150, lines: 170, stacked: 170 };
+export const LIGHT_CHART_THEME = { text: "#4a5568", muted: "#718096", grid: "#edf2f7", axis: "#a0aec0" };
+const CHART_COLORS = ["#3182ce", "#38a169", "#d69e2e", "#805ad5", "#dd6b20", "#319795", "#d53f8c", "#2c5282", "#9c4221", "#276749", "#b7791f"];
+export const chartColor = (i) => CHART_COLORS[i % CHART_COLORS.length];
+
+// Legend entries flow left to right and wrap, so a chart with every strategy grows a row or two
+const LEGEND_ROW = 11;
+function legendLayout(series, width) {
+  let x = 0, row = 0;
+  return series.map(s => {
+    const w = 14 + textWidth(s.label, 7) + 12;
+    if (x > 0 && x + w > width) { x = 0; row++; }
+    const at = { x, y: row * LEGEND_ROW, series: s };
+    x += w;
+    return at;
+  });
+}
+
+export function chartHeight(chart, width = 515) {
+  if (chart.type === "bars") return CHART_HEIGHT.bars;
+  const rows = Math.max(0, ...legendLayout(chart.series, width - 52).map(l => l.y / LEGEND_ROW));
+  return CHART_HEIGHT[chart.type] + rows * LEGEND_ROW;
+}
+
+// ─── Over-time Charts ───
+// Chart blocks built from the schedules, drawn the same way in the report and in the app
+const CURRENT_COLOR = "#a0aec0";
+const cumulative = (values, start = 0) => values.reduce((acc, v) => [...acc, acc[acc.length - 1] + v], [start]);
+
+// Debt still owed month by month: the current plan dashed, each strategy a line, the highlighted one bold
+export function balanceChart(results, highlightId) {
+  const balances = (r, schedules) => [r.totalPrincipal, ...combineSchedules(schedules).map(x => x.closing)];
+  return {
+    kind: "chart", type: "lines", title: t("Outstanding debt — current plan and every strategy"),
+    series: [
+      { label: t("Current plan"), color: CURRENT_COLOR, dash: [4, 3], values: balances(results[0], results[0].currentSchedules) },
+      ...results.map((r, i) => ({
+        label: strategyLabel(r.strategyId), color: chartColor(i), width: r.strategyId === highlightId ? 2.5 : 1,
+        highlight: r.strategyId === highlightId, values: balances(r, r.schedules),
+      })),
+    ],
+  };
+}
+
+// What goes out each month under a strategy, loan by loan; beyond five loans the smallest are summed
+export function emiChart(result) {
+  const legs = result.schedules.map(s => ({ label: s.label, values: s.rows.map(r => r.payment), total: s.rows.reduce((sum, r) => sum + r.payment, 0) }))
+    .sort((x, y) => y.total - x.total);
+  const shown = legs.length > 6 ? [...legs.slice(0, 5), {
+    label: t("{count} other loans", { count: legs.length - 5 }),
+    values: Array.from({ length: Math.max(...legs.slice(5).map(l => l.values.length)) }, (_, m) => legs.slice(5).reduce((sum, l) => sum + (l.values[m] || 0), 0)),
+  }] : legs;
+  return {
+    kind: "chart", type: "stacked", title: t("Monthly EMI by loan — {strategy}", { strategy: strategyLabel(result.strategyId) }),
+    // Month 0 repeats month 1, so the first EMI spans the first month on the axis
+    series: shown.map((l, i) => ({ label: l.label, color: chartColor(i), values: [l.values[0] ?? 0, ...l.values] })),
+  };
+}
+
+// Interest and charges paid to date, with the strategy starting at its switching costs; the curves
+// cross at the break-even month
+export function interestChart(result) {
+  const cost = (schedules) => combineSchedules(schedules).map(r => r.interest + (r.charges || 0));
+  const current = cumulative(cost(result.currentSchedules));
+  const after = cumulative(cost(result.schedules), result.costs.total);
+  return {
+    kind: "chart", type: "lines", title: t("Cumulative interest & costs — {strategy} vs current plan", { strategy: strategyLabel(result.strategyId) }),
+    series: [
+      { label: t("Current plan"), color: CURRENT_COLOR, dash: [4, 3], values: current },
+      { label: strategyLabel(result.strategyId), color: REPORT_GREEN, width: 2, values: after },
+    ],
+    markers: result.breakEvenMonth > 0 ? [{
+      month: result.breakEvenMonth, value: after[result.breakEvenMonth], color: "#dd6b20",
+      label: t("Break-even: month {month}", { month: result.breakEvenMonth }),
+    }] : [],
+  };
+}
+
+export function chartShapes(chart, width, height, theme = LIGHT_CHART_THEME) {
+  const shapes = [];
+  const text = (x, y, value, o = {}) => shapes.push({ shape: "text", x, y, text: value, size: 7, color: theme.text, align: "left", ...o });
+
+  if (chart.type === "bars") {
+    const values = chart.items.map(i => i.value);
+    const min = Math.min(0, ...values), max = Math.max(0, ...values);
+    const labelW = Math.min(width * 0.35, Math.max(...chart.items.map(i => textWidth(i.label, 7))) + 8);
+    const valueW = 64;
+    const plotW = width - labelW - valueW;
+    const x = (v) => labelW + (max === min ? 0 : (v - min) / (max - min)) * plotW;
+    const rowH = height / chart.items.length, barH = Math.min(14, rowH * 0.6);
+    chart.items.forEach((item, i) => {
+      const top = i * rowH + (rowH - barH) / 2;
+      text(labelW - 6, top + barH / 2 + 2.5, item.label, { align: "right", bold: item.highlight });
+      const from = x(Math.min(0, item.value)), to = x(Math.max(0, item.value));
+      shapes.push({ shape: "rect", x: from, y: top, w: Math.max(0.5, to - from), h: barH, fill: item.value >= 0 ? (item.highlight ? REPORT_GREEN : "#9ae6b4") : "#feb2b2" });
+      text(to + 4, top + barH / 2 + 2.5, formatINR(item.value), { color: item.value >= 0 ? "#22543d" : REPORT_RED, bold: item.highlight });
+    });
+    shapes.push({ shape: "line", x1: x(0), y1: 0, x2: x(0), y2: height, color: theme.axis, width: 0.75 });
+    return shapes;
+  }
+
+  // Lines and stacked areas: one value per month, month 0 first; y axis from zero.
+  // Stacked series sit on top of each other in order, so the top edge is the total.
+  const left = 52, right = width - 8, bottom = height - 14;
+  const legend = legendLayout(chart.series, right - left);
+  const top = 16 + Math.max(0, ...legend.map(l => l.y));
+  const months = Math.max(0, ...chart.series.map(s => s.values.length - 1));
+  const stacked = chart.type === "stacked";
+  const bases = [];
+  if (stacked) {
+    chart.series.reduce((below, s) => {
+      bases.push(below);
+      return below.map((v, m) => v + (s.values[m] || 0));
+    }, Array(months + 1).fill(0));
+  }
+  const tops = stacked ? chart.series.map((s, i) => bases[i].map((v, m) => v + (s.values[m] || 0))) : chart.series.map(s => s.values);
+  const yMax = Math.max(1, ...tops.flat());
+  const px = (m) => left + (months > 0 ? m / months : 0) * (right - left);
+  const py = (v) => bottom - v / yMax * (bottom - top);
+  for (let k = 0; k <= 4; k++) {
+    const v = yMax * k / 4;
+    shapes.push({ shape: "line", x1: left, y1: py(v), x2: right, y2: py(v), color: k ? theme.grid : theme.axis, width: k ? 0.5 : 0.75 });
+    text(left - 4, py(v) + 2.5, formatINR(v), { align: "right", color: theme.muted, size: 6.5 });
+  }
+  const step = months > 96 ? 24 : 12;
+  for (let m = step; m <= months; m += step) text(px(m), height - 3, t("{years}y", { years: m / 12 }), { align: "center", color: theme.muted, size: 6.5 });
+  chart.series.forEach((s, i) => {
+    if (stacked) {
+      const upper = tops[i].map((v, m) => [px(m), py(v)]);
+      const lower = bases[i].map((v, m) => [px(m), py(v)]).reverse();
+      shapes.push({ shape: "polyline", points: [...upper, ...lower], fill: s.color, close: true });
+    } else {
+      shapes.push({ shape: "polyline", points: s.values.map((v, m) => [px(m), py(v)]), color: s.color, width: s.width ?? 1.5, dash: s.dash });
+    }
+  });
+  legend.forEach(({ x, y, series: s }) => {
+    shapes.push({ shape: "rect", x: left + x, y: y + 2, w: 10, h: 6, fill: s.color });
+    text(left + x + 14, y + 8, s.label, { bold: s.highlight });
+  });
+  // Markers: a dashed upright at a month, e.g. where switching costs are earned back
+  (chart.markers ?? []).forEach(mk => {
+    if (mk.month > months) return;
+    shapes.push({ shape: "line", x1: px(mk.month), y1: top, x2: px(mk.month), y2: bottom, color: mk.color, width: 0.75, dash: [3, 2] });
+    if (mk.value !== undefined) shapes.push({ shape: "rect", x: px(mk.month) - 2, y: py(mk.value) - 2, w: 4, h: 4, fill: mk.color });
+    const flip = px(mk.month) > right - 80;
+    text(px(mk.month) + (flip ? -4 : 4), top + 8, mk.label, { color: mk.color, bold: true, align: flip ? "right" : "left" });
+  });
+  return shapes;
+}
+
+export function shapesToSVG(shapes, width, height) {
+  const body = shapes.map(s => {
+    if (s.shape === "rect") return `<rect x="${s.x}" y="${s.y}" width="${s.w}" height="${s.h}" fill="${s.fill}"/>`;
+    if (s.shape === "line") return `<line x1="${s.x1}" y1="${s.y1}" x2="${s.x2}" y2="${s.y2}" stroke="${s.color}" stroke-width="${s.width}"${s.dash ? ` stroke-dasharray="${s.dash.join(" ")}"` : ""}/>`;
+    if (s.shape === "polyline" && s.close) return `<polygon points="${s.points.map(p => p.join(",")).join(" ")}" fill="${s.fill}"/>`;
+    if (s.shape === "polyline") return `<polyline points="${s.points.map(p => p.join(",")).join(" ")}" fill="none" stroke="${s.color}" stroke-width="${s.width}" stroke-linejoin="round"${s.dash ? ` stroke-dasharray="${s.dash.join(" ")}"` : ""}/>`;
+    const anchor = { left: "start", center: "middle", right: "end" }[s.align];
+    return `<text x="${s.x}" y="${s.y}" font-size="${s.size}" fill="${s.color}" text-anchor="${anchor}"${s.bold ? ' font-weight="700"' : ""}>${escapeHTML(s.text)}</text>`;
+  }).join("");
+  return `<svg viewBox="0 0 ${width} ${height}" width="100%" xmlns="http://www.w3.org/2000/svg" font-family="Helvetica, Arial, 'Noto Sans Devanagari', 'Noto Sans Gujarati', sans-serif">${body}</svg>`;
+}
+
+// ─── Report: HTML ───
+const escapeHTML = (s) => String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+export function renderReportHTML(report) {
+  const cellHTML = (cell, tag = "td") => {
+    const c = typeof cell === "string" ? { text: cell } : cell;
+    const style = [c.color && `color:${c.color}`, c.bold && "font-weight:600"].filter(Boolean).join(";");
+    return `<${tag}${c.span ? ` colspan="${c.span}"` : ""}${style ? ` style="${style}"` : ""}>${escapeHTML(c.text)}${c.sub ? `<br/><span style="font-size:8pt;color:#718096;font-weight:400;">${escapeHTML(c.sub)}</span>` : ""}</${tag}>`;
+  };
+  const toneAttr = { highlight: ' class="highlight-row"', shaded: ' style="background:#f7fafc;"', total: ' style="font-weight:700;background:#f7fafc;"' };
+  const blockHTML = (b) => {
+    switch (b.kind) {
+      case "text":
+        return `<p style="font-size:9pt;color:${b.color ?? "#4a5568"};margin-bottom:8px;${b.bold ? "font-weight:700;" : ""}">${escapeHTML(b.text)}</p>`;
+      case "table":
+        return `<table${b.small ? ' style="font-size:9pt;"' : ""}>
+      <thead><tr>${b.head.map(h => cellHTML(h, "th")).join("")}</tr></thead>
+      <tbody>
+        ${b.rows.map(r => `<tr${toneAttr[r.tone] ?? ""}>${r.cells.map(c => cellHTML(c)).join("")}</tr>`).join("\n        ")}
+      </tbody>
+    </table>`;
+      case "savings":
+        return `<div class="savings-box"><div class="savings-amount">${escapeHTML(b.value)}</div><div class="savings-label">${escapeHTML(b.label)}</div></div>`;
+      case "callout":
+        return `<div class="strategy-box"><strong>${escapeHTML(b.title)}</strong><br/>${escapeHTML(b.text)}</div>`;
+      case "metrics":
+        return `<div class="metric-grid">${b.items.map(m => `<div class="metric"><div class="metric-value">${escapeHTML(m.value)}</div><div class="metric-label">${escapeHTML(m.label)}</div></div>`).join("")}</div>`;
+      case "signature":
+        return `<div class="signature"><p>${b.lines.map(escapeHTML).join("<br/>")}</p><div class="sign-line"></div><p><strong>${escapeHTML(b.name)}</strong><br/>${b.details.map(escapeHTML).join("<br/>")}</p></div>`;
+      case "chart":
+        return `<div class="chart"><div class="chart-title">${escapeHTML(b.title)}</div>${shapesToSVG(chartShapes(b, 515, chartHeight(b)), 515, chartHeight(b))}</div>`;
+      default:
+        return "";
+    }
+  };
+  // Each section heading opens a div that runs to the next heading
+  const sections = [];
+  report.blocks.forEach(b => {
+    if (b.kind === "section") sections.push({ title: b.title, blocks: [] });
+    else if (b.kind === "savings" || b.kind === "signature" || sections.length === 0) sections.push({ blocks: [b] });
+    else sections[sections.length - 1].blocks.push(b);
+  });
+
+  return `<!DOCTYPE html>
+<html lang="${report.lang}"><head><meta charset="utf-8"><title>${escapeHTML(report.documentTitle)}</title>
+<style>
+  @page { size: A4; margin: 20mm; }
+  * { margin: 0; padding: 0; box-sizing: border-box; }
+  body { font-family: 'Segoe UI', system-ui, 'Noto Sans Devanagari', 'Noto Sans Gujarati', sans-serif; color: #1a1a2e; line-height: 1.6; font-size: 11pt; }
+  .header { background: linear-gradient(135deg, #0a1628 0%, ${report.colors.primary} 100%); color: white; padding: 32px; margin: -20mm -20mm 24px; display: flex; justify-content: space-between; align-items: flex-start; gap: 24px; }
+  .header .letterhead { font-size: 9pt; opacity: 0.75; margin-top: 8px; line-height: 1.5; }
+  .logo { background: white; border-radius: 8px; padding: 8px; }
+  .logo img { display: block; max-height: 56px; max-width: 160px; }
+  .header h1 { font-size: 22pt; font-weight: 700; margin-bottom: 4px; }
+  .header p { opacity: 0.8; font-size: 10pt; }
+  .badge { display: inline-block; background: ${report.colors.accent}; color: #1a1a2e; padding: 3px 12px; border-radius: 20px; font-size: 9pt; font-weight: 600; margin-top: 8px; }
+  .section { margin-bottom: 20px; }
+  .section h2 { font-size: 13pt; color: ${report.colors.primary}; border-bottom: 2px solid #e2e8f0; padding-bottom: 6px; margin-bottom: 12px; }
+  table { width: 100%; border-collapse: collapse; font-size: 10pt; margin-bottom: 16px; }
+  th { background: #f7fafc; color: #4a5568; font-weight: 600; text-align: left; padding: 8px 12px; border-bottom: 2px solid #e2e8f0; }
+  td { padding: 8px 12px; border-bottom: 1px solid #edf2f7; }
+  tr { page-break-inside: avoid; }
+  .highlight-row { background: #f0fff4; }
+  .savings-box { background: linear-gradient(135deg, #f0fff4, #c6f6d5); border: 2px solid #38a169; border-radius: 12px; padding: 20px; text-align: center; margin: 20px 0; }
+  .savings-amount { font-size: 28pt; font-weight: 800; color: #22543d; }
+  .savings-label { font-size: 10pt; color: #4a5568; margin-top: 4px; }
+  .strategy-box { background: #ebf8ff; border-left: 4px solid #3182ce; padding: 12px 16px; margin: 12px 0; border-radius: 0 8px 8px 0; }
+  .chart { margin: 8px 0 16px; page-break-inside: avoid; }
+  .chart-title { font-size: 9pt; font-weight: 600; color: ${report.colors.primary}; margin-bottom: 4px; }
+  .footer { margin-top: 32px; padding-top: 16px; border-top: 1px solid #e2e8f0; font-size: 9pt; color: #a0aec0; text-align: center; }
+  .metric-grid { display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 12px; margin: 16px 0; }
+  .metric { background: #f7fafc; padding: 12px; border-radius: 8px; text-align: center; }
+  .metric-value { font-size: 16pt; font-weight: 700; color: ${report.colors.primary}; }
+  .signature { margin: 28px 0 0 auto; width: 260px; font-size: 10pt; page-break-inside: avoid; }
+  .sign-line { border-bottom: 1px solid #1a1a2e; height: 48px; margin-bottom: 6px; }
+  .metric-label { font-size: 8pt; color: #718096; text-transform: uppercase; letter-spacing: 0.5px; }
+</style></head><body>
+  <div class="header">
+    <div>
+      <h1>${escapeHTML(report.title)}</h1>
+      <p>${escapeHTML(report.subtitle)}</p>
+      <span class="badge">${escapeHTML(report.generated)}</span>
+      ${report.letterhead.length ? `<div class="letterhead">${report.letterhead.map(escapeHTML).join("<br/>")}</div>` : ""}
+    </div>
+    ${report.logo ? `<div class="logo"><img src="${escapeHTML(report.logo.dataUrl)}" alt=""/></div>` : ""}
+  </div>
+
+  ${sections.map(s => s.title
+    ? `<div class="section">
+    <h2>${escapeHTML(s.title)}</h2>
+    ${s.blocks.map(blockHTML).join("\n    ")}
+  </div>`
+    : s.blocks.map(blockHTML).join("\n  ")).join("\n\n  ")}
+
+  <div class="footer">
+    <p>${escapeHTML(report.disclaimer)}</p>
+    <p style="margin-top:4px;">${escapeHTML(report.copyright)}</p>
+  </div>
+</body></html>`;
+}
+
+export function generateReportHTML(loans, results, businessName, assumptions, context) {
+  return renderReportHTML(buildReport(loans, results, businessName, assumptions, context));
+}
+
+// ─── Report: PDF ───
+// A4 with 40pt margins. Headings stay with what follows them, table rows never split across
+// pages (the header row repeats instead), and every page gets a running header and numbered footer.
+export function renderReportPDF(report) {
+  const doc = createPDF({ title: report.documentTitle, author: report.brand });
+  const { width: W, height: H } = doc.size;
+  const M = 40, contentW = W - 2 * M, bottom = H - 48;
+  const { primary, accent } = report.colors;
+  let page, y;
+
+  // The logo sits in a white tile at the right of the title band, at most 140 × 56pt
+  let logo = null;
+  if (report.logo) {
+    const binary = atob(report.logo.dataUrl.split(",")[1]);
+    const jpeg = Uint8Array.from(binary, c => c.charCodeAt(0));
+    const scale = Math.min(140 / report.logo.width, 56 / report.logo.height);
+    logo = { name: doc.addImage(jpeg, report.logo.width, report.logo.height), w: report.logo.width * scale, h: report.logo.height * scale };
+  }
+
+  const newPage = () => {
+    page = doc.addPage();
+    if (doc.pages.length === 1) {
+      const band = Math.max(112, report.letterhead.length ? 122 + report.letterhead.length * 11 : 0, logo ? logo.h + 48 : 0);
+      page.rect(0, 0, W, band, { fill: primary });
+      const textW = contentW - (logo ? logo.w + 24 : 0);
+      page.text(M, 50, report.title, { size: Math.min(22, 22 * textW / textWidth(report.title, 22, true)), bold: true, color: "#ffffff" });
+      page.text(M, 68, report.subtitle, { size: 10, color: "#e2e8f0" });
+      const badgeW = textWidth(report.generated, 8, true) + 20;
+      page.rect(M, 80, badgeW, 16, { fill: accent, radius: 8 });
+      page.text(M + 10, 91, report.generated, { size: 8, bold: true, color: "#1a1a2e" });
+      report.letterhead.forEach((line, i) => page.text(M, 116 + i * 11, wrapText(line, textW, 8)[0], { size: 8, color: "#e2e8f0" }));
+      if (logo) {
+        page.rect(W - M - logo.w - 12, 24, logo.w + 12, logo.h + 12, { fill: "#ffffff", radius: 6 });
+        page.image(logo.name, W - M - logo.w - 6, 30, logo.w, logo.h);
+      }
+      y = band + 24;
+    } else {
+      page.text(M, 28, report.subtitle, { size: 7.5, color: "#718096" });
+      page.text(W - M, 28, report.brand, { size: 7.5, color: "#718096", align: "right" });
+      page.line(M, 34, W - M, 34, { color: "#e2e8f0", width: 0.75 });
+      y = 54;
+    }
+  };
+  const ensure = (h) => { if (y + h > bottom) newPage(); };
+
+  // Table geometry: every column gets its longest word, then the remaining width goes to the
+  // columns that would wrap, in proportion to how much they still need
+  const tableLayout = (b) => {
+    const size = b.small ? 7.5 : 8.5, subSize = size - 1.5, pad = 4;
+    const cellOf = (c) => typeof c === "string" ? { text: c } : c;
+    const columnCells = (col) => [{ text: b.head[col], bold: true }, ...b.rows.map(r => cellOf(r.cells[col] ?? "")).filter(c => !c.span)];
+    const measure = (col, fit) => Math.max(...columnCells(col).map(c => Math.max(fit(c.text, size, c.bold), fit(c.sub ?? "", subSize)))) + 2 * pad + 1;
+    const longestWord = (text, sz, bold) => Math.max(0, ...String(text ?? "").split(/[ \t\n]+/).map(w => textWidth(w, sz, bold)));
+    const natural = b.head.map((_, col) => measure(col, textWidth));
+    const least = b.head.map((_, col) => measure(col, longestWord));
+    const sum = (xs) => xs.reduce((s, x) => s + x, 0);
+    const spare = contentW - sum(least), wanted = sum(natural) - sum(least);
+    const widths = spare < 0
+      ? least.map(w => w * contentW / sum(least))
+      : wanted <= spare
+        ? natural.map(w => w + (contentW - sum(natural)) / natural.length)
+        : least.map((w, i) => w + (natural[i] - w) * spare / wanted);
+    const lineH = size * 1.3, subH = subSize * 1.3;
+    const layoutRow = (cells, bold) => {
+      let col = 0;
+      const laid = cells.map(raw => {
+        const c = cellOf(raw);
+        const span = c.span ?? 1;
+        const w = widths.slice(col, col + span).reduce((s, x) => s + x, 0);
+        const x = widths.slice(0, col).reduce((s, x) => s + x, 0);
+        col += span;
+        const lines = wrapText(c.text, w - 2 * pad, size, bold || c.bold);
+        const subs = c.sub ? wrapText(c.sub, w - 2 * pad, subSize) : [];
+        return { ...c, x, w, lines, subs, h: lines.length * lineH + subs.length * subH };
+      });
+      return { cells: laid, h: Math.max(...laid.map(c => c.h)) + 2 * pad };
+    };
+    return { size, subSize, pad, lineH, subH, header: layoutRow(b.head, true), rows: b.rows.map(r => ({ ...layoutRow(r.cells, r.tone === "total"), tone: r.tone })) };
+  };
+
+  const drawRow = (t, row, { header = false } = {}) => {
+    const fill = header ? "#f7fafc" : { highlight: "#f0fff4", shaded: "#f7fafc", total: "#f7fafc" }[row.tone];
+    if (fill) page.rect(M, y, contentW, row.h, { fill });
+    row.cells.forEach(c => {
+      let ty = y + t.pad + t.size;
+      c.lines.forEach(line => {
+        page.text(M + c.x + t.pad, ty, line, { size: t.size, bold: header || row.tone === "total" || c.bold, color: header ? "#4a5568" : c.color ?? "#1a1a2e" });
+        ty += t.lineH;
+      });
+      c.subs.forEach(line => {
+        page.text(M + c.x + t.pad, ty - t.lineH + t.subH, line, { size: t.subSize, color: "#718096" });
+        ty += t.subH;
+      });
+    });
+    y += row.h;
+    page.line(M, y, M + contentW, y, header ? { color: "#e2e8f0", width: 1.5 } : { color: "#edf2f7", width: 0.5 });
+  };
+
+  const textLines = (b) => wrapText(b.text, contentW, 8.5, b.bold);
+  const calloutLines = (b) => wrapText(b.text, contentW - 28, 9);
+
+  // Height of a block's first unbreakable piece, so a heading never ends a page alone
+  const leadHeight = (b) => {
+    if (!b) return 0;
+    if (b.kind === "text") return 8.5 * 1.4 * Math.min(2, textLines(b).length);
+    if (b.kind === "table") { const t = tableLayout(b); return t.header.h + (t.rows[0]?.h ?? 0); }
+    if (b.kind === "callout") return 40 + calloutLines(b).length * 12.6;
+    if (b.kind === "metrics") return 56;
+    if (b.kind === "chart") return chartHeight(b, contentW) + 24;
+    return 80;
+  };
+
+  const drawBlock = (b, next) => {
+    switch (b.kind) {
+      case "section":
+        ensure(30 + leadHeight(next));
+        y += 8;
+        page.text(M, y + 12, b.title, { size: 12.5, bold: true, color: primary });
+        y += 18;
+        page.line(M, y, M + contentW, y, { color: "#e2e8f0", width: 1.5 });
+        y += 10;
+        break;
+      case "text":
+        textLines(b).forEach(line => {
+          ensure(12);
+          page.text(M, y + 8.5, line, { size: 8.5, bold: b.bold, color: b.color ?? "#4a5568" });
+          y += 8.5 * 1.4;
+        });
+        y += 6;
+        break;
+      case "table": {
+        const t = tableLayout(b);
+        ensure(t.header.h + (t.rows[0]?.h ?? 0));
+        drawRow(t, t.header, { header: true });
+        t.rows.forEach(row => {
+          if (y + row.h > bottom) {
+            newPage();
+            drawRow(t, t.header, { header: true });
+          }
+          drawRow(t, row);
+        });
+        y += 14;
+        break;
+      }
+      case "savings": {
+        const label = wrapText(b.label, contentW - 40, 9);
+        const h = 52 + label.length * 12;
+        ensure(h + 16);
+        y += 6;
+        page.rect(M, y, contentW, h, { fill: "#f0fff4", stroke: REPORT_GREEN, width: 1.5, radius: 10 });
+        page.text(W / 2, y + 36, b.value, { size: 24, bold: true, color: "#22543d", align: "center" });
+        label.forEach((line, i) => page.text(W / 2, y + 54 + i * 12, line, { size: 9, color: "#4a5568", align: "center" }));
+        y += h + 18;
+        break;
+      }
+      case "callout": {
+        const lines = calloutLines(b);
+        const h = 30 + lines.length * 12.6;
+        ensure(h + 10);
+        page.rect(M, y, contentW, h, { fill: "#ebf8ff" });
+        page.rect(M, y, 3, h, { fill: "#3182ce" });
+        page.text(M + 14, y + 17, b.title, { size: 10, bold: true, color: "#1a1a2e" });
+        lines.forEach((line, i) => page.text(M + 14, y + 31 + i * 12.6, line, { size: 9, color: "#1a1a2e" }));
+        y += h + 12;
+        break;
+      }
+      case "metrics": {
+        ensure(56);
+        const gap = 10, w = (contentW - gap * (b.items.length - 1)) / b.items.length;
+        b.items.forEach((m, i) => {
+          const x = M + i * (w + gap);
+          page.rect(x, y, w, 46, { fill: "#f7fafc", radius: 6 });
+          page.text(x + w / 2, y + 22, m.value, { size: 14, bold: true, color: primary, align: "center" });
+          page.text(x + w / 2, y + 36, m.label.toUpperCase(), { size: 6.5, color: "#718096", align: "center" });
+        });
+        y += 58;
+        break;
+      }
+      case "chart": {
+        const h = chartHeight(b, contentW);
+        ensure(h + 24);
+        page.text(M, y + 9, b.title, { size: 9, bold: true, color: primary });
+        y += 16;
+        chartShapes(b, contentW, h).forEach(s => {
+          if (s.shape === "rect") page.rect(M + s.x, y + s.y, s.w, s.h, { fill: s.fill });
+          else if (s.shape === "line") page.line(M + s.x1, y + s.y1, M + s.x2, y + s.y2, { color: s.color, width: s.width, dash: s.dash });
+          else if (s.shape === "polyline") page.polyline(s.points.map(([px, py]) => [M + px, y + py]), { color: s.color, width: s.width, fill: s.fill, close: s.close, dash: s.dash });
+          else page.text(M + s.x, y + s.y, s.text, { size: s.size, color: s.color, align: s.align, bold: s.bold });
+        });
+        y += h + 14;
+        break;
+      }
+      case "signature": {
+        const h = 24 + (b.lines.length + b.details.length + 1) * 12 + 40;
+        ensure(h);
+        const x = W - M - 220;
+        y += 24;
+        b.lines.forEach(line => { page.text(x, y, line, { size: 9.5, color: "#1a1a2e" }); y += 12; });
+        y += 36;
+        page.line(x, y, W - M, y, { color: "#1a1a2e", width: 0.75 });
+        y += 14;
+        page.text(x, y, b.name, { size: 9.5, bold: true, color: "#1a1a2e" });
+        b.details.forEach(line => { y += 12; page.text(x, y, line, { size: 9, color: "#4a5568" }); });
+        y += 20;
+        break;
+      }
+      default:
+        break;
+    }
+  };
+
+  newPage();
+  report.blocks.forEach((b, i) => drawBlock(b, report.blocks[i + 1]));
+  drawBlock({ kind: "text", text: report.disclaimer, color: "#a0aec0" });
+
+  // Footers last, once the page count is known
+  doc.pages.forEach((p, i) => {
+    p.line(M, H - 36, W - M, H - 36, { color: "#e2e8f0", width: 0.75 });
+    p.text(M, H - 24, `${report.copyright} — ${t("for advisory purposes only")}`, { size: 7, color: "#a0aec0" });
+    p.text(W - M, H - 24, t("Page {page} of {pages}", { page: i + 1, pages: doc.pages.length }), { size: 7, color: "#718096", align: "right" });
+  });
+  return doc.toBytes();
+}
+
+export function generateReportPDF(loans, results, businessName, assumptions, context) {
+  return renderReportPDF(buildReport(loans, results, businessName, assumptions, context));
+}
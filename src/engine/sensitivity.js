@@ -0,0 +1,106 @@
+import { t } from "../i18n.js";
+import { DEFAULT_ASSUMPTIONS, ASSUMPTION_FIELDS, WHAT_IF_ASSUMPTIONS, LOAN_LIMITS } from "./config.js";
+import { isRevolving, loanLabel, loanPosition, loanFieldErrors, assumptionErrors, simulateRestructure, strategyIds, rankValue } from "./finance.js";
+
+// ─── What-if & Sensitivity ───
+// The inputs the results step lets you drag: each loan's rate and tenure, and the key strategy
+// assumptions (WHAT_IF_ASSUMPTIONS). Each carries its slider range, kept inside LOAN_LIMITS, and the
+// tornado's swing. Loans the analysis leaves out, and assumptions out of range, get no sliders.
+export function whatIfInputs(loans, assumptions = DEFAULT_ASSUMPTIONS) {
+  const a = { ...DEFAULT_ASSUMPTIONS, ...assumptions };
+  const outOfRange = assumptionErrors(a);
+  const loanInputs = loans.flatMap((l, i) => {
+    if (Object.keys(loanFieldErrors(l)).length > 0) return [];
+    const name = `#${i + 1} ${loanLabel(l)}`;
+    const rate = {
+      id: `loan${i}.rate`, loan: i, field: "rate", label: t("{loan} rate", { loan: name }), unit: "%",
+      value: l.rate, min: Math.max(0.5, Math.floor(l.rate) - 5), max: Math.max(l.rate, Math.min(Math.ceil(l.rate) + 5, LOAN_LIMITS.rate.max - 0.05)), step: 0.05, swing: 1,
+    };
+    if (isRevolving(l)) return [rate];
+    // A running loan keeps at least a year to go, whatever its tenure is dragged to, unless it has less today
+    const paid = l.tenure - loanPosition(l).remainingTenure;
+    return [rate, {
+      id: `loan${i}.tenure`, loan: i, field: "tenure", label: t("{loan} tenure", { loan: name }), unit: "months",
+      value: l.tenure, min: Math.min(l.tenure, paid + 12), max: Math.max(l.tenure, Math.min(LOAN_LIMITS.tenure.max, Math.max(l.tenure * 2, paid + 24))), step: 1, swing: 12,
+    }];
+  });
+  return [
+    ...loanInputs,
+    ...WHAT_IF_ASSUMPTIONS.filter(f => !(f.key in outOfRange)).map(f => {
+      const field = ASSUMPTION_FIELDS.find(x => x.key === f.key);
+      return { ...f, id: f.key, label: t(field.label), unit: field.unit, value: a[f.key], min: Math.min(f.min, a[f.key]), max: Math.max(f.max, a[f.key]) };
+    }),
+  ];
+}
+
+// Loans and assumptions with one input set to value. A floating loan's rate moves its spread with it,
+// as typing the rate on the loans step does, so the benchmark level stays put.
+export function applyWhatIf({ loans, assumptions }, input, value) {
+  if (input.key) return { loans, assumptions: { ...assumptions, [input.key]: value } };
+  const moved = (l) => input.field === "rate" && l.floating
+    ? { ...l, rate: value, spread: +(value - l.benchmarkRate).toFixed(2) }
+    : { ...l, [input.field]: value };
+  return { loans: loans.map((l, i) => i === input.loan ? moved(l) : l), assumptions };
+}
+
+const clamp = (input, v) => Math.min(input.max, Math.max(input.min, v));
+const snap = (input, v) => clamp(input, Number((Math.round(v / input.step) * input.step).toFixed(4)));
+
+// A flip search samples this many points towards each end of the slider range, then bisects
+const SWEEP_SAMPLES = 3;
+const BISECT_STEPS = 6;
+// Each flip search re-runs every strategy a dozen or more times, so only the widest swings get one
+const FLIP_INPUTS = 8;
+
+// How far each input moves one strategy's value (a tornado, widest swing first), and where along each
+// slider the best strategy changes. Hybrid Optimal keeps the plan it chose for today's inputs all the
+// way through, so a sweep costs one pass per strategy rather than a fresh search at every point.
+// value ranks results as the caller does (net or NPV, gross or post-tax); flips are searched for the
+// flipInputs widest rows only, the rest come back with below and above left undefined.
+export function sensitivity(loans, assumptions, taxProfile, strategyId, {
+  inputs = whatIfInputs(loans, assumptions),
+  value = (r) => rankValue(r, assumptions.rankBy),
+  flipInputs = FLIP_INPUTS,
+} = {}) {
+  const hybrid = simulateRestructure(loans, "hybrid", assumptions, taxProfile);
+  const held = { ...assumptions, hybridActions: hybrid.optimizer.actions.map(x => x.action) };
+  const base = { loans, assumptions: held };
+  const worth = (x, id) => value(simulateRestructure(x.loans, id, x.assumptions, taxProfile));
+  const bestAt = (x) => strategyIds(x.loans, x.assumptions)
+    .map(id => ({ id, value: worth(x, id) }))
+    .reduce((b, r) => !b || r.value > b.value ? r : b, null).id;
+  const baseBest = bestAt(base);
+
+  // First point on the way from today's value to `end` where another strategy comes out on top
+  const flipTowards = (input, end) => {
+    if (end === input.value) return null;
+    let near = input.value;
+    for (let k = 1; k <= SWEEP_SAMPLES; k++) {
+      let far = input.value + (end - input.value) * k / SWEEP_SAMPLES;
+      const best = bestAt(applyWhatIf(base, input, far));
+      if (best === baseBest) {
+        near = far;
+        continue;
+      }
+      let to = best;
+      for (let step = 0; step < BISECT_STEPS; step++) {
+        const mid = (near + far) / 2;
+        const midBest = bestAt(applyWhatIf(base, input, mid));
+        if (midBest === baseBest) near = mid;
+        else { far = mid; to = midBest; }
+      }
+      return { at: snap(input, far), strategyId: to };
+    }
+    return null;
+  };
+
+  const baseValue = worth(base, strategyId);
+  const rows = inputs.map(input => {
+    const at = (v) => ({ at: v, value: worth(applyWhatIf(base, input, v), strategyId) });
+    const low = at(snap(input, input.value - input.swing));
+    const high = at(snap(input, input.value + input.swing));
+    return { input, low, high, swing: Math.abs(high.value - low.value) };
+  }).sort((x, y) => y.swing - x.swing)
+    .map((r, i) => i < flipInputs ? { ...r, below: flipTowards(r.input, r.input.min), above: flipTowards(r.input, r.input.max) } : r);
+  return { strategyId, best: baseBest, base: baseValue, rows, flipInputs: Math.min(flipInputs, rows.length) };
+}
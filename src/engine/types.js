@@ -0,0 +1,40 @@
+import { LOAN_TYPES } from "./config.js";
+
+// ─── Loan Types ───
+// The built-in LOAN_TYPES plus the user's own. The app registers the user's types once per render
+// (as it does the language); a portfolio file or share link brings the custom types its loans use.
+let custom = [];
+
+export const loanTypes = () => custom.length ? [...LOAN_TYPES, ...custom] : LOAN_TYPES;
+
+export const loanTypeOf = (id) => loanTypes().find(lt => lt.id === id);
+
+// Built-in ids always mean the built-in type
+export function setCustomLoanTypes(types) {
+  custom = (types ?? []).filter(lt => !LOAN_TYPES.some(b => b.id === lt.id));
+}
+
+export const customLoanTypes = () => custom;
+
+// Runs fn with more custom types registered, e.g. to read a file that brings its own
+export function withLoanTypes(types, fn) {
+  const previous = custom;
+  setCustomLoanTypes(mergeLoanTypes(custom, types));
+  try {
+    return fn();
+  } finally {
+    custom = previous;
+  }
+}
+
+// Incoming definitions replace ones with the same id
+export const mergeLoanTypes = (types, incoming = []) => [
+  ...types.filter(lt => !incoming.some(x => x.id === lt.id)),
+  ...incoming,
+];
+
+// The custom types a set of loans uses, to travel with them
+export const loanTypesUsed = (loans) => custom.filter(lt => loans.some(l => l.type === lt.id));
+
+// What the loan's scheme imposes (LOAN_TYPES rules), empty for most types
+export const typeRules = (l) => loanTypeOf(l.type)?.rules ?? {};
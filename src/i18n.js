@@ -0,0 +1,59 @@
+// ─── Languages ───
+// English strings are the keys: t("Net Savings") looks the text up in the current language's
+// dictionary and falls back to the English when there is no translation yet.
+// Placeholders are written {name}; numbers passed in are shown in the language's own digits.
+import hi from "./locales/hi.js";
+import gu from "./locales/gu.js";
+import mr from "./locales/mr.js";
+
+export const LANGUAGES = [
+  { id: "en", label: "English", locale: "en-IN" },
+  { id: "hi", label: "हिन्दी", locale: "hi-IN" },
+  { id: "gu", label: "ગુજરાતી", locale: "gu-IN" },
+  { id: "mr", label: "मराठी", locale: "mr-IN" },
+];
+
+const DICTIONARIES = { hi, gu, mr };
+
+const DIGITS = { hi: "०१२३४५६७८९", mr: "०१२३४५६७८९", gu: "૦૧૨૩૪૫૬૭૮૯" };
+
+let current = "en";
+
+export const getLanguage = () => current;
+
+export function setLanguage(lang) {
+  current = LANGUAGES.some(l => l.id === lang) ? lang : "en";
+}
+
+// Runs fn with another language switched in, e.g. to build a Gujarati report from a Hindi screen
+export function withLanguage(lang, fn) {
+  const previous = current;
+  setLanguage(lang);
+  try {
+    return fn();
+  } finally {
+    current = previous;
+  }
+}
+
+// BCP 47 tag for toLocaleDateString and friends
+export const localeTag = () => LANGUAGES.find(l => l.id === current).locale;
+
+// "12,34,567.50" → "१२,३४,५६७.५०" in Hindi and Marathi
+export const localDigits = (value) => {
+  const digits = DIGITS[current];
+  return digits ? String(value).replace(/[0-9]/g, d => digits[d]) : String(value);
+};
+
+// Numbers, and strings that are only a formatted number, get local digits; other values are left alone
+const NUMERIC = /^[−-]?[\d,]*\.?\d+$/;
+
+export function t(text, vars) {
+  const template = DICTIONARIES[current]?.[text] ?? text;
+  if (!vars) return template;
+  return template.replace(/\{(\w+)\}/g, (match, key) => {
+    if (!(key in vars)) return match;
+    const v = vars[key];
+    return typeof v === "number" || NUMERIC.test(v) ? localDigits(v) : v;
+  });
+}
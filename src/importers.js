@@ -0,0 +1,188 @@
+// ─── Portfolio Import / Export ───
+// File formats only: CSV parsing, Indian amount and date formats, column guessing and the
+// portfolio JSON envelope. Turning a row into a loan happens in the engine (loanFromImport in
+// src/engine/import.js), next to the loan types.
+
+export const PORTFOLIO_FORMAT = "loan-restructure-pro/portfolio";
+export const PORTFOLIO_VERSION = 1;
+
+// RFC 4180-style CSV: quoted fields, doubled quotes, commas and newlines inside quotes, CRLF.
+// Semicolon- and tab-separated exports are detected from the header line.
+export function parseCSV(text) {
+  const src = text.replace(/^\uFEFF/, "");
+  const firstLine = src.slice(0, src.search(/\r?\n|$/));
+  const sep = [",", ";", "\t"].reduce((best, c) => firstLine.split(c).length > firstLine.split(best).length ? c : best, ",");
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === sep) {
+      row.push(field); field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      if (row.some(f => f.trim() !== "")) rows.push(row);
+      row = [];
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.some(f => f.trim() !== "")) rows.push(row);
+  return rows.map(r => r.map(f => f.trim()));
+}
+
+export const AMOUNT_UNITS = {
+  auto: { label: "Auto (₹, or L / Cr suffix)", factor: 1 },
+  rupees: { label: "Rupees", factor: 1 },
+  lakh: { label: "Lakh", factor: 1e5 },
+  crore: { label: "Crore", factor: 1e7 },
+};
+
+// "₹12,34,567.50", "12.5 L", "1.2 Cr", "15 lakh", "(25,000)", "25,000 Dr". Returns null when unreadable.
+export function parseAmount(value, unit = "auto") {
+  if (value === null || value === undefined || value === "") return null;
+  if (typeof value === "number") return value * AMOUNT_UNITS[unit].factor;
+  let s = String(value).trim().toLowerCase();
+  const negative = /^\(.*\)$/.test(s) || s.startsWith("-");
+  s = s.replace(/^\(|\)$|^-/g, "").replace(/₹|rs\.?|inr|,|\s/g, "");
+  const match = s.match(/^(\d*\.?\d+)([a-z]*)$/);
+  if (!match) return null;
+  const n = parseFloat(match[1]);
+  const suffix = match[2];
+  let factor = AMOUNT_UNITS[unit].factor;
+  if (unit === "auto") {
+    // "Cr" means crore on small figures but is the credit marker on statement balances
+    if (/^(crores?|cr)$/.test(suffix) && n < 1000) factor = 1e7;
+    else if (/^(lakhs?|lacs?|l)$/.test(suffix)) factor = 1e5;
+    else if (suffix === "k") factor = 1e3;
+    else if (suffix && !/^(dr|cr)$/.test(suffix)) return null;
+  }
+  return (negative ? -n : n) * factor;
+}
+
+// "11.50%", "11.5 % p.a." → 11.5
+export function parsePercent(value) {
+  const n = parseFloat(String(value ?? "").replace(/[%,\s]|p\.?a\.?/gi, ""));
+  return isFinite(n) ? n : null;
+}
+
+// "60", "60 months", "5 years", "5 yrs" → months
+export function parseMonths(value) {
+  const s = String(value ?? "").toLowerCase();
+  const n = parseFloat(s);
+  if (!isFinite(n)) return null;
+  return Math.round(/y(ea)?rs?|y$/.test(s) ? n * 12 : n);
+}
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+export const DATE_FORMATS = {
+  "DD/MM/YYYY": { label: "DD/MM/YYYY (also DD-MM-YYYY, DD.MM.YY)", order: "dmy" },
+  "DD-MMM-YYYY": { label: "DD-MMM-YYYY (15-Mar-2023)", order: "dmy" },
+  "YYYY-MM-DD": { label: "YYYY-MM-DD", order: "ymd" },
+  "MM/DD/YYYY": { label: "MM/DD/YYYY", order: "mdy" },
+};
+
+// Any of the formats above → "YYYY-MM" (the app tracks loans by month). Returns null when unreadable.
+export function parseDate(value, format = "DD/MM/YYYY") {
+  const s = String(value ?? "").trim().toLowerCase();
+  if (!s) return null;
+  const parts = s.split(/[\s/.\-,]+/).filter(Boolean);
+  if (parts.length < 2) return null;
+  const monthOf = (p) => {
+    const named = MONTHS.indexOf(p.slice(0, 3));
+    return named >= 0 ? named + 1 : parseInt(p, 10);
+  };
+  const yearOf = (p) => {
+    const y = parseInt(p, 10);
+    return p.length <= 2 ? 2000 + y : y;
+  };
+  let year, month;
+  const { order } = DATE_FORMATS[format] || DATE_FORMATS["DD/MM/YYYY"];
+  if (order === "ymd") { year = yearOf(parts[0]); month = monthOf(parts[1]); }
+  else if (order === "mdy") { month = monthOf(parts[0]); year = yearOf(parts[parts.length - 1]); }
+  else if (parts.length === 2) { month = monthOf(parts[0]); year = yearOf(parts[1]); }
+  else { month = monthOf(parts[1]); year = yearOf(parts[2]); }
+  if (!(month >= 1 && month <= 12) || !(year > 1950 && year < 2100)) return null;
+  return `${year}-${String(month).padStart(2, "0")}`;
+}
+
+// Picks the date format that reads the most sample values
+export function detectDateFormat(samples) {
+  const score = (f) => samples.filter(v => parseDate(v, f)).length
+    + (f === "YYYY-MM-DD" && samples.some(v => /^\d{4}/.test(v)) ? 1 : 0);
+  return Object.keys(DATE_FORMATS).reduce((best, f) => score(f) > score(best) ? f : best, "DD/MM/YYYY");
+}
+
+// Fields a statement column can map to, with header names seen in Indian bank loan exports
+export const IMPORT_FIELDS = [
+  { key: "type", label: "Loan type / product", aliases: ["type", "loan type", "product", "scheme", "facility", "facility type", "account type", "loan product", "nature of facility"] },
+  { key: "lender", label: "Lender / bank", aliases: ["lender", "bank", "bank name", "financier", "institution"] },
+  { key: "amount", label: "Sanctioned amount / limit", aliases: ["amount", "sanctioned amount", "sanction amount", "loan amount", "sanction limit", "limit", "sanctioned limit", "disbursed amount", "principal"] },
+  { key: "outstanding", label: "Outstanding balance", aliases: ["outstanding", "principal outstanding", "outstanding balance", "o/s balance", "os balance", "balance", "closing balance", "drawn", "utilised", "utilized amount"] },
+  { key: "rate", label: "Interest rate (% p.a.)", aliases: ["rate", "roi", "rate of interest", "interest rate", "int rate", "int. rate", "effective rate"] },
+  { key: "tenure", label: "Tenure (months)", aliases: ["tenure", "tenor", "tenure (months)", "term", "loan tenure", "no of instalments", "total emis", "repayment period"] },
+  { key: "sanctionDate", label: "Sanction / disbursement date", aliases: ["sanctiondate", "sanction date", "date of sanction", "disbursement date", "disbursal date", "date of disbursement", "start date", "loan start date"] },
+  { key: "emisPaid", label: "EMIs paid", aliases: ["emispaid", "emis paid", "instalments paid", "installments paid", "no of emis paid", "emi paid"] },
+  { key: "utilization", label: "Utilization (%)", aliases: ["utilization", "utilisation", "utilization %", "avg utilization", "average utilisation"] },
+  { key: "renewalPct", label: "Renewal charge (% of limit)", aliases: ["renewalpct", "renewal charge", "renewal %"] },
+  { key: "foreclosurePct", label: "Foreclosure penalty (%)", aliases: ["foreclosurepct", "foreclosure", "foreclosure charges", "prepayment penalty"] },
+  { key: "processingFeePct", label: "Processing fee (%)", aliases: ["processingfeepct", "processing fee", "processing fees"] },
+  { key: "stampDuty", label: "Stamp duty (₹)", aliases: ["stampduty", "stamp duty"] },
+  { key: "legalCharges", label: "Legal & valuation (₹)", aliases: ["legalcharges", "legal charges", "legal & valuation", "valuation charges"] },
+  { key: "guaranteeFeePct", label: "Guarantee fee (% a year)", aliases: ["guaranteefeepct", "guarantee fee", "cgtmse fee", "cgtmse charges"] },
+];
+
+const normalizeHeader = (h) => h.toLowerCase().replace(/[_*:]/g, " ").replace(/\s+/g, " ").trim();
+
+// Column index per field, by exact alias first and then by a header that contains an alias
+export function guessMapping(headers) {
+  const names = headers.map(normalizeHeader);
+  const used = new Set();
+  const mapping = {};
+  const claim = (field, test) => {
+    if (mapping[field.key] !== undefined) return;
+    const i = names.findIndex((n, idx) => !used.has(idx) && field.aliases.some(a => test(n, a)));
+    if (i >= 0) { mapping[field.key] = i; used.add(i); }
+  };
+  IMPORT_FIELDS.forEach(f => claim(f, (n, a) => n === a));
+  IMPORT_FIELDS.forEach(f => claim(f, (n, a) => a.length > 3 && n.includes(a)));
+  return mapping;
+}
+
+// Portfolio JSON: the same envelope is written by export and read by import
+// loanTypes: the custom loan types the loans use, so the file opens anywhere; offers: lender quotes;
+// scenarios: the user's own, with one action per loan in the same order as loans
+export function exportPortfolio({ businessName, loans, assumptions, taxProfile, cashFlow, rateScenarios, baseScenario, loanTypes = [], offers = [], scenarios = [] }) {
+  return JSON.stringify({
+    format: PORTFOLIO_FORMAT,
+    version: PORTFOLIO_VERSION,
+    exportedAt: new Date().toISOString(),
+    businessName, loans, assumptions, taxProfile, cashFlow, rateScenarios, baseScenario,
+    ...(loanTypes.length > 0 && { loanTypes }),
+    ...(offers.length > 0 && { offers }),
+    ...(scenarios.length > 0 && { scenarios }),
+  }, null, 2);
+}
+
+// Accepts an exported portfolio or a bare array of loans
+export function parsePortfolioJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Not valid JSON: ${e.message}`);
+  }
+  if (Array.isArray(data)) return { loans: data };
+  if (!data || !Array.isArray(data.loans)) throw new Error("No \"loans\" list found in the file");
+  if (data.format && data.format !== PORTFOLIO_FORMAT) throw new Error(`Unrecognised file format "${data.format}"`);
+  if (data.version > PORTFOLIO_VERSION) throw new Error("This file was exported by a newer version of the app");
+  return data;
+}
@@ -0,0 +1,793 @@
+// ─── Gujarati ───
+// Keyed by the English text passed to t(); anything missing here shows in English.
+export default {
+  "₹{n} Cr": "₹{n} કરોડ",
+  "₹{n} L": "₹{n} લાખ",
+  "₹{n}K": "₹{n} હજાર",
+  "{loan} (transferred)": "{loan} (ટ્રાન્સફર)",
+  "{loan} (extended)": "{loan} (મુદત વધારી)",
+  "Consolidated Loan": "એકીકૃત લોન",
+  "EMI cap": "EMI મર્યાદા",
+  "lender limit": "ધિરાણકર્તા મર્યાદા",
+  "closure date": "બંધ કરવાની તારીખ",
+  "Stays at {rate}%": "{rate}% પર યથાવત",
+  "Receives the surplus and freed-up EMIs": "સરપ્લસ અને છૂટા થયેલા EMI આમાં જાય છે",
+  "{from}% → {to}%": "{from}% → {to}%",
+  "Merged with other loans at {rate}%": "અન્ય લોન સાથે {rate}% પર ભેળવી",
+  "Refinanced as a term loan at {rate}%": "{rate}% પર ટર્મ લોનમાં ફેરવી",
+  "Tenure {from} → {to} months, lower EMI": "મુદત {from} → {to} મહિના, ઓછો EMI",
+  "{what}; choosing {alt} instead would break the {limits}": "{what}; તેના બદલે {alt} પસંદ કરવાથી {limits} તૂટશે",
+  " and ": " અને ",
+  "{what}; same net savings as {alt}": "{what}; {alt} જેટલી જ ચોખ્ખી બચત",
+  "{what}; {gain} more net savings than {alt}": "{what}; {alt} કરતાં {gain} વધુ ચોખ્ખી બચત",
+  "{amount}/month": "{amount}/મહિને",
+  "{amount} lump sum": "{amount} એકસામટા",
+  "Put {sources} plus every freed-up EMI into the costliest loan first ({loan}) — debt-free in {months} months vs {scheduled}": "{sources} અને દરેક છૂટો થયેલો EMI પહેલા સૌથી મોંઘી લોન ({loan}) માં ભરો — {scheduled} ને બદલે {months} મહિનામાં દેવામુક્ત",
+  "Put every freed-up EMI into the costliest loan first ({loan}) — debt-free in {months} months vs {scheduled}": "દરેક છૂટો થયેલો EMI પહેલા સૌથી મોંઘી લોન ({loan}) માં ભરો — {scheduled} ને બદલે {months} મહિનામાં દેવામુક્ત",
+  "same interest as smallest-balance-first": "સૌથી નાની બાકી રકમ પહેલા જેટલું જ વ્યાજ",
+  "saves {amount} more than smallest-balance-first": "સૌથી નાની બાકી રકમ પહેલા કરતાં {amount} વધુ બચત",
+  "{amount} costlier than smallest-balance-first": "સૌથી નાની બાકી રકમ પહેલા કરતાં {amount} મોંઘું",
+  "Consolidate {count} loans into single facility at {rate}% (vs weighted avg {weighted}%) — simpler compliance, one EMI": "{count} લોનને {rate}% પર એક જ સુવિધામાં એકીકૃત કરો (ભારિત સરેરાશ {weighted}% ની સરખામણીમાં) — સરળ પાલન, એક EMI",
+  "; {count} CC/OD limit(s) closed and drawn balance termed out": "; {count} CC/OD મર્યાદા બંધ અને વપરાયેલી રકમ ટર્મ લોનમાં",
+  "Transfer {count} high-rate loan(s) to {rate}% lender": "{count} ઊંચા દરની લોન {rate}% વાળા ધિરાણકર્તાને ટ્રાન્સફર કરો",
+  "Extend all loan tenures by ~{pct}% — EMI drops significantly, total interest increases but cash flow pressure eases immediately": "બધી લોનની મુદત ~{pct}% વધારો — EMI ઘણો ઘટે છે, કુલ વ્યાજ વધે છે પણ રોકડ પ્રવાહનું દબાણ તરત ઓછું થાય છે",
+  ". CC/OD limits have no tenure and stay as they are": ". CC/OD મર્યાદાને કોઈ મુદત નથી, તે જેમ છે તેમ રહે છે",
+  "Optimised per-loan plan: {counts} — best of {evaluations} combinations searched": "દરેક લોન માટે શ્રેષ્ઠ યોજના: {counts} — {evaluations} સંયોજનોમાંથી શ્રેષ્ઠ",
+  ". ⚠ Not every constraint could be met": ". ⚠ દરેક શરત પૂરી થઈ શકી નથી",
+  "{loan} → Term Loan": "{loan} → ટર્મ લોન",
+  "{loan} (reduced limit)": "{loan} (ઘટાડેલી મર્યાદા)",
+  "Term out the hard-core balance of {count} CC/OD limit(s) at ~{discount}% lower and cut limits to the seasonal swing — lower interest and renewal charges": "{count} CC/OD મર્યાદાની કાયમી બાકી રકમ ~{discount}% ઓછા દરે ટર્મ લોનમાં ફેરવો અને મર્યાદા મોસમી વધઘટ જેટલી ઘટાડો — ઓછું વ્યાજ અને નવીકરણ ચાર્જ",
+  "No CC/OD or working capital limits in the portfolio": "પોર્ટફોલિયોમાં કોઈ CC/OD કે કાર્યકારી મૂડી મર્યાદા નથી",
+  " — switching costs {amount} incl. GST, recovered in {months} months": " — ફેરફારનો ખર્ચ {amount} GST સહિત, {months} મહિનામાં વસૂલ",
+  " — switching costs {amount} incl. GST, recovered in {months} month": " — ફેરફારનો ખર્ચ {amount} GST સહિત, {months} મહિનામાં વસૂલ",
+  " — switching costs {amount} incl. GST are never recovered": " — ફેરફારનો ખર્ચ {amount} GST સહિત ક્યારેય વસૂલ થતો નથી",
+  "DSCR {dscr} is below the lender minimum of {min}": "DSCR {dscr} ધિરાણકર્તાના લઘુત્તમ {min} થી ઓછો છે",
+  "debt service is {pct}% of revenue, above the {max}% limit": "દેવા ચુકવણી આવકના {pct}% છે, {max}% મર્યાદાથી વધુ",
+  "amount missing or not positive": "રકમ નથી અથવા ધન નથી",
+  "rate missing": "દર નથી",
+  "rate {rate}% is not a plausible annual rate": "{rate}% વાર્ષિક દર વિશ્વસનીય લાગતો નથી",
+  "tenure missing": "મુદત નથી",
+  "\"{type}\" read as Term Loan": "\"{type}\" ને ટર્મ લોન તરીકે વાંચી",
+  "no loan type, read as Term Loan": "લોનનો પ્રકાર નથી, ટર્મ લોન તરીકે વાંચી",
+  "no sanctioned amount, outstanding used": "મંજૂર રકમ નથી, બાકી રકમ લીધી",
+  "date \"{date}\" not read as {format}": "તારીખ \"{date}\" {format} તરીકે વાંચી શકાઈ નહીં",
+  "unknown loan type \"{type}\"": "અજાણ્યો લોન પ્રકાર \"{type}\"",
+  "No limit": "કોઈ મર્યાદા નહીં",
+  "None": "કંઈ નહીં",
+  "{benchmark} + {spread}%, {months}-month reset": "{benchmark} + {spread}%, દર {months} મહિને રીસેટ",
+  "Current Loan Portfolio": "વર્તમાન લોન પોર્ટફોલિયો",
+  "Loan Type": "લોનનો પ્રકાર",
+  "Sanctioned / Limit": "મંજૂર / મર્યાદા",
+  "Outstanding": "બાકી",
+  "Rate (p.a.)": "દર (વાર્ષિક)",
+  "Remaining Tenure": "બાકી મુદત",
+  "Monthly EMI": "માસિક EMI",
+  "Remaining Interest & Charges": "બાકી વ્યાજ અને ચાર્જ",
+  "revolving, renewal {pct}% p.a.": "ફરતી, નવીકરણ {pct}% વાર્ષિક",
+  "Limit": "મર્યાદા",
+  "{pct}% drawn": "{pct}% ઉપયોગ",
+  "Renewed annually — {months} months modelled": "દર વર્ષે નવીકરણ — {months} મહિનાનું મોડેલ",
+  "interest only": "માત્ર વ્યાજ",
+  "since {date}": "{date} થી",
+  "{remaining} of {tenure} months": "{tenure} માંથી {remaining} મહિના",
+  "TOTAL": "કુલ",
+  "Maximum Potential Savings, Net of Switching Costs and Discounted at {rate}%, with \"{strategy}\" Strategy": "\"{strategy}\" વ્યૂહરચનાથી મહત્તમ સંભવિત બચત, ફેરફારનો ખર્ચ બાદ કરીને અને {rate}% પર ડિસ્કાઉન્ટ કરીને",
+  "Maximum Potential Savings, Net of Switching Costs, with \"{strategy}\" Strategy": "\"{strategy}\" વ્યૂહરચનાથી મહત્તમ સંભવિત બચત, ફેરફારનો ખર્ચ બાદ કરીને",
+  "Strategy": "વ્યૂહરચના",
+  "New Total Interest": "નવું કુલ વ્યાજ",
+  "Interest Saved": "વ્યાજની બચત",
+  "Switching Costs": "ફેરફારનો ખર્ચ",
+  "Net Savings": "ચોખ્ખી બચત",
+  "Post-tax Net Savings": "કરવેરા પછીની ચોખ્ખી બચત",
+  "Break-even": "ખર્ચ વસૂલી",
+  "{months} mo": "{months} મહિના",
+  "Not recovered": "વસૂલ નથી",
+  "New Monthly EMI": "નવો માસિક EMI",
+  "EMI Change": "EMI માં ફેરફાર",
+  "Strategy Comparison": "વ્યૂહરચનાઓની સરખામણી",
+  "Ranked by {ranking}. Post-tax figures treat interest, renewal charges and switching costs as deductible business expenses at an effective {rate}% ({entity}).": "{ranking} મુજબ ક્રમ. કરવેરા પછીના આંકડામાં વ્યાજ, નવીકરણ ચાર્જ અને ફેરફારનો ખર્ચ {rate}% ({entity}) ના અસરકારક દરે કપાતપાત્ર વ્યવસાય ખર્ચ ગણ્યા છે.",
+  "business": "વ્યવસાય",
+  "Ranked by {ranking}, after one-off switching costs.": "{ranking} મુજબ ક્રમ, એક વખતના ફેરફાર ખર્ચ પછી.",
+  "{ranking} by strategy": "વ્યૂહરચના મુજબ {ranking}",
+  "Time Value & Post-tax Cost of Debt": "સમય મૂલ્ય અને દેવાનો કરવેરા પછીનો ખર્ચ",
+  "Outflows discounted at {rate}% p.a.; the current portfolio's outflows are worth {npv} today at an effective cost of {cost}% a year ({postTax}% after tax).": "ચુકવણીઓ {rate}% વાર્ષિક દરે ડિસ્કાઉન્ટ કરી; વર્તમાન પોર્ટફોલિયોની ચુકવણીઓનું આજનું મૂલ્ય {npv} છે, અસરકારક ખર્ચ વર્ષે {cost}% (કર પછી {postTax}%).",
+  "Outflows discounted at {rate}% p.a.; the current portfolio's outflows are worth {npv} today.": "ચુકવણીઓ {rate}% વાર્ષિક દરે ડિસ્કાઉન્ટ કરી; વર્તમાન પોર્ટફોલિયોની ચુકવણીઓનું આજનું મૂલ્ય {npv} છે.",
+  "Effective cost is the annual IRR of all payments and fees against the {outstanding} outstanding.": "અસરકારક ખર્ચ એટલે {outstanding} બાકી સામે બધી ચુકવણીઓ અને ફીનો વાર્ષિક IRR.",
+  "NPV of Outflows": "ચુકવણીઓનું NPV",
+  "Discounted Savings": "ડિસ્કાઉન્ટેડ બચત",
+  "Post-tax Discounted Savings": "કરવેરા પછીની ડિસ્કાઉન્ટેડ બચત",
+  "Effective Cost": "અસરકારક ખર્ચ",
+  "Post-tax Effective Cost": "કરવેરા પછીનો અસરકારક ખર્ચ",
+  "Debt Service Coverage (DSCR)": "દેવા ચુકવણી ક્ષમતા (DSCR)",
+  "Monthly revenue {revenue}; {basis} {cash}": "માસિક આવક {revenue}; {basis} {cash}",
+  " (interest added back)": " (વ્યાજ પાછું ઉમેર્યું)",
+  "; other obligations {amount} a month, counted with debt service.": "; અન્ય જવાબદારીઓ {amount} મહિને, દેવા ચુકવણીમાં ગણી.",
+  "Year-one scheduled debt service, excluding voluntary prepayments.": "પ્રથમ વર્ષની નિર્ધારિત દેવા ચુકવણી, સ્વૈચ્છિક પૂર્વચુકવણી સિવાય.",
+  "Lender thresholds: DSCR of at least {dscr}, debt service at most {pct}% of revenue.": "ધિરાણકર્તાની મર્યાદા: DSCR ઓછામાં ઓછો {dscr}, દેવા ચુકવણી આવકના વધુમાં વધુ {pct}%.",
+  "Debt Service / Month": "દેવા ચુકવણી / મહિનો",
+  "Debt Service to Revenue": "દેવા ચુકવણી સામે આવક",
+  "Status": "સ્થિતિ",
+  "Current portfolio": "વર્તમાન પોર્ટફોલિયો",
+  "Outside lender thresholds": "ધિરાણકર્તાની મર્યાદા બહાર",
+  "Meets thresholds": "મર્યાદામાં",
+  "Interest Rate Stress Test": "વ્યાજ દર સ્ટ્રેસ ટેસ્ટ",
+  "{ranking} for each strategy under each benchmark path (change in bps by year {paths}).": "દરેક બેન્ચમાર્ક માર્ગ હેઠળ દરેક વ્યૂહરચના માટે {ranking} (વર્ષવાર bps માં ફેરફાર {paths}).",
+  "Floating loans re-price at their next reset; refinanced loans float with a {months}-month reset.": "ફ્લોટિંગ લોન આગામી રીસેટ પર નવો દર લે છે; રીફાઇનાન્સ કરેલી લોન દર {months} મહિને રીસેટ થાય છે.",
+  "Floating loans re-price at their next reset.": "ફ્લોટિંગ લોન આગામી રીસેટ પર નવો દર લે છે.",
+  " (base)": " (આધાર)",
+  "Worst": "સૌથી ખરાબ",
+  "Best": "સૌથી સારું",
+  "Limit kept": "રાખેલી મર્યાદા",
+  "Prepayment Plan — Highest Rate First vs Smallest Balance First": "પૂર્વચુકવણી યોજના — સૌથી ઊંચો દર પહેલા વિરુદ્ધ સૌથી નાની બાકી રકમ પહેલા",
+  "Monthly budget of {budget} (current EMIs plus {surplus} surplus) and a lump sum of {lumpSum} now; EMIs freed by closed loans roll into the next loan.": "{budget} નું માસિક બજેટ (વર્તમાન EMI અને {surplus} સરપ્લસ) અને હમણાં {lumpSum} એકસામટા; બંધ લોનના છૂટા EMI આગલી લોનમાં જાય છે.",
+  "Monthly budget of {budget} (current EMIs plus {surplus} surplus); EMIs freed by closed loans roll into the next loan.": "{budget} નું માસિક બજેટ (વર્તમાન EMI અને {surplus} સરપ્લસ); બંધ લોનના છૂટા EMI આગલી લોનમાં જાય છે.",
+  "Loan": "લોન",
+  "Rate": "દર",
+  "As Scheduled": "નિર્ધારિત મુજબ",
+  "Highest Rate First": "સૌથી ઊંચો દર પહેલા",
+  "Smallest Balance First": "સૌથી નાની બાકી રકમ પહેલા",
+  "Revolving": "ફરતી",
+  "Total interest & charges": "કુલ વ્યાજ અને ચાર્જ",
+  "Hybrid Optimal — Per-Loan Plan": "હાઇબ્રિડ શ્રેષ્ઠ — દરેક લોનની યોજના",
+  "{count} lender(s) after restructuring; term debt closes {when}.": "પુનર્ગઠન પછી {count} ધિરાણકર્તા; ટર્મ લોન {when} બંધ થાય છે.",
+  "now": "હમણાં",
+  "Not every constraint could be met — this is the closest plan found.": "દરેક શરત પૂરી થઈ શકી નથી — આ સૌથી નજીકની યોજના છે.",
+  "Action": "પગલું",
+  "Reason": "કારણ",
+  "Recommended Action Plan": "ભલામણ કરેલી કાર્ય યોજના",
+  "Debt service cover moves from {from} to {to} (lender minimum {min})": "દેવા ચુકવણી ક્ષમતા {from} થી {to} થાય છે (ધિરાણકર્તાનો લઘુત્તમ {min})",
+  "Interest Reduction": "વ્યાજમાં ઘટાડો",
+  "{months}mo": "{months} મહિના",
+  "Optimized Tenure": "શ્રેષ્ઠ મુદત",
+  "Outstanding debt — current portfolio vs recommended": "બાકી દેવું — વર્તમાન પોર્ટફોલિયો વિરુદ્ધ ભલામણ",
+  "One-off Switching Cost": "એક વખતનો ફેરફાર ખર્ચ",
+  "Amount": "રકમ",
+  "Foreclosure / prepayment penalty": "ફોરક્લોઝર / પૂર્વચુકવણી દંડ",
+  "Processing fees": "પ્રોસેસિંગ ફી",
+  "Legal & valuation charges": "કાનૂની અને મૂલ્યાંકન ચાર્જ",
+  "GST @ {rate}% on charges": "ચાર્જ પર {rate}% GST",
+  "Stamp duty": "સ્ટેમ્પ ડ્યુટી",
+  "TOTAL — recovered in month {month}": "કુલ — મહિના {month} માં વસૂલ",
+  "TOTAL — not recovered within the loan term": "કુલ — લોનની મુદતમાં વસૂલ નહીં",
+  "Assumptions": "ધારણાઓ",
+  "Assumption": "ધારણા",
+  "Value Used": "વપરાયેલું મૂલ્ય",
+  "adjusted": "બદલાયેલ",
+  "Tax profile": "કર પ્રોફાઇલ",
+  "{entity}: {rate}% {rateLabel} + {surcharge}% surcharge + {cess}% cess = {effective}% effective": "{entity}: {rate}% {rateLabel} + {surcharge}% સરચાર્જ + {cess}% સેસ = {effective}% અસરકારક",
+  "rate": "દર",
+  "For {firm}": "{firm} વતી",
+  "Membership No. {number}": "સભ્યપદ નં. {number}",
+  "Date: {date}": "તારીખ: {date}",
+  "Loan Restructuring Analysis": "લોન પુનર્ગઠન વિશ્લેષણ",
+  "Loan Restructuring — Executive Summary": "લોન પુનર્ગઠન — કાર્યકારી સારાંશ",
+  "{business} — Confidential Report": "{business} — ગોપનીય અહેવાલ",
+  "Generated {date}": "{date} ના રોજ તૈયાર",
+  "Prepared by {firm}": "{firm} દ્વારા તૈયાર",
+  "This report is generated by {firm} for advisory purposes only. Actual savings may vary based on lender terms, processing fees, and market conditions. Consult your CA or financial advisor before taking action.": "આ અહેવાલ {firm} દ્વારા માત્ર સલાહના હેતુથી તૈયાર કરાયો છે. વાસ્તવિક બચત ધિરાણકર્તાની શરતો, પ્રોસેસિંગ ફી અને બજારની સ્થિતિ મુજબ બદલાઈ શકે છે. કોઈ પગલું લેતા પહેલા તમારા CA અથવા નાણાકીય સલાહકારની સલાહ લો.",
+  "{years}y": "{years} વર્ષ",
+  "for advisory purposes only": "માત્ર સલાહના હેતુથી",
+  "Page {page} of {pages}": "પાનું {page} / {pages}",
+  "INTEREST SAVED": "વ્યાજની બચત",
+  "Month": "મહિનો",
+  "Opening": "શરૂઆતની",
+  "Interest": "વ્યાજ",
+  "Principal": "મુદ્દલ",
+  "of which Prepaid": "જેમાંથી પૂર્વચુકવણી",
+  "Charges": "ચાર્જ",
+  "Closing": "અંતિમ",
+  "All loans combined": "બધી લોન મળીને",
+  "{months} months": "{months} મહિના",
+  "Interest & charges": "વ્યાજ અને ચાર્જ",
+  "As scheduled": "નિર્ધારિત મુજબ",
+  "Highest rate first": "સૌથી ઊંચો દર પહેલા",
+  "Smallest balance first": "સૌથી નાની બાકી રકમ પહેલા",
+  "Both orderings cost the same here.": "અહીં બંને ક્રમનો ખર્ચ સરખો છે.",
+  "Highest-rate-first saves {amount} more interest than smallest-balance-first.": "સૌથી ઊંચો દર પહેલા, સૌથી નાની બાકી રકમ પહેલા કરતાં {amount} વધુ વ્યાજ બચાવે છે.",
+  "Smallest-balance-first saves {amount} more interest than highest-rate-first.": "સૌથી નાની બાકી રકમ પહેલા, સૌથી ઊંચો દર પહેલા કરતાં {amount} વધુ વ્યાજ બચાવે છે.",
+  "Monthly budget: {budget} (today's EMIs + surplus), kept constant as loans close.": "માસિક બજેટ: {budget} (આજના EMI + સરપ્લસ), લોન બંધ થાય તો પણ સ્થિર.",
+  "EMI ≤ {amount}": "EMI ≤ {amount}",
+  "≤ {count} lenders": "≤ {count} ધિરાણકર્તા",
+  "≤ {count} lender": "≤ {count} ધિરાણકર્તા",
+  "closed by {month}": "{month} સુધીમાં બંધ",
+  "Why": "શા માટે",
+  "{count} lenders after restructuring": "પુનર્ગઠન પછી {count} ધિરાણકર્તા",
+  "{count} lender after restructuring": "પુનર્ગઠન પછી {count} ધિરાણકર્તા",
+  "term debt closes {when}": "ટર્મ લોન {when} બંધ થાય છે",
+  "{count} combinations searched under: {limits}.": "{count} સંયોજનો તપાસ્યા, શરતો: {limits}.",
+  "{count} combinations searched with no constraints set.": "{count} સંયોજનો તપાસ્યા, કોઈ શરત નથી.",
+  "No combination meets every constraint; this is the closest plan found": "કોઈ સંયોજન બધી શરતો પૂરી કરતું નથી; આ સૌથી નજીકની યોજના છે",
+  "EMI {pct}% over cap": "EMI મર્યાદાથી {pct}% વધુ",
+  "{count} lender(s) over limit": "{count} ધિરાણકર્તા મર્યાદાથી વધુ",
+  "{months} months past target": "લક્ષ્યથી {months} મહિના મોડું",
+  "Worst · Base · Best": "સૌથી ખરાબ · આધાર · સૌથી સારું",
+  "Yes": "હા",
+  "No": "ના",
+  "Remaining interest & charges": "બાકી વ્યાજ અને ચાર્જ",
+  "Best strategy": "શ્રેષ્ઠ વ્યૂહરચના",
+  "Net savings": "ચોખ્ખી બચત",
+  "No changes to loans or assumptions.": "લોન કે ધારણાઓમાં કોઈ ફેરફાર નથી.",
+  "Delete this client and all of its saved versions from this browser?": "આ ક્લાયન્ટ અને તેના બધા સાચવેલા સંસ્કરણો આ બ્રાઉઝરમાંથી કાઢી નાખવા છે?",
+  "Saved clients unavailable: {error}": "સાચવેલા ક્લાયન્ટ ઉપલબ્ધ નથી: {error}",
+  "Saved Clients": "સાચવેલા ક્લાયન્ટ",
+  "stored in this browser only": "માત્ર આ બ્રાઉઝરમાં સંગ્રહિત",
+  "{count} versions, last {date}": "{count} સંસ્કરણો, છેલ્લું {date}",
+  "{count} version, last {date}": "{count} સંસ્કરણ, છેલ્લું {date}",
+  "Delete": "કાઢી નાખો",
+  "{count} loans • {outstanding} outstanding • best: {net} net": "{count} લોન • {outstanding} બાકી • શ્રેષ્ઠ: {net} ચોખ્ખી",
+  "Open": "ખોલો",
+  "Tick two versions to compare them.": "સરખામણી માટે બે સંસ્કરણ પસંદ કરો.",
+  "That file could not be read as an image": "આ ફાઇલ છબી તરીકે વાંચી શકાઈ નહીં",
+  "Your Practice — Report Letterhead": "તમારી ફર્મ — અહેવાલ લેટરહેડ",
+  "reports go out as {firm}": "અહેવાલ {firm} ના નામે જાય છે",
+  "reports carry LoanRestructure Pro branding until a firm name is set": "ફર્મનું નામ ભરાય ત્યાં સુધી અહેવાલ પર LoanRestructure Pro બ્રાન્ડિંગ રહે છે",
+  "Disclaimer": "અસ્વીકરણ",
+  "(blank for the standard wording)": "(પ્રમાણભૂત લખાણ માટે ખાલી રાખો)",
+  "Logo": "લોગો",
+  "Replace": "બદલો",
+  "Upload": "અપલોડ કરો",
+  "Remove": "દૂર કરો",
+  "Could not save the profile in this browser: {error}": "આ બ્રાઉઝરમાં પ્રોફાઇલ સાચવી શકાઈ નહીં: {error}",
+  "Saved in this browser and applied to every report.": "આ બ્રાઉઝરમાં સાચવ્યું અને દરેક અહેવાલ પર લાગુ.",
+  "The file needs a header row and at least one loan": "ફાઇલમાં હેડર પંક્તિ અને ઓછામાં ઓછી એક લોન જરૂરી છે",
+  "Import Loans": "લોન આયાત કરો",
+  "Close": "બંધ કરો",
+  "A portfolio JSON exported from this app, or a CSV — your own sheet or a bank's loan account statement, one loan per row. Columns are matched on the next step.": "આ એપમાંથી નિકાસ કરેલો પોર્ટફોલિયો JSON, અથવા CSV — તમારી પોતાની શીટ કે બેંકનું લોન ખાતા પત્રક, દરેક પંક્તિમાં એક લોન. કૉલમ આગલા પગલે મેળવાય છે.",
+  "not in file": "ફાઇલમાં નથી",
+  "Column {n}": "કૉલમ {n}",
+  "(e.g. {value})": "(દા.ત. {value})",
+  "Date format": "તારીખનું ફોર્મેટ",
+  "Amounts are in": "રકમો આમાં છે",
+  "Back": "પાછા",
+  "Preview {count} rows": "{count} પંક્તિઓનું પૂર્વાવલોકન",
+  "Skipped: {errors}": "છોડી દીધેલ: {errors}",
+  "OK": "બરાબર",
+  "{valid} of {total} loans will be imported.": "{total} માંથી {valid} લોન આયાત થશે.",
+  "Replacing also loads the business name, tax profile, cash flow and assumptions from the file.": "બદલવાથી ફાઇલમાંથી વ્યવસાયનું નામ, કર પ્રોફાઇલ, રોકડ પ્રવાહ અને ધારણાઓ પણ લોડ થાય છે.",
+  "Replace portfolio": "પોર્ટફોલિયો બદલો",
+  "Add to portfolio": "પોર્ટફોલિયોમાં ઉમેરો",
+  "₹28L+": "₹૨૮ લાખ+",
+  "Avg. savings identified per SME": "દરેક SME માટે ઓળખાયેલી સરેરાશ બચત",
+  "Restructuring strategies compared": "પુનર્ગઠન વ્યૂહરચનાઓની સરખામણી",
+  "60sec": "૬૦ સેકન્ડ",
+  "From input to actionable report": "ઇનપુટથી ઉપયોગી અહેવાલ સુધી",
+  "Data stays on your device": "ડેટા તમારા ઉપકરણ પર જ રહે છે",
+  "Instant Client Reports": "તરત ક્લાયન્ટ અહેવાલ",
+  "Enter your client's loan stack, get a professional restructuring report in 60 seconds. Download and email — your client sees you as a hero.": "ક્લાયન્ટની લોન ભરો, ૬૦ સેકન્ડમાં વ્યાવસાયિક પુનર્ગઠન અહેવાલ મેળવો. ડાઉનલોડ કરો અને ઇમેઇલ કરો — ક્લાયન્ટની નજરમાં તમે હીરો બનો.",
+  "Advisory, Not Just Compliance": "સલાહ, માત્ર પાલન નહીં",
+  "Move beyond filing and compliance. Offer strategic debt advice that directly saves your clients money. Higher value = higher fees.": "ફાઇલિંગ અને પાલનથી આગળ વધો. ક્લાયન્ટના પૈસા સીધા બચાવે તેવી વ્યૂહાત્મક દેવા સલાહ આપો. વધુ મૂલ્ય = વધુ ફી.",
+  "5 Strategies, Auto-Ranked": "૫ વ્યૂહરચના, આપોઆપ ક્રમબદ્ધ",
+  "Prepayment, consolidation, balance transfer, tenure extension, hybrid — all compared side by side with exact rupee savings.": "પૂર્વચુકવણી, એકીકરણ, બેલેન્સ ટ્રાન્સફર, મુદત વધારો, હાઇબ્રિડ — બધાની બાજુ-બાજુમાં સરખામણી, ચોક્કસ રૂપિયાની બચત સાથે.",
+  "Client Data Never Leaves": "ક્લાયન્ટનો ડેટા ક્યાંય જતો નથી",
+  "Everything runs in the browser. No server, no uploads, no data risk. Show it to clients with full confidence.": "બધું બ્રાઉઝરમાં ચાલે છે. કોઈ સર્વર નહીં, કોઈ અપલોડ નહીં, ડેટાનું કોઈ જોખમ નહીં. ક્લાયન્ટને પૂરા વિશ્વાસથી બતાવો.",
+  "See Your Real Cost": "તમારો સાચો ખર્ચ જુઓ",
+  "Most SME owners don't know how much interest they're actually paying across all loans combined. This tool shows you the total picture in one screen.": "મોટા ભાગના SME માલિકો જાણતા નથી કે તેઓ બધી લોન પર મળીને ખરેખર કેટલું વ્યાજ ભરે છે. આ સાધન આખું ચિત્ર એક સ્ક્રીન પર બતાવે છે.",
+  "Find Hidden Savings": "છુપાયેલી બચત શોધો",
+  "That CC/OD at 14%? That old term loan you never revisited? There's almost always ₹2-10L sitting on the table. We find it.": "૧૪% વાળું CC/OD? એ જૂની ટર્મ લોન જે તમે ફરી ક્યારેય જોઈ નથી? લગભગ હંમેશા ₹૨-૧૦ લાખ બચાવી શકાય છે. અમે તે શોધીએ છીએ.",
+  "Take the Report to Your Bank": "અહેવાલ તમારી બેંકમાં લઈ જાઓ",
+  "Download a professional analysis showing exactly what restructuring looks like. Walk into your bank branch with data, not just a request.": "પુનર્ગઠન બરાબર કેવું દેખાશે તે બતાવતું વ્યાવસાયિક વિશ્લેષણ ડાઉનલોડ કરો. બેંક શાખામાં માત્ર વિનંતી નહીં, આંકડા સાથે જાઓ.",
+  "No Jargon, Just Numbers": "અઘરા શબ્દો નહીં, માત્ર આંકડા",
+  "We don't sell you financial products. We show you the math. You decide what makes sense for your business.": "અમે તમને નાણાકીય ઉત્પાદનો વેચતા નથી. અમે ગણિત બતાવીએ છીએ. તમારા વ્યવસાય માટે શું યોગ્ય છે તે તમે નક્કી કરો.",
+  "Is my data safe?": "શું મારો ડેટા સુરક્ષિત છે?",
+  "Yes. Everything runs 100% in your browser. No data is sent to any server. We never see your loan details.": "હા. બધું ૧૦૦% તમારા બ્રાઉઝરમાં ચાલે છે. કોઈ ડેટા કોઈ સર્વર પર મોકલાતો નથી. અમે તમારી લોનની વિગતો ક્યારેય જોતા નથી.",
+  "How accurate are the savings estimates?": "બચતના અંદાજ કેટલા ચોક્કસ છે?",
+  "We use standard amortization mathematics — the same formulas banks use. Actual savings depend on your lender's specific terms, processing fees, and prepayment penalties.": "અમે પ્રમાણભૂત હપ્તા ગણિત વાપરીએ છીએ — બેંકો વાપરે છે એ જ સૂત્રો. વાસ્તવિક બચત તમારા ધિરાણકર્તાની શરતો, પ્રોસેસિંગ ફી અને પૂર્વચુકવણી દંડ પર આધાર રાખે છે.",
+  "Do I need to pay anything?": "શું મારે કંઈ ચૂકવવું પડશે?",
+  "The tool is currently free during our early access period. We're gathering feedback to build the best possible product for CAs and SME owners.": "આ સાધન હાલ અર્લી એક્સેસ સમયગાળામાં મફત છે. CA અને SME માલિકો માટે શ્રેષ્ઠ ઉત્પાદન બનાવવા અમે પ્રતિસાદ એકઠો કરી રહ્યા છીએ.",
+  "Can I use this for my clients? (for CAs)": "શું હું આ મારા ક્લાયન્ટ માટે વાપરી શકું? (CA માટે)",
+  "Absolutely — that's exactly what it's built for. Enter each client's loans, generate a report, and deliver it as part of your advisory service.": "ચોક્કસ — તે એના માટે જ બન્યું છે. દરેક ક્લાયન્ટની લોન ભરો, અહેવાલ બનાવો અને તમારી સલાહ સેવાના ભાગ રૂપે આપો.",
+  "What loan types are supported?": "કયા લોન પ્રકારો સમર્થિત છે?",
+  "Term Loans, CC/OD Facilities, MUDRA Loans, Vehicle/Equipment Finance, and Working Capital loans. We're adding more based on feedback.": "ટર્મ લોન, CC/OD સુવિધાઓ, MUDRA લોન, વાહન/સાધન ધિરાણ અને કાર્યકારી મૂડી લોન. પ્રતિસાદના આધારે અમે વધુ ઉમેરી રહ્યા છીએ.",
+  "Try Free": "મફત અજમાવો",
+  "EARLY ACCESS — FREE FOR LIMITED TIME": "અર્લી એક્સેસ — મર્યાદિત સમય માટે મફત",
+  "Your SME clients are": "તમારા SME ક્લાયન્ટ",
+  "overpaying on loans.": "લોન પર વધુ ચૂકવી રહ્યા છે.",
+  "Show them exactly how much.": "તેમને બરાબર કેટલું તે બતાવો.",
+  "Enter any SME's loan portfolio. Get 5 restructuring strategies ranked by savings. Download a professional report your client can take to their bank — in 60 seconds.": "કોઈપણ SME નો લોન પોર્ટફોલિયો ભરો. બચત મુજબ ક્રમબદ્ધ ૫ પુનર્ગઠન વ્યૂહરચના મેળવો. ક્લાયન્ટ પોતાની બેંકમાં લઈ જઈ શકે તેવો વ્યાવસાયિક અહેવાલ ડાઉનલોડ કરો — ૬૦ સેકન્ડમાં.",
+  "Analyze Loans Free — No Signup Required": "લોનનું મફત વિશ્લેષણ — સાઇન-અપની જરૂર નથી",
+  "100% browser-based. Your data never leaves your device.": "૧૦૦% બ્રાઉઝર-આધારિત. તમારો ડેટા ક્યારેય તમારા ઉપકરણની બહાર જતો નથી.",
+  "How It Works": "તે કેવી રીતે કામ કરે છે",
+  "Three steps. Sixty seconds. Real savings.": "ત્રણ પગલાં. સાઠ સેકન્ડ. સાચી બચત.",
+  "Enter Loans": "લોન ભરો",
+  "Add your client's loans — Term, CC/OD, MUDRA, Vehicle, Working Capital. Takes 30 seconds.": "ક્લાયન્ટની લોન ઉમેરો — ટર્મ, CC/OD, MUDRA, વાહન, કાર્યકારી મૂડી. ૩૦ સેકન્ડ લાગે છે.",
+  "See Strategies": "વ્યૂહરચના જુઓ",
+  "Instantly compare 5 restructuring approaches ranked by total interest saved.": "કુલ વ્યાજ બચત મુજબ ક્રમબદ્ધ ૫ પુનર્ગઠન પદ્ધતિઓની તરત સરખામણી કરો.",
+  "Download Report": "અહેવાલ ડાઉનલોડ કરો",
+  "Get a professional PDF-ready report your client can take to their bank.": "ક્લાયન્ટ પોતાની બેંકમાં લઈ જઈ શકે તેવો વ્યાવસાયિક PDF-તૈયાર અહેવાલ મેળવો.",
+  "For Chartered Accountants": "ચાર્ટર્ડ એકાઉન્ટન્ટ્સ માટે",
+  "Stop being just a compliance CA.": "માત્ર પાલન કરતા CA ન રહો.",
+  "Become a strategic advisor.": "વ્યૂહાત્મક સલાહકાર બનો.",
+  "For SME Business Owners": "SME વ્યવસાય માલિકો માટે",
+  "You're running a business, not a bank.": "તમે વ્યવસાય ચલાવો છો, બેંક નહીં.",
+  "But your loans deserve attention too.": "પણ તમારી લોન પર પણ ધ્યાન આપવું જરૂરી છે.",
+  "Real Example": "વાસ્તવિક ઉદાહરણ",
+  "How a typical SME saves ₹2.8 Lakhs": "એક સામાન્ય SME ₹૨.૮ લાખ કેવી રીતે બચાવે છે",
+  "Current Loan Stack": "વર્તમાન લોન",
+  "{amount} @ {rate}% for {months} mo": "{amount} @ {rate}%, {months} મહિના માટે",
+  "Total Interest Payable": "કુલ ચૂકવવાપાત્ર વ્યાજ",
+  "Best Strategy: {strategy}": "શ્રેષ્ઠ વ્યૂહરચના: {strategy}",
+  "saved in total interest ({pct}%)": "કુલ વ્યાજમાં બચત ({pct}%)",
+  "FAQ": "વારંવાર પૂછાતા પ્રશ્નો",
+  "Common Questions": "સામાન્ય પ્રશ્નો",
+  "We're building this for you.": "અમે આ તમારા માટે બનાવી રહ્યા છીએ.",
+  "This tool is in early access. Try it, break it, tell us what's missing. Your feedback directly shapes what we build next.": "આ સાધન અર્લી એક્સેસમાં છે. અજમાવો, પરખો, શું ખૂટે છે તે કહો. તમારો પ્રતિસાદ સીધો નક્કી કરે છે કે અમે આગળ શું બનાવીએ.",
+  "Try the Tool Free": "સાધન મફત અજમાવો",
+  "Share Feedback": "પ્રતિસાદ આપો",
+  "Built for Indian CAs and SME Owners": "ભારતીય CA અને SME માલિકો માટે બનાવેલું",
+  "100% Privacy-First": "૧૦૦% ગોપનીયતા-પ્રથમ",
+  "No Data Collected": "કોઈ ડેટા એકત્ર થતો નથી",
+  "Scenario {n}": "પરિદૃશ્ય {n}",
+  "SME Debt Optimization Engine": "SME દેવા ઑપ્ટિમાઇઝેશન એન્જિન",
+  "Edit Loans": "લોન સંપાદિત કરો",
+  "Business / Client Name": "વ્યવસાય / ક્લાયન્ટનું નામ",
+  "Enter business name...": "વ્યવસાયનું નામ લખો...",
+  "Entity Type": "એકમનો પ્રકાર",
+  "Surcharge (%)": "સરચાર્જ (%)",
+  "Cess (%)": "સેસ (%)",
+  "Effective Tax Rate": "અસરકારક કર દર",
+  "Loan Portfolio ({count} active)": "લોન પોર્ટફોલિયો ({count} સક્રિય)",
+  "Interest only: {emi}/mo • {drawn} drawn of {limit} • Cost over {months} months: {cost}": "માત્ર વ્યાજ: {emi}/મહિને • {limit} માંથી {drawn} ઉપયોગ • {months} મહિનાનો ખર્ચ: {cost}",
+  "EMI: {emi} • {left} of {tenure} EMIs left • Interest ahead: {cost}": "EMI: {emi} • {tenure} માંથી {left} EMI બાકી • આગળનું વ્યાજ: {cost}",
+  "Lender": "ધિરાણકર્તા",
+  "Sanctioned Limit (₹)": "મંજૂર મર્યાદા (₹)",
+  "Rate (% p.a.)": "દર (% વાર્ષિક)",
+  "Avg. Utilization (%)": "સરેરાશ ઉપયોગ (%)",
+  "Keep Limit For (months)": "મર્યાદા કેટલા મહિના રાખવી",
+  "Renewal Charge (% of limit)": "નવીકરણ ચાર્જ (મર્યાદાના %)",
+  "Use average utilization": "સરેરાશ ઉપયોગ વાપરો",
+  "Enter month-wise utilization": "મહિનાવાર ઉપયોગ ભરો",
+  "Sanction Date": "મંજૂરી તારીખ",
+  "EMIs Paid": "ભરેલા EMI",
+  "Outstanding (₹)": "બાકી (₹)",
+  "Original Amount (₹)": "મૂળ રકમ (₹)",
+  "Original Tenure (months)": "મૂળ મુદત (મહિના)",
+  "Floating rate": "ફ્લોટિંગ દર",
+  "Fixed rate": "સ્થિર દર",
+  "{benchmark} {level}% + {spread}% spread, resets every {months} months": "{benchmark} {level}% + {spread}% સ્પ્રેડ, દર {months} મહિને રીસેટ",
+  "Rate Type": "દરનો પ્રકાર",
+  "Fixed": "સ્થિર",
+  "Floating": "ફ્લોટિંગ",
+  "Benchmark": "બેન્ચમાર્ક",
+  "Benchmark Now (%)": "હાલનો બેન્ચમાર્ક (%)",
+  "Spread (%)": "સ્પ્રેડ (%)",
+  "Reset (months)": "રીસેટ (મહિના)",
+  "Switching costs": "ફેરફારનો ખર્ચ",
+  "{foreclosure}% foreclosure, {processing}% processing, {other} stamp & legal": "{foreclosure}% ફોરક્લોઝર, {processing}% પ્રોસેસિંગ, {other} સ્ટેમ્પ અને કાનૂની",
+  "Foreclosure / Prepay (%)": "ફોરક્લોઝર / પૂર્વચુકવણી (%)",
+  "Processing Fee (%)": "પ્રોસેસિંગ ફી (%)",
+  "Stamp Duty (₹)": "સ્ટેમ્પ ડ્યુટી (₹)",
+  "Legal & Valuation (₹)": "કાનૂની અને મૂલ્યાંકન (₹)",
+  "GST @ {rate}% is added to foreclosure, processing and legal charges. Penalties apply to the amount closed or prepaid; fees to the amount moved to a new lender.": "ફોરક્લોઝર, પ્રોસેસિંગ અને કાનૂની ચાર્જ પર {rate}% GST ઉમેરાય છે. દંડ બંધ કે પૂર્વચુકવણી કરેલી રકમ પર લાગે છે; ફી નવા ધિરાણકર્તા પાસે લઈ જવાતી રકમ પર.",
+  "Prepayment Budget": "પૂર્વચુકવણી બજેટ",
+  "Monthly surplus available (₹)": "ઉપલબ્ધ માસિક સરપ્લસ (₹)",
+  "Lump sum available now (₹)": "હમણાં ઉપલબ્ધ એકસામટી રકમ (₹)",
+  "Business Cash Flow": "વ્યવસાયનો રોકડ પ્રવાહ",
+  "Monthly revenue (₹)": "માસિક આવક (₹)",
+  "Cash flow basis": "રોકડ પ્રવાહનો આધાર",
+  "Monthly {basis} (₹)": "માસિક {basis} (₹)",
+  "Other monthly obligations (₹)": "અન્ય માસિક જવાબદારીઓ (₹)",
+  "Total Outstanding": "કુલ બાકી",
+  "Interest Ahead": "આગળનું વ્યાજ",
+  "Analyze {count} Loans — Find Savings": "{count} લોનનું વિશ્લેષણ — બચત શોધો",
+  "Analyze {count} Loan — Find Savings": "{count} લોનનું વિશ્લેષણ — બચત શોધો",
+  "Add at least one loan to begin": "શરૂ કરવા ઓછામાં ઓછી એક લોન ઉમેરો",
+  "Figures": "આંકડા",
+  "Gross": "કુલ",
+  "Post-tax @ {rate}%": "કરવેરા પછી @ {rate}%",
+  "Net Savings After Switching Costs & Tax": "ફેરફાર ખર્ચ અને કર પછી ચોખ્ખી બચત",
+  "Net Savings After Switching Costs": "ફેરફાર ખર્ચ પછી ચોખ્ખી બચત",
+  "{saved} interest saved − {costs} foreclosure, fees, GST, stamp duty & legal": "{saved} વ્યાજ બચત − {costs} ફોરક્લોઝર, ફી, GST, સ્ટેમ્પ ડ્યુટી અને કાનૂની",
+  "break-even in month {month}": "મહિના {month} માં ખર્ચ વસૂલ",
+  "costs not recovered": "ખર્ચ વસૂલ નહીં",
+  "on remaining interest of {interest} across {outstanding} outstanding": "{outstanding} બાકી પરના બાકી વ્યાજ {interest} માંથી",
+  "Discounted at {rate}%: {amount} saved in today's money": "{rate}% પર ડિસ્કાઉન્ટ: આજના મૂલ્યમાં {amount} બચત",
+  "effective cost {from}% → {to}% p.a. incl. fees": "અસરકારક ખર્ચ {from}% → {to}% વાર્ષિક, ફી સહિત",
+  "Interest Comparison": "વ્યાજની સરખામણી",
+  "Current Interest": "વર્તમાન વ્યાજ",
+  "After Restructure": "પુનર્ગઠન પછી",
+  "Savings Rate": "બચત દર",
+  "Reset to defaults": "મૂળ મૂલ્યો પર પાછા",
+  "Restructuring Strategies": "પુનર્ગઠન વ્યૂહરચનાઓ",
+  "Rank by": "ક્રમનો આધાર",
+  "net saved ({percent}% gross)": "ચોખ્ખી બચત ({percent}% કુલ)",
+  "after {costs} costs": "{costs} ખર્ચ પછી",
+  "break-even {month} mo": "{month} મહિનામાં વસૂલી",
+  "no break-even": "વસૂલી નહીં",
+  "NPV {amount} @ {rate}%": "NPV {amount} @ {rate}%",
+  "costs {rate}% p.a.": "ખર્ચ {rate}% વાર્ષિક",
+  "rates: {worst} worst … {best} best": "દરો: {worst} સૌથી ખરાબ … {best} સૌથી સારું",
+  "Debt service / month (year one)": "દેવા ચુકવણી / મહિનો (પ્રથમ વર્ષ)",
+  "DSCR on {basis}": "{basis} પર DSCR",
+  "Debt service to revenue": "દેવા ચુકવણી સામે આવક",
+  "Debt Service Coverage": "દેવા ચુકવણી ક્ષમતા",
+  "Current": "વર્તમાન",
+  "After": "પછી",
+  "Lenders are likely to push back: {warnings}.": "ધિરાણકર્તા વાંધો ઉઠાવી શકે: {warnings}.",
+  "Enter monthly revenue and cash flow under Edit Loans to check affordability.": "પોષણક્ષમતા તપાસવા 'લોન સંપાદિત કરો' માં માસિક આવક અને રોકડ પ્રવાહ ભરો.",
+  "Within lender thresholds: DSCR at least {dscr} and debt service at most {ratio}% of revenue.": "ધિરાણકર્તાની મર્યાદામાં: DSCR ઓછામાં ઓછો {dscr} અને દેવા ચુકવણી આવકના વધુમાં વધુ {ratio}%.",
+  "Other obligations of {amount}/month are counted with debt service.": "{amount}/મહિને અન્ય જવાબદારીઓ દેવા ચુકવણીમાં ગણી છે.",
+  "Rate Stress Test — Benchmark Scenarios": "દર સ્ટ્રેસ ટેસ્ટ — બેન્ચમાર્ક પરિદૃશ્યો",
+  "Base": "આધાર",
+  "Scenario": "પરિદૃશ્ય",
+  "Yr {year} (bps)": "વર્ષ {year} (bps)",
+  "Add scenario": "પરિદૃશ્ય ઉમેરો",
+  "{measure} after tax under each path.": "દરેક માર્ગ હેઠળ કર પછી {measure}.",
+  "{measure} under each path.": "દરેક માર્ગ હેઠળ {measure}.",
+  "Floating loans pick up the change at their next reset and re-price the EMI over the remaining tenure": "ફ્લોટિંગ લોન આગામી રીસેટ પર ફેરફાર લે છે અને બાકી મુદત માટે EMI ફરી નક્કી કરે છે",
+  "; refinanced loans float with a {months}-month reset": "; રીફાઇનાન્સ કરેલી લોન દર {months} મહિને રીસેટ થાય છે",
+  "; refinanced loans are fixed": "; રીફાઇનાન્સ કરેલી લોન સ્થિર દરની છે",
+  "Prepayment Plan — Avalanche vs Snowball": "પૂર્વચુકવણી યોજના — એવલાન્ચ વિરુદ્ધ સ્નોબોલ",
+  "Monthly Surplus (₹)": "માસિક સરપ્લસ (₹)",
+  "Lump Sum Now (₹)": "હમણાં એકસામટા (₹)",
+  "Hybrid Plan — Action Per Loan": "હાઇબ્રિડ યોજના — દરેક લોનનું પગલું",
+  "Max Monthly EMI (₹, 0 = no cap)": "મહત્તમ માસિક EMI (₹, 0 = કોઈ મર્યાદા નહીં)",
+  "Max Lenders (0 = no limit)": "મહત્તમ ધિરાણકર્તા (0 = કોઈ મર્યાદા નહીં)",
+  "Close Term Debt By": "ટર્મ લોન બંધ કરવાની તારીખ",
+  "Repayment Schedules": "ચુકવણી સમયપત્રકો",
+  "Current Portfolio": "વર્તમાન પોર્ટફોલિયો",
+  "Report": "અહેવાલ",
+  "on {firm} letterhead": "{firm} લેટરહેડ પર",
+  "Report language": "અહેવાલની ભાષા",
+  "PDF in {language} opens the print dialog — choose “Save as PDF”. The built-in PDF writer only has Latin fonts.": "{language} માં PDF પ્રિન્ટ સંવાદ ખોલે છે — “Save as PDF” પસંદ કરો. આંતરિક PDF લેખક પાસે માત્ર લેટિન ફૉન્ટ છે.",
+  "Download PDF Report": "PDF અહેવાલ ડાઉનલોડ કરો",
+  "New Analysis": "નવું વિશ્લેષણ",
+  "Disclaimer:": "અસ્વીકરણ:",
+  "Savings are estimates based on standard amortization models. Actual results depend on lender policies, processing fees, prepayment penalties, and market conditions. Consult a qualified CA or financial advisor before restructuring.": "બચત પ્રમાણભૂત હપ્તા મોડેલ પર આધારિત અંદાજ છે. વાસ્તવિક પરિણામ ધિરાણકર્તાની નીતિઓ, પ્રોસેસિંગ ફી, પૂર્વચુકવણી દંડ અને બજારની સ્થિતિ પર આધાર રાખે છે. પુનર્ગઠન પહેલા લાયક CA અથવા નાણાકીય સલાહકારની સલાહ લો.",
+  "Term Loan": "ટર્મ લોન",
+  "CC/OD Facility": "CC/OD સુવિધા",
+  "MUDRA Loan": "MUDRA લોન",
+  "Vehicle/Equipment": "વાહન/સાધન",
+  "Working Capital": "કાર્યકારી મૂડી",
+  "RBI Repo": "RBI રેપો",
+  "1-Year MCLR": "૧-વર્ષ MCLR",
+  "Flat": "સ્થિર",
+  "Custom": "કસ્ટમ",
+  "Prepay Highest Rate First": "સૌથી ઊંચા દરની લોન પહેલા ચૂકવો",
+  "Avalanche method — surplus and freed-up EMIs go to the costliest loan": "એવલાન્ચ પદ્ધતિ — સરપ્લસ અને છૂટા EMI સૌથી મોંઘી લોનમાં જાય છે",
+  "Consolidate All Loans": "બધી લોનનું એકીકરણ",
+  "Single loan at a negotiated lower rate": "વાટાઘાટથી નક્કી ઓછા દરે એક જ લોન",
+  "Balance Transfer": "બેલેન્સ ટ્રાન્સફર",
+  "Move high-rate loans to a lower-rate lender": "ઊંચા દરની લોન ઓછા દરના ધિરાણકર્તા પાસે લઈ જાઓ",
+  "Extend Tenure + Reduce EMI": "મુદત વધારો + EMI ઘટાડો",
+  "Ease monthly cash flow pressure": "માસિક રોકડ પ્રવાહનું દબાણ ઓછું કરો",
+  "Hybrid Optimal": "હાઇબ્રિડ શ્રેષ્ઠ",
+  "Best keep / prepay / transfer / consolidate / extend action for each loan, within your EMI, lender and closure limits": "દરેક લોન માટે શ્રેષ્ઠ પગલું — રાખો / પૂર્વચુકવણી / ટ્રાન્સફર / એકીકરણ / મુદત વધારો — તમારી EMI, ધિરાણકર્તા અને બંધ કરવાની મર્યાદામાં",
+  "Convert CC/OD to Term Loan": "CC/OD ને ટર્મ લોનમાં ફેરવો",
+  "Move the hard-core OD balance to a term loan and cut the limit": "OD ની કાયમી બાકી રકમ ટર્મ લોનમાં લઈ જાઓ અને મર્યાદા ઘટાડો",
+  "Monthly surplus for prepayment": "પૂર્વચુકવણી માટે માસિક સરપ્લસ",
+  "Lump-sum prepayment now": "હમણાં એકસામટી પૂર્વચુકવણી",
+  "Balance transfer rate": "બેલેન્સ ટ્રાન્સફર દર",
+  "% p.a.": "% વાર્ષિક",
+  "Transfer loans priced above": "આનાથી ઊંચા દરની લોન ટ્રાન્સફર કરો",
+  "Consolidation discount to weighted rate": "ભારિત દર પર એકીકરણ છૂટ",
+  "% points": "% પોઇન્ટ",
+  "Consolidation rate floor": "એકીકરણ દરની લઘુત્તમ સપાટી",
+  "Consolidated tenure vs longest loan": "સૌથી લાંબી લોનની સરખામણીમાં એકીકૃત મુદત",
+  "Tenure extension": "મુદત વધારો",
+  "Hybrid: maximum monthly EMI (0 = no cap)": "હાઇબ્રિડ: મહત્તમ માસિક EMI (0 = કોઈ મર્યાદા નહીં)",
+  "Hybrid: maximum number of lenders (0 = no limit)": "હાઇબ્રિડ: મહત્તમ ધિરાણકર્તા સંખ્યા (0 = કોઈ મર્યાદા નહીં)",
+  "lenders": "ધિરાણકર્તા",
+  "Hybrid: close all term debt by": "હાઇબ્રિડ: બધી ટર્મ લોન આ સુધીમાં બંધ કરો",
+  "month": "મહિનો",
+  "CC/OD term-out discount to OD rate": "CC/OD ટર્મ-આઉટ પર OD દરથી છૂટ",
+  "Minimum CC/OD limit kept after term-out": "ટર્મ-આઉટ પછી રાખવાની લઘુત્તમ CC/OD મર્યાદા",
+  "% of limit": "મર્યાદાના %",
+  "Refinanced loans float, resetting every (0 = fixed)": "રીફાઇનાન્સ કરેલી લોન ફ્લોટિંગ, રીસેટ દર (0 = સ્થિર)",
+  "months": "મહિના",
+  "Lender minimum DSCR": "ધિરાણકર્તાનો લઘુત્તમ DSCR",
+  "Lender maximum debt service to revenue": "આવકની સરખામણીમાં ધિરાણકર્તાની મહત્તમ દેવા ચુકવણી",
+  "Discount rate (business cost of capital)": "ડિસ્કાઉન્ટ દર (વ્યવસાયનો મૂડી ખર્ચ)",
+  "Proprietorship": "પ્રોપ્રાઇટરશિપ",
+  "Slab rate": "સ્લેબ દર",
+  "Partnership / LLP": "ભાગીદારી / LLP",
+  "Firm rate": "ફર્મ દર",
+  "Company": "કંપની",
+  "Corporate rate": "કોર્પોરેટ દર",
+  "Executive summary": "કાર્યકારી સારાંશ",
+  "Short — for the client": "ટૂંકું — ક્લાયન્ટ માટે",
+  "Detailed": "વિગતવાર",
+  "Full analysis — for the banker": "પૂરું વિશ્લેષણ — બેંકર માટે",
+  "Discounted savings (NPV)": "ડિસ્કાઉન્ટેડ બચત (NPV)",
+  "Prepay": "પૂર્વચુકવણી",
+  "Consolidate": "એકીકરણ",
+  "Net cash accruals": "ચોખ્ખી રોકડ ઉપાર્જન",
+  "Jan": "જાન્યુ",
+  "Feb": "ફેબ્રુ",
+  "Mar": "માર્ચ",
+  "Apr": "એપ્રિલ",
+  "May": "મે",
+  "Jun": "જૂન",
+  "Jul": "જુલાઈ",
+  "Aug": "ઑગ",
+  "Sep": "સપ્ટે",
+  "Oct": "ઑક્ટો",
+  "Nov": "નવે",
+  "Dec": "ડિસે",
+  "Amount / limit": "રકમ / મર્યાદા",
+  "Tenure": "મુદત",
+  "EMIs paid": "ભરેલા EMI",
+  "Utilization": "ઉપયોગ",
+  "Auto (₹, or L / Cr suffix)": "ઓટો (₹, અથવા L / Cr પ્રત્યય)",
+  "Rupees": "રૂપિયા",
+  "Lakh": "લાખ",
+  "Crore": "કરોડ",
+  "Loan type / product": "લોનનો પ્રકાર / પ્રોડક્ટ",
+  "Lender / bank": "ધિરાણકર્તા / બેંક",
+  "Sanctioned amount / limit": "મંજૂર રકમ / મર્યાદા",
+  "Outstanding balance": "બાકી રકમ",
+  "Interest rate (% p.a.)": "વ્યાજ દર (% વાર્ષિક)",
+  "Tenure (months)": "મુદત (મહિના)",
+  "Sanction / disbursement date": "મંજૂરી / વિતરણ તારીખ",
+  "Utilization (%)": "ઉપયોગ (%)",
+  "Renewal charge (% of limit)": "નવીકરણ ચાર્જ (મર્યાદાના %)",
+  "Foreclosure penalty (%)": "ફોરક્લોઝર દંડ (%)",
+  "Processing fee (%)": "પ્રોસેસિંગ ફી (%)",
+  "Stamp duty (₹)": "સ્ટેમ્પ ડ્યુટી (₹)",
+  "Legal & valuation (₹)": "કાનૂની અને મૂલ્યાંકન (₹)",
+  "added": "ઉમેરાયું",
+  "changed": "બદલાયું",
+  "removed": "દૂર કર્યું",
+  "Keep": "રાખો",
+  "Transfer": "ટ્રાન્સફર",
+  "Extend": "મુદત વધારો",
+  "Import": "આયાત કરો",
+  "Export JSON": "JSON નિકાસ કરો",
+  "Brand Colour": "બ્રાન્ડ રંગ",
+  "Accent Colour": "પૂરક રંગ",
+  "Firm Name": "ફર્મનું નામ",
+  "Practising As": "કયા રૂપે પ્રેક્ટિસ",
+  "ICAI Firm Registration No. (FRN)": "ICAI ફર્મ નોંધણી નં. (FRN)",
+  "Address": "સરનામું",
+  "Phone / Email": "ફોન / ઇમેઇલ",
+  "Signing Partner": "સહી કરનાર ભાગીદાર",
+  "Designation": "હોદ્દો",
+  "ICAI Membership No.": "ICAI સભ્યપદ નં.",
+  "Share": "શેર કરો",
+  "Passphrase (optional)": "પાસફ્રેઝ (વૈકલ્પિક)",
+  "Passphrase": "પાસફ્રેઝ",
+  "Copy link": "લિંક કૉપિ કરો",
+  "Locked link copied — send the passphrase separately, not in the same chat.": "લૉક કરેલી લિંક કૉપિ થઈ — પાસફ્રેઝ અલગથી મોકલો, એ જ ચેટમાં નહીં.",
+  "Link copied. Anyone with it can see these loans.": "લિંક કૉપિ થઈ. જેની પાસે આ લિંક હોય તે આ લોન જોઈ શકે છે.",
+  "Copy the link below.": "નીચેની લિંક કૉપિ કરો.",
+  "The analysis is packed into the link itself — nothing is uploaded. Add a passphrase to encrypt it.": "વિશ્લેષણ લિંકની અંદર જ રહે છે — કંઈ અપલોડ થતું નથી. તેને એન્ક્રિપ્ટ કરવા પાસફ્રેઝ ઉમેરો.",
+  "This shared analysis is locked": "આ શેર કરેલું વિશ્લેષણ લૉક છે",
+  "Enter the passphrase you were given to open it.": "તેને ખોલવા તમને આપેલો પાસફ્રેઝ લખો.",
+  "Cancel": "રદ કરો",
+  "Could not open the shared analysis: {error}": "શેર કરેલું વિશ્લેષણ ખૂલી શક્યું નહીં: {error}",
+  "This browser cannot create share links": "આ બ્રાઉઝર શેર લિંક બનાવી શકતું નથી",
+  "This is not a share link": "આ શેર લિંક નથી",
+  "The link is incomplete — it may have been cut off when it was sent": "લિંક અધૂરી છે — મોકલતી વખતે કદાચ કપાઈ ગઈ",
+  "Wrong passphrase, or the link is incomplete": "ખોટો પાસફ્રેઝ, અથવા લિંક અધૂરી છે",
+  "This link was made by a newer version of the app": "આ લિંક એપના નવા સંસ્કરણથી બની છે",
+  "The link has no loans in it": "આ લિંકમાં કોઈ લોન નથી",
+  "Level EMI": "સમાન ઈએમઆઈ",
+  "Moratorium, then EMI": "મોરેટોરિયમ, પછી ઈએમઆઈ",
+  "Step-up / step-down EMI": "સ્ટેપ-અપ / સ્ટેપ-ડાઉન ઈએમઆઈ",
+  "Balloon final payment": "અંતિમ બલૂન ચુકવણી",
+  "Bullet repayment": "બુલેટ પરત ચુકવણી",
+  "Moratorium + Capitalized Interest": "મોરેટોરિયમ + મૂડીકૃત વ્યાજ",
+  "Pause term-loan EMIs, add the interest to the loan and extend the tenure to match": "ટર્મ લોનના ઈએમઆઈ રોકો, વ્યાજ લોનમાં ઉમેરો અને મુદત એટલી જ વધારો",
+  "Step-Up EMI": "સ્ટેપ-અપ ઈએમઆઈ",
+  "Lower EMIs now that rise every year as the business grows": "હમણાં ઓછા ઈએમઆઈ, જે વ્યવસાય વધે તેમ દર વર્ષે વધે છે",
+  "Balloon Repayment": "બલૂન પરત ચુકવણી",
+  "Lower EMIs, with part of the principal left for one final payment": "ઓછા ઈએમઆઈ, મુદ્દલનો થોડો ભાગ એક અંતિમ ચુકવણી માટે",
+  "Interest-Only + Bullet": "ફક્ત વ્યાજ + બુલેટ",
+  "Pay only interest and repay the principal in one go at the end": "ફક્ત વ્યાજ ચૂકવો અને મુદ્દલ અંતે એકસાથે પરત કરો",
+  "Moratorium granted on term loans": "ટર્મ લોન પર અપાયેલ મોરેટોરિયમ",
+  "Step-up EMI: yearly change (negative = step-down)": "સ્ટેપ-અપ ઈએમઆઈ: વાર્ષિક ફેરફાર (ઋણ = સ્ટેપ-ડાઉન)",
+  "Balloon: principal left for the final payment": "બલૂન: અંતિમ ચુકવણી માટે બાકી મુદ્દલ",
+  "{months}-month moratorium, interest capitalized": "{months} મહિનાનું મોરેટોરિયમ, વ્યાજ મૂડીકૃત",
+  "{months}-month moratorium, interest paid monthly": "{months} મહિનાનું મોરેટોરિયમ, વ્યાજ માસિક ચૂકવાયું",
+  "EMI steps up {pct}% every {months} months": "ઈએમઆઈ દર {months} મહિને {pct}% વધે છે",
+  "EMI steps down {pct}% every {months} months": "ઈએમઆઈ દર {months} મહિને {pct}% ઘટે છે",
+  "{pct}% balloon in the last month": "છેલ્લા મહિને {pct}% બલૂન",
+  "Bullet — interest and principal at maturity": "બુલેટ — વ્યાજ અને મુદ્દલ પાકતી મુદતે",
+  "Bullet — interest monthly, principal at maturity": "બુલેટ — વ્યાજ માસિક, મુદ્દલ પાકતી મુદતે",
+  "{months}-month moratorium on {count} term loan(s), interest added to the loan and tenure extended to match — no EMI until month {resume}, then {after}/month": "{count} ટર્મ લોન પર {months} મહિનાનું મોરેટોરિયમ, વ્યાજ લોનમાં ઉમેર્યું અને મુદત એટલી વધારી — મહિના {resume} સુધી કોઈ ઈએમઆઈ નહીં, પછી {after}/મહિને",
+  "Step-up EMIs on {count} term loan(s): {emi}/month in year one, rising {pct}% a year": "{count} ટર્મ લોન પર સ્ટેપ-અપ ઈએમઆઈ: પહેલા વર્ષે {emi}/મહિને, દર વર્ષે {pct}% વધતા",
+  "Step-down EMIs on {count} term loan(s): {emi}/month in year one, falling {pct}% a year": "{count} ટર્મ લોન પર સ્ટેપ-ડાઉન ઈએમઆઈ: પહેલા વર્ષે {emi}/મહિને, દર વર્ષે {pct}% ઘટતા",
+  "{pct}% of {count} term loan(s) ({amount}) left for one final payment — {emi}/month until then": "{count} ટર્મ લોનનો {pct}% ({amount}) એક અંતિમ ચુકવણી માટે — ત્યાં સુધી {emi}/મહિને",
+  "Interest only on {count} term loan(s) — {emi}/month — and the {amount} principal repaid in one go at the end": "{count} ટર્મ લોન પર ફક્ત વ્યાજ — {emi}/મહિને — અને {amount} મુદ્દલ અંતે એકસાથે",
+  "Repayment Profile": "પરત ચુકવણી પ્રોફાઇલ",
+  "Average monthly payment in each year from today, including prepayments and any final balloon or bullet payment, so each strategy shows when it needs cash as well as what it costs.": "આજથી દર વર્ષની સરેરાશ માસિક ચુકવણી, પ્રીપેમેન્ટ અને અંતિમ બલૂન કે બુલેટ ચુકવણી સહિત — જેથી દરેક વ્યૂહરચના બતાવે કે રોકડ ક્યારે જોઈએ અને ખર્ચ કેટલો છે.",
+  "Year {year}": "વર્ષ {year}",
+  "Total Interest & Charges": "કુલ વ્યાજ અને શુલ્ક",
+  "Repayment": "પરત ચુકવણી",
+  "Moratorium (months)": "મોરેટોરિયમ (મહિના)",
+  "Interest During Moratorium": "મોરેટોરિયમ દરમિયાન વ્યાજ",
+  "Added to the loan": "લોનમાં ઉમેરાયું",
+  "Paid monthly": "માસિક ચૂકવાયું",
+  "EMI Change per Step (%)": "દરેક સ્ટેપે ઈએમઆઈ ફેરફાર (%)",
+  "Step Every (months)": "દરેક સ્ટેપ (મહિના)",
+  "Balloon (% of amount)": "બલૂન (રકમનો %)",
+  "Paid at maturity": "પાકતી મુદતે ચૂકવાયું",
+  "Tenure includes any moratorium. EMIs Paid counts every month since sanction, so a running loan picks up its structure where it is today.": "મુદતમાં મોરેટોરિયમ સામેલ છે. ચૂકવેલા ઈએમઆઈમાં મંજૂરીથી દરેક મહિનો ગણાય છે, જેથી ચાલુ લોન પોતાની રચના આજે જ્યાં છે ત્યાંથી આગળ વધે.",
+  "Cash-Flow Profile": "કૅશ-ફ્લો પ્રોફાઇલ",
+  "Change": "ફેરફાર",
+  "Average monthly payment in each year, prepayments and final balloon or bullet payments included.": "દર વર્ષની સરેરાશ માસિક ચુકવણી, પ્રીપેમેન્ટ અને અંતિમ બલૂન કે બુલેટ ચુકવણી સહિત.",
+  "unknown repayment structure \"{repayment}\"": "અજ્ઞાત પરત ચુકવણી રચના \"{repayment}\"",
+  "{note}; locked in for {months} more months": "{note}; હજી {months} મહિના લૉક-ઇનમાં",
+  "locked in for {months} more months": "હજી {months} મહિના લૉક-ઇનમાં",
+  "stays with the sanctioning bank": "મંજૂરી આપનાર બેંક પાસે જ રહે છે",
+  "NCGTC guarantee stays with the sanctioning bank": "NCGTC ગેરંટી મંજૂરી આપનાર બેંક પાસે જ રહે છે",
+  "margin-money subsidy is forfeited if closed within 3 years": "3 વર્ષમાં બંધ કરવાથી માર્જિન-મની સબસિડી જપ્ત થાય છે",
+  "secured by the lending bank's own deposit": "ધિરાણ આપનાર બેંકની પોતાની થાપણથી સુરક્ષિત",
+  "Loan Against Property": "મિલકત સામે લોન",
+  "Gold Loan": "ગોલ્ડ લોન",
+  "ECLGS Loan": "ECLGS લોન",
+  "CGTMSE-Covered Loan": "CGTMSE-કવર લોન",
+  "PMEGP Loan": "PMEGP લોન",
+  "Stand-Up India": "સ્ટેન્ડ-અપ ઇન્ડિયા",
+  "Loan Against FD": "FD સામે લોન",
+  "No loan in the portfolio can move to a new lender": "પોર્ટફોલિયોની કોઈ લોન નવા ધિરાણકર્તા પાસે જઈ શકતી નથી",
+  " — kept as they are: {loans}": " — જેમ છે તેમ રાખી: {loans}",
+  "loan type has no id": "લોન પ્રકારની કોઈ id નથી",
+  "\"{type}\" is a built-in loan type": "\"{type}\" બિલ્ટ-ઇન લોન પ્રકાર છે",
+  "loan type has no name": "લોન પ્રકારનું કોઈ નામ નથી",
+  "repayment nature must be amortizing or revolving": "ચુકવણીનો પ્રકાર હપ્તાવાળો અથવા રિવૉલ્વિંગ હોવો જોઈએ",
+  "Guarantee fee (% a year)": "ગેરંટી ફી (% પ્રતિ વર્ષ)",
+  "Guarantee Fee (% a year)": "ગેરંટી ફી (% પ્રતિ વર્ષ)",
+  "Guarantee fee": "ગેરંટી ફી",
+  "Usual Rate (% p.a.)": "સામાન્ય દર (% વાર્ષિક)",
+  "Usual Tenure (months)": "સામાન્ય મુદત (મહિના)",
+  "Usual Amount (₹)": "સામાન્ય રકમ (₹)",
+  "Loan Types": "લોન પ્રકારો",
+  "{builtIn} built in, {custom} of your own": "{builtIn} બિલ્ટ-ઇન, {custom} તમારા પોતાના",
+  "Amortizing": "હપ્તાવાળી",
+  "Edit": "ફેરફાર કરો",
+  "A loan in the portfolio uses this type": "પોર્ટફોલિયોની એક લોન આ પ્રકારની છે",
+  "New loan type": "નવો લોન પ્રકાર",
+  "Name": "નામ",
+  "Icon": "આઇકન",
+  "Repaid As": "ચુકવણીની રીત",
+  "Other Lenders": "અન્ય ધિરાણકર્તાઓ",
+  "Can take it over": "તેને લઈ શકે છે",
+  "Cannot — stays with the sanctioning bank": "ના — મંજૂરી આપનાર બેંક પાસે જ રહે છે",
+  "Lock-in (EMIs)": "લૉક-ઇન (EMI)",
+  "Why (for the report)": "શા માટે (રિપોર્ટ માટે)",
+  "Statement keywords, comma-separated": "સ્ટેટમેન્ટના કીવર્ડ, અલ્પવિરામથી અલગ",
+  "Save type": "પ્રકાર સાચવો",
+  "Could not save the loan types in this browser: {error}": "આ બ્રાઉઝરમાં લોન પ્રકારો સાચવી શકાયા નહીં: {error}",
+  "Saved in this browser. Exported files and share links carry the types their loans use. A lock-in bars prepaying or moving the loan until that many EMIs are paid.": "આ બ્રાઉઝરમાં સાચવ્યું. નિકાસ ફાઇલો અને શેર લિંક તેમની લોનના પ્રકારો સાથે લઈ જાય છે. લૉક-ઇનમાં એટલા EMI ભરાય ત્યાં સુધી લોનની પૂર્વચુકવણી કે ફેરબદલી થઈ શકતી નથી.",
+  "Cannot move to another lender: {reason}": "બીજા ધિરાણકર્તા પાસે જઈ શકે નહીં: {reason}",
+  "Cannot be prepaid or moved yet: {reason}": "હજી પૂર્વચુકવણી કે ફેરબદલી થઈ શકે નહીં: {reason}",
+  ", {fee}% a year guarantee fee": ", {fee}% વાર્ષિક ગેરંટી ફી",
+  "A guarantee fee (CGTMSE and similar) is paid each year on the outstanding and ends when the loan moves to a new lender.": "ગેરંટી ફી (CGTMSE વગેરે) દર વર્ષે બાકી રકમ પર ભરાય છે અને લોન નવા ધિરાણકર્તા પાસે જાય ત્યારે બંધ થાય છે.",
+  "Offer at {rate}%": "{rate}% ની ઑફર",
+  "{loan} (balance kept)": "{loan} (બાકી રકમ ત્યાં જ)",
+  "{lender} {amount} at {rate}%": "{lender} {amount} @ {rate}%",
+  "Consolidated Loan — {lender}": "એકીકૃત લોન — {lender}",
+  "{loan} → {lender}": "{loan} → {lender}",
+  "new lender": "નવો ધિરાણકર્તા",
+  "offer limits": "ઑફરની મર્યાદાઓ",
+  "{from}% → {to}% with {lender}": "{from}% → {to}%, {lender} સાથે",
+  " with {lender}": ", {lender} સાથે",
+  "None of the lender offers takes these loans": "કોઈ પણ ધિરાણકર્તાની ઑફર આ લોન લેતી નથી",
+  "Consolidate {count} loans with {lender} at {rate}% (vs weighted avg {weighted}%) — simpler compliance, one EMI": "{count} લોન {lender} પાસે {rate}% પર એકીકૃત કરો (ભારિત સરેરાશ {weighted}% સામે) — સરળ અનુપાલન, એક EMI",
+  "; the offer does not take {loans}": "; ઑફર {loans} લેતી નથી",
+  "Move {count} loan(s) to {lenders} lender(s): {placements}": "{count} લોન {lenders} ધિરાણકર્તા પાસે ખસેડો: {placements}",
+  "No lender offer beats the current rates": "કોઈ પણ ધિરાણકર્તાની ઑફર હાલના દરોથી સારી નથી",
+  "Lender Offer Comparison": "ધિરાણકર્તા ઑફર તુલના",
+  "{lender} wins by {amount} over {runnerUp} ({ranking}, each offer taken alone).": "{lender} {runnerUp} કરતાં {amount} આગળ છે ({ranking}, દરેક ઑફર અલગથી).",
+  "{lender} is the only offer: {amount} by {strategy}.": "{lender} એકમાત્ર ઑફર છે: {strategy} થી {amount}.",
+  "Processing Fee": "પ્રોસેસિંગ ફી",
+  "Tenure Cap": "મુદત મર્યાદા",
+  "Max Amount": "મહત્તમ રકમ",
+  "Consolidation": "એકીકરણ",
+  "{count} lender offer(s) over their maximum or not taking the loans": "{count} ધિરાણકર્તા ઑફર મહત્તમ મર્યાદાથી ઉપર અથવા લોન ન લેતી",
+  "{lender} wins by {amount} over {runnerUp}.": "{lender} {runnerUp} કરતાં {amount} આગળ છે.",
+  "{lender} is the only offer.": "{lender} એકમાત્ર ઑફર છે.",
+  "Balance Transfer and Consolidation in the strategy list use every offer together, splitting loans across lenders where that pays.": "વ્યૂહરચના યાદીમાં બેલેન્સ ટ્રાન્સફર અને એકીકરણ બધી ઑફર એકસાથે વાપરે છે, અને જ્યાં ફાયદો હોય ત્યાં લોન ઘણા ધિરાણકર્તાઓમાં વહેંચે છે.",
+  "Lender Offers": "ધિરાણકર્તા ઑફર",
+  "Rate (%)": "દર (%)",
+  "Max Tenure (months)": "મહત્તમ મુદત (મહિના)",
+  "Max Amount (₹)": "મહત્તમ રકમ (₹)",
+  "Balance transfer and consolidation are priced on these offers instead of the assumed rates.": "બેલેન્સ ટ્રાન્સફર અને એકીકરણ ધારેલા દરોને બદલે આ ઑફર પર ગણાય છે.",
+  "Add the quotes you have in hand to price balance transfer and consolidation on them.": "બેલેન્સ ટ્રાન્સફર અને એકીકરણ તેના પર ગણવા માટે હાથમાં રહેલા ક્વોટ ઉમેરો.",
+  "Bank or NBFC": "બેંક અથવા NBFC",
+  "Takes:": "લે છે:",
+  "any loan": "કોઈ પણ લોન",
+  "Add offer": "ઑફર ઉમેરો",
+  "What-if & Sensitivity": "જો-તો અને સંવેદનશીલતા",
+  "Undo what-ifs": "ફેરફારો પાછા લો",
+  "Re-run sensitivity": "સંવેદનશીલતા ફરી ચલાવો",
+  "Run sensitivity": "સંવેદનશીલતા ચલાવો",
+  "Inputs have changed since this run": "આ રન પછી ઇનપુટ બદલાયા છે",
+  "{strategy} at {value}": "{value} પર {strategy}",
+  "{strategy} below {value}": "{value} થી નીચે {strategy}",
+  "{strategy} above {value}": "{value} થી ઉપર {strategy}",
+  "{strategy}: {amount} today. Each bar shows where it goes when one input moves a step either way; the ends are labelled with that input's value.": "{strategy}: આજે {amount}. દરેક પટ્ટી બતાવે છે કે એક ઇનપુટ એક પગલું ઉપર કે નીચે જાય ત્યારે તે ક્યાં પહોંચે છે; છેડે તે ઇનપુટનું મૂલ્ય લખેલું છે.",
+  "Best flips: {flips}": "શ્રેષ્ઠ બદલાય છે: {flips}",
+  "Flip points are where another strategy overtakes {strategy} as that one input moves across its slider range.": "બદલાવ બિંદુ એ છે જ્યાં તે એક ઇનપુટ સ્લાઇડરની મર્યાદામાં ખસે ત્યારે બીજી વ્યૂહરચના {strategy} થી આગળ નીકળે છે.",
+  "{strategy} stays the best strategy across every slider's range, one input at a time.": "એક-એક ઇનપુટ બદલતાં દરેક સ્લાઇડરની પૂરી મર્યાદામાં {strategy} જ શ્રેષ્ઠ વ્યૂહરચના રહે છે.",
+  "Hybrid Optimal keeps today's per-loan plan throughout.": "હાઇબ્રિડ ઑપ્ટિમલ આખો સમય આજની લોન-વાર યોજના રાખે છે.",
+  "Plan held as chosen": "યોજના પસંદ કર્યા મુજબ રાખી",
+  "{loan} rate": "{loan} દર",
+  "{loan} tenure": "{loan} મુદત",
+  "Over Time": "સમય સાથે",
+  "Outstanding debt — current plan and every strategy": "બાકી દેવું — હાલની યોજના અને દરેક વ્યૂહરચના",
+  "Current plan": "હાલની યોજના",
+  "{count} other loans": "{count} અન્ય લોન",
+  "Monthly EMI by loan — {strategy}": "લોન મુજબ માસિક EMI — {strategy}",
+  "Cumulative interest & costs — {strategy} vs current plan": "સંચિત વ્યાજ અને ખર્ચ — {strategy} વિરુદ્ધ હાલની યોજના",
+  "Break-even: month {month}": "બ્રેક-ઇવન: મહિનો {month}",
+  "vs": "વિરુદ્ધ",
+  "Swap": "અદલાબદલી",
+  "Interest Difference": "વ્યાજ તફાવત",
+  "Per-loan interest is before tax and comes from each plan's schedules; a consolidated loan is shared out by what each loan brought in. Switching costs only exist for the plan as a whole.": "લોનદીઠ વ્યાજ કર પહેલાંનું છે અને દરેક યોજનાના શેડ્યૂલમાંથી લીધું છે; એકીકૃત લોન દરેક લોનના ફાળાના પ્રમાણમાં વહેંચી છે. સ્વિચિંગ ખર્ચ ફક્ત સમગ્ર યોજના માટે હોય છે.",
+  "Custom Scenarios": "કસ્ટમ પરિસ્થિતિઓ",
+  "Spell out your own plan loan by loan — a new rate or tenure, a part-prepayment in a given month, a move to another lender, a CC/OD termed out. Leave a box blank to keep that term. Named scenarios are ranked with the strategies and appear in the report.": "લોનદીઠ તમારી યોજના બનાવો — નવો દર કે મુદત, કોઈ મહિને આંશિક પૂર્વચુકવણી, બીજા ધિરાણકર્તા પાસે જવું, CC/OD ને ટર્મ લોનમાં ફેરવવું. કોઈ શરત એમ જ રાખવા ખાનું ખાલી છોડો. નામવાળી પરિસ્થિતિઓ વ્યૂહરચનાઓ સાથે ક્રમાંકિત થાય છે અને રિપોર્ટમાં આવે છે.",
+  "Scenario name": "પરિસ્થિતિનું નામ",
+  "{name} (copy)": "{name} (નકલ)",
+  "Duplicate": "નકલ કરો",
+  "Another scenario already has this name — only the first one is ranked": "આ નામની બીજી પરિસ્થિતિ છે — ફક્ત પહેલી ક્રમાંકિત થાય છે",
+  "Name the scenario to rank it": "ક્રમાંકિત કરવા પરિસ્થિતિને નામ આપો",
+  "Move to Lender": "ધિરાણકર્તા બદલો",
+  "Same lender": "એ જ ધિરાણકર્તા",
+  "Term out": "ટર્મ લોન બનાવો",
+  "My plan {n}": "મારી યોજના {n}",
+  "New Rate (%)": "નવો દર (%)",
+  "Months Left": "બાકી મહિના",
+  "Prepay (₹)": "પૂર્વચુકવણી (₹)",
+  "In Month": "મહિનામાં",
+  "Side by Side — Loan by Loan": "સામસામે — લોનદીઠ",
+  "drawn balance moved to {lender} as a term loan at {rate}% over {months} months": "વપરાયેલી રકમ {lender} પાસે {rate}% પર {months} મહિનાની ટર્મ લોન તરીકે",
+  "drawn balance termed out at {rate}% over {months} months": "વપરાયેલી રકમ {rate}% પર {months} મહિનાની ટર્મ લોનમાં",
+  "moved to {lender} at {rate}%": "{lender} પાસે {rate}% પર",
+  "moved to {lender} at {rate}% over {months} months": "{lender} પાસે {rate}% પર {months} મહિના માટે",
+  "{loan} (new terms)": "{loan} (નવી શરતો)",
+  "rate {from}% → {to}%": "દર {from}% → {to}%",
+  "tenure {from} → {to} months": "મુદત {from} → {to} મહિના",
+  "cannot move ({reason})": "ખસેડી શકાય નહીં ({reason})",
+  "⚠ {lender}'s offer does not cover this loan type": "⚠ {lender} ની ઓફર આ લોન પ્રકારને આવરી લેતી નથી",
+  "no prepayment ({reason})": "પૂર્વચુકવણી નહીં ({reason})",
+  "{amount} of the drawn balance repaid in month {month}": "વપરાયેલી રકમમાંથી {amount} મહિના {month} માં ચૂકવ્યા",
+  "closed with {amount} in month {month}": "મહિના {month} માં {amount} આપી બંધ",
+  "{amount} prepaid in month {month}": "મહિના {month} માં {amount} ની પૂર્વચુકવણી",
+  "⚠ {lender} is asked for {amount}, above its maximum of {max}": "⚠ {lender} પાસે {amount} માગ્યા, જે તેની મહત્તમ મર્યાદા {max} કરતાં વધુ છે",
+  "Custom scenario — {changes}": "કસ્ટમ પરિસ્થિતિ — {changes}",
+  "Custom scenario with no changes — every loan stays as it is": "ફેરફાર વિનાની કસ્ટમ પરિસ્થિતિ — દરેક લોન એમ જ રહે છે",
+  "Your own scenario — an explicit action for each loan": "તમારી પોતાની પરિસ્થિતિ — દરેક લોન માટે સ્પષ્ટ પગલું",
+  "{ranking}: {value}, {amount} ahead of {strategy}.": "{ranking}: {value}, {strategy} કરતાં {amount} આગળ.",
+  "{ranking}: {value}, {amount} behind {strategy}.": "{ranking}: {value}, {strategy} કરતાં {amount} પાછળ.",
+  "{loan} at {rate}% ({share}% of it)": "{loan} {rate}% પર (તેનો {share}%)",
+  "{loan} at {rate}%": "{loan} {rate}% પર",
+  "interest {amount}": "વ્યાજ {amount}",
+  "prepaid {amount}": "પૂર્વચુકવણી {amount}",
+  "closes {month}": "{month} માં બંધ",
+  "Fix the fields marked in red to see this loan's EMI and interest": "આ લોનનો EMI અને વ્યાજ જોવા માટે લાલ ચિહ્નિત ફીલ્ડ સુધારો",
+  "Fix {count} problems before analysing": "વિશ્લેષણ પહેલાં {count} સમસ્યાઓ સુધારો",
+  "Fix {count} problem before analysing": "વિશ્લેષણ પહેલાં {count} સમસ્યા સુધારો",
+  "Left Out of This Analysis": "આ વિશ્લેષણમાંથી બાકાત",
+  "{extra} more interest + {costs} foreclosure, fees, GST, stamp duty & legal": "{extra} વધુ વ્યાજ + {costs} ફોરક્લોઝર, ફી, GST, સ્ટેમ્પ ડ્યુટી અને કાનૂની",
+  "amount must be below {max}": "રકમ {max}થી ઓછી હોવી જોઈએ",
+  "tenure must be whole months from {min} to {max}": "મુદત {min}થી {max} પૂરા મહિના હોવી જોઈએ",
+  "each month's utilization must be 0–100%": "દરેક મહિનાનો ઉપયોગ 0–100% હોવો જોઈએ",
+  "utilization must be 0–100%": "ઉપયોગ 0–100% હોવો જોઈએ",
+  "EMIs paid must be a whole number from 0 to the tenure": "ભરેલા EMI 0થી મુદત સુધીની પૂર્ણ સંખ્યા હોવી જોઈએ",
+  "moratorium must be whole months, shorter than the tenure": "મોરેટોરિયમ પૂરા મહિનામાં અને મુદતથી ઓછું હોવું જોઈએ",
+  "EMI change must be above −100%": "EMI ફેરફાર −100%થી વધુ હોવો જોઈએ",
+  "step interval must be at least 1 month": "સ્ટેપ અંતરાલ ઓછામાં ઓછો 1 મહિનો હોવો જોઈએ",
+  "balloon must be 0–99% of the amount": "બલૂન રકમના 0–99% હોવું જોઈએ",
+  "reset interval must be at least 1 month": "રીસેટ અંતરાલ ઓછામાં ઓછો 1 મહિનો હોવો જોઈએ",
+  "{charge} cannot be negative": "{charge} ઋણ ન હોઈ શકે",
+  "foreclosure charge": "ફોરક્લોઝર ચાર્જ",
+  "processing fee": "પ્રોસેસિંગ ફી",
+  "stamp duty": "સ્ટેમ્પ ડ્યુટી",
+  "legal charges": "કાનૂની ચાર્જ",
+  "guarantee fee": "ગેરંટી ફી",
+  "renewal charge": "રિન્યુઅલ ચાર્જ",
+  "{error}, {value} used": "{error}, {value} લેવાયું",
+  "already repaid, nothing left to restructure": "પહેલેથી ચૂકવાઈ ગઈ, પુનર્ગઠન માટે કંઈ બાકી નથી",
+  "Every loan is already repaid — nothing left to restructure": "દરેક લોન પહેલેથી ચૂકવાઈ ગઈ છે — પુનર્ગઠન માટે કંઈ બાકી નથી",
+  "No loan left to restructure": "પુનર્ગઠન માટે કોઈ લોન બાકી નથી",
+  "missing": "આપેલ નથી",
+  "must be a whole number": "પૂર્ણ સંખ્યા હોવી જોઈએ",
+  "cannot be below {min}": "{min}થી ઓછું ન હોઈ શકે",
+  "must be from {min} to {max}": "{min}થી {max} વચ્ચે હોવું જોઈએ",
+  "{strategy} stays the best strategy across the slider range of each of the {n} inputs with the widest swing, one input at a time.": "એક-એક ઇનપુટ બદલતાં સૌથી વધુ અસરવાળા {n} ઇનપુટમાંથી દરેકના સ્લાઇડરની પૂરી મર્યાદામાં {strategy} જ શ્રેષ્ઠ વ્યૂહરચના રહે છે.",
+  "Only the {n} inputs with the widest swing are searched for flips.": "ફ્લિપ ફક્ત સૌથી વધુ અસરવાળા {n} ઇનપુટમાં શોધવામાં આવે છે.",
+  "not a number": "સંખ્યા નથી",
+  "Offer {n}": "ઑફર {n}",
+  "usual terms missing or out of range": "સામાન્ય શરતો ખાલી અથવા મર્યાદા બહાર છે",
+};
@@ -0,0 +1,793 @@
+// ─── Hindi ───
+// Keyed by the English text passed to t(); anything missing here shows in English.
+export default {
+  "₹{n} Cr": "₹{n} करोड़",
+  "₹{n} L": "₹{n} लाख",
+  "₹{n}K": "₹{n} हज़ार",
+  "{loan} (transferred)": "{loan} (ट्रांसफ़र)",
+  "{loan} (extended)": "{loan} (अवधि बढ़ाई)",
+  "Consolidated Loan": "समेकित ऋण",
+  "EMI cap": "EMI सीमा",
+  "lender limit": "ऋणदाता सीमा",
+  "closure date": "समापन तिथि",
+  "Stays at {rate}%": "{rate}% पर जारी",
+  "Receives the surplus and freed-up EMIs": "सरप्लस और मुक्त हुई EMI इसमें जाती हैं",
+  "{from}% → {to}%": "{from}% → {to}%",
+  "Merged with other loans at {rate}%": "अन्य ऋणों के साथ {rate}% पर विलय",
+  "Refinanced as a term loan at {rate}%": "{rate}% पर टर्म लोन में बदला गया",
+  "Tenure {from} → {to} months, lower EMI": "अवधि {from} → {to} महीने, कम EMI",
+  "{what}; choosing {alt} instead would break the {limits}": "{what}; इसकी जगह {alt} चुनने से {limits} टूटेगी",
+  " and ": " और ",
+  "{what}; same net savings as {alt}": "{what}; {alt} जितनी ही शुद्ध बचत",
+  "{what}; {gain} more net savings than {alt}": "{what}; {alt} से {gain} अधिक शुद्ध बचत",
+  "{amount}/month": "{amount}/माह",
+  "{amount} lump sum": "{amount} एकमुश्त",
+  "Put {sources} plus every freed-up EMI into the costliest loan first ({loan}) — debt-free in {months} months vs {scheduled}": "{sources} और हर मुक्त हुई EMI पहले सबसे महँगे ऋण ({loan}) में लगाएँ — {scheduled} की जगह {months} महीनों में ऋण-मुक्त",
+  "Put every freed-up EMI into the costliest loan first ({loan}) — debt-free in {months} months vs {scheduled}": "हर मुक्त हुई EMI पहले सबसे महँगे ऋण ({loan}) में लगाएँ — {scheduled} की जगह {months} महीनों में ऋण-मुक्त",
+  "same interest as smallest-balance-first": "सबसे छोटी बकाया राशि पहले जितना ही ब्याज",
+  "saves {amount} more than smallest-balance-first": "सबसे छोटी बकाया राशि पहले की तुलना में {amount} अधिक बचत",
+  "{amount} costlier than smallest-balance-first": "सबसे छोटी बकाया राशि पहले की तुलना में {amount} महँगा",
+  "Consolidate {count} loans into single facility at {rate}% (vs weighted avg {weighted}%) — simpler compliance, one EMI": "{count} ऋणों को {rate}% पर एक सुविधा में समेकित करें (भारित औसत {weighted}% की तुलना में) — सरल अनुपालन, एक EMI",
+  "; {count} CC/OD limit(s) closed and drawn balance termed out": "; {count} CC/OD सीमा(एँ) बंद और निकाली गई राशि टर्म लोन में",
+  "Transfer {count} high-rate loan(s) to {rate}% lender": "{count} ऊँची दर वाले ऋण {rate}% वाले ऋणदाता को ट्रांसफ़र करें",
+  "Extend all loan tenures by ~{pct}% — EMI drops significantly, total interest increases but cash flow pressure eases immediately": "सभी ऋणों की अवधि ~{pct}% बढ़ाएँ — EMI काफ़ी घटती है, कुल ब्याज बढ़ता है पर नकदी का दबाव तुरंत कम होता है",
+  ". CC/OD limits have no tenure and stay as they are": "। CC/OD सीमाओं की कोई अवधि नहीं होती, वे जैसी हैं वैसी रहती हैं",
+  "Optimised per-loan plan: {counts} — best of {evaluations} combinations searched": "हर ऋण के लिए अनुकूलित योजना: {counts} — {evaluations} संयोजनों में सर्वश्रेष्ठ",
+  ". ⚠ Not every constraint could be met": "। ⚠ हर शर्त पूरी नहीं हो सकी",
+  "{loan} → Term Loan": "{loan} → टर्म लोन",
+  "{loan} (reduced limit)": "{loan} (घटाई गई सीमा)",
+  "Term out the hard-core balance of {count} CC/OD limit(s) at ~{discount}% lower and cut limits to the seasonal swing — lower interest and renewal charges": "{count} CC/OD सीमाओं की स्थायी बकाया राशि ~{discount}% कम दर पर टर्म लोन में बदलें और सीमा मौसमी उतार-चढ़ाव तक घटाएँ — कम ब्याज और नवीनीकरण शुल्क",
+  "No CC/OD or working capital limits in the portfolio": "पोर्टफ़ोलियो में कोई CC/OD या कार्यशील पूँजी सीमा नहीं",
+  " — switching costs {amount} incl. GST, recovered in {months} months": " — बदलाव की लागत {amount} GST सहित, {months} महीनों में वसूल",
+  " — switching costs {amount} incl. GST, recovered in {months} month": " — बदलाव की लागत {amount} GST सहित, {months} महीने में वसूल",
+  " — switching costs {amount} incl. GST are never recovered": " — बदलाव की लागत {amount} GST सहित कभी वसूल नहीं होती",
+  "DSCR {dscr} is below the lender minimum of {min}": "DSCR {dscr} ऋणदाता के न्यूनतम {min} से कम है",
+  "debt service is {pct}% of revenue, above the {max}% limit": "ऋण सेवा राजस्व का {pct}% है, {max}% सीमा से अधिक",
+  "amount missing or not positive": "राशि नहीं दी गई या धनात्मक नहीं",
+  "rate missing": "दर नहीं दी गई",
+  "rate {rate}% is not a plausible annual rate": "{rate}% वार्षिक दर विश्वसनीय नहीं लगती",
+  "tenure missing": "अवधि नहीं दी गई",
+  "\"{type}\" read as Term Loan": "\"{type}\" को टर्म लोन माना गया",
+  "no loan type, read as Term Loan": "ऋण प्रकार नहीं, टर्म लोन माना गया",
+  "no sanctioned amount, outstanding used": "स्वीकृत राशि नहीं, बकाया राशि ली गई",
+  "date \"{date}\" not read as {format}": "तिथि \"{date}\" {format} के रूप में नहीं पढ़ी गई",
+  "unknown loan type \"{type}\"": "अज्ञात ऋण प्रकार \"{type}\"",
+  "No limit": "कोई सीमा नहीं",
+  "None": "कोई नहीं",
+  "{benchmark} + {spread}%, {months}-month reset": "{benchmark} + {spread}%, हर {months} महीने में रीसेट",
+  "Current Loan Portfolio": "वर्तमान ऋण पोर्टफ़ोलियो",
+  "Loan Type": "ऋण प्रकार",
+  "Sanctioned / Limit": "स्वीकृत / सीमा",
+  "Outstanding": "बकाया",
+  "Rate (p.a.)": "दर (वार्षिक)",
+  "Remaining Tenure": "शेष अवधि",
+  "Monthly EMI": "मासिक EMI",
+  "Remaining Interest & Charges": "शेष ब्याज और शुल्क",
+  "revolving, renewal {pct}% p.a.": "परिक्रामी, नवीनीकरण {pct}% वार्षिक",
+  "Limit": "सीमा",
+  "{pct}% drawn": "{pct}% उपयोग",
+  "Renewed annually — {months} months modelled": "हर साल नवीनीकरण — {months} महीनों का मॉडल",
+  "interest only": "केवल ब्याज",
+  "since {date}": "{date} से",
+  "{remaining} of {tenure} months": "{tenure} में से {remaining} महीने",
+  "TOTAL": "कुल",
+  "Maximum Potential Savings, Net of Switching Costs and Discounted at {rate}%, with \"{strategy}\" Strategy": "\"{strategy}\" रणनीति से अधिकतम संभावित बचत, बदलाव की लागत घटाकर और {rate}% पर डिस्काउंट करके",
+  "Maximum Potential Savings, Net of Switching Costs, with \"{strategy}\" Strategy": "\"{strategy}\" रणनीति से अधिकतम संभावित बचत, बदलाव की लागत घटाकर",
+  "Strategy": "रणनीति",
+  "New Total Interest": "नया कुल ब्याज",
+  "Interest Saved": "ब्याज की बचत",
+  "Switching Costs": "बदलाव की लागत",
+  "Net Savings": "शुद्ध बचत",
+  "Post-tax Net Savings": "कर-पश्चात शुद्ध बचत",
+  "Break-even": "लागत वसूली",
+  "{months} mo": "{months} माह",
+  "Not recovered": "वसूल नहीं",
+  "New Monthly EMI": "नई मासिक EMI",
+  "EMI Change": "EMI में बदलाव",
+  "Strategy Comparison": "रणनीतियों की तुलना",
+  "Ranked by {ranking}. Post-tax figures treat interest, renewal charges and switching costs as deductible business expenses at an effective {rate}% ({entity}).": "{ranking} के अनुसार क्रम। कर-पश्चात आँकड़ों में ब्याज, नवीनीकरण शुल्क और बदलाव की लागत को {rate}% ({entity}) की प्रभावी दर पर कटौती-योग्य व्यावसायिक व्यय माना गया है।",
+  "business": "व्यवसाय",
+  "Ranked by {ranking}, after one-off switching costs.": "{ranking} के अनुसार क्रम, एकबारगी बदलाव की लागत के बाद।",
+  "{ranking} by strategy": "रणनीति के अनुसार {ranking}",
+  "Time Value & Post-tax Cost of Debt": "समय मूल्य और ऋण की कर-पश्चात लागत",
+  "Outflows discounted at {rate}% p.a.; the current portfolio's outflows are worth {npv} today at an effective cost of {cost}% a year ({postTax}% after tax).": "बहिर्वाह {rate}% वार्षिक पर डिस्काउंट किए गए; वर्तमान पोर्टफ़ोलियो के बहिर्वाह का आज का मूल्य {npv} है, प्रभावी लागत {cost}% प्रति वर्ष (कर के बाद {postTax}%)।",
+  "Outflows discounted at {rate}% p.a.; the current portfolio's outflows are worth {npv} today.": "बहिर्वाह {rate}% वार्षिक पर डिस्काउंट किए गए; वर्तमान पोर्टफ़ोलियो के बहिर्वाह का आज का मूल्य {npv} है।",
+  "Effective cost is the annual IRR of all payments and fees against the {outstanding} outstanding.": "प्रभावी लागत {outstanding} बकाया के सामने सभी भुगतानों और शुल्कों का वार्षिक IRR है।",
+  "NPV of Outflows": "बहिर्वाह का NPV",
+  "Discounted Savings": "डिस्काउंटेड बचत",
+  "Post-tax Discounted Savings": "कर-पश्चात डिस्काउंटेड बचत",
+  "Effective Cost": "प्रभावी लागत",
+  "Post-tax Effective Cost": "कर-पश्चात प्रभावी लागत",
+  "Debt Service Coverage (DSCR)": "ऋण सेवा कवरेज (DSCR)",
+  "Monthly revenue {revenue}; {basis} {cash}": "मासिक राजस्व {revenue}; {basis} {cash}",
+  " (interest added back)": " (ब्याज वापस जोड़ा गया)",
+  "; other obligations {amount} a month, counted with debt service.": "; अन्य दायित्व {amount} प्रति माह, ऋण सेवा में गिने गए।",
+  "Year-one scheduled debt service, excluding voluntary prepayments.": "पहले वर्ष की निर्धारित ऋण सेवा, स्वैच्छिक पूर्व-भुगतान को छोड़कर।",
+  "Lender thresholds: DSCR of at least {dscr}, debt service at most {pct}% of revenue.": "ऋणदाता की सीमाएँ: DSCR कम से कम {dscr}, ऋण सेवा राजस्व का अधिकतम {pct}%।",
+  "Debt Service / Month": "ऋण सेवा / माह",
+  "Debt Service to Revenue": "ऋण सेवा से राजस्व",
+  "Status": "स्थिति",
+  "Current portfolio": "वर्तमान पोर्टफ़ोलियो",
+  "Outside lender thresholds": "ऋणदाता सीमाओं से बाहर",
+  "Meets thresholds": "सीमाओं के भीतर",
+  "Interest Rate Stress Test": "ब्याज दर स्ट्रेस टेस्ट",
+  "{ranking} for each strategy under each benchmark path (change in bps by year {paths}).": "हर बेंचमार्क पथ के तहत हर रणनीति के लिए {ranking} (वर्षवार bps में बदलाव {paths})।",
+  "Floating loans re-price at their next reset; refinanced loans float with a {months}-month reset.": "फ़्लोटिंग ऋण अपने अगले रीसेट पर नई दर लेते हैं; रीफ़ाइनेंस किए गए ऋण हर {months} महीने में रीसेट होते हैं।",
+  "Floating loans re-price at their next reset.": "फ़्लोटिंग ऋण अपने अगले रीसेट पर नई दर लेते हैं।",
+  " (base)": " (आधार)",
+  "Worst": "सबसे ख़राब",
+  "Best": "सबसे अच्छा",
+  "Limit kept": "रखी गई सीमा",
+  "Prepayment Plan — Highest Rate First vs Smallest Balance First": "पूर्व-भुगतान योजना — सबसे ऊँची दर पहले बनाम सबसे छोटी बकाया राशि पहले",
+  "Monthly budget of {budget} (current EMIs plus {surplus} surplus) and a lump sum of {lumpSum} now; EMIs freed by closed loans roll into the next loan.": "{budget} का मासिक बजट (वर्तमान EMI और {surplus} सरप्लस) और अभी {lumpSum} एकमुश्त; बंद ऋणों से मुक्त हुई EMI अगले ऋण में जाती है।",
+  "Monthly budget of {budget} (current EMIs plus {surplus} surplus); EMIs freed by closed loans roll into the next loan.": "{budget} का मासिक बजट (वर्तमान EMI और {surplus} सरप्लस); बंद ऋणों से मुक्त हुई EMI अगले ऋण में जाती है।",
+  "Loan": "ऋण",
+  "Rate": "दर",
+  "As Scheduled": "निर्धारित अनुसार",
+  "Highest Rate First": "सबसे ऊँची दर पहले",
+  "Smallest Balance First": "सबसे छोटी बकाया राशि पहले",
+  "Revolving": "परिक्रामी",
+  "Total interest & charges": "कुल ब्याज और शुल्क",
+  "Hybrid Optimal — Per-Loan Plan": "हाइब्रिड सर्वोत्तम — हर ऋण की योजना",
+  "{count} lender(s) after restructuring; term debt closes {when}.": "पुनर्गठन के बाद {count} ऋणदाता; टर्म लोन {when} बंद होते हैं।",
+  "now": "अभी",
+  "Not every constraint could be met — this is the closest plan found.": "हर शर्त पूरी नहीं हो सकी — यह सबसे निकट योजना है।",
+  "Action": "कार्रवाई",
+  "Reason": "कारण",
+  "Recommended Action Plan": "अनुशंसित कार्य योजना",
+  "Debt service cover moves from {from} to {to} (lender minimum {min})": "ऋण सेवा कवर {from} से {to} होता है (ऋणदाता न्यूनतम {min})",
+  "Interest Reduction": "ब्याज में कमी",
+  "{months}mo": "{months} माह",
+  "Optimized Tenure": "अनुकूलित अवधि",
+  "Outstanding debt — current portfolio vs recommended": "बकाया ऋण — वर्तमान पोर्टफ़ोलियो बनाम अनुशंसित",
+  "One-off Switching Cost": "एकबारगी बदलाव की लागत",
+  "Amount": "राशि",
+  "Foreclosure / prepayment penalty": "फ़ोरक्लोज़र / पूर्व-भुगतान दंड",
+  "Processing fees": "प्रोसेसिंग शुल्क",
+  "Legal & valuation charges": "कानूनी और मूल्यांकन शुल्क",
+  "GST @ {rate}% on charges": "शुल्कों पर {rate}% GST",
+  "Stamp duty": "स्टांप शुल्क",
+  "TOTAL — recovered in month {month}": "कुल — महीने {month} में वसूल",
+  "TOTAL — not recovered within the loan term": "कुल — ऋण अवधि में वसूल नहीं",
+  "Assumptions": "मान्यताएँ",
+  "Assumption": "मान्यता",
+  "Value Used": "प्रयुक्त मान",
+  "adjusted": "समायोजित",
+  "Tax profile": "कर प्रोफ़ाइल",
+  "{entity}: {rate}% {rateLabel} + {surcharge}% surcharge + {cess}% cess = {effective}% effective": "{entity}: {rate}% {rateLabel} + {surcharge}% सरचार्ज + {cess}% सेस = {effective}% प्रभावी",
+  "rate": "दर",
+  "For {firm}": "{firm} के लिए",
+  "Membership No. {number}": "सदस्यता सं. {number}",
+  "Date: {date}": "दिनांक: {date}",
+  "Loan Restructuring Analysis": "ऋण पुनर्गठन विश्लेषण",
+  "Loan Restructuring — Executive Summary": "ऋण पुनर्गठन — कार्यकारी सारांश",
+  "{business} — Confidential Report": "{business} — गोपनीय रिपोर्ट",
+  "Generated {date}": "{date} को तैयार",
+  "Prepared by {firm}": "{firm} द्वारा तैयार",
+  "This report is generated by {firm} for advisory purposes only. Actual savings may vary based on lender terms, processing fees, and market conditions. Consult your CA or financial advisor before taking action.": "यह रिपोर्ट {firm} द्वारा केवल सलाह के उद्देश्य से तैयार की गई है। वास्तविक बचत ऋणदाता की शर्तों, प्रोसेसिंग शुल्क और बाज़ार की स्थितियों के अनुसार भिन्न हो सकती है। कोई कदम उठाने से पहले अपने CA या वित्तीय सलाहकार से परामर्श करें।",
+  "{years}y": "{years} वर्ष",
+  "for advisory purposes only": "केवल सलाह के उद्देश्य से",
+  "Page {page} of {pages}": "पृष्ठ {page} / {pages}",
+  "INTEREST SAVED": "ब्याज की बचत",
+  "Month": "माह",
+  "Opening": "प्रारंभिक",
+  "Interest": "ब्याज",
+  "Principal": "मूलधन",
+  "of which Prepaid": "जिसमें पूर्व-भुगतान",
+  "Charges": "शुल्क",
+  "Closing": "अंतिम",
+  "All loans combined": "सभी ऋण मिलाकर",
+  "{months} months": "{months} महीने",
+  "Interest & charges": "ब्याज और शुल्क",
+  "As scheduled": "निर्धारित अनुसार",
+  "Highest rate first": "सबसे ऊँची दर पहले",
+  "Smallest balance first": "सबसे छोटी बकाया राशि पहले",
+  "Both orderings cost the same here.": "यहाँ दोनों क्रमों की लागत बराबर है।",
+  "Highest-rate-first saves {amount} more interest than smallest-balance-first.": "सबसे ऊँची दर पहले, सबसे छोटी बकाया राशि पहले से {amount} अधिक ब्याज बचाता है।",
+  "Smallest-balance-first saves {amount} more interest than highest-rate-first.": "सबसे छोटी बकाया राशि पहले, सबसे ऊँची दर पहले से {amount} अधिक ब्याज बचाता है।",
+  "Monthly budget: {budget} (today's EMIs + surplus), kept constant as loans close.": "मासिक बजट: {budget} (आज की EMI + सरप्लस), ऋण बंद होने पर भी स्थिर।",
+  "EMI ≤ {amount}": "EMI ≤ {amount}",
+  "≤ {count} lenders": "≤ {count} ऋणदाता",
+  "≤ {count} lender": "≤ {count} ऋणदाता",
+  "closed by {month}": "{month} तक बंद",
+  "Why": "क्यों",
+  "{count} lenders after restructuring": "पुनर्गठन के बाद {count} ऋणदाता",
+  "{count} lender after restructuring": "पुनर्गठन के बाद {count} ऋणदाता",
+  "term debt closes {when}": "टर्म लोन {when} बंद होते हैं",
+  "{count} combinations searched under: {limits}.": "{count} संयोजन खोजे गए, शर्तें: {limits}।",
+  "{count} combinations searched with no constraints set.": "{count} संयोजन खोजे गए, कोई शर्त तय नहीं।",
+  "No combination meets every constraint; this is the closest plan found": "कोई संयोजन हर शर्त पूरी नहीं करता; यह सबसे निकट योजना है",
+  "EMI {pct}% over cap": "EMI सीमा से {pct}% अधिक",
+  "{count} lender(s) over limit": "{count} ऋणदाता सीमा से अधिक",
+  "{months} months past target": "लक्ष्य से {months} महीने बाद",
+  "Worst · Base · Best": "सबसे ख़राब · आधार · सबसे अच्छा",
+  "Yes": "हाँ",
+  "No": "नहीं",
+  "Remaining interest & charges": "शेष ब्याज और शुल्क",
+  "Best strategy": "सर्वश्रेष्ठ रणनीति",
+  "Net savings": "शुद्ध बचत",
+  "No changes to loans or assumptions.": "ऋणों या मान्यताओं में कोई बदलाव नहीं।",
+  "Delete this client and all of its saved versions from this browser?": "इस क्लाइंट और उसके सभी सहेजे गए संस्करणों को इस ब्राउज़र से हटाएँ?",
+  "Saved clients unavailable: {error}": "सहेजे गए क्लाइंट उपलब्ध नहीं: {error}",
+  "Saved Clients": "सहेजे गए क्लाइंट",
+  "stored in this browser only": "केवल इस ब्राउज़र में संग्रहीत",
+  "{count} versions, last {date}": "{count} संस्करण, अंतिम {date}",
+  "{count} version, last {date}": "{count} संस्करण, अंतिम {date}",
+  "Delete": "हटाएँ",
+  "{count} loans • {outstanding} outstanding • best: {net} net": "{count} ऋण • {outstanding} बकाया • सर्वश्रेष्ठ: {net} शुद्ध",
+  "Open": "खोलें",
+  "Tick two versions to compare them.": "तुलना के लिए दो संस्करण चुनें।",
+  "That file could not be read as an image": "यह फ़ाइल चित्र के रूप में नहीं पढ़ी जा सकी",
+  "Your Practice — Report Letterhead": "आपकी फ़र्म — रिपोर्ट लेटरहेड",
+  "reports go out as {firm}": "रिपोर्ट {firm} के नाम से जाती हैं",
+  "reports carry LoanRestructure Pro branding until a firm name is set": "फ़र्म का नाम भरने तक रिपोर्ट पर LoanRestructure Pro ब्रांडिंग रहती है",
+  "Disclaimer": "अस्वीकरण",
+  "(blank for the standard wording)": "(मानक शब्दों के लिए ख़ाली छोड़ें)",
+  "Logo": "लोगो",
+  "Replace": "बदलें",
+  "Upload": "अपलोड करें",
+  "Remove": "हटाएँ",
+  "Could not save the profile in this browser: {error}": "इस ब्राउज़र में प्रोफ़ाइल सहेजी नहीं जा सकी: {error}",
+  "Saved in this browser and applied to every report.": "इस ब्राउज़र में सहेजा गया और हर रिपोर्ट पर लागू।",
+  "The file needs a header row and at least one loan": "फ़ाइल में हेडर पंक्ति और कम से कम एक ऋण होना चाहिए",
+  "Import Loans": "ऋण आयात करें",
+  "Close": "बंद करें",
+  "A portfolio JSON exported from this app, or a CSV — your own sheet or a bank's loan account statement, one loan per row. Columns are matched on the next step.": "इस ऐप से निर्यात किया गया पोर्टफ़ोलियो JSON, या CSV — आपकी अपनी शीट या बैंक का ऋण खाता विवरण, हर पंक्ति में एक ऋण। कॉलम अगले चरण में मिलाए जाते हैं।",
+  "not in file": "फ़ाइल में नहीं",
+  "Column {n}": "कॉलम {n}",
+  "(e.g. {value})": "(जैसे {value})",
+  "Date format": "तिथि प्रारूप",
+  "Amounts are in": "राशियाँ इसमें हैं",
+  "Back": "वापस",
+  "Preview {count} rows": "{count} पंक्तियों का पूर्वावलोकन",
+  "Skipped: {errors}": "छोड़े गए: {errors}",
+  "OK": "ठीक",
+  "{valid} of {total} loans will be imported.": "{total} में से {valid} ऋण आयात होंगे।",
+  "Replacing also loads the business name, tax profile, cash flow and assumptions from the file.": "बदलने पर फ़ाइल से व्यवसाय का नाम, कर प्रोफ़ाइल, नकदी प्रवाह और मान्यताएँ भी लोड होती हैं।",
+  "Replace portfolio": "पोर्टफ़ोलियो बदलें",
+  "Add to portfolio": "पोर्टफ़ोलियो में जोड़ें",
+  "₹28L+": "₹२८ लाख+",
+  "Avg. savings identified per SME": "हर SME के लिए पहचानी गई औसत बचत",
+  "Restructuring strategies compared": "पुनर्गठन रणनीतियों की तुलना",
+  "60sec": "६० सेकंड",
+  "From input to actionable report": "इनपुट से उपयोगी रिपोर्ट तक",
+  "Data stays on your device": "डेटा आपके डिवाइस पर रहता है",
+  "Instant Client Reports": "तुरंत क्लाइंट रिपोर्ट",
+  "Enter your client's loan stack, get a professional restructuring report in 60 seconds. Download and email — your client sees you as a hero.": "क्लाइंट के ऋण भरें, ६० सेकंड में पेशेवर पुनर्गठन रिपोर्ट पाएँ। डाउनलोड करें और ईमेल करें — क्लाइंट की नज़र में आप हीरो बनें।",
+  "Advisory, Not Just Compliance": "सलाह, केवल अनुपालन नहीं",
+  "Move beyond filing and compliance. Offer strategic debt advice that directly saves your clients money. Higher value = higher fees.": "फ़ाइलिंग और अनुपालन से आगे बढ़ें। ऐसी रणनीतिक ऋण सलाह दें जो क्लाइंट का पैसा सीधे बचाए। अधिक मूल्य = अधिक फ़ीस।",
+  "5 Strategies, Auto-Ranked": "५ रणनीतियाँ, स्वतः क्रमबद्ध",
+  "Prepayment, consolidation, balance transfer, tenure extension, hybrid — all compared side by side with exact rupee savings.": "पूर्व-भुगतान, समेकन, बैलेंस ट्रांसफ़र, अवधि विस्तार, हाइब्रिड — सभी की तुलना साथ-साथ, सटीक रुपये की बचत के साथ।",
+  "Client Data Never Leaves": "क्लाइंट डेटा कहीं नहीं जाता",
+  "Everything runs in the browser. No server, no uploads, no data risk. Show it to clients with full confidence.": "सब कुछ ब्राउज़र में चलता है। कोई सर्वर नहीं, कोई अपलोड नहीं, डेटा का कोई जोखिम नहीं। क्लाइंट को पूरे भरोसे से दिखाएँ।",
+  "See Your Real Cost": "अपनी असली लागत देखें",
+  "Most SME owners don't know how much interest they're actually paying across all loans combined. This tool shows you the total picture in one screen.": "ज़्यादातर SME मालिक नहीं जानते कि वे सभी ऋणों पर मिलाकर असल में कितना ब्याज दे रहे हैं। यह टूल पूरी तस्वीर एक स्क्रीन पर दिखाता है।",
+  "Find Hidden Savings": "छिपी बचत खोजें",
+  "That CC/OD at 14%? That old term loan you never revisited? There's almost always ₹2-10L sitting on the table. We find it.": "१४% वाला CC/OD? वह पुराना टर्म लोन जिसे आपने कभी दोबारा नहीं देखा? लगभग हमेशा ₹२-१० लाख की बचत संभव होती है। हम उसे खोजते हैं।",
+  "Take the Report to Your Bank": "रिपोर्ट अपने बैंक ले जाएँ",
+  "Download a professional analysis showing exactly what restructuring looks like. Walk into your bank branch with data, not just a request.": "पेशेवर विश्लेषण डाउनलोड करें जो दिखाता है कि पुनर्गठन कैसा दिखेगा। बैंक शाखा में केवल अनुरोध नहीं, आँकड़ों के साथ जाएँ।",
+  "No Jargon, Just Numbers": "कोई जटिल शब्द नहीं, सिर्फ़ आँकड़े",
+  "We don't sell you financial products. We show you the math. You decide what makes sense for your business.": "हम आपको वित्तीय उत्पाद नहीं बेचते। हम आपको गणित दिखाते हैं। आपके व्यवसाय के लिए क्या सही है, यह आप तय करें।",
+  "Is my data safe?": "क्या मेरा डेटा सुरक्षित है?",
+  "Yes. Everything runs 100% in your browser. No data is sent to any server. We never see your loan details.": "हाँ। सब कुछ १००% आपके ब्राउज़र में चलता है। कोई डेटा किसी सर्वर पर नहीं भेजा जाता। हम आपके ऋण का विवरण कभी नहीं देखते।",
+  "How accurate are the savings estimates?": "बचत के अनुमान कितने सटीक हैं?",
+  "We use standard amortization mathematics — the same formulas banks use. Actual savings depend on your lender's specific terms, processing fees, and prepayment penalties.": "हम मानक परिशोधन गणित का उपयोग करते हैं — वही सूत्र जो बैंक उपयोग करते हैं। वास्तविक बचत आपके ऋणदाता की शर्तों, प्रोसेसिंग शुल्क और पूर्व-भुगतान दंड पर निर्भर करती है।",
+  "Do I need to pay anything?": "क्या मुझे कुछ भुगतान करना होगा?",
+  "The tool is currently free during our early access period. We're gathering feedback to build the best possible product for CAs and SME owners.": "यह टूल अभी अर्ली एक्सेस अवधि में मुफ़्त है। हम CA और SME मालिकों के लिए सबसे अच्छा उत्पाद बनाने हेतु सुझाव जुटा रहे हैं।",
+  "Can I use this for my clients? (for CAs)": "क्या मैं इसे अपने क्लाइंट के लिए उपयोग कर सकता हूँ? (CA के लिए)",
+  "Absolutely — that's exactly what it's built for. Enter each client's loans, generate a report, and deliver it as part of your advisory service.": "बिल्कुल — यह इसी के लिए बना है। हर क्लाइंट के ऋण भरें, रिपोर्ट बनाएँ और अपनी सलाह सेवा के हिस्से के रूप में दें।",
+  "What loan types are supported?": "कौन-से ऋण प्रकार समर्थित हैं?",
+  "Term Loans, CC/OD Facilities, MUDRA Loans, Vehicle/Equipment Finance, and Working Capital loans. We're adding more based on feedback.": "टर्म लोन, CC/OD सुविधाएँ, MUDRA ऋण, वाहन/उपकरण वित्त और कार्यशील पूँजी ऋण। सुझावों के आधार पर हम और जोड़ रहे हैं।",
+  "Try Free": "मुफ़्त आज़माएँ",
+  "EARLY ACCESS — FREE FOR LIMITED TIME": "अर्ली एक्सेस — सीमित समय के लिए मुफ़्त",
+  "Your SME clients are": "आपके SME क्लाइंट",
+  "overpaying on loans.": "ऋणों पर ज़्यादा भुगतान कर रहे हैं।",
+  "Show them exactly how much.": "उन्हें दिखाएँ कि कितना।",
+  "Enter any SME's loan portfolio. Get 5 restructuring strategies ranked by savings. Download a professional report your client can take to their bank — in 60 seconds.": "किसी भी SME का ऋण पोर्टफ़ोलियो भरें। बचत के अनुसार क्रमबद्ध ५ पुनर्गठन रणनीतियाँ पाएँ। ऐसी पेशेवर रिपोर्ट डाउनलोड करें जिसे क्लाइंट अपने बैंक ले जा सके — ६० सेकंड में।",
+  "Analyze Loans Free — No Signup Required": "ऋणों का मुफ़्त विश्लेषण — साइन-अप की ज़रूरत नहीं",
+  "100% browser-based. Your data never leaves your device.": "१००% ब्राउज़र-आधारित। आपका डेटा कभी आपके डिवाइस से बाहर नहीं जाता।",
+  "How It Works": "यह कैसे काम करता है",
+  "Three steps. Sixty seconds. Real savings.": "तीन चरण। साठ सेकंड। असली बचत।",
+  "Enter Loans": "ऋण भरें",
+  "Add your client's loans — Term, CC/OD, MUDRA, Vehicle, Working Capital. Takes 30 seconds.": "क्लाइंट के ऋण जोड़ें — टर्म, CC/OD, MUDRA, वाहन, कार्यशील पूँजी। ३० सेकंड लगते हैं।",
+  "See Strategies": "रणनीतियाँ देखें",
+  "Instantly compare 5 restructuring approaches ranked by total interest saved.": "कुल ब्याज बचत के अनुसार क्रमबद्ध ५ पुनर्गठन तरीक़ों की तुरंत तुलना करें।",
+  "Download Report": "रिपोर्ट डाउनलोड करें",
+  "Get a professional PDF-ready report your client can take to their bank.": "पेशेवर PDF-तैयार रिपोर्ट पाएँ जिसे क्लाइंट अपने बैंक ले जा सके।",
+  "For Chartered Accountants": "चार्टर्ड अकाउंटेंट्स के लिए",
+  "Stop being just a compliance CA.": "केवल अनुपालन वाले CA न रहें।",
+  "Become a strategic advisor.": "रणनीतिक सलाहकार बनें।",
+  "For SME Business Owners": "SME व्यवसाय मालिकों के लिए",
+  "You're running a business, not a bank.": "आप व्यवसाय चला रहे हैं, बैंक नहीं।",
+  "But your loans deserve attention too.": "पर आपके ऋणों पर भी ध्यान ज़रूरी है।",
+  "Real Example": "वास्तविक उदाहरण",
+  "How a typical SME saves ₹2.8 Lakhs": "एक सामान्य SME ₹२.८ लाख कैसे बचाता है",
+  "Current Loan Stack": "वर्तमान ऋण",
+  "{amount} @ {rate}% for {months} mo": "{amount} @ {rate}%, {months} माह के लिए",
+  "Total Interest Payable": "कुल देय ब्याज",
+  "Best Strategy: {strategy}": "सर्वश्रेष्ठ रणनीति: {strategy}",
+  "saved in total interest ({pct}%)": "कुल ब्याज में बचत ({pct}%)",
+  "FAQ": "सामान्य प्रश्न",
+  "Common Questions": "आम सवाल",
+  "We're building this for you.": "हम इसे आपके लिए बना रहे हैं।",
+  "This tool is in early access. Try it, break it, tell us what's missing. Your feedback directly shapes what we build next.": "यह टूल अर्ली एक्सेस में है। इसे आज़माएँ, परखें, बताएँ क्या कमी है। आपके सुझाव सीधे तय करते हैं कि हम आगे क्या बनाएँ।",
+  "Try the Tool Free": "टूल मुफ़्त आज़माएँ",
+  "Share Feedback": "सुझाव दें",
+  "Built for Indian CAs and SME Owners": "भारतीय CA और SME मालिकों के लिए बना",
+  "100% Privacy-First": "१००% गोपनीयता-प्रथम",
+  "No Data Collected": "कोई डेटा एकत्र नहीं",
+  "Scenario {n}": "परिदृश्य {n}",
+  "SME Debt Optimization Engine": "SME ऋण अनुकूलन इंजन",
+  "Edit Loans": "ऋण संपादित करें",
+  "Business / Client Name": "व्यवसाय / क्लाइंट का नाम",
+  "Enter business name...": "व्यवसाय का नाम लिखें...",
+  "Entity Type": "इकाई का प्रकार",
+  "Surcharge (%)": "सरचार्ज (%)",
+  "Cess (%)": "सेस (%)",
+  "Effective Tax Rate": "प्रभावी कर दर",
+  "Loan Portfolio ({count} active)": "ऋण पोर्टफ़ोलियो ({count} सक्रिय)",
+  "Interest only: {emi}/mo • {drawn} drawn of {limit} • Cost over {months} months: {cost}": "केवल ब्याज: {emi}/माह • {limit} में से {drawn} उपयोग • {months} महीनों की लागत: {cost}",
+  "EMI: {emi} • {left} of {tenure} EMIs left • Interest ahead: {cost}": "EMI: {emi} • {tenure} में से {left} EMI शेष • आगे का ब्याज: {cost}",
+  "Lender": "ऋणदाता",
+  "Sanctioned Limit (₹)": "स्वीकृत सीमा (₹)",
+  "Rate (% p.a.)": "दर (% वार्षिक)",
+  "Avg. Utilization (%)": "औसत उपयोग (%)",
+  "Keep Limit For (months)": "सीमा कितने महीने रखें",
+  "Renewal Charge (% of limit)": "नवीनीकरण शुल्क (सीमा का %)",
+  "Use average utilization": "औसत उपयोग लें",
+  "Enter month-wise utilization": "महीनेवार उपयोग भरें",
+  "Sanction Date": "स्वीकृति तिथि",
+  "EMIs Paid": "चुकाई गई EMI",
+  "Outstanding (₹)": "बकाया (₹)",
+  "Original Amount (₹)": "मूल राशि (₹)",
+  "Original Tenure (months)": "मूल अवधि (महीने)",
+  "Floating rate": "फ़्लोटिंग दर",
+  "Fixed rate": "स्थिर दर",
+  "{benchmark} {level}% + {spread}% spread, resets every {months} months": "{benchmark} {level}% + {spread}% स्प्रेड, हर {months} महीने में रीसेट",
+  "Rate Type": "दर का प्रकार",
+  "Fixed": "स्थिर",
+  "Floating": "फ़्लोटिंग",
+  "Benchmark": "बेंचमार्क",
+  "Benchmark Now (%)": "अभी बेंचमार्क (%)",
+  "Spread (%)": "स्प्रेड (%)",
+  "Reset (months)": "रीसेट (महीने)",
+  "Switching costs": "बदलाव की लागत",
+  "{foreclosure}% foreclosure, {processing}% processing, {other} stamp & legal": "{foreclosure}% फ़ोरक्लोज़र, {processing}% प्रोसेसिंग, {other} स्टांप और कानूनी",
+  "Foreclosure / Prepay (%)": "फ़ोरक्लोज़र / पूर्व-भुगतान (%)",
+  "Processing Fee (%)": "प्रोसेसिंग शुल्क (%)",
+  "Stamp Duty (₹)": "स्टांप शुल्क (₹)",
+  "Legal & Valuation (₹)": "कानूनी और मूल्यांकन (₹)",
+  "GST @ {rate}% is added to foreclosure, processing and legal charges. Penalties apply to the amount closed or prepaid; fees to the amount moved to a new lender.": "फ़ोरक्लोज़र, प्रोसेसिंग और कानूनी शुल्कों पर {rate}% GST जोड़ा जाता है। दंड बंद या पूर्व-भुगतान की गई राशि पर लगता है; शुल्क नए ऋणदाता को ले जाई गई राशि पर।",
+  "Prepayment Budget": "पूर्व-भुगतान बजट",
+  "Monthly surplus available (₹)": "उपलब्ध मासिक सरप्लस (₹)",
+  "Lump sum available now (₹)": "अभी उपलब्ध एकमुश्त राशि (₹)",
+  "Business Cash Flow": "व्यवसाय का नकदी प्रवाह",
+  "Monthly revenue (₹)": "मासिक राजस्व (₹)",
+  "Cash flow basis": "नकदी प्रवाह का आधार",
+  "Monthly {basis} (₹)": "मासिक {basis} (₹)",
+  "Other monthly obligations (₹)": "अन्य मासिक दायित्व (₹)",
+  "Total Outstanding": "कुल बकाया",
+  "Interest Ahead": "आगे का ब्याज",
+  "Analyze {count} Loans — Find Savings": "{count} ऋणों का विश्लेषण — बचत खोजें",
+  "Analyze {count} Loan — Find Savings": "{count} ऋण का विश्लेषण — बचत खोजें",
+  "Add at least one loan to begin": "शुरू करने के लिए कम से कम एक ऋण जोड़ें",
+  "Figures": "आँकड़े",
+  "Gross": "सकल",
+  "Post-tax @ {rate}%": "कर-पश्चात @ {rate}%",
+  "Net Savings After Switching Costs & Tax": "बदलाव की लागत और कर के बाद शुद्ध बचत",
+  "Net Savings After Switching Costs": "बदलाव की लागत के बाद शुद्ध बचत",
+  "{saved} interest saved − {costs} foreclosure, fees, GST, stamp duty & legal": "{saved} ब्याज की बचत − {costs} फ़ोरक्लोज़र, शुल्क, GST, स्टांप शुल्क और कानूनी",
+  "break-even in month {month}": "महीने {month} में लागत वसूल",
+  "costs not recovered": "लागत वसूल नहीं",
+  "on remaining interest of {interest} across {outstanding} outstanding": "{outstanding} बकाया पर शेष ब्याज {interest} में से",
+  "Discounted at {rate}%: {amount} saved in today's money": "{rate}% पर डिस्काउंट: आज के मूल्य में {amount} की बचत",
+  "effective cost {from}% → {to}% p.a. incl. fees": "प्रभावी लागत {from}% → {to}% वार्षिक, शुल्क सहित",
+  "Interest Comparison": "ब्याज की तुलना",
+  "Current Interest": "वर्तमान ब्याज",
+  "After Restructure": "पुनर्गठन के बाद",
+  "Savings Rate": "बचत दर",
+  "Reset to defaults": "डिफ़ॉल्ट पर लौटाएँ",
+  "Restructuring Strategies": "पुनर्गठन रणनीतियाँ",
+  "Rank by": "क्रम का आधार",
+  "net saved ({percent}% gross)": "शुद्ध बचत ({percent}% सकल)",
+  "after {costs} costs": "{costs} लागत के बाद",
+  "break-even {month} mo": "{month} माह में वसूली",
+  "no break-even": "वसूली नहीं",
+  "NPV {amount} @ {rate}%": "NPV {amount} @ {rate}%",
+  "costs {rate}% p.a.": "लागत {rate}% वार्षिक",
+  "rates: {worst} worst … {best} best": "दरें: {worst} सबसे ख़राब … {best} सबसे अच्छा",
+  "Debt service / month (year one)": "ऋण सेवा / माह (पहला वर्ष)",
+  "DSCR on {basis}": "{basis} पर DSCR",
+  "Debt service to revenue": "ऋण सेवा से राजस्व",
+  "Debt Service Coverage": "ऋण सेवा कवरेज",
+  "Current": "वर्तमान",
+  "After": "बाद में",
+  "Lenders are likely to push back: {warnings}.": "ऋणदाता आपत्ति कर सकते हैं: {warnings}।",
+  "Enter monthly revenue and cash flow under Edit Loans to check affordability.": "वहन-क्षमता जाँचने के लिए 'ऋण संपादित करें' में मासिक राजस्व और नकदी प्रवाह भरें।",
+  "Within lender thresholds: DSCR at least {dscr} and debt service at most {ratio}% of revenue.": "ऋणदाता सीमाओं के भीतर: DSCR कम से कम {dscr} और ऋण सेवा राजस्व का अधिकतम {ratio}%।",
+  "Other obligations of {amount}/month are counted with debt service.": "{amount}/माह के अन्य दायित्व ऋण सेवा में गिने गए हैं।",
+  "Rate Stress Test — Benchmark Scenarios": "दर स्ट्रेस टेस्ट — बेंचमार्क परिदृश्य",
+  "Base": "आधार",
+  "Scenario": "परिदृश्य",
+  "Yr {year} (bps)": "वर्ष {year} (bps)",
+  "Add scenario": "परिदृश्य जोड़ें",
+  "{measure} after tax under each path.": "हर पथ के तहत कर के बाद {measure}।",
+  "{measure} under each path.": "हर पथ के तहत {measure}।",
+  "Floating loans pick up the change at their next reset and re-price the EMI over the remaining tenure": "फ़्लोटिंग ऋण अगले रीसेट पर बदलाव लेते हैं और शेष अवधि में EMI फिर से तय करते हैं",
+  "; refinanced loans float with a {months}-month reset": "; रीफ़ाइनेंस किए गए ऋण हर {months} महीने में रीसेट होते हैं",
+  "; refinanced loans are fixed": "; रीफ़ाइनेंस किए गए ऋण स्थिर दर पर हैं",
+  "Prepayment Plan — Avalanche vs Snowball": "पूर्व-भुगतान योजना — एवलांच बनाम स्नोबॉल",
+  "Monthly Surplus (₹)": "मासिक सरप्लस (₹)",
+  "Lump Sum Now (₹)": "अभी एकमुश्त (₹)",
+  "Hybrid Plan — Action Per Loan": "हाइब्रिड योजना — हर ऋण की कार्रवाई",
+  "Max Monthly EMI (₹, 0 = no cap)": "अधिकतम मासिक EMI (₹, 0 = कोई सीमा नहीं)",
+  "Max Lenders (0 = no limit)": "अधिकतम ऋणदाता (0 = कोई सीमा नहीं)",
+  "Close Term Debt By": "टर्म लोन बंद करने की तिथि",
+  "Repayment Schedules": "चुकौती अनुसूचियाँ",
+  "Current Portfolio": "वर्तमान पोर्टफ़ोलियो",
+  "Report": "रिपोर्ट",
+  "on {firm} letterhead": "{firm} लेटरहेड पर",
+  "Report language": "रिपोर्ट की भाषा",
+  "PDF in {language} opens the print dialog — choose “Save as PDF”. The built-in PDF writer only has Latin fonts.": "{language} में PDF प्रिंट डायलॉग खोलता है — “Save as PDF” चुनें। अंतर्निहित PDF लेखक में केवल लैटिन फ़ॉन्ट हैं।",
+  "Download PDF Report": "PDF रिपोर्ट डाउनलोड करें",
+  "New Analysis": "नया विश्लेषण",
+  "Disclaimer:": "अस्वीकरण:",
+  "Savings are estimates based on standard amortization models. Actual results depend on lender policies, processing fees, prepayment penalties, and market conditions. Consult a qualified CA or financial advisor before restructuring.": "बचत मानक परिशोधन मॉडल पर आधारित अनुमान हैं। वास्तविक परिणाम ऋणदाता की नीतियों, प्रोसेसिंग शुल्क, पूर्व-भुगतान दंड और बाज़ार की स्थितियों पर निर्भर करते हैं। पुनर्गठन से पहले किसी योग्य CA या वित्तीय सलाहकार से परामर्श करें।",
+  "Term Loan": "टर्म लोन",
+  "CC/OD Facility": "CC/OD सुविधा",
+  "MUDRA Loan": "MUDRA ऋण",
+  "Vehicle/Equipment": "वाहन/उपकरण",
+  "Working Capital": "कार्यशील पूँजी",
+  "RBI Repo": "RBI रेपो",
+  "1-Year MCLR": "१-वर्षीय MCLR",
+  "Flat": "स्थिर",
+  "Custom": "कस्टम",
+  "Prepay Highest Rate First": "सबसे ऊँची दर वाला ऋण पहले चुकाएँ",
+  "Avalanche method — surplus and freed-up EMIs go to the costliest loan": "एवलांच तरीक़ा — सरप्लस और मुक्त हुई EMI सबसे महँगे ऋण में जाती हैं",
+  "Consolidate All Loans": "सभी ऋणों का समेकन",
+  "Single loan at a negotiated lower rate": "बातचीत से तय कम दर पर एक ही ऋण",
+  "Balance Transfer": "बैलेंस ट्रांसफ़र",
+  "Move high-rate loans to a lower-rate lender": "ऊँची दर वाले ऋण कम दर वाले ऋणदाता के पास ले जाएँ",
+  "Extend Tenure + Reduce EMI": "अवधि बढ़ाएँ + EMI घटाएँ",
+  "Ease monthly cash flow pressure": "मासिक नकदी प्रवाह का दबाव कम करें",
+  "Hybrid Optimal": "हाइब्रिड सर्वोत्तम",
+  "Best keep / prepay / transfer / consolidate / extend action for each loan, within your EMI, lender and closure limits": "हर ऋण के लिए सबसे अच्छी कार्रवाई — रखें / पूर्व-भुगतान / ट्रांसफ़र / समेकन / अवधि विस्तार — आपकी EMI, ऋणदाता और समापन सीमाओं के भीतर",
+  "Convert CC/OD to Term Loan": "CC/OD को टर्म लोन में बदलें",
+  "Move the hard-core OD balance to a term loan and cut the limit": "OD की स्थायी बकाया राशि टर्म लोन में ले जाएँ और सीमा घटाएँ",
+  "Monthly surplus for prepayment": "पूर्व-भुगतान के लिए मासिक सरप्लस",
+  "Lump-sum prepayment now": "अभी एकमुश्त पूर्व-भुगतान",
+  "Balance transfer rate": "बैलेंस ट्रांसफ़र दर",
+  "% p.a.": "% वार्षिक",
+  "Transfer loans priced above": "इससे ऊँची दर वाले ऋण ट्रांसफ़र करें",
+  "Consolidation discount to weighted rate": "भारित दर पर समेकन छूट",
+  "% points": "% अंक",
+  "Consolidation rate floor": "समेकन दर की न्यूनतम सीमा",
+  "Consolidated tenure vs longest loan": "सबसे लंबे ऋण की तुलना में समेकित अवधि",
+  "Tenure extension": "अवधि विस्तार",
+  "Hybrid: maximum monthly EMI (0 = no cap)": "हाइब्रिड: अधिकतम मासिक EMI (0 = कोई सीमा नहीं)",
+  "Hybrid: maximum number of lenders (0 = no limit)": "हाइब्रिड: अधिकतम ऋणदाता संख्या (0 = कोई सीमा नहीं)",
+  "lenders": "ऋणदाता",
+  "Hybrid: close all term debt by": "हाइब्रिड: सभी टर्म लोन इस तक बंद करें",
+  "month": "माह",
+  "CC/OD term-out discount to OD rate": "CC/OD टर्म-आउट पर OD दर से छूट",
+  "Minimum CC/OD limit kept after term-out": "टर्म-आउट के बाद रखी जाने वाली न्यूनतम CC/OD सीमा",
+  "% of limit": "सीमा का %",
+  "Refinanced loans float, resetting every (0 = fixed)": "रीफ़ाइनेंस किए गए ऋण फ़्लोटिंग, रीसेट हर (0 = स्थिर)",
+  "months": "महीने",
+  "Lender minimum DSCR": "ऋणदाता का न्यूनतम DSCR",
+  "Lender maximum debt service to revenue": "राजस्व की तुलना में ऋणदाता की अधिकतम ऋण सेवा",
+  "Discount rate (business cost of capital)": "डिस्काउंट दर (व्यवसाय की पूँजी लागत)",
+  "Proprietorship": "प्रोप्राइटरशिप",
+  "Slab rate": "स्लैब दर",
+  "Partnership / LLP": "साझेदारी / LLP",
+  "Firm rate": "फ़र्म दर",
+  "Company": "कंपनी",
+  "Corporate rate": "कॉर्पोरेट दर",
+  "Executive summary": "कार्यकारी सारांश",
+  "Short — for the client": "संक्षिप्त — क्लाइंट के लिए",
+  "Detailed": "विस्तृत",
+  "Full analysis — for the banker": "पूरा विश्लेषण — बैंकर के लिए",
+  "Discounted savings (NPV)": "डिस्काउंटेड बचत (NPV)",
+  "Prepay": "पूर्व-भुगतान",
+  "Consolidate": "समेकन",
+  "Net cash accruals": "शुद्ध नकद उपार्जन",
+  "Jan": "जन॰",
+  "Feb": "फ़र॰",
+  "Mar": "मार्च",
+  "Apr": "अप्रैल",
+  "May": "मई",
+  "Jun": "जून",
+  "Jul": "जुल॰",
+  "Aug": "अग॰",
+  "Sep": "सित॰",
+  "Oct": "अक्तू॰",
+  "Nov": "नव॰",
+  "Dec": "दिस॰",
+  "Amount / limit": "राशि / सीमा",
+  "Tenure": "अवधि",
+  "EMIs paid": "चुकाई गई EMI",
+  "Utilization": "उपयोग",
+  "Auto (₹, or L / Cr suffix)": "ऑटो (₹, या L / Cr प्रत्यय)",
+  "Rupees": "रुपये",
+  "Lakh": "लाख",
+  "Crore": "करोड़",
+  "Loan type / product": "ऋण प्रकार / उत्पाद",
+  "Lender / bank": "ऋणदाता / बैंक",
+  "Sanctioned amount / limit": "स्वीकृत राशि / सीमा",
+  "Outstanding balance": "बकाया राशि",
+  "Interest rate (% p.a.)": "ब्याज दर (% वार्षिक)",
+  "Tenure (months)": "अवधि (महीने)",
+  "Sanction / disbursement date": "स्वीकृति / वितरण तिथि",
+  "Utilization (%)": "उपयोग (%)",
+  "Renewal charge (% of limit)": "नवीनीकरण शुल्क (सीमा का %)",
+  "Foreclosure penalty (%)": "फ़ोरक्लोज़र दंड (%)",
+  "Processing fee (%)": "प्रोसेसिंग शुल्क (%)",
+  "Stamp duty (₹)": "स्टांप शुल्क (₹)",
+  "Legal & valuation (₹)": "कानूनी और मूल्यांकन (₹)",
+  "added": "जोड़ा गया",
+  "changed": "बदला गया",
+  "removed": "हटाया गया",
+  "Keep": "रखें",
+  "Transfer": "ट्रांसफ़र",
+  "Extend": "अवधि बढ़ाएँ",
+  "Import": "आयात करें",
+  "Export JSON": "JSON निर्यात करें",
+  "Brand Colour": "ब्रांड रंग",
+  "Accent Colour": "सहायक रंग",
+  "Firm Name": "फ़र्म का नाम",
+  "Practising As": "किस रूप में प्रैक्टिस",
+  "ICAI Firm Registration No. (FRN)": "ICAI फ़र्म पंजीकरण सं. (FRN)",
+  "Address": "पता",
+  "Phone / Email": "फ़ोन / ईमेल",
+  "Signing Partner": "हस्ताक्षरकर्ता पार्टनर",
+  "Designation": "पद",
+  "ICAI Membership No.": "ICAI सदस्यता सं.",
+  "Share": "साझा करें",
+  "Passphrase (optional)": "पासफ़्रेज़ (वैकल्पिक)",
+  "Passphrase": "पासफ़्रेज़",
+  "Copy link": "लिंक कॉपी करें",
+  "Locked link copied — send the passphrase separately, not in the same chat.": "लॉक किया लिंक कॉपी हुआ — पासफ़्रेज़ अलग से भेजें, उसी चैट में नहीं।",
+  "Link copied. Anyone with it can see these loans.": "लिंक कॉपी हुआ। जिसके पास यह लिंक है, वह ये ऋण देख सकता है।",
+  "Copy the link below.": "नीचे दिया लिंक कॉपी करें।",
+  "The analysis is packed into the link itself — nothing is uploaded. Add a passphrase to encrypt it.": "विश्लेषण लिंक के अंदर ही रहता है — कुछ भी अपलोड नहीं होता। इसे एन्क्रिप्ट करने के लिए पासफ़्रेज़ जोड़ें।",
+  "This shared analysis is locked": "यह साझा विश्लेषण लॉक है",
+  "Enter the passphrase you were given to open it.": "इसे खोलने के लिए आपको दिया गया पासफ़्रेज़ लिखें।",
+  "Cancel": "रद्द करें",
+  "Could not open the shared analysis: {error}": "साझा विश्लेषण नहीं खुल सका: {error}",
+  "This browser cannot create share links": "यह ब्राउज़र साझा लिंक नहीं बना सकता",
+  "This is not a share link": "यह साझा लिंक नहीं है",
+  "The link is incomplete — it may have been cut off when it was sent": "लिंक अधूरा है — भेजते समय शायद कट गया",
+  "Wrong passphrase, or the link is incomplete": "ग़लत पासफ़्रेज़, या लिंक अधूरा है",
+  "This link was made by a newer version of the app": "यह लिंक ऐप के नए संस्करण से बना है",
+  "The link has no loans in it": "इस लिंक में कोई ऋण नहीं है",
+  "Level EMI": "समान ईएमआई",
+  "Moratorium, then EMI": "मोरेटोरियम, फिर ईएमआई",
+  "Step-up / step-down EMI": "स्टेप-अप / स्टेप-डाउन ईएमआई",
+  "Balloon final payment": "अंतिम बैलून भुगतान",
+  "Bullet repayment": "बुलेट पुनर्भुगतान",
+  "Moratorium + Capitalized Interest": "मोरेटोरियम + पूंजीकृत ब्याज",
+  "Pause term-loan EMIs, add the interest to the loan and extend the tenure to match": "टर्म लोन की ईएमआई रोकें, ब्याज लोन में जोड़ें और अवधि उतनी ही बढ़ाएँ",
+  "Step-Up EMI": "स्टेप-अप ईएमआई",
+  "Lower EMIs now that rise every year as the business grows": "अभी कम ईएमआई, जो व्यवसाय बढ़ने के साथ हर साल बढ़ती है",
+  "Balloon Repayment": "बैलून पुनर्भुगतान",
+  "Lower EMIs, with part of the principal left for one final payment": "कम ईएमआई, मूलधन का कुछ हिस्सा एक अंतिम भुगतान के लिए",
+  "Interest-Only + Bullet": "केवल ब्याज + बुलेट",
+  "Pay only interest and repay the principal in one go at the end": "केवल ब्याज चुकाएँ और मूलधन अंत में एक साथ लौटाएँ",
+  "Moratorium granted on term loans": "टर्म लोन पर दिया गया मोरेटोरियम",
+  "Step-up EMI: yearly change (negative = step-down)": "स्टेप-अप ईएमआई: वार्षिक बदलाव (ऋणात्मक = स्टेप-डाउन)",
+  "Balloon: principal left for the final payment": "बैलून: अंतिम भुगतान के लिए छोड़ा गया मूलधन",
+  "{months}-month moratorium, interest capitalized": "{months} महीने का मोरेटोरियम, ब्याज पूंजीकृत",
+  "{months}-month moratorium, interest paid monthly": "{months} महीने का मोरेटोरियम, ब्याज मासिक चुकाया",
+  "EMI steps up {pct}% every {months} months": "ईएमआई हर {months} महीने में {pct}% बढ़ती है",
+  "EMI steps down {pct}% every {months} months": "ईएमआई हर {months} महीने में {pct}% घटती है",
+  "{pct}% balloon in the last month": "अंतिम महीने में {pct}% बैलून",
+  "Bullet — interest and principal at maturity": "बुलेट — ब्याज और मूलधन परिपक्वता पर",
+  "Bullet — interest monthly, principal at maturity": "बुलेट — ब्याज मासिक, मूलधन परिपक्वता पर",
+  "{months}-month moratorium on {count} term loan(s), interest added to the loan and tenure extended to match — no EMI until month {resume}, then {after}/month": "{count} टर्म लोन पर {months} महीने का मोरेटोरियम, ब्याज लोन में जोड़ा और अवधि उतनी बढ़ाई — महीने {resume} तक कोई ईएमआई नहीं, फिर {after}/माह",
+  "Step-up EMIs on {count} term loan(s): {emi}/month in year one, rising {pct}% a year": "{count} टर्म लोन पर स्टेप-अप ईएमआई: पहले साल {emi}/माह, हर साल {pct}% बढ़ती",
+  "Step-down EMIs on {count} term loan(s): {emi}/month in year one, falling {pct}% a year": "{count} टर्म लोन पर स्टेप-डाउन ईएमआई: पहले साल {emi}/माह, हर साल {pct}% घटती",
+  "{pct}% of {count} term loan(s) ({amount}) left for one final payment — {emi}/month until then": "{count} टर्म लोन का {pct}% ({amount}) एक अंतिम भुगतान के लिए — तब तक {emi}/माह",
+  "Interest only on {count} term loan(s) — {emi}/month — and the {amount} principal repaid in one go at the end": "{count} टर्म लोन पर केवल ब्याज — {emi}/माह — और {amount} मूलधन अंत में एक साथ",
+  "Repayment Profile": "पुनर्भुगतान प्रोफ़ाइल",
+  "Average monthly payment in each year from today, including prepayments and any final balloon or bullet payment, so each strategy shows when it needs cash as well as what it costs.": "आज से हर साल का औसत मासिक भुगतान, प्रीपेमेंट और अंतिम बैलून या बुलेट भुगतान सहित — ताकि हर रणनीति दिखाए कि नकदी कब चाहिए और लागत कितनी है।",
+  "Year {year}": "वर्ष {year}",
+  "Total Interest & Charges": "कुल ब्याज और शुल्क",
+  "Repayment": "पुनर्भुगतान",
+  "Moratorium (months)": "मोरेटोरियम (महीने)",
+  "Interest During Moratorium": "मोरेटोरियम के दौरान ब्याज",
+  "Added to the loan": "लोन में जोड़ा गया",
+  "Paid monthly": "मासिक चुकाया",
+  "EMI Change per Step (%)": "हर स्टेप पर ईएमआई बदलाव (%)",
+  "Step Every (months)": "हर स्टेप (महीने)",
+  "Balloon (% of amount)": "बैलून (राशि का %)",
+  "Paid at maturity": "परिपक्वता पर चुकाया",
+  "Tenure includes any moratorium. EMIs Paid counts every month since sanction, so a running loan picks up its structure where it is today.": "अवधि में मोरेटोरियम शामिल है। चुकाई गई ईएमआई में मंज़ूरी से हर महीना गिना जाता है, ताकि चालू लोन अपनी संरचना वहीं से उठाए जहाँ वह आज है।",
+  "Cash-Flow Profile": "कैश-फ़्लो प्रोफ़ाइल",
+  "Change": "बदलाव",
+  "Average monthly payment in each year, prepayments and final balloon or bullet payments included.": "हर साल का औसत मासिक भुगतान, प्रीपेमेंट और अंतिम बैलून या बुलेट भुगतान सहित।",
+  "unknown repayment structure \"{repayment}\"": "अज्ञात पुनर्भुगतान संरचना \"{repayment}\"",
+  "{note}; locked in for {months} more months": "{note}; {months} महीने और लॉक-इन में",
+  "locked in for {months} more months": "{months} महीने और लॉक-इन में",
+  "stays with the sanctioning bank": "स्वीकृत करने वाले बैंक के पास ही रहता है",
+  "NCGTC guarantee stays with the sanctioning bank": "NCGTC गारंटी स्वीकृत करने वाले बैंक के पास ही रहती है",
+  "margin-money subsidy is forfeited if closed within 3 years": "3 साल के भीतर बंद करने पर मार्जिन-मनी सब्सिडी ज़ब्त",
+  "secured by the lending bank's own deposit": "उधार देने वाले बैंक की अपनी जमा से सुरक्षित",
+  "Loan Against Property": "संपत्ति पर ऋण",
+  "Gold Loan": "गोल्ड लोन",
+  "ECLGS Loan": "ECLGS ऋण",
+  "CGTMSE-Covered Loan": "CGTMSE-कवर ऋण",
+  "PMEGP Loan": "PMEGP ऋण",
+  "Stand-Up India": "स्टैंड-अप इंडिया",
+  "Loan Against FD": "FD पर ऋण",
+  "No loan in the portfolio can move to a new lender": "पोर्टफोलियो का कोई भी ऋण नए ऋणदाता के पास नहीं जा सकता",
+  " — kept as they are: {loans}": " — जैसे हैं वैसे रखे गए: {loans}",
+  "loan type has no id": "ऋण प्रकार की कोई id नहीं",
+  "\"{type}\" is a built-in loan type": "\"{type}\" एक अंतर्निहित ऋण प्रकार है",
+  "loan type has no name": "ऋण प्रकार का कोई नाम नहीं",
+  "repayment nature must be amortizing or revolving": "चुकौती का स्वरूप किस्तों वाला या रिवॉल्विंग होना चाहिए",
+  "Guarantee fee (% a year)": "गारंटी शुल्क (% प्रति वर्ष)",
+  "Guarantee Fee (% a year)": "गारंटी शुल्क (% प्रति वर्ष)",
+  "Guarantee fee": "गारंटी शुल्क",
+  "Usual Rate (% p.a.)": "सामान्य दर (% वार्षिक)",
+  "Usual Tenure (months)": "सामान्य अवधि (महीने)",
+  "Usual Amount (₹)": "सामान्य राशि (₹)",
+  "Loan Types": "ऋण प्रकार",
+  "{builtIn} built in, {custom} of your own": "{builtIn} अंतर्निहित, {custom} आपके अपने",
+  "Amortizing": "किस्तों वाला",
+  "Edit": "संपादित करें",
+  "A loan in the portfolio uses this type": "पोर्टफोलियो का एक ऋण इस प्रकार का है",
+  "New loan type": "नया ऋण प्रकार",
+  "Name": "नाम",
+  "Icon": "आइकन",
+  "Repaid As": "चुकौती का तरीका",
+  "Other Lenders": "अन्य ऋणदाता",
+  "Can take it over": "इसे ले सकते हैं",
+  "Cannot — stays with the sanctioning bank": "नहीं — स्वीकृत करने वाले बैंक के पास ही रहता है",
+  "Lock-in (EMIs)": "लॉक-इन (EMI)",
+  "Why (for the report)": "क्यों (रिपोर्ट के लिए)",
+  "Statement keywords, comma-separated": "स्टेटमेंट के कीवर्ड, अल्पविराम से अलग",
+  "Save type": "प्रकार सहेजें",
+  "Could not save the loan types in this browser: {error}": "इस ब्राउज़र में ऋण प्रकार सहेजे नहीं जा सके: {error}",
+  "Saved in this browser. Exported files and share links carry the types their loans use. A lock-in bars prepaying or moving the loan until that many EMIs are paid.": "इस ब्राउज़र में सहेजा गया। निर्यात फ़ाइलें और साझा लिंक अपने ऋणों के प्रकार साथ ले जाते हैं। लॉक-इन में उतनी EMI चुकाए जाने तक ऋण का पूर्व-भुगतान या स्थानांतरण नहीं हो सकता।",
+  "Cannot move to another lender: {reason}": "दूसरे ऋणदाता के पास नहीं जा सकता: {reason}",
+  "Cannot be prepaid or moved yet: {reason}": "अभी पूर्व-भुगतान या स्थानांतरण नहीं हो सकता: {reason}",
+  ", {fee}% a year guarantee fee": ", {fee}% वार्षिक गारंटी शुल्क",
+  "A guarantee fee (CGTMSE and similar) is paid each year on the outstanding and ends when the loan moves to a new lender.": "गारंटी शुल्क (CGTMSE आदि) हर साल बकाया पर चुकाया जाता है और ऋण नए ऋणदाता के पास जाने पर समाप्त हो जाता है।",
+  "Offer at {rate}%": "{rate}% का ऑफ़र",
+  "{loan} (balance kept)": "{loan} (शेष राशि वहीं)",
+  "{lender} {amount} at {rate}%": "{lender} {amount} @ {rate}%",
+  "Consolidated Loan — {lender}": "समेकित ऋण — {lender}",
+  "{loan} → {lender}": "{loan} → {lender}",
+  "new lender": "नया ऋणदाता",
+  "offer limits": "ऑफ़र की सीमाएँ",
+  "{from}% → {to}% with {lender}": "{from}% → {to}%, {lender} के साथ",
+  " with {lender}": ", {lender} के साथ",
+  "None of the lender offers takes these loans": "कोई भी ऋणदाता ऑफ़र ये ऋण नहीं लेता",
+  "Consolidate {count} loans with {lender} at {rate}% (vs weighted avg {weighted}%) — simpler compliance, one EMI": "{count} ऋण {lender} के पास {rate}% पर समेकित करें (भारित औसत {weighted}% के मुकाबले) — सरल अनुपालन, एक EMI",
+  "; the offer does not take {loans}": "; ऑफ़र {loans} नहीं लेता",
+  "Move {count} loan(s) to {lenders} lender(s): {placements}": "{count} ऋण {lenders} ऋणदाता(ओं) के पास ले जाएँ: {placements}",
+  "No lender offer beats the current rates": "कोई भी ऋणदाता ऑफ़र मौजूदा दरों से बेहतर नहीं है",
+  "Lender Offer Comparison": "ऋणदाता ऑफ़र तुलना",
+  "{lender} wins by {amount} over {runnerUp} ({ranking}, each offer taken alone).": "{lender} {runnerUp} से {amount} आगे है ({ranking}, हर ऑफ़र अलग से)।",
+  "{lender} is the only offer: {amount} by {strategy}.": "{lender} एकमात्र ऑफ़र है: {strategy} से {amount}।",
+  "Processing Fee": "प्रोसेसिंग शुल्क",
+  "Tenure Cap": "अवधि सीमा",
+  "Max Amount": "अधिकतम राशि",
+  "Consolidation": "समेकन",
+  "{count} lender offer(s) over their maximum or not taking the loans": "{count} ऋणदाता ऑफ़र अपनी अधिकतम सीमा से ऊपर या ऋण न लेने वाले",
+  "{lender} wins by {amount} over {runnerUp}.": "{lender} {runnerUp} से {amount} आगे है।",
+  "{lender} is the only offer.": "{lender} एकमात्र ऑफ़र है।",
+  "Balance Transfer and Consolidation in the strategy list use every offer together, splitting loans across lenders where that pays.": "रणनीति सूची में बैलेंस ट्रांसफर और समेकन सभी ऑफ़र एक साथ इस्तेमाल करते हैं, और जहाँ फ़ायदा हो वहाँ ऋण कई ऋणदाताओं में बाँटते हैं।",
+  "Lender Offers": "ऋणदाता ऑफ़र",
+  "Rate (%)": "दर (%)",
+  "Max Tenure (months)": "अधिकतम अवधि (महीने)",
+  "Max Amount (₹)": "अधिकतम राशि (₹)",
+  "Balance transfer and consolidation are priced on these offers instead of the assumed rates.": "बैलेंस ट्रांसफर और समेकन अनुमानित दरों के बजाय इन ऑफ़र पर आँके जाते हैं।",
+  "Add the quotes you have in hand to price balance transfer and consolidation on them.": "बैलेंस ट्रांसफर और समेकन उन पर आँकने के लिए हाथ में मौजूद कोटेशन जोड़ें।",
+  "Bank or NBFC": "बैंक या NBFC",
+  "Takes:": "लेता है:",
+  "any loan": "कोई भी ऋण",
+  "Add offer": "ऑफ़र जोड़ें",
+  "What-if & Sensitivity": "क्या-होगा-अगर और संवेदनशीलता",
+  "Undo what-ifs": "बदलाव वापस लें",
+  "Re-run sensitivity": "संवेदनशीलता फिर चलाएँ",
+  "Run sensitivity": "संवेदनशीलता चलाएँ",
+  "Inputs have changed since this run": "इस रन के बाद इनपुट बदल गए हैं",
+  "{strategy} at {value}": "{value} पर {strategy}",
+  "{strategy} below {value}": "{value} से नीचे {strategy}",
+  "{strategy} above {value}": "{value} से ऊपर {strategy}",
+  "{strategy}: {amount} today. Each bar shows where it goes when one input moves a step either way; the ends are labelled with that input's value.": "{strategy}: आज {amount}। हर पट्टी दिखाती है कि एक इनपुट के एक कदम ऊपर या नीचे जाने पर यह कहाँ पहुँचता है; सिरों पर उस इनपुट का मान लिखा है।",
+  "Best flips: {flips}": "सर्वश्रेष्ठ बदलता है: {flips}",
+  "Flip points are where another strategy overtakes {strategy} as that one input moves across its slider range.": "बदलाव बिंदु वे हैं जहाँ उस एक इनपुट के स्लाइडर सीमा में चलने पर कोई दूसरी रणनीति {strategy} से आगे निकलती है।",
+  "{strategy} stays the best strategy across every slider's range, one input at a time.": "एक-एक इनपुट बदलने पर हर स्लाइडर की पूरी सीमा में {strategy} ही सर्वश्रेष्ठ रणनीति रहती है।",
+  "Hybrid Optimal keeps today's per-loan plan throughout.": "हाइब्रिड ऑप्टिमल पूरे समय आज की ऋण-वार योजना रखता है।",
+  "Plan held as chosen": "योजना चुने अनुसार रखी गई",
+  "{loan} rate": "{loan} दर",
+  "{loan} tenure": "{loan} अवधि",
+  "Over Time": "समय के साथ",
+  "Outstanding debt — current plan and every strategy": "बकाया कर्ज़ — मौजूदा योजना और हर रणनीति",
+  "Current plan": "मौजूदा योजना",
+  "{count} other loans": "{count} अन्य ऋण",
+  "Monthly EMI by loan — {strategy}": "ऋणवार मासिक EMI — {strategy}",
+  "Cumulative interest & costs — {strategy} vs current plan": "संचयी ब्याज और लागत — {strategy} बनाम मौजूदा योजना",
+  "Break-even: month {month}": "ब्रेक-ईवन: महीना {month}",
+  "vs": "बनाम",
+  "Swap": "अदला-बदली",
+  "Interest Difference": "ब्याज अंतर",
+  "Per-loan interest is before tax and comes from each plan's schedules; a consolidated loan is shared out by what each loan brought in. Switching costs only exist for the plan as a whole.": "ऋणवार ब्याज कर-पूर्व है और हर योजना की अनुसूची से लिया गया है; समेकित ऋण हर ऋण के योगदान के अनुपात में बाँटा गया है। स्विचिंग लागत केवल पूरी योजना के लिए होती है।",
+  "Custom Scenarios": "कस्टम परिदृश्य",
+  "Spell out your own plan loan by loan — a new rate or tenure, a part-prepayment in a given month, a move to another lender, a CC/OD termed out. Leave a box blank to keep that term. Named scenarios are ranked with the strategies and appear in the report.": "ऋणवार अपनी योजना बनाइए — नई दर या अवधि, किसी महीने में आंशिक पूर्व-भुगतान, दूसरे ऋणदाता के पास जाना, CC/OD को टर्म लोन में बदलना। किसी शर्त को वैसा ही रखने के लिए खाना खाली छोड़ें। नाम वाले परिदृश्य रणनीतियों के साथ रैंक होते हैं और रिपोर्ट में आते हैं।",
+  "Scenario name": "परिदृश्य का नाम",
+  "{name} (copy)": "{name} (प्रति)",
+  "Duplicate": "प्रतिलिपि बनाएँ",
+  "Another scenario already has this name — only the first one is ranked": "इस नाम का एक और परिदृश्य है — केवल पहला रैंक होता है",
+  "Name the scenario to rank it": "रैंक करने के लिए परिदृश्य को नाम दें",
+  "Move to Lender": "ऋणदाता बदलें",
+  "Same lender": "वही ऋणदाता",
+  "Term out": "टर्म लोन बनाएँ",
+  "My plan {n}": "मेरी योजना {n}",
+  "New Rate (%)": "नई दर (%)",
+  "Months Left": "शेष महीने",
+  "Prepay (₹)": "पूर्व-भुगतान (₹)",
+  "In Month": "महीने में",
+  "Side by Side — Loan by Loan": "आमने-सामने — ऋणवार",
+  "drawn balance moved to {lender} as a term loan at {rate}% over {months} months": "उपयोग की गई राशि {lender} के पास {rate}% पर {months} महीनों के टर्म लोन के रूप में",
+  "drawn balance termed out at {rate}% over {months} months": "उपयोग की गई राशि {rate}% पर {months} महीनों के टर्म लोन में",
+  "moved to {lender} at {rate}%": "{lender} के पास {rate}% पर",
+  "moved to {lender} at {rate}% over {months} months": "{lender} के पास {rate}% पर {months} महीनों के लिए",
+  "{loan} (new terms)": "{loan} (नई शर्तें)",
+  "rate {from}% → {to}%": "दर {from}% → {to}%",
+  "tenure {from} → {to} months": "अवधि {from} → {to} महीने",
+  "cannot move ({reason})": "स्थानांतरित नहीं हो सकता ({reason})",
+  "⚠ {lender}'s offer does not cover this loan type": "⚠ {lender} का प्रस्ताव इस ऋण प्रकार पर लागू नहीं",
+  "no prepayment ({reason})": "पूर्व-भुगतान नहीं ({reason})",
+  "{amount} of the drawn balance repaid in month {month}": "उपयोग की गई राशि में से {amount} महीने {month} में चुकाए",
+  "closed with {amount} in month {month}": "महीने {month} में {amount} देकर बंद",
+  "{amount} prepaid in month {month}": "महीने {month} में {amount} का पूर्व-भुगतान",
+  "⚠ {lender} is asked for {amount}, above its maximum of {max}": "⚠ {lender} से {amount} माँगे गए, जो उसकी अधिकतम सीमा {max} से अधिक है",
+  "Custom scenario — {changes}": "कस्टम परिदृश्य — {changes}",
+  "Custom scenario with no changes — every loan stays as it is": "बिना बदलाव का कस्टम परिदृश्य — हर ऋण वैसा ही रहता है",
+  "Your own scenario — an explicit action for each loan": "आपका अपना परिदृश्य — हर ऋण के लिए स्पष्ट कदम",
+  "{ranking}: {value}, {amount} ahead of {strategy}.": "{ranking}: {value}, {strategy} से {amount} आगे।",
+  "{ranking}: {value}, {amount} behind {strategy}.": "{ranking}: {value}, {strategy} से {amount} पीछे।",
+  "{loan} at {rate}% ({share}% of it)": "{loan} {rate}% पर (इसका {share}%)",
+  "{loan} at {rate}%": "{loan} {rate}% पर",
+  "interest {amount}": "ब्याज {amount}",
+  "prepaid {amount}": "पूर्व-भुगतान {amount}",
+  "closes {month}": "{month} में बंद",
+  "Fix the fields marked in red to see this loan's EMI and interest": "इस लोन की EMI और ब्याज देखने के लिए लाल चिह्नित फ़ील्ड ठीक करें",
+  "Fix {count} problems before analysing": "विश्लेषण से पहले {count} समस्याएँ ठीक करें",
+  "Fix {count} problem before analysing": "विश्लेषण से पहले {count} समस्या ठीक करें",
+  "Left Out of This Analysis": "इस विश्लेषण से बाहर रखे गए",
+  "{extra} more interest + {costs} foreclosure, fees, GST, stamp duty & legal": "{extra} अधिक ब्याज + {costs} फोरक्लोज़र, फ़ीस, GST, स्टांप ड्यूटी और कानूनी",
+  "amount must be below {max}": "राशि {max} से कम होनी चाहिए",
+  "tenure must be whole months from {min} to {max}": "अवधि {min} से {max} पूरे महीने होनी चाहिए",
+  "each month's utilization must be 0–100%": "हर महीने का उपयोग 0–100% होना चाहिए",
+  "utilization must be 0–100%": "उपयोग 0–100% होना चाहिए",
+  "EMIs paid must be a whole number from 0 to the tenure": "चुकाई गई EMI 0 से अवधि तक की पूर्ण संख्या होनी चाहिए",
+  "moratorium must be whole months, shorter than the tenure": "मोराटोरियम पूरे महीनों में और अवधि से कम होना चाहिए",
+  "EMI change must be above −100%": "EMI बदलाव −100% से अधिक होना चाहिए",
+  "step interval must be at least 1 month": "स्टेप अंतराल कम से कम 1 महीना होना चाहिए",
+  "balloon must be 0–99% of the amount": "बैलून राशि का 0–99% होना चाहिए",
+  "reset interval must be at least 1 month": "रीसेट अंतराल कम से कम 1 महीना होना चाहिए",
+  "{charge} cannot be negative": "{charge} ऋणात्मक नहीं हो सकता",
+  "foreclosure charge": "फोरक्लोज़र शुल्क",
+  "processing fee": "प्रोसेसिंग फ़ीस",
+  "stamp duty": "स्टांप ड्यूटी",
+  "legal charges": "कानूनी शुल्क",
+  "guarantee fee": "गारंटी शुल्क",
+  "renewal charge": "नवीनीकरण शुल्क",
+  "{error}, {value} used": "{error}, {value} लिया गया",
+  "already repaid, nothing left to restructure": "पहले ही चुका दिया गया, पुनर्गठन के लिए कुछ नहीं बचा",
+  "Every loan is already repaid — nothing left to restructure": "हर लोन पहले ही चुकाया जा चुका है — पुनर्गठन के लिए कुछ नहीं बचा",
+  "No loan left to restructure": "पुनर्गठन के लिए कोई लोन नहीं बचा",
+  "missing": "नहीं दिया गया",
+  "must be a whole number": "पूर्ण संख्या होनी चाहिए",
+  "cannot be below {min}": "{min} से कम नहीं हो सकता",
+  "must be from {min} to {max}": "{min} से {max} के बीच होना चाहिए",
+  "{strategy} stays the best strategy across the slider range of each of the {n} inputs with the widest swing, one input at a time.": "एक-एक इनपुट बदलने पर सबसे ज़्यादा असर वाले {n} इनपुट में से हर एक के स्लाइडर की पूरी सीमा में {strategy} ही सर्वश्रेष्ठ रणनीति रहती है।",
+  "Only the {n} inputs with the widest swing are searched for flips.": "फ्लिप केवल सबसे ज़्यादा असर वाले {n} इनपुट में खोजे जाते हैं।",
+  "not a number": "संख्या नहीं है",
+  "Offer {n}": "ऑफ़र {n}",
+  "usual terms missing or out of range": "सामान्य शर्तें खाली या सीमा से बाहर हैं",
+};
@@ -0,0 +1,793 @@
+// ─── Marathi ───
+// Keyed by the English text passed to t(); anything missing here shows in English.
+export default {
+  "₹{n} Cr": "₹{n} कोटी",
+  "₹{n} L": "₹{n} लाख",
+  "₹{n}K": "₹{n} हजार",
+  "{loan} (transferred)": "{loan} (हस्तांतरित)",
+  "{loan} (extended)": "{loan} (मुदत वाढवली)",
+  "Consolidated Loan": "एकत्रित कर्ज",
+  "EMI cap": "EMI मर्यादा",
+  "lender limit": "कर्जदाता मर्यादा",
+  "closure date": "बंद करण्याची तारीख",
+  "Stays at {rate}%": "{rate}% वर कायम",
+  "Receives the surplus and freed-up EMIs": "अतिरिक्त रक्कम आणि मोकळे झालेले EMI यात जातात",
+  "{from}% → {to}%": "{from}% → {to}%",
+  "Merged with other loans at {rate}%": "इतर कर्जांसह {rate}% वर एकत्रित",
+  "Refinanced as a term loan at {rate}%": "{rate}% वर मुदत कर्जात रूपांतर",
+  "Tenure {from} → {to} months, lower EMI": "मुदत {from} → {to} महिने, कमी EMI",
+  "{what}; choosing {alt} instead would break the {limits}": "{what}; त्याऐवजी {alt} निवडल्यास {limits} मोडेल",
+  " and ": " आणि ",
+  "{what}; same net savings as {alt}": "{what}; {alt} इतकीच निव्वळ बचत",
+  "{what}; {gain} more net savings than {alt}": "{what}; {alt} पेक्षा {gain} अधिक निव्वळ बचत",
+  "{amount}/month": "{amount}/महिना",
+  "{amount} lump sum": "{amount} एकरकमी",
+  "Put {sources} plus every freed-up EMI into the costliest loan first ({loan}) — debt-free in {months} months vs {scheduled}": "{sources} आणि प्रत्येक मोकळा झालेला EMI आधी सर्वात महाग कर्जात ({loan}) भरा — {scheduled} ऐवजी {months} महिन्यांत कर्जमुक्त",
+  "Put every freed-up EMI into the costliest loan first ({loan}) — debt-free in {months} months vs {scheduled}": "प्रत्येक मोकळा झालेला EMI आधी सर्वात महाग कर्जात ({loan}) भरा — {scheduled} ऐवजी {months} महिन्यांत कर्जमुक्त",
+  "same interest as smallest-balance-first": "सर्वात लहान थकबाकी आधी इतकेच व्याज",
+  "saves {amount} more than smallest-balance-first": "सर्वात लहान थकबाकी आधी पेक्षा {amount} अधिक बचत",
+  "{amount} costlier than smallest-balance-first": "सर्वात लहान थकबाकी आधी पेक्षा {amount} महाग",
+  "Consolidate {count} loans into single facility at {rate}% (vs weighted avg {weighted}%) — simpler compliance, one EMI": "{count} कर्जे {rate}% वर एकाच सुविधेत एकत्र करा (भारित सरासरी {weighted}% च्या तुलनेत) — सोपे अनुपालन, एकच EMI",
+  "; {count} CC/OD limit(s) closed and drawn balance termed out": "; {count} CC/OD मर्यादा बंद आणि वापरलेली रक्कम मुदत कर्जात",
+  "Transfer {count} high-rate loan(s) to {rate}% lender": "{count} जास्त दराची कर्जे {rate}% दराच्या कर्जदाताकडे हस्तांतरित करा",
+  "Extend all loan tenures by ~{pct}% — EMI drops significantly, total interest increases but cash flow pressure eases immediately": "सर्व कर्जांची मुदत ~{pct}% वाढवा — EMI बरेच कमी होते, एकूण व्याज वाढते पण रोख प्रवाहावरील ताण लगेच कमी होतो",
+  ". CC/OD limits have no tenure and stay as they are": ". CC/OD मर्यादांना मुदत नसते, त्या आहेत तशाच राहतात",
+  "Optimised per-loan plan: {counts} — best of {evaluations} combinations searched": "प्रत्येक कर्जासाठी अनुकूल योजना: {counts} — {evaluations} संयोजनांपैकी सर्वोत्तम",
+  ". ⚠ Not every constraint could be met": ". ⚠ प्रत्येक अट पूर्ण होऊ शकली नाही",
+  "{loan} → Term Loan": "{loan} → मुदत कर्ज",
+  "{loan} (reduced limit)": "{loan} (कमी केलेली मर्यादा)",
+  "Term out the hard-core balance of {count} CC/OD limit(s) at ~{discount}% lower and cut limits to the seasonal swing — lower interest and renewal charges": "{count} CC/OD मर्यादांची कायमस्वरूपी थकबाकी ~{discount}% कमी दराने मुदत कर्जात बदला आणि मर्यादा हंगामी चढउतारापुरती कमी करा — कमी व्याज आणि नूतनीकरण शुल्क",
+  "No CC/OD or working capital limits in the portfolio": "पोर्टफोलिओमध्ये CC/OD किंवा खेळते भांडवल मर्यादा नाही",
+  " — switching costs {amount} incl. GST, recovered in {months} months": " — बदलाचा खर्च {amount} GST सह, {months} महिन्यांत वसूल",
+  " — switching costs {amount} incl. GST, recovered in {months} month": " — बदलाचा खर्च {amount} GST सह, {months} महिन्यात वसूल",
+  " — switching costs {amount} incl. GST are never recovered": " — बदलाचा खर्च {amount} GST सह कधीच वसूल होत नाही",
+  "DSCR {dscr} is below the lender minimum of {min}": "DSCR {dscr} कर्जदात्याच्या किमान {min} पेक्षा कमी आहे",
+  "debt service is {pct}% of revenue, above the {max}% limit": "कर्जफेड महसुलाच्या {pct}% आहे, {max}% मर्यादेपेक्षा जास्त",
+  "amount missing or not positive": "रक्कम नाही किंवा धन नाही",
+  "rate missing": "दर नाही",
+  "rate {rate}% is not a plausible annual rate": "{rate}% हा वार्षिक दर विश्वासार्ह वाटत नाही",
+  "tenure missing": "मुदत नाही",
+  "\"{type}\" read as Term Loan": "\"{type}\" मुदत कर्ज म्हणून वाचले",
+  "no loan type, read as Term Loan": "कर्ज प्रकार नाही, मुदत कर्ज म्हणून वाचले",
+  "no sanctioned amount, outstanding used": "मंजूर रक्कम नाही, थकबाकी वापरली",
+  "date \"{date}\" not read as {format}": "तारीख \"{date}\" {format} म्हणून वाचता आली नाही",
+  "unknown loan type \"{type}\"": "अज्ञात कर्ज प्रकार \"{type}\"",
+  "No limit": "मर्यादा नाही",
+  "None": "काहीही नाही",
+  "{benchmark} + {spread}%, {months}-month reset": "{benchmark} + {spread}%, दर {months} महिन्यांनी रीसेट",
+  "Current Loan Portfolio": "सध्याचा कर्ज पोर्टफोलिओ",
+  "Loan Type": "कर्ज प्रकार",
+  "Sanctioned / Limit": "मंजूर / मर्यादा",
+  "Outstanding": "थकबाकी",
+  "Rate (p.a.)": "दर (वार्षिक)",
+  "Remaining Tenure": "उर्वरित मुदत",
+  "Monthly EMI": "मासिक EMI",
+  "Remaining Interest & Charges": "उर्वरित व्याज आणि शुल्क",
+  "revolving, renewal {pct}% p.a.": "फिरते, नूतनीकरण {pct}% वार्षिक",
+  "Limit": "मर्यादा",
+  "{pct}% drawn": "{pct}% वापर",
+  "Renewed annually — {months} months modelled": "दरवर्षी नूतनीकरण — {months} महिन्यांचे मॉडेल",
+  "interest only": "फक्त व्याज",
+  "since {date}": "{date} पासून",
+  "{remaining} of {tenure} months": "{tenure} पैकी {remaining} महिने",
+  "TOTAL": "एकूण",
+  "Maximum Potential Savings, Net of Switching Costs and Discounted at {rate}%, with \"{strategy}\" Strategy": "\"{strategy}\" धोरणाने कमाल संभाव्य बचत, बदलाचा खर्च वजा करून आणि {rate}% ने सवलत देऊन",
+  "Maximum Potential Savings, Net of Switching Costs, with \"{strategy}\" Strategy": "\"{strategy}\" धोरणाने कमाल संभाव्य बचत, बदलाचा खर्च वजा करून",
+  "Strategy": "धोरण",
+  "New Total Interest": "नवे एकूण व्याज",
+  "Interest Saved": "व्याजातील बचत",
+  "Switching Costs": "बदलाचा खर्च",
+  "Net Savings": "निव्वळ बचत",
+  "Post-tax Net Savings": "करोत्तर निव्वळ बचत",
+  "Break-even": "खर्च वसुली",
+  "{months} mo": "{months} महिने",
+  "Not recovered": "वसूल नाही",
+  "New Monthly EMI": "नवा मासिक EMI",
+  "EMI Change": "EMI मधील बदल",
+  "Strategy Comparison": "धोरणांची तुलना",
+  "Ranked by {ranking}. Post-tax figures treat interest, renewal charges and switching costs as deductible business expenses at an effective {rate}% ({entity}).": "{ranking} नुसार क्रम. करोत्तर आकड्यांमध्ये व्याज, नूतनीकरण शुल्क आणि बदलाचा खर्च {rate}% ({entity}) प्रभावी दराने वजावटीयोग्य व्यावसायिक खर्च मानले आहेत.",
+  "business": "व्यवसाय",
+  "Ranked by {ranking}, after one-off switching costs.": "{ranking} नुसार क्रम, एकवेळच्या बदल खर्चानंतर.",
+  "{ranking} by strategy": "धोरणानुसार {ranking}",
+  "Time Value & Post-tax Cost of Debt": "कालमूल्य आणि कर्जाचा करोत्तर खर्च",
+  "Outflows discounted at {rate}% p.a.; the current portfolio's outflows are worth {npv} today at an effective cost of {cost}% a year ({postTax}% after tax).": "बहिर्वाह {rate}% वार्षिक दराने सवलतीत; सध्याच्या पोर्टफोलिओच्या बहिर्वाहाचे आजचे मूल्य {npv}, प्रभावी खर्च वर्षाला {cost}% (करानंतर {postTax}%).",
+  "Outflows discounted at {rate}% p.a.; the current portfolio's outflows are worth {npv} today.": "बहिर्वाह {rate}% वार्षिक दराने सवलतीत; सध्याच्या पोर्टफोलिओच्या बहिर्वाहाचे आजचे मूल्य {npv}.",
+  "Effective cost is the annual IRR of all payments and fees against the {outstanding} outstanding.": "प्रभावी खर्च म्हणजे {outstanding} थकबाकीवरील सर्व हप्ते आणि शुल्कांचा वार्षिक IRR.",
+  "NPV of Outflows": "बहिर्वाहाचे NPV",
+  "Discounted Savings": "सवलतीतील बचत",
+  "Post-tax Discounted Savings": "करोत्तर सवलतीतील बचत",
+  "Effective Cost": "प्रभावी खर्च",
+  "Post-tax Effective Cost": "करोत्तर प्रभावी खर्च",
+  "Debt Service Coverage (DSCR)": "कर्जफेड क्षमता (DSCR)",
+  "Monthly revenue {revenue}; {basis} {cash}": "मासिक महसूल {revenue}; {basis} {cash}",
+  " (interest added back)": " (व्याज परत जोडले)",
+  "; other obligations {amount} a month, counted with debt service.": "; इतर देणी {amount} दरमहा, कर्जफेडीत धरली.",
+  "Year-one scheduled debt service, excluding voluntary prepayments.": "पहिल्या वर्षाची नियोजित कर्जफेड, ऐच्छिक पूर्वफेड वगळून.",
+  "Lender thresholds: DSCR of at least {dscr}, debt service at most {pct}% of revenue.": "कर्जदात्याच्या मर्यादा: DSCR किमान {dscr}, कर्जफेड महसुलाच्या कमाल {pct}%.",
+  "Debt Service / Month": "कर्जफेड / महिना",
+  "Debt Service to Revenue": "कर्जफेड ते महसूल",
+  "Status": "स्थिती",
+  "Current portfolio": "सध्याचा पोर्टफोलिओ",
+  "Outside lender thresholds": "कर्जदात्याच्या मर्यादेबाहेर",
+  "Meets thresholds": "मर्यादेत",
+  "Interest Rate Stress Test": "व्याजदर स्ट्रेस टेस्ट",
+  "{ranking} for each strategy under each benchmark path (change in bps by year {paths}).": "प्रत्येक बेंचमार्क मार्गाखाली प्रत्येक धोरणासाठी {ranking} (वर्षनिहाय bps मधील बदल {paths}).",
+  "Floating loans re-price at their next reset; refinanced loans float with a {months}-month reset.": "फ्लोटिंग कर्जे पुढील रीसेटला नवा दर घेतात; पुनर्वित्त कर्जे दर {months} महिन्यांनी रीसेट होतात.",
+  "Floating loans re-price at their next reset.": "फ्लोटिंग कर्जे पुढील रीसेटला नवा दर घेतात.",
+  " (base)": " (आधार)",
+  "Worst": "सर्वात वाईट",
+  "Best": "सर्वोत्तम",
+  "Limit kept": "ठेवलेली मर्यादा",
+  "Prepayment Plan — Highest Rate First vs Smallest Balance First": "पूर्वफेड योजना — सर्वाधिक दर आधी विरुद्ध सर्वात लहान थकबाकी आधी",
+  "Monthly budget of {budget} (current EMIs plus {surplus} surplus) and a lump sum of {lumpSum} now; EMIs freed by closed loans roll into the next loan.": "{budget} चे मासिक बजेट (सध्याचे EMI आणि {surplus} अतिरिक्त) आणि आत्ता {lumpSum} एकरकमी; बंद कर्जांचे मोकळे EMI पुढील कर्जात जातात.",
+  "Monthly budget of {budget} (current EMIs plus {surplus} surplus); EMIs freed by closed loans roll into the next loan.": "{budget} चे मासिक बजेट (सध्याचे EMI आणि {surplus} अतिरिक्त); बंद कर्जांचे मोकळे EMI पुढील कर्जात जातात.",
+  "Loan": "कर्ज",
+  "Rate": "दर",
+  "As Scheduled": "नियोजनानुसार",
+  "Highest Rate First": "सर्वाधिक दर आधी",
+  "Smallest Balance First": "सर्वात लहान थकबाकी आधी",
+  "Revolving": "फिरते",
+  "Total interest & charges": "एकूण व्याज आणि शुल्क",
+  "Hybrid Optimal — Per-Loan Plan": "हायब्रिड सर्वोत्तम — प्रत्येक कर्जाची योजना",
+  "{count} lender(s) after restructuring; term debt closes {when}.": "पुनर्रचनेनंतर {count} कर्जदाते; मुदत कर्जे {when} बंद होतात.",
+  "now": "आत्ता",
+  "Not every constraint could be met — this is the closest plan found.": "प्रत्येक अट पूर्ण होऊ शकली नाही — ही सर्वात जवळची योजना आहे.",
+  "Action": "कृती",
+  "Reason": "कारण",
+  "Recommended Action Plan": "शिफारस केलेली कृती योजना",
+  "Debt service cover moves from {from} to {to} (lender minimum {min})": "कर्जफेड क्षमता {from} वरून {to} होते (कर्जदात्याचे किमान {min})",
+  "Interest Reduction": "व्याजातील घट",
+  "{months}mo": "{months} महिने",
+  "Optimized Tenure": "अनुकूल मुदत",
+  "Outstanding debt — current portfolio vs recommended": "थकीत कर्ज — सध्याचा पोर्टफोलिओ विरुद्ध शिफारस",
+  "One-off Switching Cost": "एकवेळचा बदल खर्च",
+  "Amount": "रक्कम",
+  "Foreclosure / prepayment penalty": "फोरक्लोजर / पूर्वफेड दंड",
+  "Processing fees": "प्रक्रिया शुल्क",
+  "Legal & valuation charges": "कायदेशीर आणि मूल्यांकन शुल्क",
+  "GST @ {rate}% on charges": "शुल्कांवर {rate}% GST",
+  "Stamp duty": "मुद्रांक शुल्क",
+  "TOTAL — recovered in month {month}": "एकूण — महिना {month} मध्ये वसूल",
+  "TOTAL — not recovered within the loan term": "एकूण — कर्ज मुदतीत वसूल नाही",
+  "Assumptions": "गृहीतके",
+  "Assumption": "गृहीतक",
+  "Value Used": "वापरलेले मूल्य",
+  "adjusted": "बदललेले",
+  "Tax profile": "कर प्रोफाइल",
+  "{entity}: {rate}% {rateLabel} + {surcharge}% surcharge + {cess}% cess = {effective}% effective": "{entity}: {rate}% {rateLabel} + {surcharge}% अधिभार + {cess}% उपकर = {effective}% प्रभावी",
+  "rate": "दर",
+  "For {firm}": "{firm} करिता",
+  "Membership No. {number}": "सभासद क्र. {number}",
+  "Date: {date}": "दिनांक: {date}",
+  "Loan Restructuring Analysis": "कर्ज पुनर्रचना विश्लेषण",
+  "Loan Restructuring — Executive Summary": "कर्ज पुनर्रचना — कार्यकारी सारांश",
+  "{business} — Confidential Report": "{business} — गोपनीय अहवाल",
+  "Generated {date}": "{date} रोजी तयार",
+  "Prepared by {firm}": "{firm} यांनी तयार केला",
+  "This report is generated by {firm} for advisory purposes only. Actual savings may vary based on lender terms, processing fees, and market conditions. Consult your CA or financial advisor before taking action.": "हा अहवाल {firm} यांनी केवळ सल्ल्याच्या उद्देशाने तयार केला आहे. प्रत्यक्ष बचत कर्जदात्याच्या अटी, प्रक्रिया शुल्क आणि बाजार परिस्थितीनुसार बदलू शकते. कोणतीही कृती करण्यापूर्वी आपल्या CA किंवा आर्थिक सल्लागाराचा सल्ला घ्या.",
+  "{years}y": "{years} वर्षे",
+  "for advisory purposes only": "केवळ सल्ल्याच्या उद्देशाने",
+  "Page {page} of {pages}": "पृष्ठ {page} / {pages}",
+  "INTEREST SAVED": "व्याजातील बचत",
+  "Month": "महिना",
+  "Opening": "सुरुवातीची",
+  "Interest": "व्याज",
+  "Principal": "मुद्दल",
+  "of which Prepaid": "पैकी पूर्वफेड",
+  "Charges": "शुल्क",
+  "Closing": "अखेरची",
+  "All loans combined": "सर्व कर्जे एकत्रित",
+  "{months} months": "{months} महिने",
+  "Interest & charges": "व्याज आणि शुल्क",
+  "As scheduled": "नियोजनानुसार",
+  "Highest rate first": "सर्वाधिक दर आधी",
+  "Smallest balance first": "सर्वात लहान थकबाकी आधी",
+  "Both orderings cost the same here.": "येथे दोन्ही क्रमांचा खर्च सारखाच आहे.",
+  "Highest-rate-first saves {amount} more interest than smallest-balance-first.": "सर्वाधिक दर आधी, सर्वात लहान थकबाकी आधी पेक्षा {amount} अधिक व्याज वाचवते.",
+  "Smallest-balance-first saves {amount} more interest than highest-rate-first.": "सर्वात लहान थकबाकी आधी, सर्वाधिक दर आधी पेक्षा {amount} अधिक व्याज वाचवते.",
+  "Monthly budget: {budget} (today's EMIs + surplus), kept constant as loans close.": "मासिक बजेट: {budget} (आजचे EMI + अतिरिक्त), कर्जे बंद झाली तरी स्थिर.",
+  "EMI ≤ {amount}": "EMI ≤ {amount}",
+  "≤ {count} lenders": "≤ {count} कर्जदाते",
+  "≤ {count} lender": "≤ {count} कर्जदाता",
+  "closed by {month}": "{month} पर्यंत बंद",
+  "Why": "का",
+  "{count} lenders after restructuring": "पुनर्रचनेनंतर {count} कर्जदाते",
+  "{count} lender after restructuring": "पुनर्रचनेनंतर {count} कर्जदाता",
+  "term debt closes {when}": "मुदत कर्जे {when} बंद होतात",
+  "{count} combinations searched under: {limits}.": "{count} संयोजने तपासली, अटी: {limits}.",
+  "{count} combinations searched with no constraints set.": "{count} संयोजने तपासली, कोणतीही अट नाही.",
+  "No combination meets every constraint; this is the closest plan found": "कोणतेही संयोजन सर्व अटी पूर्ण करत नाही; ही सर्वात जवळची योजना आहे",
+  "EMI {pct}% over cap": "EMI मर्यादेपेक्षा {pct}% जास्त",
+  "{count} lender(s) over limit": "{count} कर्जदाते मर्यादेपेक्षा जास्त",
+  "{months} months past target": "लक्ष्यापेक्षा {months} महिने उशिरा",
+  "Worst · Base · Best": "सर्वात वाईट · आधार · सर्वोत्तम",
+  "Yes": "होय",
+  "No": "नाही",
+  "Remaining interest & charges": "उर्वरित व्याज आणि शुल्क",
+  "Best strategy": "सर्वोत्तम धोरण",
+  "Net savings": "निव्वळ बचत",
+  "No changes to loans or assumptions.": "कर्जे किंवा गृहीतकांत कोणताही बदल नाही.",
+  "Delete this client and all of its saved versions from this browser?": "हा ग्राहक आणि त्याच्या सर्व जतन केलेल्या आवृत्त्या या ब्राउझरमधून हटवायच्या?",
+  "Saved clients unavailable: {error}": "जतन केलेले ग्राहक उपलब्ध नाहीत: {error}",
+  "Saved Clients": "जतन केलेले ग्राहक",
+  "stored in this browser only": "फक्त या ब्राउझरमध्ये साठवलेले",
+  "{count} versions, last {date}": "{count} आवृत्त्या, शेवटची {date}",
+  "{count} version, last {date}": "{count} आवृत्ती, शेवटची {date}",
+  "Delete": "हटवा",
+  "{count} loans • {outstanding} outstanding • best: {net} net": "{count} कर्जे • {outstanding} थकबाकी • सर्वोत्तम: {net} निव्वळ",
+  "Open": "उघडा",
+  "Tick two versions to compare them.": "तुलनेसाठी दोन आवृत्त्या निवडा.",
+  "That file could not be read as an image": "ही फाइल चित्र म्हणून वाचता आली नाही",
+  "Your Practice — Report Letterhead": "आपली फर्म — अहवाल लेटरहेड",
+  "reports go out as {firm}": "अहवाल {firm} नावाने जातात",
+  "reports carry LoanRestructure Pro branding until a firm name is set": "फर्मचे नाव भरेपर्यंत अहवालांवर LoanRestructure Pro ब्रँडिंग राहते",
+  "Disclaimer": "अस्वीकरण",
+  "(blank for the standard wording)": "(मानक मजकुरासाठी रिकामे ठेवा)",
+  "Logo": "लोगो",
+  "Replace": "बदला",
+  "Upload": "अपलोड करा",
+  "Remove": "काढा",
+  "Could not save the profile in this browser: {error}": "या ब्राउझरमध्ये प्रोफाइल जतन करता आली नाही: {error}",
+  "Saved in this browser and applied to every report.": "या ब्राउझरमध्ये जतन केले आणि प्रत्येक अहवालाला लागू.",
+  "The file needs a header row and at least one loan": "फाइलमध्ये शीर्षक ओळ आणि किमान एक कर्ज हवे",
+  "Import Loans": "कर्जे आयात करा",
+  "Close": "बंद करा",
+  "A portfolio JSON exported from this app, or a CSV — your own sheet or a bank's loan account statement, one loan per row. Columns are matched on the next step.": "या ॲपमधून निर्यात केलेला पोर्टफोलिओ JSON, किंवा CSV — आपली स्वतःची शीट किंवा बँकेचे कर्ज खाते विवरण, प्रत्येक ओळीत एक कर्ज. स्तंभ पुढील टप्प्यात जुळवले जातात.",
+  "not in file": "फाइलमध्ये नाही",
+  "Column {n}": "स्तंभ {n}",
+  "(e.g. {value})": "(उदा. {value})",
+  "Date format": "तारखेचे स्वरूप",
+  "Amounts are in": "रकमा यात आहेत",
+  "Back": "मागे",
+  "Preview {count} rows": "{count} ओळींचे पूर्वावलोकन",
+  "Skipped: {errors}": "वगळले: {errors}",
+  "OK": "ठीक",
+  "{valid} of {total} loans will be imported.": "{total} पैकी {valid} कर्जे आयात होतील.",
+  "Replacing also loads the business name, tax profile, cash flow and assumptions from the file.": "बदलल्यास फाइलमधून व्यवसायाचे नाव, कर प्रोफाइल, रोख प्रवाह आणि गृहीतकेही लोड होतात.",
+  "Replace portfolio": "पोर्टफोलिओ बदला",
+  "Add to portfolio": "पोर्टफोलिओमध्ये जोडा",
+  "₹28L+": "₹२८ लाख+",
+  "Avg. savings identified per SME": "प्रत्येक SME साठी ओळखलेली सरासरी बचत",
+  "Restructuring strategies compared": "पुनर्रचना धोरणांची तुलना",
+  "60sec": "६० सेकंद",
+  "From input to actionable report": "माहितीपासून उपयुक्त अहवालापर्यंत",
+  "Data stays on your device": "डेटा आपल्या डिव्हाइसवरच राहतो",
+  "Instant Client Reports": "त्वरित ग्राहक अहवाल",
+  "Enter your client's loan stack, get a professional restructuring report in 60 seconds. Download and email — your client sees you as a hero.": "ग्राहकाची कर्जे भरा, ६० सेकंदांत व्यावसायिक पुनर्रचना अहवाल मिळवा. डाउनलोड करा आणि ईमेल करा — ग्राहकाच्या नजरेत तुम्ही हिरो ठराल.",
+  "Advisory, Not Just Compliance": "सल्ला, फक्त अनुपालन नव्हे",
+  "Move beyond filing and compliance. Offer strategic debt advice that directly saves your clients money. Higher value = higher fees.": "फायलिंग आणि अनुपालनाच्या पुढे जा. ग्राहकांचे पैसे थेट वाचवणारा धोरणात्मक कर्ज सल्ला द्या. अधिक मूल्य = अधिक फी.",
+  "5 Strategies, Auto-Ranked": "५ धोरणे, आपोआप क्रमवार",
+  "Prepayment, consolidation, balance transfer, tenure extension, hybrid — all compared side by side with exact rupee savings.": "पूर्वफेड, एकत्रीकरण, बॅलन्स ट्रान्सफर, मुदतवाढ, हायब्रिड — सर्वांची शेजारी शेजारी तुलना, अचूक रुपयांच्या बचतीसह.",
+  "Client Data Never Leaves": "ग्राहकांचा डेटा कुठेही जात नाही",
+  "Everything runs in the browser. No server, no uploads, no data risk. Show it to clients with full confidence.": "सर्व काही ब्राउझरमध्ये चालते. सर्व्हर नाही, अपलोड नाही, डेटाचा धोका नाही. ग्राहकांना पूर्ण विश्वासाने दाखवा.",
+  "See Your Real Cost": "आपला खरा खर्च पाहा",
+  "Most SME owners don't know how much interest they're actually paying across all loans combined. This tool shows you the total picture in one screen.": "बहुतेक SME मालकांना माहीत नसते की ते सर्व कर्जांवर मिळून प्रत्यक्षात किती व्याज भरत आहेत. हे साधन संपूर्ण चित्र एका स्क्रीनवर दाखवते.",
+  "Find Hidden Savings": "लपलेली बचत शोधा",
+  "That CC/OD at 14%? That old term loan you never revisited? There's almost always ₹2-10L sitting on the table. We find it.": "१४% चे CC/OD? ते जुने मुदत कर्ज ज्याकडे तुम्ही पुन्हा पाहिले नाही? जवळपास नेहमीच ₹२-१० लाख वाचवता येतात. आम्ही ते शोधतो.",
+  "Take the Report to Your Bank": "अहवाल आपल्या बँकेत न्या",
+  "Download a professional analysis showing exactly what restructuring looks like. Walk into your bank branch with data, not just a request.": "पुनर्रचना नेमकी कशी दिसेल हे दाखवणारे व्यावसायिक विश्लेषण डाउनलोड करा. बँक शाखेत फक्त विनंती नव्हे, आकडेवारी घेऊन जा.",
+  "No Jargon, Just Numbers": "अवघड शब्द नाहीत, फक्त आकडे",
+  "We don't sell you financial products. We show you the math. You decide what makes sense for your business.": "आम्ही तुम्हाला आर्थिक उत्पादने विकत नाही. आम्ही गणित दाखवतो. तुमच्या व्यवसायासाठी काय योग्य ते तुम्ही ठरवा.",
+  "Is my data safe?": "माझा डेटा सुरक्षित आहे का?",
+  "Yes. Everything runs 100% in your browser. No data is sent to any server. We never see your loan details.": "होय. सर्व काही १००% तुमच्या ब्राउझरमध्ये चालते. कोणताही डेटा सर्व्हरला पाठवला जात नाही. आम्ही तुमच्या कर्जाचा तपशील कधीच पाहत नाही.",
+  "How accurate are the savings estimates?": "बचतीचे अंदाज किती अचूक आहेत?",
+  "We use standard amortization mathematics — the same formulas banks use. Actual savings depend on your lender's specific terms, processing fees, and prepayment penalties.": "आम्ही मानक परतफेड गणित वापरतो — बँका वापरतात तीच सूत्रे. प्रत्यक्ष बचत तुमच्या कर्जदात्याच्या अटी, प्रक्रिया शुल्क आणि पूर्वफेड दंडावर अवलंबून असते.",
+  "Do I need to pay anything?": "मला काही पैसे द्यावे लागतील का?",
+  "The tool is currently free during our early access period. We're gathering feedback to build the best possible product for CAs and SME owners.": "हे साधन सध्या अर्ली ॲक्सेस काळात मोफत आहे. CA आणि SME मालकांसाठी सर्वोत्तम उत्पादन बनवण्यासाठी आम्ही अभिप्राय गोळा करत आहोत.",
+  "Can I use this for my clients? (for CAs)": "मी हे माझ्या ग्राहकांसाठी वापरू शकतो का? (CA साठी)",
+  "Absolutely — that's exactly what it's built for. Enter each client's loans, generate a report, and deliver it as part of your advisory service.": "नक्कीच — हे त्यासाठीच बनवले आहे. प्रत्येक ग्राहकाची कर्जे भरा, अहवाल तयार करा आणि आपल्या सल्ला सेवेचा भाग म्हणून द्या.",
+  "What loan types are supported?": "कोणते कर्ज प्रकार समर्थित आहेत?",
+  "Term Loans, CC/OD Facilities, MUDRA Loans, Vehicle/Equipment Finance, and Working Capital loans. We're adding more based on feedback.": "मुदत कर्जे, CC/OD सुविधा, MUDRA कर्जे, वाहन/उपकरण वित्त आणि खेळते भांडवल कर्जे. अभिप्रायानुसार आम्ही आणखी जोडत आहोत.",
+  "Try Free": "मोफत वापरून पाहा",
+  "EARLY ACCESS — FREE FOR LIMITED TIME": "अर्ली ॲक्सेस — मर्यादित काळासाठी मोफत",
+  "Your SME clients are": "तुमचे SME ग्राहक",
+  "overpaying on loans.": "कर्जांवर जास्त पैसे भरत आहेत.",
+  "Show them exactly how much.": "त्यांना नेमके किती ते दाखवा.",
+  "Enter any SME's loan portfolio. Get 5 restructuring strategies ranked by savings. Download a professional report your client can take to their bank — in 60 seconds.": "कोणत्याही SME चा कर्ज पोर्टफोलिओ भरा. बचतीनुसार क्रमवार ५ पुनर्रचना धोरणे मिळवा. ग्राहक आपल्या बँकेत नेऊ शकेल असा व्यावसायिक अहवाल डाउनलोड करा — ६० सेकंदांत.",
+  "Analyze Loans Free — No Signup Required": "कर्जांचे मोफत विश्लेषण — नोंदणीची गरज नाही",
+  "100% browser-based. Your data never leaves your device.": "१००% ब्राउझर-आधारित. तुमचा डेटा कधीच तुमच्या डिव्हाइसबाहेर जात नाही.",
+  "How It Works": "हे कसे काम करते",
+  "Three steps. Sixty seconds. Real savings.": "तीन टप्पे. साठ सेकंद. खरी बचत.",
+  "Enter Loans": "कर्जे भरा",
+  "Add your client's loans — Term, CC/OD, MUDRA, Vehicle, Working Capital. Takes 30 seconds.": "ग्राहकाची कर्जे जोडा — मुदत, CC/OD, MUDRA, वाहन, खेळते भांडवल. ३० सेकंद लागतात.",
+  "See Strategies": "धोरणे पाहा",
+  "Instantly compare 5 restructuring approaches ranked by total interest saved.": "एकूण व्याज बचतीनुसार क्रमवार ५ पुनर्रचना पद्धतींची त्वरित तुलना करा.",
+  "Download Report": "अहवाल डाउनलोड करा",
+  "Get a professional PDF-ready report your client can take to their bank.": "ग्राहक आपल्या बँकेत नेऊ शकेल असा व्यावसायिक PDF-तयार अहवाल मिळवा.",
+  "For Chartered Accountants": "चार्टर्ड अकाउंटंट्ससाठी",
+  "Stop being just a compliance CA.": "फक्त अनुपालन करणारे CA राहू नका.",
+  "Become a strategic advisor.": "धोरणात्मक सल्लागार व्हा.",
+  "For SME Business Owners": "SME व्यवसाय मालकांसाठी",
+  "You're running a business, not a bank.": "तुम्ही व्यवसाय चालवत आहात, बँक नाही.",
+  "But your loans deserve attention too.": "पण तुमच्या कर्जांकडेही लक्ष द्यायला हवे.",
+  "Real Example": "प्रत्यक्ष उदाहरण",
+  "How a typical SME saves ₹2.8 Lakhs": "एक सामान्य SME ₹२.८ लाख कसे वाचवतो",
+  "Current Loan Stack": "सध्याची कर्जे",
+  "{amount} @ {rate}% for {months} mo": "{amount} @ {rate}%, {months} महिन्यांसाठी",
+  "Total Interest Payable": "एकूण देय व्याज",
+  "Best Strategy: {strategy}": "सर्वोत्तम धोरण: {strategy}",
+  "saved in total interest ({pct}%)": "एकूण व्याजात बचत ({pct}%)",
+  "FAQ": "वारंवार विचारले जाणारे प्रश्न",
+  "Common Questions": "सामान्य प्रश्न",
+  "We're building this for you.": "आम्ही हे तुमच्यासाठी बनवत आहोत.",
+  "This tool is in early access. Try it, break it, tell us what's missing. Your feedback directly shapes what we build next.": "हे साधन अर्ली ॲक्सेसमध्ये आहे. वापरून पाहा, तपासा, काय कमी आहे ते सांगा. तुमचा अभिप्राय आम्ही पुढे काय बनवायचे ते थेट ठरवतो.",
+  "Try the Tool Free": "साधन मोफत वापरून पाहा",
+  "Share Feedback": "अभिप्राय द्या",
+  "Built for Indian CAs and SME Owners": "भारतीय CA आणि SME मालकांसाठी बनवलेले",
+  "100% Privacy-First": "१००% गोपनीयता-प्रथम",
+  "No Data Collected": "कोणताही डेटा गोळा केला जात नाही",
+  "Scenario {n}": "परिस्थिती {n}",
+  "SME Debt Optimization Engine": "SME कर्ज अनुकूलन इंजिन",
+  "Edit Loans": "कर्जे संपादित करा",
+  "Business / Client Name": "व्यवसाय / ग्राहकाचे नाव",
+  "Enter business name...": "व्यवसायाचे नाव लिहा...",
+  "Entity Type": "संस्थेचा प्रकार",
+  "Surcharge (%)": "अधिभार (%)",
+  "Cess (%)": "उपकर (%)",
+  "Effective Tax Rate": "प्रभावी कर दर",
+  "Loan Portfolio ({count} active)": "कर्ज पोर्टफोलिओ ({count} सक्रिय)",
+  "Interest only: {emi}/mo • {drawn} drawn of {limit} • Cost over {months} months: {cost}": "फक्त व्याज: {emi}/महिना • {limit} पैकी {drawn} वापर • {months} महिन्यांचा खर्च: {cost}",
+  "EMI: {emi} • {left} of {tenure} EMIs left • Interest ahead: {cost}": "EMI: {emi} • {tenure} पैकी {left} EMI बाकी • पुढील व्याज: {cost}",
+  "Lender": "कर्जदाता",
+  "Sanctioned Limit (₹)": "मंजूर मर्यादा (₹)",
+  "Rate (% p.a.)": "दर (% वार्षिक)",
+  "Avg. Utilization (%)": "सरासरी वापर (%)",
+  "Keep Limit For (months)": "मर्यादा किती महिने ठेवायची",
+  "Renewal Charge (% of limit)": "नूतनीकरण शुल्क (मर्यादेच्या %)",
+  "Use average utilization": "सरासरी वापर वापरा",
+  "Enter month-wise utilization": "महिनानिहाय वापर भरा",
+  "Sanction Date": "मंजुरीची तारीख",
+  "EMIs Paid": "भरलेले EMI",
+  "Outstanding (₹)": "थकबाकी (₹)",
+  "Original Amount (₹)": "मूळ रक्कम (₹)",
+  "Original Tenure (months)": "मूळ मुदत (महिने)",
+  "Floating rate": "फ्लोटिंग दर",
+  "Fixed rate": "स्थिर दर",
+  "{benchmark} {level}% + {spread}% spread, resets every {months} months": "{benchmark} {level}% + {spread}% स्प्रेड, दर {months} महिन्यांनी रीसेट",
+  "Rate Type": "दराचा प्रकार",
+  "Fixed": "स्थिर",
+  "Floating": "फ्लोटिंग",
+  "Benchmark": "बेंचमार्क",
+  "Benchmark Now (%)": "सध्याचा बेंचमार्क (%)",
+  "Spread (%)": "स्प्रेड (%)",
+  "Reset (months)": "रीसेट (महिने)",
+  "Switching costs": "बदलाचा खर्च",
+  "{foreclosure}% foreclosure, {processing}% processing, {other} stamp & legal": "{foreclosure}% फोरक्लोजर, {processing}% प्रक्रिया, {other} मुद्रांक आणि कायदेशीर",
+  "Foreclosure / Prepay (%)": "फोरक्लोजर / पूर्वफेड (%)",
+  "Processing Fee (%)": "प्रक्रिया शुल्क (%)",
+  "Stamp Duty (₹)": "मुद्रांक शुल्क (₹)",
+  "Legal & Valuation (₹)": "कायदेशीर आणि मूल्यांकन (₹)",
+  "GST @ {rate}% is added to foreclosure, processing and legal charges. Penalties apply to the amount closed or prepaid; fees to the amount moved to a new lender.": "फोरक्लोजर, प्रक्रिया आणि कायदेशीर शुल्कांवर {rate}% GST जोडला जातो. दंड बंद किंवा पूर्वफेड केलेल्या रकमेवर लागतो; शुल्क नव्या कर्जदात्याकडे नेलेल्या रकमेवर.",
+  "Prepayment Budget": "पूर्वफेड बजेट",
+  "Monthly surplus available (₹)": "उपलब्ध मासिक अतिरिक्त रक्कम (₹)",
+  "Lump sum available now (₹)": "आत्ता उपलब्ध एकरकमी रक्कम (₹)",
+  "Business Cash Flow": "व्यवसायाचा रोख प्रवाह",
+  "Monthly revenue (₹)": "मासिक महसूल (₹)",
+  "Cash flow basis": "रोख प्रवाहाचा आधार",
+  "Monthly {basis} (₹)": "मासिक {basis} (₹)",
+  "Other monthly obligations (₹)": "इतर मासिक देणी (₹)",
+  "Total Outstanding": "एकूण थकबाकी",
+  "Interest Ahead": "पुढील व्याज",
+  "Analyze {count} Loans — Find Savings": "{count} कर्जांचे विश्लेषण — बचत शोधा",
+  "Analyze {count} Loan — Find Savings": "{count} कर्जाचे विश्लेषण — बचत शोधा",
+  "Add at least one loan to begin": "सुरू करण्यासाठी किमान एक कर्ज जोडा",
+  "Figures": "आकडे",
+  "Gross": "एकूण",
+  "Post-tax @ {rate}%": "करोत्तर @ {rate}%",
+  "Net Savings After Switching Costs & Tax": "बदल खर्च आणि करानंतर निव्वळ बचत",
+  "Net Savings After Switching Costs": "बदल खर्चानंतर निव्वळ बचत",
+  "{saved} interest saved − {costs} foreclosure, fees, GST, stamp duty & legal": "{saved} व्याज बचत − {costs} फोरक्लोजर, शुल्क, GST, मुद्रांक आणि कायदेशीर",
+  "break-even in month {month}": "महिना {month} मध्ये खर्च वसूल",
+  "costs not recovered": "खर्च वसूल नाही",
+  "on remaining interest of {interest} across {outstanding} outstanding": "{outstanding} थकबाकीवरील उर्वरित व्याज {interest} पैकी",
+  "Discounted at {rate}%: {amount} saved in today's money": "{rate}% ने सवलत: आजच्या मूल्यात {amount} बचत",
+  "effective cost {from}% → {to}% p.a. incl. fees": "प्रभावी खर्च {from}% → {to}% वार्षिक, शुल्कासह",
+  "Interest Comparison": "व्याजाची तुलना",
+  "Current Interest": "सध्याचे व्याज",
+  "After Restructure": "पुनर्रचनेनंतर",
+  "Savings Rate": "बचत दर",
+  "Reset to defaults": "मूळ मूल्यांवर परत",
+  "Restructuring Strategies": "पुनर्रचना धोरणे",
+  "Rank by": "क्रमाचा आधार",
+  "net saved ({percent}% gross)": "निव्वळ बचत ({percent}% एकूण)",
+  "after {costs} costs": "{costs} खर्चानंतर",
+  "break-even {month} mo": "{month} महिन्यांत वसुली",
+  "no break-even": "वसुली नाही",
+  "NPV {amount} @ {rate}%": "NPV {amount} @ {rate}%",
+  "costs {rate}% p.a.": "खर्च {rate}% वार्षिक",
+  "rates: {worst} worst … {best} best": "दर: {worst} सर्वात वाईट … {best} सर्वोत्तम",
+  "Debt service / month (year one)": "कर्जफेड / महिना (पहिले वर्ष)",
+  "DSCR on {basis}": "{basis} वर DSCR",
+  "Debt service to revenue": "कर्जफेड ते महसूल",
+  "Debt Service Coverage": "कर्जफेड क्षमता",
+  "Current": "सध्या",
+  "After": "नंतर",
+  "Lenders are likely to push back: {warnings}.": "कर्जदाते आक्षेप घेऊ शकतात: {warnings}.",
+  "Enter monthly revenue and cash flow under Edit Loans to check affordability.": "परवडण्याजोगेपणा तपासण्यासाठी 'कर्जे संपादित करा' मध्ये मासिक महसूल आणि रोख प्रवाह भरा.",
+  "Within lender thresholds: DSCR at least {dscr} and debt service at most {ratio}% of revenue.": "कर्जदात्याच्या मर्यादेत: DSCR किमान {dscr} आणि कर्जफेड महसुलाच्या कमाल {ratio}%.",
+  "Other obligations of {amount}/month are counted with debt service.": "{amount}/महिना इतर देणी कर्जफेडीत धरली आहेत.",
+  "Rate Stress Test — Benchmark Scenarios": "दर स्ट्रेस टेस्ट — बेंचमार्क परिस्थिती",
+  "Base": "आधार",
+  "Scenario": "परिस्थिती",
+  "Yr {year} (bps)": "वर्ष {year} (bps)",
+  "Add scenario": "परिस्थिती जोडा",
+  "{measure} after tax under each path.": "प्रत्येक मार्गाखाली करानंतर {measure}.",
+  "{measure} under each path.": "प्रत्येक मार्गाखाली {measure}.",
+  "Floating loans pick up the change at their next reset and re-price the EMI over the remaining tenure": "फ्लोटिंग कर्जे पुढील रीसेटला बदल घेतात आणि उर्वरित मुदतीसाठी EMI पुन्हा ठरवतात",
+  "; refinanced loans float with a {months}-month reset": "; पुनर्वित्त कर्जे दर {months} महिन्यांनी रीसेट होतात",
+  "; refinanced loans are fixed": "; पुनर्वित्त कर्जे स्थिर दराची आहेत",
+  "Prepayment Plan — Avalanche vs Snowball": "पूर्वफेड योजना — ॲव्हलांच विरुद्ध स्नोबॉल",
+  "Monthly Surplus (₹)": "मासिक अतिरिक्त रक्कम (₹)",
+  "Lump Sum Now (₹)": "आत्ता एकरकमी (₹)",
+  "Hybrid Plan — Action Per Loan": "हायब्रिड योजना — प्रत्येक कर्जाची कृती",
+  "Max Monthly EMI (₹, 0 = no cap)": "कमाल मासिक EMI (₹, 0 = मर्यादा नाही)",
+  "Max Lenders (0 = no limit)": "कमाल कर्जदाते (0 = मर्यादा नाही)",
+  "Close Term Debt By": "मुदत कर्जे बंद करण्याची तारीख",
+  "Repayment Schedules": "परतफेड वेळापत्रके",
+  "Current Portfolio": "सध्याचा पोर्टफोलिओ",
+  "Report": "अहवाल",
+  "on {firm} letterhead": "{firm} लेटरहेडवर",
+  "Report language": "अहवालाची भाषा",
+  "PDF in {language} opens the print dialog — choose “Save as PDF”. The built-in PDF writer only has Latin fonts.": "{language} मधील PDF प्रिंट संवाद उघडतो — “Save as PDF” निवडा. अंगभूत PDF लेखकाकडे फक्त लॅटिन फॉन्ट आहेत.",
+  "Download PDF Report": "PDF अहवाल डाउनलोड करा",
+  "New Analysis": "नवे विश्लेषण",
+  "Disclaimer:": "अस्वीकरण:",
+  "Savings are estimates based on standard amortization models. Actual results depend on lender policies, processing fees, prepayment penalties, and market conditions. Consult a qualified CA or financial advisor before restructuring.": "बचत ही मानक परतफेड मॉडेलवर आधारित अंदाज आहे. प्रत्यक्ष निकाल कर्जदात्याची धोरणे, प्रक्रिया शुल्क, पूर्वफेड दंड आणि बाजार परिस्थितीवर अवलंबून असतात. पुनर्रचनेपूर्वी पात्र CA किंवा आर्थिक सल्लागाराचा सल्ला घ्या.",
+  "Term Loan": "मुदत कर्ज",
+  "CC/OD Facility": "CC/OD सुविधा",
+  "MUDRA Loan": "MUDRA कर्ज",
+  "Vehicle/Equipment": "वाहन/उपकरण",
+  "Working Capital": "खेळते भांडवल",
+  "RBI Repo": "RBI रेपो",
+  "1-Year MCLR": "१-वर्ष MCLR",
+  "Flat": "स्थिर",
+  "Custom": "सानुकूल",
+  "Prepay Highest Rate First": "सर्वाधिक दराचे कर्ज आधी फेडा",
+  "Avalanche method — surplus and freed-up EMIs go to the costliest loan": "ॲव्हलांच पद्धत — अतिरिक्त रक्कम आणि मोकळे EMI सर्वात महाग कर्जात जातात",
+  "Consolidate All Loans": "सर्व कर्जांचे एकत्रीकरण",
+  "Single loan at a negotiated lower rate": "वाटाघाटीने ठरलेल्या कमी दराने एकच कर्ज",
+  "Balance Transfer": "बॅलन्स ट्रान्सफर",
+  "Move high-rate loans to a lower-rate lender": "जास्त दराची कर्जे कमी दराच्या कर्जदात्याकडे न्या",
+  "Extend Tenure + Reduce EMI": "मुदत वाढवा + EMI कमी करा",
+  "Ease monthly cash flow pressure": "मासिक रोख प्रवाहावरील ताण कमी करा",
+  "Hybrid Optimal": "हायब्रिड सर्वोत्तम",
+  "Best keep / prepay / transfer / consolidate / extend action for each loan, within your EMI, lender and closure limits": "प्रत्येक कर्जासाठी सर्वोत्तम कृती — ठेवा / पूर्वफेड / हस्तांतर / एकत्रीकरण / मुदतवाढ — तुमच्या EMI, कर्जदाता आणि समाप्ती मर्यादेत",
+  "Convert CC/OD to Term Loan": "CC/OD चे मुदत कर्जात रूपांतर",
+  "Move the hard-core OD balance to a term loan and cut the limit": "OD ची कायमस्वरूपी थकबाकी मुदत कर्जात न्या आणि मर्यादा कमी करा",
+  "Monthly surplus for prepayment": "पूर्वफेडीसाठी मासिक अतिरिक्त रक्कम",
+  "Lump-sum prepayment now": "आत्ता एकरकमी पूर्वफेड",
+  "Balance transfer rate": "बॅलन्स ट्रान्सफर दर",
+  "% p.a.": "% वार्षिक",
+  "Transfer loans priced above": "यापेक्षा जास्त दराची कर्जे हस्तांतरित करा",
+  "Consolidation discount to weighted rate": "भारित दरावर एकत्रीकरण सवलत",
+  "% points": "% अंक",
+  "Consolidation rate floor": "एकत्रीकरण दराची किमान पातळी",
+  "Consolidated tenure vs longest loan": "सर्वात लांब कर्जाच्या तुलनेत एकत्रित मुदत",
+  "Tenure extension": "मुदतवाढ",
+  "Hybrid: maximum monthly EMI (0 = no cap)": "हायब्रिड: कमाल मासिक EMI (0 = मर्यादा नाही)",
+  "Hybrid: maximum number of lenders (0 = no limit)": "हायब्रिड: कमाल कर्जदाते (0 = मर्यादा नाही)",
+  "lenders": "कर्जदाते",
+  "Hybrid: close all term debt by": "हायब्रिड: सर्व मुदत कर्जे यापर्यंत बंद करा",
+  "month": "महिना",
+  "CC/OD term-out discount to OD rate": "CC/OD टर्म-आउटवर OD दरापेक्षा सवलत",
+  "Minimum CC/OD limit kept after term-out": "टर्म-आउटनंतर ठेवायची किमान CC/OD मर्यादा",
+  "% of limit": "मर्यादेच्या %",
+  "Refinanced loans float, resetting every (0 = fixed)": "पुनर्वित्त कर्जे फ्लोटिंग, रीसेट दर (0 = स्थिर)",
+  "months": "महिने",
+  "Lender minimum DSCR": "कर्जदात्याचा किमान DSCR",
+  "Lender maximum debt service to revenue": "महसुलाच्या तुलनेत कर्जदात्याची कमाल कर्जफेड",
+  "Discount rate (business cost of capital)": "सवलत दर (व्यवसायाचा भांडवली खर्च)",
+  "Proprietorship": "प्रोप्रायटरशिप",
+  "Slab rate": "स्लॅब दर",
+  "Partnership / LLP": "भागीदारी / LLP",
+  "Firm rate": "फर्म दर",
+  "Company": "कंपनी",
+  "Corporate rate": "कॉर्पोरेट दर",
+  "Executive summary": "कार्यकारी सारांश",
+  "Short — for the client": "थोडक्यात — ग्राहकासाठी",
+  "Detailed": "सविस्तर",
+  "Full analysis — for the banker": "संपूर्ण विश्लेषण — बँकरसाठी",
+  "Discounted savings (NPV)": "सवलतीतील बचत (NPV)",
+  "Prepay": "पूर्वफेड",
+  "Consolidate": "एकत्रीकरण",
+  "Net cash accruals": "निव्वळ रोख उपार्जन",
+  "Jan": "जाने.",
+  "Feb": "फेब्रु.",
+  "Mar": "मार्च",
+  "Apr": "एप्रि.",
+  "May": "मे",
+  "Jun": "जून",
+  "Jul": "जुलै",
+  "Aug": "ऑग.",
+  "Sep": "सप्टें.",
+  "Oct": "ऑक्टो.",
+  "Nov": "नोव्हें.",
+  "Dec": "डिसें.",
+  "Amount / limit": "रक्कम / मर्यादा",
+  "Tenure": "मुदत",
+  "EMIs paid": "भरलेले EMI",
+  "Utilization": "वापर",
+  "Auto (₹, or L / Cr suffix)": "स्वयं (₹, किंवा L / Cr प्रत्यय)",
+  "Rupees": "रुपये",
+  "Lakh": "लाख",
+  "Crore": "कोटी",
+  "Loan type / product": "कर्ज प्रकार / उत्पादन",
+  "Lender / bank": "कर्जदाता / बँक",
+  "Sanctioned amount / limit": "मंजूर रक्कम / मर्यादा",
+  "Outstanding balance": "थकबाकी रक्कम",
+  "Interest rate (% p.a.)": "व्याजदर (% वार्षिक)",
+  "Tenure (months)": "मुदत (महिने)",
+  "Sanction / disbursement date": "मंजुरी / वितरण तारीख",
+  "Utilization (%)": "वापर (%)",
+  "Renewal charge (% of limit)": "नूतनीकरण शुल्क (मर्यादेच्या %)",
+  "Foreclosure penalty (%)": "फोरक्लोजर दंड (%)",
+  "Processing fee (%)": "प्रक्रिया शुल्क (%)",
+  "Stamp duty (₹)": "मुद्रांक शुल्क (₹)",
+  "Legal & valuation (₹)": "कायदेशीर आणि मूल्यांकन (₹)",
+  "added": "जोडले",
+  "changed": "बदलले",
+  "removed": "काढले",
+  "Keep": "ठेवा",
+  "Transfer": "हस्तांतर",
+  "Extend": "मुदतवाढ",
+  "Import": "आयात करा",
+  "Export JSON": "JSON निर्यात करा",
+  "Brand Colour": "ब्रँड रंग",
+  "Accent Colour": "पूरक रंग",
+  "Firm Name": "फर्मचे नाव",
+  "Practising As": "या नात्याने व्यवसाय",
+  "ICAI Firm Registration No. (FRN)": "ICAI फर्म नोंदणी क्र. (FRN)",
+  "Address": "पत्ता",
+  "Phone / Email": "फोन / ईमेल",
+  "Signing Partner": "स्वाक्षरी करणारे भागीदार",
+  "Designation": "पद",
+  "ICAI Membership No.": "ICAI सभासद क्र.",
+  "Share": "शेअर करा",
+  "Passphrase (optional)": "पासफ्रेज (ऐच्छिक)",
+  "Passphrase": "पासफ्रेज",
+  "Copy link": "लिंक कॉपी करा",
+  "Locked link copied — send the passphrase separately, not in the same chat.": "लॉक केलेली लिंक कॉपी झाली — पासफ्रेज वेगळा पाठवा, त्याच चॅटमध्ये नको.",
+  "Link copied. Anyone with it can see these loans.": "लिंक कॉपी झाली. ही लिंक असलेला कोणीही ही कर्जे पाहू शकतो.",
+  "Copy the link below.": "खालील लिंक कॉपी करा.",
+  "The analysis is packed into the link itself — nothing is uploaded. Add a passphrase to encrypt it.": "विश्लेषण लिंकमध्येच असते — काहीही अपलोड होत नाही. ते एन्क्रिप्ट करण्यासाठी पासफ्रेज जोडा.",
+  "This shared analysis is locked": "हे शेअर केलेले विश्लेषण लॉक आहे",
+  "Enter the passphrase you were given to open it.": "ते उघडण्यासाठी तुम्हाला दिलेला पासफ्रेज लिहा.",
+  "Cancel": "रद्द करा",
+  "Could not open the shared analysis: {error}": "शेअर केलेले विश्लेषण उघडता आले नाही: {error}",
+  "This browser cannot create share links": "हा ब्राउझर शेअर लिंक तयार करू शकत नाही",
+  "This is not a share link": "ही शेअर लिंक नाही",
+  "The link is incomplete — it may have been cut off when it was sent": "लिंक अपूर्ण आहे — पाठवताना कदाचित तुटली",
+  "Wrong passphrase, or the link is incomplete": "चुकीचा पासफ्रेज, किंवा लिंक अपूर्ण आहे",
+  "This link was made by a newer version of the app": "ही लिंक ॲपच्या नव्या आवृत्तीने तयार केली आहे",
+  "The link has no loans in it": "या लिंकमध्ये कोणतेही कर्ज नाही",
+  "Level EMI": "समान ईएमआय",
+  "Moratorium, then EMI": "मोरेटोरियम, नंतर ईएमआय",
+  "Step-up / step-down EMI": "स्टेप-अप / स्टेप-डाउन ईएमआय",
+  "Balloon final payment": "अंतिम बलून भरणा",
+  "Bullet repayment": "बुलेट परतफेड",
+  "Moratorium + Capitalized Interest": "मोरेटोरियम + भांडवलीकृत व्याज",
+  "Pause term-loan EMIs, add the interest to the loan and extend the tenure to match": "टर्म लोनचे ईएमआय थांबवा, व्याज कर्जात जोडा आणि मुदत तेवढीच वाढवा",
+  "Step-Up EMI": "स्टेप-अप ईएमआय",
+  "Lower EMIs now that rise every year as the business grows": "आता कमी ईएमआय, जो व्यवसाय वाढेल तसा दरवर्षी वाढतो",
+  "Balloon Repayment": "बलून परतफेड",
+  "Lower EMIs, with part of the principal left for one final payment": "कमी ईएमआय, मुद्दलाचा काही भाग एका अंतिम भरण्यासाठी",
+  "Interest-Only + Bullet": "फक्त व्याज + बुलेट",
+  "Pay only interest and repay the principal in one go at the end": "फक्त व्याज भरा आणि मुद्दल शेवटी एकरकमी परत करा",
+  "Moratorium granted on term loans": "टर्म लोनवर दिलेले मोरेटोरियम",
+  "Step-up EMI: yearly change (negative = step-down)": "स्टेप-अप ईएमआय: वार्षिक बदल (ऋण = स्टेप-डाउन)",
+  "Balloon: principal left for the final payment": "बलून: अंतिम भरण्यासाठी ठेवलेले मुद्दल",
+  "{months}-month moratorium, interest capitalized": "{months} महिन्यांचे मोरेटोरियम, व्याज भांडवलीकृत",
+  "{months}-month moratorium, interest paid monthly": "{months} महिन्यांचे मोरेटोरियम, व्याज मासिक भरले",
+  "EMI steps up {pct}% every {months} months": "ईएमआय दर {months} महिन्यांनी {pct}% वाढतो",
+  "EMI steps down {pct}% every {months} months": "ईएमआय दर {months} महिन्यांनी {pct}% कमी होतो",
+  "{pct}% balloon in the last month": "शेवटच्या महिन्यात {pct}% बलून",
+  "Bullet — interest and principal at maturity": "बुलेट — व्याज आणि मुद्दल मुदतपूर्तीला",
+  "Bullet — interest monthly, principal at maturity": "बुलेट — व्याज मासिक, मुद्दल मुदतपूर्तीला",
+  "{months}-month moratorium on {count} term loan(s), interest added to the loan and tenure extended to match — no EMI until month {resume}, then {after}/month": "{count} टर्म लोनवर {months} महिन्यांचे मोरेटोरियम, व्याज कर्जात जोडले आणि मुदत तेवढी वाढवली — महिना {resume} पर्यंत ईएमआय नाही, नंतर {after}/महिना",
+  "Step-up EMIs on {count} term loan(s): {emi}/month in year one, rising {pct}% a year": "{count} टर्म लोनवर स्टेप-अप ईएमआय: पहिल्या वर्षी {emi}/महिना, दरवर्षी {pct}% वाढणारा",
+  "Step-down EMIs on {count} term loan(s): {emi}/month in year one, falling {pct}% a year": "{count} टर्म लोनवर स्टेप-डाउन ईएमआय: पहिल्या वर्षी {emi}/महिना, दरवर्षी {pct}% कमी होणारा",
+  "{pct}% of {count} term loan(s) ({amount}) left for one final payment — {emi}/month until then": "{count} टर्म लोनचा {pct}% ({amount}) एका अंतिम भरण्यासाठी — तोपर्यंत {emi}/महिना",
+  "Interest only on {count} term loan(s) — {emi}/month — and the {amount} principal repaid in one go at the end": "{count} टर्म लोनवर फक्त व्याज — {emi}/महिना — आणि {amount} मुद्दल शेवटी एकरकमी",
+  "Repayment Profile": "परतफेड प्रोफाइल",
+  "Average monthly payment in each year from today, including prepayments and any final balloon or bullet payment, so each strategy shows when it needs cash as well as what it costs.": "आजपासून दरवर्षीचा सरासरी मासिक भरणा, पूर्वफेड आणि अंतिम बलून किंवा बुलेट भरण्यासह — म्हणजे प्रत्येक धोरण रोख कधी लागते आणि खर्च किती हे दाखवते.",
+  "Year {year}": "वर्ष {year}",
+  "Total Interest & Charges": "एकूण व्याज आणि शुल्क",
+  "Repayment": "परतफेड",
+  "Moratorium (months)": "मोरेटोरियम (महिने)",
+  "Interest During Moratorium": "मोरेटोरियम दरम्यान व्याज",
+  "Added to the loan": "कर्जात जोडले",
+  "Paid monthly": "मासिक भरले",
+  "EMI Change per Step (%)": "प्रत्येक स्टेपला ईएमआय बदल (%)",
+  "Step Every (months)": "प्रत्येक स्टेप (महिने)",
+  "Balloon (% of amount)": "बलून (रकमेचा %)",
+  "Paid at maturity": "मुदतपूर्तीला भरले",
+  "Tenure includes any moratorium. EMIs Paid counts every month since sanction, so a running loan picks up its structure where it is today.": "मुदतीत मोरेटोरियम समाविष्ट आहे. भरलेल्या ईएमआयमध्ये मंजुरीपासून प्रत्येक महिना मोजला जातो, म्हणजे चालू कर्ज आपली रचना आज जिथे आहे तिथून पुढे नेते.",
+  "Cash-Flow Profile": "कॅश-फ्लो प्रोफाइल",
+  "Change": "बदल",
+  "Average monthly payment in each year, prepayments and final balloon or bullet payments included.": "दरवर्षीचा सरासरी मासिक भरणा, पूर्वफेड आणि अंतिम बलून किंवा बुलेट भरण्यासह.",
+  "unknown repayment structure \"{repayment}\"": "अज्ञात परतफेड रचना \"{repayment}\"",
+  "{note}; locked in for {months} more months": "{note}; आणखी {months} महिने लॉक-इनमध्ये",
+  "locked in for {months} more months": "आणखी {months} महिने लॉक-इनमध्ये",
+  "stays with the sanctioning bank": "मंजुरी देणाऱ्या बँकेकडेच राहते",
+  "NCGTC guarantee stays with the sanctioning bank": "NCGTC हमी मंजुरी देणाऱ्या बँकेकडेच राहते",
+  "margin-money subsidy is forfeited if closed within 3 years": "3 वर्षांत बंद केल्यास मार्जिन-मनी अनुदान जप्त होते",
+  "secured by the lending bank's own deposit": "कर्ज देणाऱ्या बँकेच्या स्वतःच्या ठेवीवर सुरक्षित",
+  "Loan Against Property": "मालमत्तेवरील कर्ज",
+  "Gold Loan": "सोने तारण कर्ज",
+  "ECLGS Loan": "ECLGS कर्ज",
+  "CGTMSE-Covered Loan": "CGTMSE-संरक्षित कर्ज",
+  "PMEGP Loan": "PMEGP कर्ज",
+  "Stand-Up India": "स्टँड-अप इंडिया",
+  "Loan Against FD": "FD वरील कर्ज",
+  "No loan in the portfolio can move to a new lender": "पोर्टफोलिओतील कोणतेही कर्ज नव्या कर्जदात्याकडे जाऊ शकत नाही",
+  " — kept as they are: {loans}": " — आहेत तशीच ठेवली: {loans}",
+  "loan type has no id": "कर्ज प्रकाराला id नाही",
+  "\"{type}\" is a built-in loan type": "\"{type}\" हा अंगभूत कर्ज प्रकार आहे",
+  "loan type has no name": "कर्ज प्रकाराला नाव नाही",
+  "repayment nature must be amortizing or revolving": "परतफेडीचा प्रकार हप्त्यांचा किंवा रिव्हॉल्व्हिंग असावा",
+  "Guarantee fee (% a year)": "हमी शुल्क (% प्रति वर्ष)",
+  "Guarantee Fee (% a year)": "हमी शुल्क (% प्रति वर्ष)",
+  "Guarantee fee": "हमी शुल्क",
+  "Usual Rate (% p.a.)": "नेहमीचा दर (% वार्षिक)",
+  "Usual Tenure (months)": "नेहमीची मुदत (महिने)",
+  "Usual Amount (₹)": "नेहमीची रक्कम (₹)",
+  "Loan Types": "कर्ज प्रकार",
+  "{builtIn} built in, {custom} of your own": "{builtIn} अंगभूत, {custom} तुमचे स्वतःचे",
+  "Amortizing": "हप्त्यांचे",
+  "Edit": "संपादित करा",
+  "A loan in the portfolio uses this type": "पोर्टफोलिओतील एक कर्ज या प्रकारचे आहे",
+  "New loan type": "नवा कर्ज प्रकार",
+  "Name": "नाव",
+  "Icon": "चिन्ह",
+  "Repaid As": "परतफेडीची पद्धत",
+  "Other Lenders": "इतर कर्जदाते",
+  "Can take it over": "ते घेऊ शकतात",
+  "Cannot — stays with the sanctioning bank": "नाही — मंजुरी देणाऱ्या बँकेकडेच राहते",
+  "Lock-in (EMIs)": "लॉक-इन (EMI)",
+  "Why (for the report)": "का (अहवालासाठी)",
+  "Statement keywords, comma-separated": "स्टेटमेंटमधील कीवर्ड, स्वल्पविरामाने वेगळे",
+  "Save type": "प्रकार जतन करा",
+  "Could not save the loan types in this browser: {error}": "या ब्राउझरमध्ये कर्ज प्रकार जतन करता आले नाहीत: {error}",
+  "Saved in this browser. Exported files and share links carry the types their loans use. A lock-in bars prepaying or moving the loan until that many EMIs are paid.": "या ब्राउझरमध्ये जतन केले. निर्यात फाइल्स आणि शेअर लिंक त्यांच्या कर्जांचे प्रकार सोबत नेतात. लॉक-इनमध्ये तेवढे EMI भरेपर्यंत कर्जाची आगाऊ परतफेड किंवा हस्तांतरण करता येत नाही.",
+  "Cannot move to another lender: {reason}": "दुसऱ्या कर्जदात्याकडे जाऊ शकत नाही: {reason}",
+  "Cannot be prepaid or moved yet: {reason}": "अद्याप आगाऊ परतफेड किंवा हस्तांतरण करता येत नाही: {reason}",
+  ", {fee}% a year guarantee fee": ", {fee}% वार्षिक हमी शुल्क",
+  "A guarantee fee (CGTMSE and similar) is paid each year on the outstanding and ends when the loan moves to a new lender.": "हमी शुल्क (CGTMSE इ.) दरवर्षी थकबाकीवर भरले जाते आणि कर्ज नव्या कर्जदात्याकडे गेल्यावर बंद होते.",
+  "Offer at {rate}%": "{rate}% ची ऑफर",
+  "{loan} (balance kept)": "{loan} (उर्वरित रक्कम तिथेच)",
+  "{lender} {amount} at {rate}%": "{lender} {amount} @ {rate}%",
+  "Consolidated Loan — {lender}": "एकत्रित कर्ज — {lender}",
+  "{loan} → {lender}": "{loan} → {lender}",
+  "new lender": "नवीन कर्जदाता",
+  "offer limits": "ऑफरच्या मर्यादा",
+  "{from}% → {to}% with {lender}": "{from}% → {to}%, {lender} कडे",
+  " with {lender}": ", {lender} कडे",
+  "None of the lender offers takes these loans": "कोणतीही कर्जदात्याची ऑफर ही कर्जे घेत नाही",
+  "Consolidate {count} loans with {lender} at {rate}% (vs weighted avg {weighted}%) — simpler compliance, one EMI": "{count} कर्जे {lender} कडे {rate}% वर एकत्र करा (भारित सरासरी {weighted}% च्या तुलनेत) — सोपे अनुपालन, एक EMI",
+  "; the offer does not take {loans}": "; ऑफर {loans} घेत नाही",
+  "Move {count} loan(s) to {lenders} lender(s): {placements}": "{count} कर्जे {lenders} कर्जदात्यांकडे हलवा: {placements}",
+  "No lender offer beats the current rates": "कोणतीही कर्जदात्याची ऑफर सध्याच्या दरांपेक्षा चांगली नाही",
+  "Lender Offer Comparison": "कर्जदाता ऑफर तुलना",
+  "{lender} wins by {amount} over {runnerUp} ({ranking}, each offer taken alone).": "{lender} {runnerUp} पेक्षा {amount} ने पुढे आहे ({ranking}, प्रत्येक ऑफर स्वतंत्रपणे).",
+  "{lender} is the only offer: {amount} by {strategy}.": "{lender} ही एकमेव ऑफर आहे: {strategy} ने {amount}.",
+  "Processing Fee": "प्रोसेसिंग शुल्क",
+  "Tenure Cap": "मुदत मर्यादा",
+  "Max Amount": "कमाल रक्कम",
+  "Consolidation": "एकत्रीकरण",
+  "{count} lender offer(s) over their maximum or not taking the loans": "{count} कर्जदाता ऑफर कमाल मर्यादेपेक्षा जास्त किंवा कर्जे न घेणाऱ्या",
+  "{lender} wins by {amount} over {runnerUp}.": "{lender} {runnerUp} पेक्षा {amount} ने पुढे आहे.",
+  "{lender} is the only offer.": "{lender} ही एकमेव ऑफर आहे.",
+  "Balance Transfer and Consolidation in the strategy list use every offer together, splitting loans across lenders where that pays.": "धोरण यादीतील बॅलन्स ट्रान्सफर आणि एकत्रीकरण सर्व ऑफर एकत्र वापरतात, आणि जिथे फायदा असेल तिथे कर्जे अनेक कर्जदात्यांमध्ये विभागतात.",
+  "Lender Offers": "कर्जदाता ऑफर",
+  "Rate (%)": "दर (%)",
+  "Max Tenure (months)": "कमाल मुदत (महिने)",
+  "Max Amount (₹)": "कमाल रक्कम (₹)",
+  "Balance transfer and consolidation are priced on these offers instead of the assumed rates.": "बॅलन्स ट्रान्सफर आणि एकत्रीकरण गृहीत दरांऐवजी या ऑफरवर मोजले जातात.",
+  "Add the quotes you have in hand to price balance transfer and consolidation on them.": "बॅलन्स ट्रान्सफर आणि एकत्रीकरण त्यावर मोजण्यासाठी हातातील कोटेशन जोडा.",
+  "Bank or NBFC": "बँक किंवा NBFC",
+  "Takes:": "घेते:",
+  "any loan": "कोणतेही कर्ज",
+  "Add offer": "ऑफर जोडा",
+  "What-if & Sensitivity": "जर-तर आणि संवेदनशीलता",
+  "Undo what-ifs": "बदल मागे घ्या",
+  "Re-run sensitivity": "संवेदनशीलता पुन्हा चालवा",
+  "Run sensitivity": "संवेदनशीलता चालवा",
+  "Inputs have changed since this run": "या रननंतर इनपुट बदलले आहेत",
+  "{strategy} at {value}": "{value} वर {strategy}",
+  "{strategy} below {value}": "{value} च्या खाली {strategy}",
+  "{strategy} above {value}": "{value} च्या वर {strategy}",
+  "{strategy}: {amount} today. Each bar shows where it goes when one input moves a step either way; the ends are labelled with that input's value.": "{strategy}: आज {amount}. प्रत्येक पट्टी दाखवते की एक इनपुट एक पाऊल वर किंवा खाली गेल्यास ते कुठे जाते; टोकांवर त्या इनपुटचे मूल्य लिहिले आहे.",
+  "Best flips: {flips}": "सर्वोत्तम बदलते: {flips}",
+  "Flip points are where another strategy overtakes {strategy} as that one input moves across its slider range.": "बदल बिंदू ते आहेत जिथे ते एक इनपुट स्लायडरच्या मर्यादेत हलताना दुसरे धोरण {strategy} ला मागे टाकते.",
+  "{strategy} stays the best strategy across every slider's range, one input at a time.": "एका वेळी एक इनपुट बदलल्यास प्रत्येक स्लायडरच्या संपूर्ण मर्यादेत {strategy} हेच सर्वोत्तम धोरण राहते.",
+  "Hybrid Optimal keeps today's per-loan plan throughout.": "हायब्रिड ऑप्टिमल संपूर्ण वेळ आजची कर्ज-निहाय योजना ठेवते.",
+  "Plan held as chosen": "योजना निवडल्याप्रमाणे ठेवली",
+  "{loan} rate": "{loan} दर",
+  "{loan} tenure": "{loan} मुदत",
+  "Over Time": "कालानुसार",
+  "Outstanding debt — current plan and every strategy": "थकीत कर्ज — सध्याची योजना आणि प्रत्येक धोरण",
+  "Current plan": "सध्याची योजना",
+  "{count} other loans": "{count} इतर कर्जे",
+  "Monthly EMI by loan — {strategy}": "कर्जनिहाय मासिक EMI — {strategy}",
+  "Cumulative interest & costs — {strategy} vs current plan": "एकत्रित व्याज व खर्च — {strategy} विरुद्ध सध्याची योजना",
+  "Break-even: month {month}": "ब्रेक-ईव्हन: महिना {month}",
+  "vs": "विरुद्ध",
+  "Swap": "अदलाबदल",
+  "Interest Difference": "व्याज फरक",
+  "Per-loan interest is before tax and comes from each plan's schedules; a consolidated loan is shared out by what each loan brought in. Switching costs only exist for the plan as a whole.": "कर्जनिहाय व्याज करपूर्व आहे आणि प्रत्येक योजनेच्या वेळापत्रकातून घेतले आहे; एकत्रित कर्ज प्रत्येक कर्जाच्या वाट्याच्या प्रमाणात विभागले आहे. स्विचिंग खर्च फक्त संपूर्ण योजनेसाठी असतो.",
+  "Custom Scenarios": "सानुकूल परिस्थिती",
+  "Spell out your own plan loan by loan — a new rate or tenure, a part-prepayment in a given month, a move to another lender, a CC/OD termed out. Leave a box blank to keep that term. Named scenarios are ranked with the strategies and appear in the report.": "कर्जनिहाय तुमची योजना तयार करा — नवा दर किंवा मुदत, एखाद्या महिन्यात अंशतः पूर्वफेड, दुसऱ्या कर्जदात्याकडे जाणे, CC/OD मुदत कर्जात बदलणे. एखादी अट तशीच ठेवण्यासाठी रकाना रिकामा सोडा. नाव असलेल्या परिस्थिती धोरणांसोबत क्रमवारीत येतात आणि अहवालात दिसतात.",
+  "Scenario name": "परिस्थितीचे नाव",
+  "{name} (copy)": "{name} (प्रत)",
+  "Duplicate": "प्रत करा",
+  "Another scenario already has this name — only the first one is ranked": "या नावाची दुसरी परिस्थिती आहे — फक्त पहिलीच क्रमवारीत येते",
+  "Name the scenario to rank it": "क्रमवारीसाठी परिस्थितीला नाव द्या",
+  "Move to Lender": "कर्जदाता बदला",
+  "Same lender": "तोच कर्जदाता",
+  "Term out": "मुदत कर्ज करा",
+  "My plan {n}": "माझी योजना {n}",
+  "New Rate (%)": "नवा दर (%)",
+  "Months Left": "उरलेले महिने",
+  "Prepay (₹)": "पूर्वफेड (₹)",
+  "In Month": "महिन्यात",
+  "Side by Side — Loan by Loan": "शेजारी शेजारी — कर्जनिहाय",
+  "drawn balance moved to {lender} as a term loan at {rate}% over {months} months": "वापरलेली रक्कम {lender} कडे {rate}% दराने {months} महिन्यांचे मुदत कर्ज म्हणून",
+  "drawn balance termed out at {rate}% over {months} months": "वापरलेली रक्कम {rate}% दराने {months} महिन्यांच्या मुदत कर्जात",
+  "moved to {lender} at {rate}%": "{lender} कडे {rate}% दराने",
+  "moved to {lender} at {rate}% over {months} months": "{lender} कडे {rate}% दराने {months} महिन्यांसाठी",
+  "{loan} (new terms)": "{loan} (नव्या अटी)",
+  "rate {from}% → {to}%": "दर {from}% → {to}%",
+  "tenure {from} → {to} months": "मुदत {from} → {to} महिने",
+  "cannot move ({reason})": "हलवता येत नाही ({reason})",
+  "⚠ {lender}'s offer does not cover this loan type": "⚠ {lender} ची ऑफर या कर्ज प्रकाराला लागू नाही",
+  "no prepayment ({reason})": "पूर्वफेड नाही ({reason})",
+  "{amount} of the drawn balance repaid in month {month}": "वापरलेल्या रकमेपैकी {amount} महिना {month} मध्ये फेडले",
+  "closed with {amount} in month {month}": "महिना {month} मध्ये {amount} भरून बंद",
+  "{amount} prepaid in month {month}": "महिना {month} मध्ये {amount} ची पूर्वफेड",
+  "⚠ {lender} is asked for {amount}, above its maximum of {max}": "⚠ {lender} कडे {amount} मागितले, जे त्याच्या कमाल मर्यादा {max} पेक्षा जास्त आहे",
+  "Custom scenario — {changes}": "सानुकूल परिस्थिती — {changes}",
+  "Custom scenario with no changes — every loan stays as it is": "बदल नसलेली सानुकूल परिस्थिती — प्रत्येक कर्ज तसेच राहते",
+  "Your own scenario — an explicit action for each loan": "तुमची स्वतःची परिस्थिती — प्रत्येक कर्जासाठी स्पष्ट कृती",
+  "{ranking}: {value}, {amount} ahead of {strategy}.": "{ranking}: {value}, {strategy} पेक्षा {amount} पुढे.",
+  "{ranking}: {value}, {amount} behind {strategy}.": "{ranking}: {value}, {strategy} पेक्षा {amount} मागे.",
+  "{loan} at {rate}% ({share}% of it)": "{loan} {rate}% दराने (त्याचा {share}%)",
+  "{loan} at {rate}%": "{loan} {rate}% दराने",
+  "interest {amount}": "व्याज {amount}",
+  "prepaid {amount}": "पूर्वफेड {amount}",
+  "closes {month}": "{month} मध्ये बंद",
+  "Fix the fields marked in red to see this loan's EMI and interest": "या कर्जाचा EMI आणि व्याज पाहण्यासाठी लाल चिन्हांकित फील्ड दुरुस्त करा",
+  "Fix {count} problems before analysing": "विश्लेषणापूर्वी {count} समस्या दुरुस्त करा",
+  "Fix {count} problem before analysing": "विश्लेषणापूर्वी {count} समस्या दुरुस्त करा",
+  "Left Out of This Analysis": "या विश्लेषणातून वगळलेले",
+  "{extra} more interest + {costs} foreclosure, fees, GST, stamp duty & legal": "{extra} जास्त व्याज + {costs} फोरक्लोजर, शुल्क, GST, मुद्रांक शुल्क आणि कायदेशीर",
+  "amount must be below {max}": "रक्कम {max} पेक्षा कमी असावी",
+  "tenure must be whole months from {min} to {max}": "मुदत {min} ते {max} पूर्ण महिने असावी",
+  "each month's utilization must be 0–100%": "प्रत्येक महिन्याचा वापर 0–100% असावा",
+  "utilization must be 0–100%": "वापर 0–100% असावा",
+  "EMIs paid must be a whole number from 0 to the tenure": "भरलेले EMI 0 ते मुदतीपर्यंत पूर्ण संख्या असावी",
+  "moratorium must be whole months, shorter than the tenure": "मोरेटोरियम पूर्ण महिन्यांत आणि मुदतीपेक्षा कमी असावा",
+  "EMI change must be above −100%": "EMI बदल −100% पेक्षा जास्त असावा",
+  "step interval must be at least 1 month": "स्टेप अंतर किमान 1 महिना असावे",
+  "balloon must be 0–99% of the amount": "बलून रकमेच्या 0–99% असावा",
+  "reset interval must be at least 1 month": "रीसेट अंतर किमान 1 महिना असावे",
+  "{charge} cannot be negative": "{charge} ऋण असू शकत नाही",
+  "foreclosure charge": "फोरक्लोजर शुल्क",
+  "processing fee": "प्रोसेसिंग शुल्क",
+  "stamp duty": "मुद्रांक शुल्क",
+  "legal charges": "कायदेशीर शुल्क",
+  "guarantee fee": "हमी शुल्क",
+  "renewal charge": "नूतनीकरण शुल्क",
+  "{error}, {value} used": "{error}, {value} वापरले",
+  "already repaid, nothing left to restructure": "आधीच फेडले, पुनर्रचनेसाठी काहीच उरले नाही",
+  "Every loan is already repaid — nothing left to restructure": "प्रत्येक कर्ज आधीच फेडले आहे — पुनर्रचनेसाठी काहीच उरले नाही",
+  "No loan left to restructure": "पुनर्रचनेसाठी कोणतेही कर्ज उरले नाही",
+  "missing": "दिलेले नाही",
+  "must be a whole number": "पूर्ण संख्या असावी",
+  "cannot be below {min}": "{min} पेक्षा कमी असू शकत नाही",
+  "must be from {min} to {max}": "{min} ते {max} दरम्यान असावे",
+  "{strategy} stays the best strategy across the slider range of each of the {n} inputs with the widest swing, one input at a time.": "एका वेळी एक इनपुट बदलल्यास सर्वाधिक परिणाम करणाऱ्या {n} इनपुटपैकी प्रत्येकाच्या स्लायडरच्या संपूर्ण मर्यादेत {strategy} हेच सर्वोत्तम धोरण राहते.",
+  "Only the {n} inputs with the widest swing are searched for flips.": "फ्लिप फक्त सर्वाधिक परिणाम करणाऱ्या {n} इनपुटमध्ये शोधले जातात.",
+  "not a number": "संख्या नाही",
+  "Offer {n}": "ऑफर {n}",
+  "usual terms missing or out of range": "नेहमीच्या अटी रिकाम्या किंवा मर्यादेबाहेर आहेत",
+};
@@ -0,0 +1,202 @@
+// ─── PDF Writer ───
+// A small PDF 1.4 writer for the client report: A4 pages, the built-in Helvetica faces and vector
+// shapes, all in the browser. No font is embedded, so text is limited to Windows-1252; anything
+// outside it (₹, arrows, emoji) is spelled out or dropped by pdfText().
+// Coordinates are in points from the top-left corner of the page; text y is the baseline.
+
+export const A4 = { width: 595.28, height: 841.89 };
+
+// Advance widths per 1000 em for characters 32–126 (Adobe core font metrics)
+const HELVETICA = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+// Windows-1252 bytes 0x80–0x9F that differ from Latin-1, with their widths
+const WIN_ANSI = {
+  "€": [0x80, 556], "‚": [0x82, 222], "„": [0x84, 333], "…": [0x85, 1000], "‘": [0x91, 222], "’": [0x92, 222],
+  "“": [0x93, 333], "”": [0x94, 333], "•": [0x95, 350], "–": [0x96, 556], "—": [0x97, 1000], "™": [0x99, 1000],
+};
+const WIN_ANSI_WIDTH = Object.fromEntries(Object.values(WIN_ANSI).map(([code, w]) => [code, w]));
+const SUBSTITUTES = {
+  "₹": "Rs.", "−": "-", "→": "->", "←": "<-", "↑": "+", "↓": "-", "≥": ">=", "≤": "<=", "≈": "~",
+  "⭐": "*", "⚠": "!", "✓": "", "✔": "",
+};
+
+// Any string → the Windows-1252 byte string Helvetica can show
+export function pdfText(value) {
+  let out = "";
+  for (const ch of String(value ?? "")) {
+    const code = ch.codePointAt(0);
+    if (code === 0xFE0F || code === 0x200D) continue;
+    if (ch === "\n" || ch === "\t") out += " ";
+    else if (code >= 32 && code <= 126) out += ch;
+    else if (WIN_ANSI[ch]) out += String.fromCharCode(WIN_ANSI[ch][0]);
+    else if (code >= 0xA0 && code <= 0xFF) out += ch;
+    else if (ch in SUBSTITUTES) out += SUBSTITUTES[ch];
+    else if (code > 0xFFFF) continue;
+    else out += "?";
+  }
+  return out;
+}
+
+const charWidth = (code, bold) => {
+  if (code >= 32 && code <= 126) return (bold ? HELVETICA_BOLD : HELVETICA)[code - 32];
+  if (WIN_ANSI_WIDTH[code]) return WIN_ANSI_WIDTH[code];
+  return code === 0xD7 ? 584 : 556;
+};
+
+export function textWidth(text, size, bold = false) {
+  const s = pdfText(text);
+  let w = 0;
+  for (let i = 0; i < s.length; i++) w += charWidth(s.charCodeAt(i), bold);
+  return w * size / 1000;
+}
+
+// Greedy word wrap at ordinary spaces — a no-break space (\u00a0) keeps "↓ ₹1,000" together;
+// a word longer than the line is broken where it overflows
+export function wrapText(text, width, size, bold = false) {
+  const lines = [];
+  let line = "";
+  for (const word of String(text ?? "").split(/[ \t\n]+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (textWidth(candidate, size, bold) <= width) { line = candidate; continue; }
+    if (line) lines.push(line);
+    line = word;
+    while (textWidth(line, size, bold) > width && line.length > 1) {
+      let cut = line.length - 1;
+      while (cut > 1 && textWidth(line.slice(0, cut), size, bold) > width) cut--;
+      lines.push(line.slice(0, cut));
+      line = line.slice(cut);
+    }
+  }
+  if (line || lines.length === 0) lines.push(line);
+  return lines;
+}
+
+const num = (n) => (Math.round(n * 100) / 100).toString();
+
+function rgb(hex) {
+  const h = hex.replace("#", "");
+  const full = h.length === 3 ? h.split("").map(c => c + c).join("") : h;
+  return [0, 2, 4].map(i => num(parseInt(full.slice(i, i + 2), 16) / 255)).join(" ");
+}
+
+const escapeString = (s) => s.replace(/[\\()]/g, c => `\\${c}`)
+  .replace(/[\x80-\xff]/g, c => `\\${c.charCodeAt(0).toString(8).padStart(3, "0")}`);
+
+function createPage(height) {
+  const ops = [];
+  const Y = (y) => num(height - y);
+  const paint = ({ fill, stroke, width = 0.5, dash }) => {
+    if (stroke) ops.push(`${rgb(stroke)} RG ${num(width)} w ${dash ? `[${dash.join(" ")}] 0 d` : "[] 0 d"}`);
+    if (fill) ops.push(`${rgb(fill)} rg`);
+    return fill && stroke ? "B" : fill ? "f" : "S";
+  };
+  return {
+    ops,
+    text(x, y, value, { size = 10, bold = false, color = "#000000", align = "left" } = {}) {
+      const s = pdfText(value);
+      const w = align === "left" ? 0 : textWidth(s, size, bold);
+      const left = align === "right" ? x - w : align === "center" ? x - w / 2 : x;
+      ops.push(`BT /${bold ? "F2" : "F1"} ${num(size)} Tf ${rgb(color)} rg ${num(left)} ${Y(y)} Td (${escapeString(s)}) Tj ET`);
+    },
+    rect(x, y, w, h, { radius = 0, ...style } = {}) {
+      const op = paint(style);
+      if (!radius) return ops.push(`${num(x)} ${Y(y + h)} ${num(w)} ${num(h)} re ${op}`);
+      // Rounded corners as cubic Béziers; control points sit 0.448r from each corner
+      const r = Math.min(radius, w / 2, h / 2), k = r * 0.448;
+      ops.push([
+        `${num(x + r)} ${Y(y)} m`, `${num(x + w - r)} ${Y(y)} l`,
+        `${num(x + w - k)} ${Y(y)} ${num(x + w)} ${Y(y + k)} ${num(x + w)} ${Y(y + r)} c`,
+        `${num(x + w)} ${Y(y + h - r)} l`,
+        `${num(x + w)} ${Y(y + h - k)} ${num(x + w - k)} ${Y(y + h)} ${num(x + w - r)} ${Y(y + h)} c`,
+        `${num(x + r)} ${Y(y + h)} l`,
+        `${num(x + k)} ${Y(y + h)} ${num(x)} ${Y(y + h - k)} ${num(x)} ${Y(y + h - r)} c`,
+        `${num(x)} ${Y(y + r)} l`,
+        `${num(x)} ${Y(y + k)} ${num(x + k)} ${Y(y)} ${num(x + r)} ${Y(y)} c`,
+        `h ${op}`,
+      ].join(" "));
+    },
+    line(x1, y1, x2, y2, { color = "#000000", width = 0.5, dash } = {}) {
+      paint({ stroke: color, width, dash });
+      ops.push(`${num(x1)} ${Y(y1)} m ${num(x2)} ${Y(y2)} l S`);
+    },
+    // An image added with doc.addImage(), stretched to w × h
+    image(name, x, y, w, h) {
+      ops.push(`q ${num(w)} 0 0 ${num(h)} ${num(x)} ${Y(y + h)} cm /${name} Do Q`);
+    },
+    polyline(points, { color, width = 1, fill, close = false, dash } = {}) {
+      if (points.length < 2) return;
+      const op = paint({ stroke: color, fill, width, dash });
+      ops.push(`${points.map(([x, y], i) => `${num(x)} ${Y(y)} ${i ? "l" : "m"}`).join(" ")}${close || fill ? " h" : ""} ${op}`);
+    },
+  };
+}
+
+// const doc = createPDF({ title }); const page = doc.addPage(); page.text(...); doc.toBytes()
+export function createPDF({ title = "", author = "", size = A4 } = {}) {
+  const pages = [];
+  const images = [];
+  return {
+    size,
+    pages,
+    addPage() {
+      const page = createPage(size.height);
+      pages.push(page);
+      return page;
+    },
+    // Baseline JPEG bytes (e.g. from canvas.toDataURL("image/jpeg")); returns the name for page.image()
+    addImage(jpeg, width, height) {
+      images.push({ name: `Im${images.length + 1}`, jpeg, width, height });
+      return images[images.length - 1].name;
+    },
+    toBytes() {
+      const objects = [];
+      const add = (body) => objects.push(body);
+      const catalog = add(null), pagesRoot = add(null);
+      const regular = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+      const bold = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+      const stamp = new Date().toISOString().replace(/[-:T]/g, "").slice(0, 14);
+      const info = add(`<< /Title (${escapeString(pdfText(title))}) /Author (${escapeString(pdfText(author))}) /Producer (LoanRestructure Pro) /CreationDate (D:${stamp}Z) >>`);
+      const xobjects = images.map(img => {
+        let data = "";
+        for (let i = 0; i < img.jpeg.length; i++) data += String.fromCharCode(img.jpeg[i]);
+        return `/${img.name} ${add(`<< /Type /XObject /Subtype /Image /Width ${img.width} /Height ${img.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${data.length} >>\nstream\n${data}\nendstream`)} 0 R`;
+      });
+      const resources = `<< /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >>${images.length ? ` /XObject << ${xobjects.join(" ")} >>` : ""} >>`;
+      const kids = pages.map(page => {
+        const stream = page.ops.join("\n");
+        const content = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+        return add(`<< /Type /Page /Parent ${pagesRoot} 0 R /MediaBox [0 0 ${size.width} ${size.height}] /Resources ${resources} /Contents ${content} 0 R >>`);
+      });
+      objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesRoot} 0 R >>`;
+      objects[pagesRoot - 1] = `<< /Type /Pages /Kids [${kids.map(k => `${k} 0 R`).join(" ")}] /Count ${kids.length} >>`;
+
+      // One character per byte throughout, so string offsets are byte offsets
+      let out = "%PDF-1.4\n%\xe2\xe3\xcf\xd3\n";
+      const offsets = objects.map((body, i) => {
+        const at = out.length;
+        out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return at;
+      });
+      const xref = out.length;
+      out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10, "0")} 00000 n \n`).join("")}`;
+      out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+      const bytes = new Uint8Array(out.length);
+      for (let i = 0; i < out.length; i++) bytes[i] = out.charCodeAt(i);
+      return bytes;
+    },
+  };
+}
@@ -0,0 +1,90 @@
+// ─── Share Links ───
+// An analysis travels in the URL fragment, which the browser never sends to a server: the inputs as
+// JSON, deflated, then base64url. With a passphrase the deflated bytes are AES-GCM encrypted under a
+// PBKDF2 key first, so the link alone reveals nothing.
+//   #s=<data>  anyone with the link can open it
+//   #e=<data>  salt (16 bytes) + IV (12 bytes) + ciphertext; opening it asks for the passphrase
+
+export const SHARE_VERSION = 1;
+
+const PBKDF2_ITERATIONS = 250000;
+
+function toBase64Url(bytes) {
+  let s = "";
+  for (let i = 0; i < bytes.length; i++) s += String.fromCharCode(bytes[i]);
+  return btoa(s).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const s = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  const bytes = new Uint8Array(s.length);
+  for (let i = 0; i < s.length; i++) bytes[i] = s.charCodeAt(i);
+  return bytes;
+}
+
+async function pipe(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function deriveKey(passphrase, salt) {
+  return crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"])
+    .then(material => crypto.subtle.deriveKey(
+      { name: "PBKDF2", salt, iterations: PBKDF2_ITERATIONS, hash: "SHA-256" },
+      material, { name: "AES-GCM", length: 256 }, false, ["encrypt", "decrypt"],
+    ));
+}
+
+// "#s=…" or "#e=…" for the analysis; an empty passphrase gives an open link
+export async function encodeShareLink(analysis, passphrase = "") {
+  if (typeof CompressionStream === "undefined") throw new Error("This browser cannot create share links");
+  const json = JSON.stringify({ v: SHARE_VERSION, ...analysis });
+  const packed = await pipe(new TextEncoder().encode(json), new CompressionStream("deflate-raw"));
+  if (!passphrase) return `#s=${toBase64Url(packed)}`;
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const sealed = new Uint8Array(await crypto.subtle.encrypt({ name: "AES-GCM", iv }, await deriveKey(passphrase, salt), packed));
+  const out = new Uint8Array(salt.length + iv.length + sealed.length);
+  out.set(salt);
+  out.set(iv, salt.length);
+  out.set(sealed, salt.length + iv.length);
+  return `#e=${toBase64Url(out)}`;
+}
+
+// "open", "locked", or null when the fragment is not a share link
+export function shareLinkKind(hash) {
+  if (/^#s=[\w-]+$/.test(hash)) return "open";
+  if (/^#e=[\w-]+$/.test(hash)) return "locked";
+  return null;
+}
+
+export async function decodeShareLink(hash, passphrase = "") {
+  const kind = shareLinkKind(hash);
+  if (!kind) throw new Error("This is not a share link");
+  let packed;
+  try {
+    packed = fromBase64Url(hash.slice(3));
+  } catch {
+    throw new Error("The link is incomplete — it may have been cut off when it was sent");
+  }
+  if (kind === "locked") {
+    if (packed.length <= 28) throw new Error("The link is incomplete — it may have been cut off when it was sent");
+    try {
+      const key = await deriveKey(passphrase, packed.slice(0, 16));
+      packed = new Uint8Array(await crypto.subtle.decrypt({ name: "AES-GCM", iv: packed.slice(16, 28) }, key, packed.slice(28)));
+    } catch {
+      throw new Error("Wrong passphrase, or the link is incomplete");
+    }
+  }
+
+  let data;
+  try {
+    data = JSON.parse(new TextDecoder().decode(await pipe(packed, new DecompressionStream("deflate-raw"))));
+  } catch {
+    throw new Error("The link is incomplete — it may have been cut off when it was sent");
+  }
+  if (data.v > SHARE_VERSION) throw new Error("This link was made by a newer version of the app");
+  if (!data.inputs || !Array.isArray(data.inputs.loans)) throw new Error("The link has no loans in it");
+  return data;
+}
@@ -0,0 +1,137 @@
+// ─── Saved Portfolios ───
+// Client portfolios live in the browser's IndexedDB — nothing is sent anywhere.
+// Each client has dated versions; a version is a full snapshot of the inputs plus a short summary.
+
+const DB_NAME = "loan-restructure-pro";
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") return reject(new Error("IndexedDB is not available in this browser"));
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        db.createObjectStore("clients", { keyPath: "id" });
+        const versions = db.createObjectStore("versions", { keyPath: "id", autoIncrement: true });
+        versions.createIndex("clientId", "clientId");
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+const done = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+const committed = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+// One client per business name, ignoring case and spacing
+export const clientIdFor = (name) => (name || "").trim().toLowerCase().replace(/\s+/g, " ") || "unnamed client";
+
+export async function listClients() {
+  const db = await openDB();
+  const clients = await done(db.transaction("clients").objectStore("clients").getAll());
+  return clients.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+// Newest first
+export async function listVersions(clientId) {
+  const db = await openDB();
+  const versions = await done(db.transaction("versions").objectStore("versions").index("clientId").getAll(clientId));
+  return versions.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+}
+
+// Stores a new dated version of the client's inputs. When nothing has changed since the latest
+// version, that version is returned instead of saving a duplicate.
+export async function saveVersion(name, inputs, summary) {
+  const clientId = clientIdFor(name);
+  const [latest] = await listVersions(clientId);
+  if (latest && JSON.stringify(latest.inputs) === JSON.stringify(inputs)) return latest;
+
+  const db = await openDB();
+  const savedAt = new Date().toISOString();
+  const tx = db.transaction(["clients", "versions"], "readwrite");
+  const clients = tx.objectStore("clients");
+  const existing = await done(clients.get(clientId));
+  clients.put({ id: clientId, name: name.trim() || "Unnamed client", createdAt: existing?.createdAt ?? savedAt, updatedAt: savedAt, versions: (existing?.versions ?? 0) + 1 });
+  const version = { clientId, savedAt, inputs, summary };
+  version.id = await done(tx.objectStore("versions").add(version));
+  await committed(tx);
+  return version;
+}
+
+export async function deleteClient(clientId) {
+  const db = await openDB();
+  const tx = db.transaction(["clients", "versions"], "readwrite");
+  tx.objectStore("clients").delete(clientId);
+  const versions = tx.objectStore("versions");
+  const keys = await done(versions.index("clientId").getAllKeys(clientId));
+  keys.forEach(key => versions.delete(key));
+  await committed(tx);
+}
+
+// ─── Practice Profile ───
+// The CA firm's letterhead and branding: one per browser, in localStorage, applied to every report
+const PRACTICE_KEY = "loan-restructure-pro:practice";
+
+export function loadPractice() {
+  try {
+    return JSON.parse(localStorage.getItem(PRACTICE_KEY));
+  } catch {
+    return null;
+  }
+}
+
+// Throws when the browser refuses (storage full or disabled), so the caller can say so
+export function savePractice(practice) {
+  localStorage.setItem(PRACTICE_KEY, JSON.stringify(practice));
+}
+
+// ─── Loan Types ───
+// The user's own loan types, per browser; the built-in ones are in the engine
+const LOAN_TYPES_KEY = "loan-restructure-pro:loan-types";
+
+export function loadLoanTypes() {
+  try {
+    return JSON.parse(localStorage.getItem(LOAN_TYPES_KEY)) ?? [];
+  } catch {
+    return [];
+  }
+}
+
+// Throws when the browser refuses (storage full or disabled), so the caller can say so
+export function saveLoanTypes(types) {
+  localStorage.setItem(LOAN_TYPES_KEY, JSON.stringify(types));
+}
+
+// ─── Language ───
+// The screen language, remembered per browser
+const LANGUAGE_KEY = "loan-restructure-pro:language";
+
+export function loadLanguage() {
+  try {
+    return localStorage.getItem(LANGUAGE_KEY);
+  } catch {
+    return null;
+  }
+}
+
+export function saveLanguage(lang) {
+  try {
+    localStorage.setItem(LANGUAGE_KEY, lang);
+  } catch {
+    // Not remembering the language is harmless
+  }
+}
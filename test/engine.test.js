@@ -0,0 +1,103 @@
+// ─── Engine Golden Values ───
+// Figures worked out once and checked by hand; a change here means the engine now calculates differently.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_ASSUMPTIONS, calcEMI, buildSchedule, loanPosition, simulateRestructure, affordability, defaultCostsFor } from "../src/engine/index.js";
+
+// Rupees to the nearest paisa is as close as any of these figures are meant to be
+const near = (actual, expected, tolerance = 0.01) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+const PORTFOLIO = [
+  { type: "term", amount: 1500000, rate: 11.5, tenure: 60, emisPaid: 24, ...defaultCostsFor("term") },
+  { type: "ccod", amount: 800000, rate: 13.5, tenure: 36, utilization: 75, monthlyUtilization: null, renewalPct: 0.5, ...defaultCostsFor("ccod") },
+  { type: "mudra", amount: 500000, rate: 10, tenure: 36, emisPaid: 12, ...defaultCostsFor("mudra") },
+];
+
+test("calcEMI", () => {
+  near(calcEMI(1000000, 12, 60), 22244.45);
+  near(calcEMI(120000, 0, 12), 10000);
+  assert.equal(calcEMI(0, 12, 60), 0);
+  assert.equal(calcEMI(100000, 12, 0), 0);
+});
+
+test("buildSchedule", () => {
+  const rows = buildSchedule(1000000, 12, 60);
+  assert.equal(rows.length, 60);
+  near(rows[0].interest, 10000);
+  near(rows[0].principal, 12244.45);
+  near(rows[0].closing, 987755.55);
+  near(rows[59].opening, 22024.21);
+  assert.equal(rows[59].closing, 0);
+  near(rows.reduce((s, r) => s + r.interest, 0), 334666.86);
+  assert.deepEqual(buildSchedule(0, 12, 60), []);
+});
+
+test("loanPosition", () => {
+  const term = loanPosition(PORTFOLIO[0]);
+  near(term.outstanding, 1000391.33);
+  assert.equal(term.remainingTenure, 36);
+  near(term.emi, 32988.91);
+  assert.deepEqual(loanPosition(PORTFOLIO[1]), { outstanding: 600000, remainingTenure: 36, emi: 6750 });
+});
+
+test("simulateRestructure", () => {
+  const golden = {
+    prepay_highest: { newInterest: 297406.32, savings: 182380.62, costs: 5808.98, netSavings: 176571.64, newEMI: 80872.50, newTenure: 28 },
+    consolidate: { newInterest: 332666.16, savings: 147120.79, costs: 66716.66, netSavings: 80404.12, newEMI: 57067.16, newTenure: 40 },
+    balance_transfer: { newInterest: 382536.95, savings: 97249.99, costs: 64833.85, netSavings: 32416.14, newEMI: 53171.12, newTenure: 36 },
+    extend_tenure: { newInterest: 597265.74, savings: -117478.80, costs: 19867.43, netSavings: -137346.23, newEMI: 41849.14, newTenure: 54 },
+    hybrid: { newInterest: 254029.05, savings: 225757.89, costs: 22578.27, netSavings: 203179.62, newEMI: 67108.07, newTenure: 40 },
+  };
+  for (const [id, g] of Object.entries(golden)) {
+    const r = simulateRestructure(PORTFOLIO, id);
+    near(r.currentTotalInterest, 479786.95);
+    near(r.newInterest, g.newInterest);
+    near(r.savings, g.savings);
+    near(r.costs.total, g.costs);
+    near(r.netSavings, g.netSavings);
+    near(r.newEMI, g.newEMI);
+    assert.equal(r.newTenure, g.newTenure, id);
+  }
+});
+
+test("affordability", () => {
+  const a = { ...DEFAULT_ASSUMPTIONS, transferRate: 9.75 };
+  const r = simulateRestructure([{ type: "term", amount: 2000000, rate: 16, tenure: 60, emisPaid: 0 }], "balance_transfer", a);
+  // NCA is after today's interest, so both sides add back today's interest
+  const nca = affordability(r, { revenue: 0, basis: "nca", cash: 60000, obligations: 0 }, a);
+  near(nca.before.dscr, 1.75);
+  near(nca.after.dscr, 2.01);
+  // A loss still gets a DSCR, and a warning
+  const loss = affordability(r, { revenue: 500000, basis: "ebitda", cash: -20000, obligations: 0 }, a);
+  assert.ok(loss.after.dscr < 0);
+  assert.equal(loss.warnings.length, 1);
+  assert.equal(affordability(r, { revenue: 0, basis: "ebitda", cash: 0, obligations: 0 }, a).after.dscr, null);
+});
+
+test("a cleared or undrawn limit keeps paying its renewal charge to the end of its tenure", () => {
+  const limit = (utilization) => [{ type: "ccod", amount: 1000000, rate: 12, tenure: 60, utilization, renewalPct: 1 }];
+  const undrawn = simulateRestructure(limit(0), "prepay_highest", { ...DEFAULT_ASSUMPTIONS, monthlySurplus: 25000 });
+  near(undrawn.newInterest, 50000);
+  near(undrawn.savings, 0);
+  const drawn = simulateRestructure(limit(40), "prepay_highest", { ...DEFAULT_ASSUMPTIONS, monthlySurplus: 25000 });
+  near(drawn.newInterest, 82577.61);
+  assert.equal(drawn.prepayment.avalanche.debtFreeMonth, 15);
+});
+
+test("consolidation leaves an undrawn CC/OD limit as it is", () => {
+  const undrawn = { type: "ccod", amount: 1000000, rate: 12, tenure: 36, utilization: 0, renewalPct: 0.5 };
+  const alone = simulateRestructure([undrawn], "consolidate");
+  assert.doesNotMatch(alone.details, /NaN/);
+  near(alone.netSavings, 0);
+  const r = simulateRestructure([undrawn, { type: "term", amount: 800000, rate: 14, tenure: 48, emisPaid: 6 }], "consolidate");
+  assert.doesNotMatch(r.details, /NaN/);
+  assert.ok(Number.isFinite(r.netSavings));
+});
+
+test("a flat-drawn CC/OD with no minimum limit kept is termed out whole", () => {
+  const r = simulateRestructure([{ type: "ccod", amount: 1000000, rate: 12, tenure: 36, utilization: 100, renewalPct: 0.5 }], "ccod_to_term", { ...DEFAULT_ASSUMPTIONS, residualLimitPct: 0 });
+  assert.ok(Number.isFinite(r.newInterest));
+  assert.ok(Number.isFinite(r.netSavings));
+  assert.equal(r.schedules.length, 1);
+});
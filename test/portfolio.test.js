@@ -0,0 +1,26 @@
+// ─── Portfolio Export / Import ───
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { exportPortfolio } from "../src/importers.js";
+import { DEFAULT_ASSUMPTIONS, DEFAULT_TAX_PROFILE, DEFAULT_CASH_FLOW, RATE_SCENARIOS, portfolioFromJSON, simulateRestructure } from "../src/engine/index.js";
+
+test("an exported portfolio keeps its rate scenarios and base scenario", () => {
+  const rateScenarios = [...RATE_SCENARIOS, { id: "custom-1", label: "Sharp hike", path: [200, 150, 100, 0, 0] }];
+  const text = exportPortfolio({
+    businessName: "Acme", loans: [{ type: "term", amount: 500000, rate: 10, tenure: 36, emisPaid: 0 }],
+    assumptions: DEFAULT_ASSUMPTIONS, taxProfile: DEFAULT_TAX_PROFILE, cashFlow: DEFAULT_CASH_FLOW,
+    rateScenarios, baseScenario: "custom-1",
+  });
+  const p = portfolioFromJSON(text);
+  assert.deepEqual(p.rateScenarios, rateScenarios);
+  assert.equal(p.baseScenario, "custom-1");
+});
+
+test("charges written as text in a portfolio file are read as numbers", () => {
+  const p = portfolioFromJSON(JSON.stringify({ loans: [{ type: "term", amount: "500000", rate: "10", tenure: "36", legalCharges: "10000", stampDuty: "500", foreclosurePct: "2", processingFeePct: "1" }] }));
+  const loan = p.loans[0];
+  assert.deepEqual([loan.legalCharges, loan.stampDuty, loan.foreclosurePct, loan.processingFeePct], [10000, 500, 2, 1]);
+  const costs = simulateRestructure(p.loans, "balance_transfer", { ...DEFAULT_ASSUMPTIONS, transferCutoff: 0 }).costs;
+  assert.equal(typeof costs.total, "number");
+  assert.equal(costs.legal, 10000);
+});
@@ -0,0 +1,30 @@
+// ─── What-if & Sensitivity ───
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_ASSUMPTIONS, DEFAULT_TAX_PROFILE, whatIfInputs, applyWhatIf, sensitivity } from "../src/engine/index.js";
+
+const FLOATING = { type: "term", amount: 1000000, rate: 10.25, tenure: 60, emisPaid: 12, floating: true, benchmark: "eblr", benchmarkRate: 8.25, spread: 2, resetMonths: 3 };
+
+test("dragging a floating loan's rate moves its spread, not its benchmark", () => {
+  const input = whatIfInputs([FLOATING], DEFAULT_ASSUMPTIONS).find(x => x.field === "rate");
+  const { loans } = applyWhatIf({ loans: [FLOATING], assumptions: DEFAULT_ASSUMPTIONS }, input, 11.5);
+  assert.equal(loans[0].rate, 11.5);
+  assert.equal(loans[0].spread, 3.25);
+  assert.equal(loans[0].benchmarkRate, 8.25);
+});
+
+test("flip points are searched on the widest swings only", () => {
+  const loans = [FLOATING, { type: "term", amount: 500000, rate: 14, tenure: 36, emisPaid: 6 }];
+  const s = sensitivity(loans, DEFAULT_ASSUMPTIONS, DEFAULT_TAX_PROFILE, "hybrid", { flipInputs: 2 });
+  assert.equal(s.flipInputs, 2);
+  assert.ok(s.rows.every((r, i) => i === 0 || r.swing <= s.rows[i - 1].swing));
+  assert.ok(s.rows.slice(0, 2).every(r => r.below !== undefined && r.above !== undefined));
+  assert.ok(s.rows.slice(2).every(r => r.below === undefined && r.above === undefined));
+});
+
+test("a loan with under a year left can't have its tenure slider start above today's", () => {
+  const loan = { type: "term", amount: 500000, rate: 10, tenure: 36, emisPaid: 30 };
+  const input = whatIfInputs([loan], DEFAULT_ASSUMPTIONS).find(x => x.field === "tenure");
+  assert.equal(input.min, 36);
+  assert.ok(input.max >= 36);
+});
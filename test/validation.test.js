@@ -0,0 +1,95 @@
+// ─── Validation & Left-out Loans ───
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdtempSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+  DEFAULT_ASSUMPTIONS, DEFAULT_TAX_PROFILE, DEFAULT_CASH_FLOW, NEW_OFFER, NEW_LOAN_TYPE, offerErrors, loanTypeErrors, offersFromJSON, loanTypeFromJSON, loanFieldErrors, assumptionErrors, taxProfileErrors, cashFlowErrors, simulateRestructure, analyzePortfolio, portfolioFromJSON, generateReportHTML, generateReportPDF,
+} from "../src/engine/index.js";
+
+const REPAID = [{ type: "term", amount: 500000, rate: 10, tenure: 36, emisPaid: 36 }];
+
+test("loanFieldErrors flags each field out of range", () => {
+  assert.deepEqual(loanFieldErrors({ type: "term", amount: 500000, rate: 10, tenure: 36, emisPaid: 0 }), {});
+  const errors = loanFieldErrors({ type: "term", amount: null, rate: 45, tenure: 36.5, emisPaid: 0 });
+  assert.deepEqual(Object.keys(errors), ["amount", "rate", "tenure"]);
+});
+
+test("cleared or out-of-range assumptions, tax and cash-flow fields are flagged", () => {
+  assert.deepEqual(assumptionErrors(DEFAULT_ASSUMPTIONS), {});
+  assert.deepEqual(taxProfileErrors(DEFAULT_TAX_PROFILE), {});
+  assert.deepEqual(cashFlowErrors(DEFAULT_CASH_FLOW), {});
+  assert.deepEqual(Object.keys(assumptionErrors({ ...DEFAULT_ASSUMPTIONS, transferRate: null, maxLenders: 1.5 })), ["transferRate", "maxLenders"]);
+  assert.deepEqual(Object.keys(taxProfileErrors({ ...DEFAULT_TAX_PROFILE, rate: null })), ["rate"]);
+  assert.deepEqual(Object.keys(cashFlowErrors({ ...DEFAULT_CASH_FLOW, revenue: -1, cash: -50000 })), ["revenue"]);
+});
+
+test("the engine uses the default for an assumption out of range, with a warning", () => {
+  const loans = [{ type: "term", amount: 500000, rate: 12, tenure: 36, emisPaid: 0 }];
+  const cleared = simulateRestructure(loans, "balance_transfer", { ...DEFAULT_ASSUMPTIONS, transferRate: null });
+  const defaults = simulateRestructure(loans, "balance_transfer", DEFAULT_ASSUMPTIONS);
+  assert.equal(cleared.netSavings, defaults.netSavings);
+  assert.deepEqual(cleared.warnings.map(w => w.field), ["transferRate"]);
+});
+
+test("a portfolio with nothing left to restructure gives as-is results with warnings", () => {
+  const scenarios = [{ name: "Mine", actions: [{ rate: 9 }] }];
+  for (const loans of [[], REPAID, [{ ...REPAID[0], rate: null }]]) {
+    const assumptions = { ...DEFAULT_ASSUMPTIONS, scenarios };
+    const results = analyzePortfolio(loans, assumptions);
+    for (const r of results) {
+      assert.equal(r.netSavings, 0, r.strategyId);
+      assert.equal(r.newInterest, 0, r.strategyId);
+      assert.equal(r.warnings.length, loans.length, r.strategyId);
+    }
+    assert.ok(generateReportHTML(loans, results, "Test", assumptions).includes("<html"));
+    assert.ok(generateReportPDF(loans, results, "Test", assumptions).length > 0);
+  }
+  assert.match(simulateRestructure(REPAID, "prepay_highest").warnings[0].message, /already repaid/);
+});
+
+test("the command line reports a fully repaid loan as skipped", () => {
+  const dir = mkdtempSync(join(tmpdir(), "loan-restructure-"));
+  const file = join(dir, "repaid.json");
+  writeFileSync(file, JSON.stringify({ format: "loan-restructure-pro/portfolio", version: 1, loans: REPAID }));
+  const run = spawnSync(process.execPath, ["bin/loan-restructure.js", "analyze", file, "--format", "json", "--out", dir], { encoding: "utf8" });
+  assert.equal(run.status, 0, run.stderr);
+  assert.match(run.stdout, /1 skipped: #1 Term Loan: already repaid/);
+});
+
+test("the command line lists an assumption that fell back to its default apart from skipped loans", () => {
+  const dir = mkdtempSync(join(tmpdir(), "loan-restructure-"));
+  const file = join(dir, "fallback.json");
+  const loans = [{ type: "term", amount: 500000, rate: 10, tenure: 36, emisPaid: 0 }];
+  writeFileSync(file, JSON.stringify({ format: "loan-restructure-pro/portfolio", version: 1, loans, assumptions: { monthlySurplus: -5 } }));
+  const run = spawnSync(process.execPath, ["bin/loan-restructure.js", "analyze", file, "--format", "json", "--out", dir], { encoding: "utf8" });
+  assert.equal(run.status, 0, run.stderr);
+  assert.doesNotMatch(run.stdout, /skipped/);
+  assert.match(run.stdout, /\n  Monthly .*: cannot be below 0, 25000 used/);
+});
+
+test("settings written as text are read as numbers from a file, and flagged anywhere else", () => {
+  const p = portfolioFromJSON(JSON.stringify({
+    loans: [{ type: "term", amount: 500000, rate: 10, tenure: 36 }],
+    assumptions: { monthlySurplus: "25000", transferRate: "abc" }, taxProfile: { ...DEFAULT_TAX_PROFILE, rate: "25" }, cashFlow: { ...DEFAULT_CASH_FLOW, cash: "-5000" },
+  }));
+  assert.equal(p.assumptions.monthlySurplus, 25000);
+  assert.equal(p.taxProfile.rate, 25);
+  assert.equal(p.cashFlow.cash, -5000);
+  assert.deepEqual(assumptionErrors(p.assumptions), { transferRate: "not a number" });
+  assert.deepEqual(assumptionErrors({ ...DEFAULT_ASSUMPTIONS, monthlySurplus: "25000" }), { monthlySurplus: "not a number" });
+  const r = simulateRestructure(p.loans, "prepay_highest", p.assumptions);
+  assert.equal(typeof r.newEMI, "number");
+});
+
+test("lender offers and loan types are range-checked, with a cleared field missing rather than 0", () => {
+  assert.deepEqual(offerErrors(NEW_OFFER), {});
+  assert.deepEqual(Object.keys(offerErrors({ ...NEW_OFFER, rate: null, processingFeePct: -1, maxTenure: 12.5 })), ["rate", "processingFeePct", "maxTenure"]);
+  assert.equal(offersFromJSON([{ ...NEW_OFFER, processingFeePct: -1 }, { ...NEW_OFFER, lender: "Kept" }]).map(o => o.lender).join(), "Kept");
+  assert.deepEqual(loanTypeErrors(NEW_LOAN_TYPE), {});
+  const errors = loanTypeErrors({ ...NEW_LOAN_TYPE, defaultRate: null, defaultCosts: { ...NEW_LOAN_TYPE.defaultCosts, processingFeePct: -1, stampDuty: null } });
+  assert.deepEqual(errors, { defaultRate: "missing", processingFeePct: "cannot be below 0" });
+  assert.equal(loanTypeFromJSON({ ...NEW_LOAN_TYPE, id: "custom-x", label: "X", defaultRate: null }).errors.length, 1);
+});